@@ -0,0 +1,58 @@
+// Instrument specifications used to turn price distances into pips and money.
+//   pipSize       price change of one pip (what analysts quote targets in)
+//   digits        decimals brokers quote the price with
+//   contractSize  units per 1.00 lot
+//   quoteCurrency currency the price (and profit) is expressed in
+// Currency pairs that are not listed fall back to the usual forex conventions, see
+// utils/instruments.js. Keys are broker-neutral symbols; ALIASES maps other common names.
+const FOREX = { type: 'forex', pipSize: 0.0001, digits: 5, contractSize: 100000 };
+const FOREX_JPY = { type: 'forex', pipSize: 0.01, digits: 3, contractSize: 100000 };
+
+const INSTRUMENTS = {
+  EURUSD: { ...FOREX, quoteCurrency: 'USD' },
+  GBPUSD: { ...FOREX, quoteCurrency: 'USD' },
+  AUDUSD: { ...FOREX, quoteCurrency: 'USD' },
+  NZDUSD: { ...FOREX, quoteCurrency: 'USD' },
+  USDCAD: { ...FOREX, quoteCurrency: 'CAD' },
+  USDCHF: { ...FOREX, quoteCurrency: 'CHF' },
+  EURGBP: { ...FOREX, quoteCurrency: 'GBP' },
+  USDJPY: { ...FOREX_JPY, quoteCurrency: 'JPY' },
+  EURJPY: { ...FOREX_JPY, quoteCurrency: 'JPY' },
+  GBPJPY: { ...FOREX_JPY, quoteCurrency: 'JPY' },
+  XAUUSD: { type: 'metal', pipSize: 0.1, digits: 2, contractSize: 100, quoteCurrency: 'USD' },
+  XAGUSD: { type: 'metal', pipSize: 0.01, digits: 3, contractSize: 5000, quoteCurrency: 'USD' },
+  USOIL: { type: 'commodity', pipSize: 0.01, digits: 2, contractSize: 1000, quoteCurrency: 'USD' },
+  US30: { type: 'index', pipSize: 1, digits: 1, contractSize: 1, quoteCurrency: 'USD' },
+  NAS100: { type: 'index', pipSize: 1, digits: 1, contractSize: 1, quoteCurrency: 'USD' },
+  SPX500: { type: 'index', pipSize: 0.1, digits: 1, contractSize: 1, quoteCurrency: 'USD' },
+  GER40: { type: 'index', pipSize: 1, digits: 1, contractSize: 1, quoteCurrency: 'EUR' },
+  UK100: { type: 'index', pipSize: 1, digits: 1, contractSize: 1, quoteCurrency: 'GBP' },
+  JPN225: { type: 'index', pipSize: 1, digits: 0, contractSize: 1, quoteCurrency: 'JPY' },
+  BTCUSD: { type: 'crypto', pipSize: 1, digits: 2, contractSize: 1, quoteCurrency: 'USD' },
+  ETHUSD: { type: 'crypto', pipSize: 0.1, digits: 2, contractSize: 1, quoteCurrency: 'USD' },
+};
+
+const ALIASES = {
+  GOLD: 'XAUUSD',
+  SILVER: 'XAGUSD',
+  WTI: 'USOIL',
+  USCRUDE: 'USOIL',
+  DJ30: 'US30',
+  WS30: 'US30',
+  DOW: 'US30',
+  US100: 'NAS100',
+  USTEC: 'NAS100',
+  NDX: 'NAS100',
+  US500: 'SPX500',
+  SPX: 'SPX500',
+  DE40: 'GER40',
+  DAX40: 'GER40',
+  GER30: 'GER40',
+  FTSE100: 'UK100',
+  NIKKEI: 'JPN225',
+  JP225: 'JPN225',
+  BTC: 'BTCUSD',
+  ETH: 'ETHUSD',
+};
+
+module.exports = { INSTRUMENTS, ALIASES };
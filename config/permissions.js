@@ -0,0 +1,29 @@
+// Staff roles sit alongside the subscription tier stored in User.role (free/premium/VVIP).
+// A user can hold several of them; each grants the permissions listed below.
+const ROLES = ['admin', 'mentor', 'analyst', 'support'];
+
+const PERMISSIONS = {
+  SIGNALS_MANAGE: 'signals:manage',
+  BADGES_MANAGE: 'badges:manage',
+  BADGES_ASSIGN: 'badges:assign',
+  MENTORSHIP_MANAGE: 'mentorship:manage',
+  TIERS_MANAGE: 'tiers:manage',
+  NOTIFICATIONS_BROADCAST: 'notifications:broadcast',
+  ROLES_MANAGE: 'roles:manage',
+  JOBS_MANAGE: 'jobs:manage',
+  COPY_TRADING_MANAGE: 'copytrading:manage',
+  MARKET_DATA_MANAGE: 'marketdata:manage',
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  analyst: [PERMISSIONS.SIGNALS_MANAGE, PERMISSIONS.MARKET_DATA_MANAGE],
+  mentor: [PERMISSIONS.MENTORSHIP_MANAGE, PERMISSIONS.BADGES_ASSIGN],
+  support: [PERMISSIONS.BADGES_ASSIGN, PERMISSIONS.NOTIFICATIONS_BROADCAST],
+};
+
+const hasPermission = (roles = [], permission) => {
+  return roles.some((role) => (ROLE_PERMISSIONS[role] || []).includes(permission));
+};
+
+module.exports = { ROLES, PERMISSIONS, ROLE_PERMISSIONS, hasPermission };
@@ -5,7 +5,7 @@ const firebaseClient = require('firebase/app');
 const { sendVerificationCode, verifyCode } = require('../services/emailService');
 const User = require('../models/User');
 const twilio = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-const jwt = require('jsonwebtoken');
+const { RefreshTokenError, issueTokens, rotateRefreshToken, revokeDevice, revokeAll } = require('../services/tokenService');
 
 // In-memory store for Twilio verification codes (replace with Redis in production)
 const verificationCodes = new Map();
@@ -24,13 +24,8 @@ const firebaseConfig = {
 firebaseClient.initializeApp(firebaseConfig);
 const auth = getAuth();
 
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user._id, uid: user.firebaseUid, isAdmin: user.role === 'admin' },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-};
+// Clients identify the device a session belongs to so logout only ends that session
+const getDeviceId = (req) => req.body?.deviceId || req.headers['x-device-id'] || 'default';
 
 exports.checkUser = async (req, res) => {
   try {
@@ -167,11 +162,12 @@ exports.confirmPassword = async (req, res) => {
     });
     await user.save();
 
-    const token = generateToken(user);
+    const { token, refreshToken } = await issueTokens(user, getDeviceId(req));
     res.status(200).json({
       message: 'Account created successfully',
       user: { identifier, uid: firebaseUid, provider },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error('Confirm password error:', error);
@@ -212,11 +208,12 @@ exports.appleAuth = async (req, res) => {
       await existingUser.save();
     }
 
-    const token = generateToken(existingUser);
+    const { token, refreshToken } = await issueTokens(existingUser, getDeviceId(req));
     res.status(200).json({
       message: 'Apple sign-in successful',
       user: { uid: firebaseUid, email: user.email, displayName: existingUser.displayName, provider: 'apple', role: existingUser.role },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error('Apple authentication error:', error);
@@ -250,11 +247,12 @@ exports.googleAuth = async (req, res) => {
       await existingUser.save();
     }
 
-    const token = generateToken(existingUser);
+    const { token, refreshToken } = await issueTokens(existingUser, getDeviceId(req));
     res.status(200).json({
       message: 'Google sign-in successful',
       user: { uid: firebaseUid, email: decodedToken.email, displayName: existingUser.displayName, provider: 'google' },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error('Google authentication error:', error);
@@ -326,8 +324,8 @@ exports.verifyPhoneNumber = async (req, res) => {
       await user.save();
     }
 
-    const token = generateToken(user);
-    res.status(200).json({ message: 'Phone number verified successfully', token });
+    const { token, refreshToken } = await issueTokens(user, getDeviceId(req));
+    res.status(200).json({ message: 'Phone number verified successfully', token, refreshToken });
   } catch (error) {
     console.error('Phone verification error:', error);
     res.status(400).json({ error: error.message || 'Failed to verify phone number' });
@@ -421,8 +419,10 @@ exports.resetPassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    const token = generateToken(user);
-    res.status(200).json({ message: 'Password reset successfully', token });
+    // A password reset ends every existing session before handing out a new one
+    await revokeAll(user._id);
+    const { token, refreshToken } = await issueTokens(user, getDeviceId(req));
+    res.status(200).json({ message: 'Password reset successfully', token, refreshToken });
   } catch (error) {
     console.error('Password reset error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -446,11 +446,16 @@ exports.login = async (req, res) => {
     const user = userCredential.user;
     const dbUser = await User.findOne({ firebaseUid: user.uid });
 
-    const token = generateToken(dbUser /* || { _id: user.uid, firebaseUid: user.uid, role: 'user' } */);
+    if (!dbUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { token, refreshToken } = await issueTokens(dbUser, getDeviceId(req));
     res.status(200).json({
       message: 'Login successful',
-      user: { uid: user.uid, email: user.email, role: dbUser?.role || 'user' },
+      user: { uid: user.uid, email: user.email, role: dbUser.role },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -460,6 +465,7 @@ exports.login = async (req, res) => {
 
 exports.logout = async (req, res) => {
   try {
+    await revokeDevice(req.user.id, getDeviceId(req));
     res.status(200).json({ message: 'Logout successful' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -467,24 +473,35 @@ exports.logout = async (req, res) => {
   }
 };
 
-exports.refresh = async (req, res) => {
+exports.logoutAll = async (req, res) => {
   try {
-    const token = req.headers['authorization']?.split(' ')[1];
-    if (!token) return res.status(401).json({ error: 'Access denied, no token provided' });
+    await revokeAll(req.user.id);
+    res.status(200).json({ message: 'Logged out from all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) return res.status(403).json({ error: 'Invalid or expired token' });
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
 
-      const newToken = generateToken({ _id: decoded.id, firebaseUid: decoded.uid, role: decoded.isAdmin ? 'admin' : 'user' });
-      res.status(200).json({ token: newToken });
-    });
+    const tokens = await rotateRefreshToken(refreshToken);
+    res.status(200).json(tokens);
   } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({ error: error.message });
+    }
     console.error('Refresh error:', error);
-    res.status(500).json({ message: 'Server error' });
+    res.status(500).json({ error: 'Failed to refresh token' });
   }
 };
 
-exports.protected = [
+exports.protectedRoute = [
 //   authenticateToken,
   async (req, res) => {
     try {
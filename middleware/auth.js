@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
 
 // Middleware for authorization
 const authenticateToken = (req, res, next) => {
@@ -12,11 +14,40 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
-const authorizeRole = (role) => (req, res, next) => {
-    if (req.user.role !== role) {
-        return res.status(403).json({ error: 'Insufficient permissions' });
+// Roles are read from the database rather than the token so a revoked role takes effect immediately
+const loadRoles = async (req) => {
+    if (!req.rolesLoaded) {
+        const user = await User.findById(req.user.id).select('roles');
+        req.user.roles = user?.roles || [];
+        req.rolesLoaded = true;
     }
-    next();
+    return req.user.roles;
 };
 
-module.exports = { authenticateToken, authorizeRole };
\ No newline at end of file
+const authorizeRole = (...allowedRoles) => async (req, res, next) => {
+    try {
+        const roles = await loadRoles(req);
+        if (!roles.some((role) => allowedRoles.includes(role))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    } catch (error) {
+        console.error('Authorization Error:', error);
+        res.status(500).json({ error: 'Failed to verify permissions' });
+    }
+};
+
+const requirePermission = (permission) => async (req, res, next) => {
+    try {
+        const roles = await loadRoles(req);
+        if (!hasPermission(roles, permission)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    } catch (error) {
+        console.error('Authorization Error:', error);
+        res.status(500).json({ error: 'Failed to verify permissions' });
+    }
+};
+
+module.exports = { authenticateToken, loadRoles, authorizeRole, requirePermission };
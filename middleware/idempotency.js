@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HOUR = 60 * 60 * 1000;
+// How long a key is remembered
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+const MAX_KEY_LENGTH = 255;
+
+const hashBody = body => crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+
+// Records the key for this request; returns null when it is new, or the request that used it first
+const claimKey = async (filter, requestHash) => {
+  try {
+    await IdempotencyKey.create({ ...filter, requestHash, expiresAt: new Date(Date.now() + KEY_TTL_HOURS * HOUR) });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Missing when the first request failed and released the key in the meantime
+    return (await IdempotencyKey.findOne(filter)) || { requestHash, completed: false };
+  }
+};
+
+/**
+ * Makes an endpoint safe to retry with an `Idempotency-Key` header (use after
+ * authenticateToken). The first request with a key runs normally and a successful (2xx) response
+ * is stored; repeating the key with the same body returns that response again with an
+ * `Idempotent-Replayed: true` header. The same key with another body is rejected with 422, and
+ * while the first request is still running with 409. Failed requests release their key so they
+ * can be retried. Requests without the header are not affected.
+ */
+const idempotent = scope => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+  }
+
+  const requestHash = hashBody(req.body);
+  const filter = { userId: req.user.id, scope, key };
+  let existing;
+  try {
+    existing = await claimKey(filter, requestHash);
+  } catch (error) {
+    console.error('Idempotency Error:', error);
+    return res.status(500).json({ error: 'Failed to check the Idempotency-Key' });
+  }
+
+  if (existing) {
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request' });
+    }
+    if (!existing.completed) {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is in progress' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Keep the response once it is sent; anything but a success frees the key again
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const done = res.statusCode >= 200 && res.statusCode < 300
+      ? IdempotencyKey.updateOne(filter, { completed: true, responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) })
+      : IdempotencyKey.deleteOne(filter);
+    done.catch(error => console.error('Idempotency Error:', error));
+    return json(body);
+  };
+  next();
+};
+
+module.exports = { idempotent };
@@ -2,9 +2,9 @@ const mongoose = require('mongoose');
 
 const applicationSchema = new mongoose.Schema({
   id: {
-    type: Number,
+    type: Number, // From the application sequence, see services/idGenerator.js
     unique: true,
-    default: 1
+    required: true
   },
   userId: {
     type: String,
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { TIMEFRAMES } = require('../utils/candles');
+
+// An OHLC candle of an instrument, see services/candleService.js. M1 candles are built from the
+// ticks the candle recorder sees; candles of any timeframe can be imported from CSV.
+const candleSchema = new mongoose.Schema({
+  symbol: { type: String, required: true }, // Instrument registry symbol, e.g. XAUUSD
+  timeframe: { type: String, enum: Object.keys(TIMEFRAMES), required: true },
+  time: { type: Date, required: true }, // Start of the candle (UTC)
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+  volume: { type: Number, default: 0 }, // Ticks seen for recorded candles, as imported otherwise
+  source: { type: String, enum: ['ticks', 'import'], required: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+candleSchema.index({ symbol: 1, timeframe: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('Candle', candleSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A user's opt-in to have published signals placed on one of their linked trading accounts,
+// see services/copyTradingService.js
+const copySettingsSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  enabled: { type: Boolean, default: false },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'TradingAccount' },
+  riskPercent: { type: Number, default: 1, min: 0.01, max: 10 }, // Of the balance, lost if the stop loss is hit
+  maxLots: { type: Number, default: 1, min: 0.01 }, // Per signal, across its target orders
+  dailyLossLimitPercent: { type: Number, default: 3, min: 0.1, max: 100 }, // No new copies once the day's loss reaches this
+  // Kill switch: copying stops until the user turns it off again
+  paused: { type: Boolean, default: false },
+  pausedAt: { type: Date },
+  pauseReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+copySettingsSchema.index({ enabled: 1, paused: 1 });
+
+copySettingsSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// What happened when a signal was copied for a user: one order per target that got volume
+const copyExecutionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'TradingAccount' },
+  signalId: { type: String, required: true },
+  // pending while the orders are being sent; a copy that stays pending was interrupted and is not
+  // retried. filled: market orders executed, placed: limit orders waiting on the account,
+  // cancelled: limit orders removed because the signal was cancelled or deleted
+  status: { type: String, enum: ['pending', 'filled', 'placed', 'partial', 'failed', 'skipped', 'cancelled'], default: 'pending' },
+  reason: { type: String }, // Why the copy was skipped or failed
+  balance: { type: Number },
+  currency: { type: String },
+  riskAmount: { type: Number },
+  volume: { type: Number }, // Lots across all orders
+  orders: [{
+    _id: false,
+    target: { type: Number }, // 1-based target number
+    symbol: { type: String },
+    side: { type: String, enum: ['buy', 'sell'] },
+    type: { type: String, enum: ['market', 'limit'] },
+    volume: { type: Number },
+    price: { type: Number }, // Limit price
+    sl: { type: Number },
+    tp: { type: Number },
+    status: { type: String, enum: ['filled', 'placed', 'failed', 'cancelled'] },
+    ticket: { type: Number },
+    fillPrice: { type: Number },
+    error: { type: String }, // Why placing, or later cancelling, the order failed
+  }],
+  cancelledAt: { type: Date }, // When the placed orders were cancelled along with the signal
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// A signal is copied at most once per user, however often its copy job runs
+copyExecutionSchema.index({ signalId: 1, userId: 1 }, { unique: true });
+copyExecutionSchema.index({ userId: 1, createdAt: -1 });
+
+copyExecutionSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Platform-wide kill switch, a single document
+const copyTradingControlSchema = new mongoose.Schema({
+  halted: { type: Boolean, default: false },
+  reason: { type: String },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = {
+  CopySettings: mongoose.model('CopySettings', copySettingsSchema),
+  CopyExecution: mongoose.model('CopyExecution', copyExecutionSchema),
+  CopyTradingControl: mongoose.model('CopyTradingControl', copyTradingControlSchema),
+};
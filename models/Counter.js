@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Named sequence for ids that have to be unique and increasing, see services/idGenerator.js.
+// `_id` is the sequence name (e.g. "signal") and `seq` the last value handed out.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
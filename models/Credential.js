@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Broker login secrets, envelope-encrypted by services/credentialVault.js.
+// Kept apart from TradingAccount so listing accounts never loads a secret.
+const credentialSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'TradingAccount', required: true, unique: true },
+  secret: {
+    keyId: { type: String, required: true }, // Master key the data key is wrapped with
+    encryptedKey: { type: String, required: true },
+    encryptedData: { type: String, required: true },
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update updatedAt on save
+credentialSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Credential', credentialSchema);
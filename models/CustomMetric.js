@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A user-defined metric, written in the expression language of utils/metricExpression.js and
+// evaluated against the user's stored trades whenever custom stats are requested.
+const customMetricSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  expression: { type: String, required: true, maxlength: 500 },
+  description: { type: String, trim: true, maxlength: 280 },
+  lookbackDays: { type: Number, default: 30, min: 0 }, // 0 evaluates over every stored trade
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+customMetricSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Update updatedAt on save
+customMetricSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CustomMetric', customMetricSchema);
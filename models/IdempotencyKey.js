@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A request made with an Idempotency-Key header, see middleware/idempotency.js. Once the request
+// succeeded its response is kept, so a retry with the same key gets it back instead of repeating
+// the request.
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scope: { type: String, required: true }, // The endpoint, e.g. "signals:create"
+  key: { type: String, required: true },
+  requestHash: { type: String, required: true }, // SHA-256 of the request body
+  completed: { type: Boolean, default: false },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+idempotencyKeySchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+// Let MongoDB clean up expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
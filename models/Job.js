@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+// A one-off task run by the job worker in services/jobQueue.js at or after runAt. While a
+// worker runs it, lockedBy/lockedUntil hold its lease; a job whose lease ran out (the worker
+// died) is picked up again. `key` ties the job to what it acts on, e.g. "signal:S123".
+const jobSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Handler the job runs, see registerHandler
+  key: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  runAt: { type: Date, required: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5, min: 1 },
+  lastError: { type: String },
+  lockedBy: { type: String },
+  lockedUntil: { type: Date },
+  completedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1, status: 1 });
+
+// Update updatedAt on save
+jobSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
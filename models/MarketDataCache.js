@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A market data response shared between app instances, see services/marketData/cache.js
+const marketDataCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // e.g. "quote:XAUUSD", "rates:USD"
+  value: { type: mongoose.Schema.Types.Mixed, required: true },
+  provider: { type: String },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Let MongoDB clean up expired entries
+marketDataCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MarketDataCache', marketDataCacheSchema);
@@ -8,6 +8,7 @@ const notificationSchema = new mongoose.Schema({
     required: true 
   },
   type: { type: String, default: 'Normal' }, // Any string allowed
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Recipient of a personal notification
   isRead: { type: Boolean, default: false },
   timestamp: { type: Date, default: Date.now },
   scheduleDate: { type: Date } // Optional scheduling date
@@ -1,15 +1,26 @@
 const mongoose = require('mongoose');
 
+// Rebuilt from resolved signals by signalService.recomputePerformance
 const performanceSchema = new mongoose.Schema({
-  totalProfitLoss: { type: Number, default: 0 },
+  totalProfitLoss: { type: Number, default: 0 }, // In pips
   tradeCount: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  losses: { type: Number, default: 0 },
+  breakevens: { type: Number, default: 0 },
+  winRate: { type: Number, default: 0 },
+  totalR: { type: Number, default: 0 },
+  averageR: { type: Number, default: 0 },
   historicalData: [{
     signalId: { type: String, required: true },
     date: { type: Date, required: true },
-    profitLoss: { type: Number, required: true },
-    pipMovement: { type: String, required: true }
+    asset: { type: String },
+    state: { type: String },
+    profitLoss: { type: Number, required: true }, // In pips, weighted across partial closes
+    resultR: { type: Number }, // Weighted across partial closes
+    plannedRR: { type: Number },
+    targetsHit: { type: Number }
   }],
   updatedAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('Performance', performanceSchema);
\ No newline at end of file
+module.exports = mongoose.model('Performance', performanceSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { ALERT_TYPES, ALERT_STATUSES, DELIVERY_CHANNELS } = require('../utils/priceConditions');
+
+// A user's price alert on an instrument, evaluated by the price alert worker
+// (services/priceAlertService.js). Which fields apply depends on the type, see
+// utils/priceConditions.js.
+const priceAlertSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  asset: { type: String, required: true }, // Instrument registry symbol, e.g. XAUUSD
+  type: { type: String, enum: ALERT_TYPES, required: true },
+  target: { type: Number }, // cross and distance: the price level
+  // cross: the way the price crosses the target; percent_change: rise (above) or fall (below),
+  // either when unset. Cross alerts without one take the side of the price when armed.
+  direction: { type: String, enum: ['above', 'below'] },
+  percent: { type: Number, min: 0 }, // percent_change: size of the move
+  windowMinutes: { type: Number, min: 1 }, // percent_change: period the move is measured over
+  lower: { type: Number }, // range
+  upper: { type: Number }, // range
+  rangeEvent: { type: String, enum: ['enter', 'exit'] }, // range
+  distance: { type: Number, min: 0 }, // distance: how close to the target the price has to come
+  distanceUnit: { type: String, enum: ['pips', 'percent'], default: 'pips' },
+  note: { type: String, maxlength: 200 },
+  channels: { type: [{ type: String, enum: DELIVERY_CHANNELS }], default: ['in_app', 'email'] },
+  expiresAt: { type: Date },
+  status: { type: String, enum: ALERT_STATUSES, default: 'active' },
+  armed: { type: Boolean, default: false },
+  // Re-arm a triggered alert after the cooldown, once its condition is no longer met
+  repeat: { type: Boolean, default: true },
+  cooldownMinutes: { type: Number, min: 1 }, // Defaults to PRICE_ALERT_COOLDOWN_MINUTES
+  triggeredAt: { type: Date },
+  triggerPrice: { type: Number },
+  rearmAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+priceAlertSchema.index({ status: 1, asset: 1 });
+priceAlertSchema.index({ userId: 1, createdAt: -1 });
+
+// Update updatedAt on save
+priceAlertSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('PriceAlert', priceAlertSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  deviceId: { type: String, required: true }, // One active token chain per device
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the raw token, never the token itself
+  family: { type: String, required: true, index: true }, // Shared by every token rotated from the same login
+  replacedBy: { type: String, default: null }, // tokenHash of the token issued when this one was used
+  revokedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+refreshTokenSchema.index({ userId: 1, deviceId: 1 });
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,19 +1,88 @@
 const mongoose = require('mongoose');
+const { STATES, signalPlan, signalResult } = require('../utils/signalLifecycle');
+const { getInstrument } = require('../utils/instruments');
 
 const signalSchema = new mongoose.Schema({
   signalId: { type: String, required: true, unique: true },
   date: { type: Date, default: Date.now },
   asset: { type: String, required: true },
+  symbol: { type: String }, // Instrument registry symbol of the asset, what searches filter on
   entryPrice: { type: Number, required: true },
   stopLoss: { type: Number, required: true },
-  takeProfit: { type: Number, required: true },
+  initialStopLoss: { type: Number }, // Stop loss at publication; R multiples are measured against it
+  takeProfit: { type: Number, required: true }, // Price of the last target
+  // Take-profit levels, nearest first; each closes closePercent of the original position
+  targets: [{
+    price: { type: Number, required: true },
+    closePercent: { type: Number, required: true },
+    pips: { type: Number }, // Distance from the entry
+    rr: { type: Number }, // Distance from the entry over the initial risk
+    hitAt: { type: Date }
+  }],
+  breakevenAfter: { type: Number }, // Move the stop to the entry once this many targets were hit
+  // Every stop loss and target change after publication
+  adjustments: [{
+    field: { type: String, enum: ['stopLoss', 'targetPrice', 'targetPercent'], required: true },
+    target: { type: Number }, // 1-based target number for target changes
+    from: { type: Number },
+    to: { type: Number },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Unset for automatic moves
+    note: { type: String }
+  }],
   reasoning: { type: String },
   entryType: { type: String, enum: ['Buy', 'Sell', 'Buy limit', 'Sell limit'], required: true },
   category: { type: String, enum: ['All users', 'Premium users', 'Free users'], default: 'Premium users' },
   publishTiming: { type: String, enum: ['Immediate Publish', 'Scheduled Publish'], default: 'Immediate Publish' },
   publishDate: { type: Date },
   publishTime: { type: String },
-  status: { type: String, enum: ['Published', 'Scheduled'], default: 'Scheduled' }
+  status: { type: String, enum: ['Published', 'Scheduled'], default: 'Scheduled' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // The analyst
+  // From the instrument registry when the signal is saved, see config/instruments.js
+  pipSize: { type: Number },
+  riskPips: { type: Number },
+  rewardPips: { type: Number }, // Weighted by the targets' close percentages
+  plannedRR: { type: Number },
+  // Trade lifecycle, see utils/signalLifecycle.js
+  state: { type: String, enum: STATES, default: 'pending' },
+  expiresAt: { type: Date }, // Limit entries not filled by then expire
+  activatedAt: { type: Date },
+  closedAt: { type: Date },
+  closePrice: { type: Number },
+  resultPoints: { type: Number }, // Price distance won (negative when lost), weighted across partials
+  resultPips: { type: Number },
+  resultR: { type: Number },
+  lastQuoteAt: { type: Date }, // Time of the last quote the resolver applied
+  lastPrice: { type: Number } // Price the signal would have closed at on that quote
 });
 
-module.exports = mongoose.model('Signal', signalSchema);
\ No newline at end of file
+signalSchema.index({ state: 1, asset: 1 });
+signalSchema.index({ status: 1, date: -1 });
+signalSchema.index({ symbol: 1, date: -1 });
+
+// Keep the pip, R:R and result fields in line with the levels
+signalSchema.pre('save', function (next) {
+  if (!this.pipSize || !this.symbol || this.isModified('asset')) {
+    const instrument = getInstrument(this.asset);
+    this.pipSize = instrument.pipSize;
+    this.symbol = instrument.symbol;
+  }
+  const plan = signalPlan(this);
+  this.riskPips = plan.riskPips;
+  this.rewardPips = plan.rewardPips;
+  this.plannedRR = plan.plannedRR;
+  this.targets.forEach((target, index) => {
+    target.pips = plan.targets[index].pips;
+    target.rr = plan.targets[index].rr;
+  });
+
+  const result = signalResult(this);
+  if (result) {
+    this.resultPoints = result.points;
+    this.resultPips = result.pips;
+    this.resultR = result.r;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Signal', signalSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const REACTIONS = ['👍', '👎', '🔥', '🎯', '🚀', '🤔'];
+// Replies to replies are allowed down to this many levels below the top-level comment
+const MAX_DEPTH = 5;
+
+// A comment in the discussion of a signal. Threads are nested like Post replies, but each
+// comment is its own document pointing at its parent, so replies and reactions on a busy signal
+// do not rewrite one growing document. rootId is the top-level comment of the thread.
+const signalCommentSchema = new mongoose.Schema({
+  signalId: { type: String, required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'SignalComment', default: null },
+  rootId: { type: mongoose.Schema.Types.ObjectId, ref: 'SignalComment', default: null },
+  depth: { type: Number, default: 0 },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: String,
+  avatar: String,
+  analyst: { type: Boolean, default: false }, // Posted by a signal manager
+  message: { type: String, maxlength: 2000 },
+  reactions: [{
+    _id: false,
+    emoji: { type: String, enum: REACTIONS },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  }],
+  // An analyst can pin one comment per thread: a reply as the thread's answer, or the top-level
+  // comment to keep the thread on top
+  pinned: { type: Boolean, default: false },
+  pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  pinnedAt: { type: Date },
+  // Deleted comments keep their place in the thread so the replies under them stay readable
+  deleted: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+signalCommentSchema.index({ signalId: 1, createdAt: 1 });
+signalCommentSchema.index({ rootId: 1, pinned: 1 });
+
+// Update updatedAt on save
+signalCommentSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('SignalComment', signalCommentSchema);
+module.exports.REACTIONS = REACTIONS;
+module.exports.MAX_DEPTH = MAX_DEPTH;
@@ -1,17 +1,23 @@
 const mongoose = require('mongoose');
 
+// One row per metric per sync; rows written by the same sync share a snapshotAt
 const statsSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'TradingAccount' },
   name: { type: String, required: true },
-  value: { type: Number, required: true },
+  value: { type: mongoose.Schema.Types.Mixed, required: true }, // Mostly numbers; durations come as "H:MM:SS"
   isCustom: { type: Boolean, default: false }, // Differentiates default vs custom metrics
+  snapshotAt: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+statsSchema.index({ accountId: 1, snapshotAt: -1 });
+
 // Update updatedAt on save
 statsSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
   next();
 });
 
-module.exports = mongoose.model('Stats', statsSchema);
\ No newline at end of file
+module.exports = mongoose.model('Stats', statsSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One row per account per UTC day, overwritten by every sync that day so it holds the day's
+// closing values. Unlike Stats snapshots these are kept for good and feed the history charts.
+const statsDailySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'TradingAccount', required: true },
+  date: { type: Date, required: true }, // Midnight UTC
+  // Balance fields are left unset when the source has no balances (CSV imports)
+  balance: { type: Number },
+  equity: { type: Number },
+  peakEquity: { type: Number }, // Highest equity seen up to this day
+  drawdown: { type: Number }, // % below peakEquity at the last sync of the day
+  maxDrawdown: { type: Number }, // Deepest drawdown seen during the day
+  metrics: [{
+    _id: false,
+    name: { type: String, required: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    isCustom: { type: Boolean, default: false },
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+statsDailySchema.index({ accountId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('StatsDaily', statsDailySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One closed or still open MT5 position, rebuilt from its deals. Each deal is applied exactly
+// once; dealTickets records which ones are already counted. Imported trades have no deals.
+// A reversal (an 'inout' deal on a netting account) keeps the position ticket, so the position
+// it opens the other way is stored as the next leg of the same positionId.
+const tradeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'TradingAccount', required: true },
+  positionId: { type: Number, required: true }, // MT5 position ticket, or a hash of the row for CSV imports without one
+  leg: { type: Number, default: 0 }, // Reversals of the position so far
+  source: { type: String, enum: ['mt5', 'import'], default: 'mt5' },
+  symbol: { type: String, required: true },
+  side: { type: String, enum: ['buy', 'sell'], required: true },
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  volume: { type: Number, default: 0 }, // Lots opened
+  closedVolume: { type: Number, default: 0 },
+  openTime: { type: Date },
+  closeTime: { type: Date },
+  openPrice: { type: Number }, // Volume-weighted when the position was scaled in
+  closePrice: { type: Number }, // Volume-weighted over partial closes
+  sl: { type: Number, default: 0 },
+  tp: { type: Number, default: 0 },
+  commission: { type: Number, default: 0 },
+  swap: { type: Number, default: 0 },
+  fee: { type: Number, default: 0 },
+  profit: { type: Number, default: 0 },
+  magic: { type: Number },
+  comment: { type: String },
+  dealTickets: [{ type: Number }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+tradeSchema.index({ accountId: 1, positionId: 1, leg: 1 }, { unique: true });
+tradeSchema.index({ accountId: 1, dealTickets: 1 });
+tradeSchema.index({ userId: 1, openTime: -1 });
+
+// Update updatedAt on save
+tradeSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Trade', tradeSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const tradingAccountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  label: { type: String, required: true, trim: true }, // e.g. "FTMO challenge", "Personal"
+  // Adapter in services/platforms; 'import' accounts are fed by uploaded statements
+  platform: { type: String, enum: ['mt5', 'ctrader', 'import'], default: 'mt5' },
+  broker: { type: String, trim: true },
+  // Platform account number (ctidTraderAccountId for cTrader, statement account for imports)
+  login: { type: String, required: function () { return this.platform !== 'import'; } },
+  // Trade server, or 'live'/'demo' for cTrader
+  server: { type: String, required: function () { return this.platform !== 'import'; } },
+  currency: { type: String, uppercase: true, trim: true, default: 'USD' },
+  isDefault: { type: Boolean, default: false },
+  lastSyncAttemptAt: { type: Date, default: null }, // Claimed before each bridge call, enforces the sync cooldown
+  lastSyncedAt: { type: Date, default: null },
+  lastSyncError: { type: String, default: null },
+  lastDealTicket: { type: Number, default: 0 }, // Highest MT5 deal ticket already stored as a Trade
+  lastDealTime: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// The same platform login can only be linked once per user
+tradingAccountSchema.index(
+  { userId: 1, platform: 1, server: 1, login: 1 },
+  { unique: true, partialFilterExpression: { login: { $type: 'string' } } }
+);
+
+// Update updatedAt on save
+tradingAccountSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('TradingAccount', tradingAccountSchema);
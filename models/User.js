@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
     email: {
@@ -42,17 +43,16 @@ const userSchema = new mongoose.Schema({
         type: String, // URL or base64 string for profile image
         default: null, // Optional field
     },
-    role: { type: String, default: 'free', enum: ['free', 'premium', 'VVIP'] }, // Add this line
+    role: { type: String, default: 'free', enum: ['free', 'premium', 'VVIP'] }, // Subscription tier
+    roles: [{ type: String, enum: ROLES }], // Staff roles (admin, mentor, analyst, support), see config/permissions.js
     provider: {
         type: String,
         enum: ['email', 'phone', 'google', 'apple'], // Track authentication provider
         default: 'email', // Default for email/password flow
     },
+    pushTokens: [{ type: String }], // FCM registration tokens of the user's devices
     resetPasswordToken: { type: String },
     resetPasswordExpires: { type: Date },
-    mt5Login: { type: String },
-    mt5Password: { type: String }, // Consider hashing this field
-    mt5Server: { type: String },
     createdAt: {
         type: Date,
         default: Date.now,
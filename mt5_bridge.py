@@ -138,9 +138,265 @@ def connect_mt5():
 
     return jsonify({
         'success': True,
-        'metrics': metrics
+        'metrics': metrics,
+        'account': {
+            'balance': account_info.balance,
+            'equity': account_info.equity,
+            'profit': account_info.profit,
+            'currency': account_info.currency,
+        }
+    }), 200
+
+DEAL_TYPES = {mt5.DEAL_TYPE_BUY: 'buy', mt5.DEAL_TYPE_SELL: 'sell'}
+DEAL_ENTRIES = {
+    mt5.DEAL_ENTRY_IN: 'in',
+    mt5.DEAL_ENTRY_OUT: 'out',
+    mt5.DEAL_ENTRY_INOUT: 'inout',
+    mt5.DEAL_ENTRY_OUT_BY: 'out_by',
+}
+
+def serialize_deals(deals, orders):
+    # SL/TP live on the order that opened or closed the deal, not on the deal itself
+    stops = {order.ticket: (order.sl, order.tp) for order in (orders or [])}
+    result = []
+    for deal in deals:
+        if deal.type not in DEAL_TYPES:
+            continue  # Balance, credit and other non-trading operations
+        sl, tp = stops.get(deal.order, (0, 0))
+        result.append({
+            'ticket': deal.ticket,
+            'order': deal.order,
+            'positionId': deal.position_id,
+            'time': deal.time_msc,
+            'type': DEAL_TYPES[deal.type],
+            'entry': DEAL_ENTRIES.get(deal.entry, 'out'),
+            'symbol': deal.symbol,
+            'volume': deal.volume,
+            'price': deal.price,
+            'sl': sl,
+            'tp': tp,
+            'commission': deal.commission,
+            'swap': deal.swap,
+            'fee': deal.fee,
+            'profit': deal.profit,
+            'magic': deal.magic,
+            'comment': deal.comment,
+        })
+    return sorted(result, key=lambda d: d['ticket'])
+
+@app.route('/deals', methods=['POST'])
+def get_deals():
+    data = request.json
+    login = int(data.get('login'))
+    password = data.get('password')
+    server = data.get('server')
+    path = data.get('path', r"C:\Users\Administrator\AppData\Roaming\MetaTrader 5\terminal64.exe")
+    # Only deals after this ticket are returned; `from` (epoch ms) narrows the terminal query
+    after_ticket = int(data.get('afterTicket') or 0)
+    from_ms = int(data.get('from') or 0)
+
+    if not all([login, password, server]):
+        return jsonify({'success': False, 'error': 'Missing required credentials'}), 400
+
+    mt5.shutdown()
+
+    if not mt5.initialize(path=path, login=login, password=password, server=server):
+        error = mt5.last_error()
+        print(f"MT5 init failed: {error}")
+        return jsonify({'success': False, 'error': str(error)}), 400
+
+    date_from = datetime.fromtimestamp(from_ms / 1000) if from_ms else datetime(2000, 1, 1)
+    date_to = datetime.now() + timedelta(days=1)
+    deals = mt5.history_deals_get(date_from, date_to) or []
+    orders = mt5.history_orders_get(date_from, date_to) or []
+
+    mt5.shutdown()
+
+    deals = [deal for deal in deals if deal.ticket > after_ticket]
+    return jsonify({
+        'success': True,
+        'deals': serialize_deals(deals, orders)
     }), 200
 
+@app.route('/positions', methods=['POST'])
+def get_positions():
+    data = request.json
+    login = int(data.get('login'))
+    password = data.get('password')
+    server = data.get('server')
+    path = data.get('path', r"C:\Users\Administrator\AppData\Roaming\MetaTrader 5\terminal64.exe")
+
+    if not all([login, password, server]):
+        return jsonify({'success': False, 'error': 'Missing required credentials'}), 400
+
+    mt5.shutdown()
+
+    if not mt5.initialize(path=path, login=login, password=password, server=server):
+        error = mt5.last_error()
+        print(f"MT5 init failed: {error}")
+        return jsonify({'success': False, 'error': str(error)}), 400
+
+    positions = mt5.positions_get() or []
+    mt5.shutdown()
+
+    return jsonify({
+        'success': True,
+        'positions': [{
+            'positionId': position.ticket,
+            'symbol': position.symbol,
+            'side': 'buy' if position.type == mt5.POSITION_TYPE_BUY else 'sell',
+            'volume': position.volume,
+            'openTime': position.time_msc,
+            'openPrice': position.price_open,
+            'currentPrice': position.price_current,
+            'sl': position.sl,
+            'tp': position.tp,
+            'swap': position.swap,
+            'profit': position.profit,
+        } for position in positions]
+    }), 200
+
+ORDER_TYPES = {
+    ('buy', 'market'): mt5.ORDER_TYPE_BUY,
+    ('sell', 'market'): mt5.ORDER_TYPE_SELL,
+    ('buy', 'limit'): mt5.ORDER_TYPE_BUY_LIMIT,
+    ('sell', 'limit'): mt5.ORDER_TYPE_SELL_LIMIT,
+}
+
+def resolve_symbol(symbol):
+    # Brokers add suffixes ("XAUUSDm", "EURUSD.pro"); fall back to the shortest name starting with the symbol
+    symbol = ''.join(ch for ch in str(symbol or '').upper() if ch.isalnum())
+    info = mt5.symbol_info(symbol)
+    if info is None:
+        names = sorted((s.name for s in (mt5.symbols_get() or [])
+                        if ''.join(ch for ch in s.name.upper() if ch.isalnum()).startswith(symbol)), key=len)
+        info = mt5.symbol_info(names[0]) if names else None
+    if info is not None and not info.visible:
+        mt5.symbol_select(info.name, True)
+    return info
+
+def filling_mode(info, market):
+    if not market:
+        return mt5.ORDER_FILLING_RETURN
+    if info.filling_mode & 1:  # SYMBOL_FILLING_FOK
+        return mt5.ORDER_FILLING_FOK
+    if info.filling_mode & 2:  # SYMBOL_FILLING_IOC
+        return mt5.ORDER_FILLING_IOC
+    return mt5.ORDER_FILLING_RETURN
+
+@app.route('/order', methods=['POST'])
+def place_order():
+    data = request.json
+    login = int(data.get('login'))
+    password = data.get('password')
+    server = data.get('server')
+    path = data.get('path', r"C:\Users\Administrator\AppData\Roaming\MetaTrader 5\terminal64.exe")
+    side = data.get('side')
+    order_type = data.get('type', 'market')
+    # Expiry of limit orders, epoch ms
+    expiration_ms = int(data.get('expiration') or 0)
+
+    if not all([login, password, server]):
+        return jsonify({'success': False, 'error': 'Missing required credentials'}), 400
+    if (side, order_type) not in ORDER_TYPES:
+        return jsonify({'success': False, 'error': 'Invalid side or order type'}), 400
+
+    mt5.shutdown()
+
+    if not mt5.initialize(path=path, login=login, password=password, server=server):
+        error = mt5.last_error()
+        print(f"MT5 init failed: {error}")
+        return jsonify({'success': False, 'error': str(error)}), 400
+
+    info = resolve_symbol(data.get('symbol'))
+    if info is None:
+        mt5.shutdown()
+        return jsonify({'success': False, 'error': f"Symbol {data.get('symbol')} not found"}), 400
+
+    # Round down to the broker's lot step; never size up to reach the minimum
+    volume = float(data.get('volume') or 0)
+    volume = min(round(int(volume / info.volume_step + 1e-9) * info.volume_step, 2), info.volume_max)
+    if volume < info.volume_min:
+        mt5.shutdown()
+        return jsonify({'success': False, 'error': f"Volume below the minimum of {info.volume_min} lots"}), 400
+
+    market = order_type == 'market'
+    if market:
+        tick = mt5.symbol_info_tick(info.name)
+        price = tick.ask if side == 'buy' else tick.bid
+    else:
+        price = float(data.get('price'))
+
+    order = {
+        'action': mt5.TRADE_ACTION_DEAL if market else mt5.TRADE_ACTION_PENDING,
+        'symbol': info.name,
+        'volume': volume,
+        'type': ORDER_TYPES[(side, order_type)],
+        'price': price,
+        'sl': float(data.get('sl') or 0),
+        'tp': float(data.get('tp') or 0),
+        'deviation': int(data.get('deviation') or 20),
+        'magic': int(data.get('magic') or 0),
+        'comment': str(data.get('comment') or '')[:31],
+        'type_time': mt5.ORDER_TIME_SPECIFIED if expiration_ms and not market else mt5.ORDER_TIME_GTC,
+        'type_filling': filling_mode(info, market),
+    }
+    if expiration_ms and not market:
+        order['expiration'] = int(expiration_ms / 1000)
+
+    result = mt5.order_send(order)
+    error = mt5.last_error()
+    mt5.shutdown()
+
+    if result is None or result.retcode not in (mt5.TRADE_RETCODE_DONE, mt5.TRADE_RETCODE_PLACED):
+        message = f"{result.retcode} {result.comment}" if result is not None else str(error)
+        print(f"Order failed: {message}")
+        return jsonify({'success': False, 'error': message}), 400
+
+    return jsonify({
+        'success': True,
+        'order': {
+            'ticket': result.order,
+            'deal': result.deal,
+            'price': result.price or price,
+            'volume': result.volume,
+            'symbol': info.name,
+        }
+    }), 200
+
+# Removes a pending (limit) order that has not been filled yet
+@app.route('/cancel', methods=['POST'])
+def cancel_order():
+    data = request.json
+    login = int(data.get('login'))
+    password = data.get('password')
+    server = data.get('server')
+    path = data.get('path', r"C:\Users\Administrator\AppData\Roaming\MetaTrader 5\terminal64.exe")
+    ticket = int(data.get('ticket') or 0)
+
+    if not all([login, password, server]):
+        return jsonify({'success': False, 'error': 'Missing required credentials'}), 400
+    if not ticket:
+        return jsonify({'success': False, 'error': 'Missing order ticket'}), 400
+
+    mt5.shutdown()
+
+    if not mt5.initialize(path=path, login=login, password=password, server=server):
+        error = mt5.last_error()
+        print(f"MT5 init failed: {error}")
+        return jsonify({'success': False, 'error': str(error)}), 400
+
+    result = mt5.order_send({'action': mt5.TRADE_ACTION_REMOVE, 'order': ticket})
+    error = mt5.last_error()
+    mt5.shutdown()
+
+    if result is None or result.retcode != mt5.TRADE_RETCODE_DONE:
+        message = f"{result.retcode} {result.comment}" if result is not None else str(error)
+        print(f"Cancel failed: {message}")
+        return jsonify({'success': False, 'error': message}), 400
+
+    return jsonify({'success': True, 'ticket': ticket}), 200
+
 @app.route('/shutdown', methods=['POST'])
 def shutdown_mt5():
     mt5.shutdown()
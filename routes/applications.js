@@ -4,6 +4,7 @@ const Application = require('../models/Application');
 const multer = require('multer');
 const fs = require('fs');
 const { authenticateToken } = require('../middleware/auth');
+const { nextApplicationId } = require('../services/idGenerator');
 
 const storage = multer.memoryStorage(); // Store in memory
 const upload = multer({ storage }).single('selfie'); // Single image upload for selfie
@@ -338,8 +339,7 @@ router.post('/', authenticateToken, upload, async (req, res) => {
       return res.status(400).json({ error: 'You have already submitted an application' });
     }
 
-    const lastApplication = await Application.findOne().sort({ id: -1 });
-    const newId = lastApplication ? lastApplication.id + 1 : 1;
+    const newId = await nextApplicationId();
     const mimeType = req.file.mimetype; // e.g., 'image/jpeg'
     const base64Data = req.file.buffer.toString('base64');
     const selfieBase64 = `data:${mimeType};base64,${base64Data}`;
@@ -371,6 +371,10 @@ router.post('/', authenticateToken, upload, async (req, res) => {
     await newApplication.save();
     res.status(201).json({ message: `Application added with ID ${newId}`, id: newId });
   } catch (error) {
+    // A second submission that raced past the check above
+    if (error.code === 11000 && error.keyPattern?.userId) {
+      return res.status(400).json({ error: 'You have already submitted an application' });
+    }
     console.error('Add Application Error:', error);
     res.status(500).json({ error: 'Failed to process upload' });
   }
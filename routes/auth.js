@@ -1,5 +1,5 @@
 const express = require('express');
-const { requestVerification, verifyEmail, setPassword, confirmPassword, appleAuth, googleAuth, verifyPhoneNumber, requestPhoneVerification, requestPasswordReset, verifyPasswordReset, resetPassword, login, logout, refresh, protected } = require('../controllers/authController');
+const { requestVerification, verifyEmail, setPassword, confirmPassword, appleAuth, googleAuth, verifyPhoneNumber, requestPhoneVerification, requestPasswordReset, verifyPasswordReset, resetPassword, login, logout, logoutAll, refresh, protectedRoute } = require('../controllers/authController');
 const { validateIdentifier, validateCode, validatePassword, validateConfirmPassword, validateNewPassword } = require('../middleware/validate');
 const { authenticateToken } = require('../middleware/auth');
 
@@ -174,6 +174,8 @@ router.post('/confirm-password', [validateIdentifier, validatePassword, validate
  *                       type: string
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       400:
  *         description: Invalid ID token or authentication error
  */
@@ -218,6 +220,8 @@ router.post('/apple', appleAuth);
  *                       type: string
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       400:
  *         description: Invalid ID token or authentication error
  */
@@ -374,7 +378,7 @@ router.post('/reset-password', [validateIdentifier, validateNewPassword], resetP
  * /api/auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticates a user and returns a JWT token.
+ *     description: Authenticates a user and returns a JWT access token and a refresh token for the device.
  *     tags: [Authentication API]
  *     requestBody:
  *       required: true
@@ -391,6 +395,10 @@ router.post('/reset-password', [validateIdentifier, validateNewPassword], resetP
  *                 type: string
  *                 description: User password
  *                 example: Password123
+ *               deviceId:
+ *                 type: string
+ *                 description: Identifies the device the session belongs to (can also be sent as the X-Device-Id header)
+ *                 example: "iphone-15-a1b2c3"
  *     responses:
  *       200:
  *         description: Login successful
@@ -412,55 +420,98 @@ router.post('/reset-password', [validateIdentifier, validateNewPassword], resetP
  *                       type: string
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       400:
  *         description: Invalid credentials
  */
 router.post('/login', login);
 
-// /**
-//  * @swagger
-//  * /api/auth/logout:
-//  *   post:
-//  *     summary: User logout
-//  *     description: Invalidates the user session (client-side).
-//  *     tags: [Authentication API]
-//  *     security:
-//  *       - bearerAuth: []
-//  *     responses:
-//  *       200:
-//  *         description: Logout successful
-//  *       500:
-//  *         description: Server error
-//  */
-// router.post('/logout', authenticateToken, logout);
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: User logout
+ *     description: Revokes the refresh token held by the calling device. The device is taken from `deviceId` in the body or the `X-Device-Id` header.
+ *     tags: [Authentication API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *                 example: "iphone-15-a1b2c3"
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: No token provided
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', authenticateToken, logout);
 
-// /**
-//  * @swagger
-//  * /api/auth/refresh:
-//  *   post:
-//  *     summary: Refresh JWT token
-//  *     description: Refreshes the access token.
-//  *     tags: [Authentication API]
-//  *     security:
-//  *       - bearerAuth: []
-//  *     responses:
-//  *       200:
-//  *         description: Token refreshed
-//  *         content:
-//  *           application/json:
-//  *             schema:
-//  *               type: object
-//  *               properties:
-//  *                 token:
-//  *                   type: string
-//  *       401:
-//  *         description: No token provided
-//  *       403:
-//  *         description: Invalid or expired token
-//  *       500:
-//  *         description: Server error
-//  */
-// router.post('/refresh', authenticateToken, refresh);
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revokes the refresh tokens of every device the user is signed in on.
+ *     tags: [Authentication API]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices
+ *       401:
+ *         description: No token provided
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout-all', authenticateToken, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh JWT token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. Each refresh token can be used once; presenting one that was already used revokes every token issued from the same login.
+ *     tags: [Authentication API]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "9f86d081884c7d659a2feaa0c55ad015..."
+ *     responses:
+ *       200:
+ *         description: Token refreshed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', refresh);
 
 // /**
 //  * @swagger
@@ -497,6 +548,6 @@ router.post('/login', login);
 //  *       500:
 //  *         description: Server error
 //  */
-// router.get('/protected', ...protected);
+// router.get('/protected', ...protectedRoute);
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,8 @@ const router = express.Router();
 const Badge = require('../models/Badge');
 const UserBadge = require('../models/UserBadge');
 const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * @swagger
@@ -156,6 +158,8 @@ router.get('/', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "All fields are required"
+ *       '403':
+ *         description: Insufficient permissions
  *       '500':
  *         description: Internal server error
  *         content:
@@ -167,7 +171,7 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   example: "Failed to create badge"
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.BADGES_MANAGE), async (req, res) => {
   const { title, description, criteria, category } = req.body;
 
   if (!title || !description || !category) {
@@ -252,6 +256,8 @@ router.post('/', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "All fields are required"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Badge not found
  *         content:
@@ -273,7 +279,7 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: "Failed to update badge"
  */
-router.put('/:badgeId', async (req, res) => {
+router.put('/:badgeId', authenticateToken, requirePermission(PERMISSIONS.BADGES_MANAGE), async (req, res) => {
   const { badgeId } = req.params;
   const { title, description, criteria, category } = req.body;
 
@@ -330,6 +336,8 @@ router.put('/:badgeId', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Badge deleted successfully"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Badge not found
  *         content:
@@ -351,7 +359,7 @@ router.put('/:badgeId', async (req, res) => {
  *                   type: string
  *                   example: "Failed to delete badge"
  */
-router.delete('/:badgeId', async (req, res) => {
+router.delete('/:badgeId', authenticateToken, requirePermission(PERMISSIONS.BADGES_MANAGE), async (req, res) => {
   const { badgeId } = req.params;
 
   try {
@@ -418,6 +426,8 @@ router.delete('/:badgeId', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "userEmail and badgeId are required, or user not found"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Badge not found
  *         content:
@@ -439,7 +449,7 @@ router.delete('/:badgeId', async (req, res) => {
  *                   type: string
  *                   example: "Failed to assign badge"
  */
-router.post('/assign', async (req, res) => {
+router.post('/assign', authenticateToken, requirePermission(PERMISSIONS.BADGES_ASSIGN), async (req, res) => {
   const { userEmail, badgeId } = req.body;
 
   if (!userEmail || !badgeId) {
@@ -512,6 +522,8 @@ router.post('/assign', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "userEmail and badgeId are required, or user not found"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Badge assignment not found
  *         content:
@@ -533,7 +545,7 @@ router.post('/assign', async (req, res) => {
  *                   type: string
  *                   example: "Failed to revoke badge"
  */
-router.post('/revoke', async (req, res) => {
+router.post('/revoke', authenticateToken, requirePermission(PERMISSIONS.BADGES_ASSIGN), async (req, res) => {
   const { userEmail, badgeId } = req.body;
 
   if (!userEmail || !badgeId) {
@@ -0,0 +1,468 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const TradingAccount = require('../models/TradingAccount');
+const { CopySettings, CopyExecution, CopyTradingControl } = require('../models/CopyTrading');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { canPlaceOrders } = require('../services/platforms');
+
+const MAX_LIST = 100;
+
+// Checks the numeric settings in the request; returns an error message or null
+const validateSettings = ({ riskPercent, maxLots, dailyLossLimitPercent }) => {
+  const inRange = (value, min, max) => value === undefined || (typeof value === 'number' && value >= min && value <= max);
+  if (!inRange(riskPercent, 0.01, 10)) return 'riskPercent must be between 0.01 and 10';
+  if (!inRange(maxLots, 0.01, 100)) return 'maxLots must be between 0.01 and 100';
+  if (!inRange(dailyLossLimitPercent, 0.1, 100)) return 'dailyLossLimitPercent must be between 0.1 and 100';
+  return null;
+};
+
+const settingsFor = async userId => (await CopySettings.findOne({ userId })) || new CopySettings({ userId });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CopySettings:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           example: true
+ *         accountId:
+ *           type: string
+ *           description: Linked trading account orders are placed on (MT5)
+ *           example: "6862e58aedfe6f3d3e707ee0"
+ *         riskPercent:
+ *           type: number
+ *           description: Share of the balance lost if a copied signal hits its stop loss
+ *           example: 1
+ *         maxLots:
+ *           type: number
+ *           description: Upper limit per signal, across its target orders
+ *           example: 1
+ *         dailyLossLimitPercent:
+ *           type: number
+ *           description: No new copies once the day's loss reaches this share of the day's starting balance
+ *           example: 3
+ *         paused:
+ *           type: boolean
+ *           description: Kill switch, see POST /api/copy-trading/kill-switch
+ *         pausedAt:
+ *           type: string
+ *           format: date-time
+ *         pauseReason:
+ *           type: string
+ *     CopyExecution:
+ *       type: object
+ *       properties:
+ *         signalId:
+ *           type: string
+ *           example: "S501"
+ *         accountId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, filled, placed, partial, failed, skipped, cancelled]
+ *           description: filled when the market orders executed, placed when limit orders wait on the account, partial when some of the target orders failed, cancelled when the placed limit orders were removed because the signal was cancelled or deleted
+ *         reason:
+ *           type: string
+ *           example: "Daily loss cap reached (3.2% of 3%)"
+ *         balance:
+ *           type: number
+ *           example: 10000
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         riskAmount:
+ *           type: number
+ *           example: 100
+ *         volume:
+ *           type: number
+ *           example: 0.1
+ *         orders:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               target:
+ *                 type: integer
+ *                 example: 1
+ *               symbol:
+ *                 type: string
+ *                 example: "XAUUSD"
+ *               side:
+ *                 type: string
+ *                 enum: [buy, sell]
+ *               type:
+ *                 type: string
+ *                 enum: [market, limit]
+ *               volume:
+ *                 type: number
+ *                 example: 0.05
+ *               price:
+ *                 type: number
+ *               sl:
+ *                 type: number
+ *               tp:
+ *                 type: number
+ *               status:
+ *                 type: string
+ *                 enum: [filled, placed, failed, cancelled]
+ *               ticket:
+ *                 type: integer
+ *               fillPrice:
+ *                 type: number
+ *               error:
+ *                 type: string
+ *                 description: Why placing, or later cancelling, the order failed
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the placed orders were cancelled along with the signal
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/copy-trading/settings:
+ *   get:
+ *     summary: Get the caller's copy-trading settings
+ *     description: Returns the stored settings, or the defaults (disabled) when the user never opted in.
+ *     tags: [Copy Trading API]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/CopySettings'
+ *       '500':
+ *         description: Server error
+ */
+router.get('/settings', authenticateToken, async (req, res) => {
+  try {
+    res.json({ settings: await settingsFor(req.user.id) });
+  } catch (error) {
+    console.error('Copy Trading Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve copy-trading settings' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/copy-trading/settings:
+ *   put:
+ *     summary: Opt in to copy trading or change its settings
+ *     description: |
+ *       With copy trading enabled, every signal published afterwards that the user's tier sees in full is placed on the chosen account: one order per take-profit target, sized so that the stop loss costs riskPercent of the balance (rounded down to 0.01 lots, capped at maxLots). Market entries are only copied within COPY_TRADING_MAX_DELAY_MINUTES (5) of publication. Later stop-loss and target adjustments are not mirrored.
+ *
+ *       Enabling requires an account on a platform that supports order placement (MT5).
+ *     tags: [Copy Trading API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               accountId:
+ *                 type: string
+ *               riskPercent:
+ *                 type: number
+ *                 example: 1
+ *               maxLots:
+ *                 type: number
+ *                 example: 1
+ *               dailyLossLimitPercent:
+ *                 type: number
+ *                 example: 3
+ *     responses:
+ *       '200':
+ *         description: Settings saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 settings:
+ *                   $ref: '#/components/schemas/CopySettings'
+ *       '400':
+ *         description: Invalid settings, or enabling without a suitable account
+ *       '404':
+ *         description: Trading account not found
+ *       '500':
+ *         description: Server error
+ */
+router.put('/settings', authenticateToken, async (req, res) => {
+  const { enabled, accountId, riskPercent, maxLots, dailyLossLimitPercent } = req.body;
+
+  const invalid = validateSettings({ riskPercent, maxLots, dailyLossLimitPercent });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+  if (accountId !== undefined && !mongoose.isValidObjectId(accountId)) {
+    return res.status(404).json({ error: 'Trading account not found' });
+  }
+
+  try {
+    const settings = await settingsFor(req.user.id);
+    if (accountId !== undefined) {
+      const account = await TradingAccount.findOne({ _id: accountId, userId: req.user.id });
+      if (!account) {
+        return res.status(404).json({ error: 'Trading account not found' });
+      }
+      if (!canPlaceOrders(account.platform)) {
+        return res.status(400).json({ error: `Order placement is not supported for ${account.platform} accounts` });
+      }
+      settings.accountId = account._id;
+    }
+    if (enabled === true && !settings.accountId) {
+      return res.status(400).json({ error: 'Choose a trading account before enabling copy trading' });
+    }
+
+    if (enabled !== undefined) settings.enabled = enabled;
+    if (riskPercent !== undefined) settings.riskPercent = riskPercent;
+    if (maxLots !== undefined) settings.maxLots = maxLots;
+    if (dailyLossLimitPercent !== undefined) settings.dailyLossLimitPercent = dailyLossLimitPercent;
+    await settings.save();
+
+    res.json({ message: 'Copy-trading settings saved', settings });
+  } catch (error) {
+    console.error('Copy Trading Error:', error);
+    res.status(500).json({ error: 'Failed to save copy-trading settings' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/copy-trading/kill-switch:
+ *   post:
+ *     summary: Pause or resume copy trading for the caller
+ *     description: Pausing stops new signals from being copied straight away, until the user resumes. Orders and positions already on the account are left as they are.
+ *     tags: [Copy Trading API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paused]
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *                 example: true
+ *               reason:
+ *                 type: string
+ *                 example: "Away this week"
+ *     responses:
+ *       '200':
+ *         description: Kill switch updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 settings:
+ *                   $ref: '#/components/schemas/CopySettings'
+ *       '400':
+ *         description: paused missing
+ *       '500':
+ *         description: Server error
+ */
+router.post('/kill-switch', authenticateToken, async (req, res) => {
+  const { paused, reason } = req.body;
+  if (typeof paused !== 'boolean') {
+    return res.status(400).json({ error: 'paused must be true or false' });
+  }
+
+  try {
+    const settings = await settingsFor(req.user.id);
+    settings.paused = paused;
+    settings.pausedAt = paused ? new Date() : undefined;
+    settings.pauseReason = paused ? reason : undefined;
+    await settings.save();
+    res.json({ message: paused ? 'Copy trading paused' : 'Copy trading resumed', settings });
+  } catch (error) {
+    console.error('Copy Trading Error:', error);
+    res.status(500).json({ error: 'Failed to update the kill switch' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/copy-trading/executions:
+ *   get:
+ *     summary: List the caller's copied signals
+ *     description: What happened each time a signal was copied for the user, newest first, including skipped copies and their reason.
+ *     tags: [Copy Trading API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: signalId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       '200':
+ *         description: Executions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 executions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CopyExecution'
+ *       '500':
+ *         description: Server error
+ */
+router.get('/executions', authenticateToken, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_LIST);
+
+  try {
+    const query = { userId: req.user.id };
+    if (req.query.signalId) query.signalId = req.query.signalId;
+    const executions = await CopyExecution.find(query).sort({ createdAt: -1 }).limit(limit);
+    res.json({ executions });
+  } catch (error) {
+    console.error('Copy Trading Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve copy-trading executions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/copy-trading/admin/kill-switch:
+ *   post:
+ *     summary: Halt or resume copy trading for everyone
+ *     description: While halted, published signals are not copied for anyone; each opted-in user gets a skipped execution saying so. Requires the copytrading:manage permission.
+ *     tags: [Copy Trading API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [halted]
+ *             properties:
+ *               halted:
+ *                 type: boolean
+ *                 example: true
+ *               reason:
+ *                 type: string
+ *                 example: "Bridge maintenance"
+ *     responses:
+ *       '200':
+ *         description: Kill switch updated
+ *       '400':
+ *         description: halted missing
+ *       '403':
+ *         description: Insufficient permissions
+ *       '500':
+ *         description: Server error
+ */
+router.post('/admin/kill-switch', authenticateToken, requirePermission(PERMISSIONS.COPY_TRADING_MANAGE), async (req, res) => {
+  const { halted, reason } = req.body;
+  if (typeof halted !== 'boolean') {
+    return res.status(400).json({ error: 'halted must be true or false' });
+  }
+
+  try {
+    const control = await CopyTradingControl.findOneAndUpdate(
+      {},
+      { halted, reason: halted ? reason : undefined, updatedBy: req.user.id, updatedAt: new Date() },
+      { upsert: true, new: true }
+    );
+    res.json({ message: halted ? 'Copy trading halted' : 'Copy trading resumed', control });
+  } catch (error) {
+    console.error('Copy Trading Error:', error);
+    res.status(500).json({ error: 'Failed to update the kill switch' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/copy-trading/admin/executions:
+ *   get:
+ *     summary: List copy executions across users
+ *     description: Newest first, optionally for one signal or status. Requires the copytrading:manage permission.
+ *     tags: [Copy Trading API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: signalId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, filled, placed, partial, failed, skipped, cancelled]
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       '200':
+ *         description: Executions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 executions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CopyExecution'
+ *       '403':
+ *         description: Insufficient permissions
+ *       '500':
+ *         description: Server error
+ */
+router.get('/admin/executions', authenticateToken, requirePermission(PERMISSIONS.COPY_TRADING_MANAGE), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_LIST);
+
+  try {
+    const query = {};
+    if (req.query.signalId) query.signalId = req.query.signalId;
+    if (req.query.status) query.status = req.query.status;
+    const executions = await CopyExecution.find(query).sort({ createdAt: -1 }).limit(limit);
+    res.json({ executions });
+  } catch (error) {
+    console.error('Copy Trading Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve copy-trading executions' });
+  }
+});
+
+module.exports = router;
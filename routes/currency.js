@@ -1,7 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-require('dotenv').config();
+const { getRates } = require('../services/marketData');
 
 // Currency Conversion API
 /**
@@ -9,7 +8,7 @@ require('dotenv').config();
  * /api/convert:
  *   get:
  *     summary: Convert between currencies
- *     description: Converts a given amount between USD and MYR using the latest or historical exchange rate.
+ *     description: Converts a given amount between USD and MYR using the latest exchange rate from the market data service (cached for MARKET_DATA_RATES_TTL_SECONDS, 600). When no rate provider answers, a fixed rate of 4.7 is used and a warning is returned.
  *     tags: [Currency API]
  *     parameters:
  *       - name: amount
@@ -101,11 +100,9 @@ router.get('/', async (req, res) => {
   }
 
   try {
-    const apiKey = process.env.EXCHANGE_RATE_API_KEY || 'demo'; // Add to .env
-    const url = `https://v6.exchangerate-api.com/v6/${apiKey}/latest/USD`;
-    const response = await axios.get(url);
-    const rates = response.data.conversion_rates || { MYR: 4.7 }; // Fallback to static rate 4.7 if API fails
+    const { rates } = await getRates('USD');
     const rate = rates.MYR; // USD to MYR rate
+    if (!rate) throw new Error('No USD/MYR rate');
 
     let amountFrom = parseFloat(amount);
     let amountTo;
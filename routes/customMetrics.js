@@ -0,0 +1,304 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const CustomMetric = require('../models/CustomMetric');
+const { resolveAccounts } = require('../services/mt5Service');
+const { MAX_METRICS_PER_USER, previewCustomMetric } = require('../services/customMetricService');
+const { compile } = require('../utils/metricExpression');
+
+// Checks the editable fields; returns an error message or null
+const validateDefinition = ({ name, expression, lookbackDays }, partial = false) => {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+  }
+  if (!partial || expression !== undefined) {
+    try {
+      compile(expression);
+    } catch (error) {
+      return `Invalid expression: ${error.message}`;
+    }
+  }
+  if (lookbackDays !== undefined && (!Number.isInteger(lookbackDays) || lookbackDays < 0)) {
+    return 'lookbackDays must be a whole number of days (0 for all trades)';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomMetric:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707f10"
+ *         name:
+ *           type: string
+ *           example: "Gold profit per trade"
+ *         expression:
+ *           type: string
+ *           example: 'sum(profit where symbol=="XAUUSD") / count()'
+ *         description:
+ *           type: string
+ *           example: "Average profit of my gold trades over all trades"
+ *         lookbackDays:
+ *           type: integer
+ *           example: 30
+ *
+ * /api/stats/custom-metrics:
+ *   get:
+ *     summary: List custom metric definitions
+ *     description: |
+ *       Returns the metrics the authenticated user has defined. Their values are returned by GET /api/stats/custom next to the built-in custom metrics.
+ *
+ *       Expressions support numbers, strings, + - * / %, comparisons, and/or/not, the scalar functions abs, round(x, digits), floor, ceil and sqrt, and the aggregates count, sum, avg, min, max, median and stddev. Aggregates take an optional value and an optional `where` filter over trade fields: symbol, side, volume, profit, commission, swap, fee, netProfit, openPrice, closePrice, sl, tp, openTime, closeTime, duration (seconds), hour and weekday (UTC, 0 = Sunday). Outside aggregates the account variables balance and equity can be used. Dividing by zero gives 0.
+ *     tags: [Stats API]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: List of custom metric definitions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CustomMetric'
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const metrics = await CustomMetric.find({ userId: req.user.id }).sort({ createdAt: 1 });
+    res.json(metrics);
+  } catch (error) {
+    console.error('Custom Metric Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve custom metrics' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/custom-metrics:
+ *   post:
+ *     summary: Define a custom metric
+ *     tags: [Stats API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomMetric'
+ *     responses:
+ *       '201':
+ *         description: Custom metric created
+ *       '400':
+ *         description: Invalid name or expression, or too many metrics
+ *       '409':
+ *         description: A metric with this name already exists
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  const { name, expression, description, lookbackDays } = req.body;
+
+  const invalid = validateDefinition({ name, expression, lookbackDays });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    if (await CustomMetric.countDocuments({ userId: req.user.id }) >= MAX_METRICS_PER_USER) {
+      return res.status(400).json({ error: `You can define at most ${MAX_METRICS_PER_USER} custom metrics` });
+    }
+    const metric = await CustomMetric.create({ userId: req.user.id, name, expression, description, lookbackDays });
+    res.status(201).json({ message: 'Custom metric created', metric });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A custom metric with this name already exists' });
+    }
+    console.error('Custom Metric Error:', error);
+    res.status(500).json({ error: 'Failed to create custom metric' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/custom-metrics/preview:
+ *   post:
+ *     summary: Try out a custom metric expression
+ *     description: Evaluates an expression against the user's trades without saving it.
+ *     tags: [Stats API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expression:
+ *                 type: string
+ *                 example: 'count(where profit > 0) / count() * 100'
+ *               lookbackDays:
+ *                 type: integer
+ *                 example: 30
+ *               accountId:
+ *                 type: string
+ *                 description: A trading account id, or "all". Defaults to the user's default account.
+ *     responses:
+ *       '200':
+ *         description: Evaluated value and the number of trades it was computed from
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 value:
+ *                   type: number
+ *                   example: 62.5
+ *                 trades:
+ *                   type: integer
+ *                   example: 16
+ *       '400':
+ *         description: Invalid expression
+ *       '404':
+ *         description: No trading account linked
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/preview', authenticateToken, async (req, res) => {
+  const { expression, lookbackDays = 30, accountId } = req.body;
+
+  const invalid = validateDefinition({ name: 'preview', expression, lookbackDays });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const accounts = await resolveAccounts(req.user.id, accountId);
+    if (accounts.length === 0) {
+      return res.status(404).json({ error: 'No trading account linked' });
+    }
+    const result = await previewCustomMetric(accounts.map(account => account._id), expression, lookbackDays);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Custom Metric Error:', error);
+    res.status(500).json({ error: 'Failed to evaluate custom metric' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/custom-metrics/{id}:
+ *   put:
+ *     summary: Update a custom metric
+ *     tags: [Stats API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomMetric'
+ *     responses:
+ *       '200':
+ *         description: Custom metric updated
+ *       '400':
+ *         description: Invalid name or expression
+ *       '404':
+ *         description: Custom metric not found
+ *       '409':
+ *         description: A metric with this name already exists
+ *       '500':
+ *         description: Internal server error
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  const { name, expression, description, lookbackDays } = req.body;
+
+  const invalid = validateDefinition({ name, expression, lookbackDays }, true);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Custom metric not found' });
+  }
+
+  try {
+    const metric = await CustomMetric.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!metric) {
+      return res.status(404).json({ error: 'Custom metric not found' });
+    }
+
+    if (name !== undefined) metric.name = name;
+    if (expression !== undefined) metric.expression = expression;
+    if (description !== undefined) metric.description = description;
+    if (lookbackDays !== undefined) metric.lookbackDays = lookbackDays;
+    await metric.save();
+
+    res.json({ message: 'Custom metric updated', metric });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A custom metric with this name already exists' });
+    }
+    console.error('Custom Metric Error:', error);
+    res.status(500).json({ error: 'Failed to update custom metric' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/custom-metrics/{id}:
+ *   delete:
+ *     summary: Delete a custom metric
+ *     tags: [Stats API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Custom metric deleted
+ *       '404':
+ *         description: Custom metric not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Custom metric not found' });
+  }
+
+  try {
+    const metric = await CustomMetric.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!metric) {
+      return res.status(404).json({ error: 'Custom metric not found' });
+    }
+    res.json({ message: 'Custom metric deleted' });
+  } catch (error) {
+    console.error('Custom Metric Error:', error);
+    res.status(500).json({ error: 'Failed to delete custom metric' });
+  }
+});
+
+module.exports = router;
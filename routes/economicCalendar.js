@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const { getCalendar, MarketDataError } = require('../services/marketData');
 
 /**
  * @swagger
  * /api/economic-calendar:
  *   get:
  *     summary: Retrieve economic calendar events for US
- *     description: Fetches US economic calendar events using Trading Economics API, including importance, actual, forecast, previous, and date, with week range support.
+ *     description: Fetches US economic calendar events using Trading Economics API, including importance, actual, forecast, previous, and date, with week range support. Responses are cached for MARKET_DATA_CALENDAR_TTL_SECONDS (900).
  *     tags: [Economic Calendar API]
  *     parameters:
  *       - name: date
@@ -46,6 +46,16 @@ const axios = require('axios');
  *                 error:
  *                   type: string
  *                   example: "Invalid date or period"
+ *       '503':
+ *         description: The calendar provider is unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Economic calendar is temporarily unavailable"
  *       '500':
  *         description: Server error
  *         content:
@@ -100,30 +110,15 @@ router.get('/', async (req, res) => {
       endDate.setDate(endDate.getDate() + 1);
     }
 
-    // Trading Economics API call for US events with date range
-    const apiKey = 'be654023d5b84e5:njoqgnliqats4od'; // Replace with your actual API key
-    const response = await axios.get(`https://api.tradingeconomics.com/calendar/country/All/${startDate.toISOString().split('T')[0]}/${endDate.toISOString().split('T')[0]}`, {
-      params: {
-        c: apiKey,
-        f: 'json'
-      }
-    });
-
-    const events = response.data
-      .map(event => ({
-        event: event.Event,
-        importance: event.Importance,
-        actual: event.Actual || 'N/A',
-        forecast: event.Forecast || 'N/A',
-        previous: event.Previous || 'N/A',
-        country: event.Country,
-        currency: event.Currency,
-        date: event.Date
-      }));
+    // Trading Economics events in the date range, through the market data service
+    const events = await getCalendar(startDate, endDate);
 
     res.json({ events });
   } catch (error) {
     console.error('Economic Calendar Error:', error);
+    if (error instanceof MarketDataError) {
+      return res.status(503).json({ error: 'Economic calendar is temporarily unavailable' });
+    }
     res.status(500).json({ error: 'Error fetching economic calendar' });
   }
 });
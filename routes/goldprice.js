@@ -1,22 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const GoldPriceAlert = require('../models/GoldPriceAlert');
-const axios = require('axios');
-require('dotenv').config();
+const mongoose = require('mongoose');
+const PriceAlert = require('../models/PriceAlert');
 const { authenticateToken } = require('../middleware/auth');
+const { initialState } = require('../services/priceAlertService');
 
-// Function to fetch live XAU/USD price using goldapi.com
-async function getLiveGoldPrice() {
-  try {
-    const response = await axios.get('https://www.goldapi.io/api/XAU/USD', {
-      headers: { 'x-access-token': process.env.GOLD_API_KEY }
-    });
-    return response.data.price;
-  } catch (error) {
-    console.error('Error fetching live gold price from goldapi.com:', error);
-    return null;
+// These endpoints are kept for existing clients: their alerts are XAU/USD cross alerts of
+// /api/price-alerts, which also lists them
+const GOLD_ALERT = { asset: 'XAUUSD', type: 'cross' };
+
+// Checks target, direction, cooldownMinutes and repeat in the request; returns an error message or null
+const validateAlert = ({ target, direction, cooldownMinutes, repeat }) => {
+  if (!target || isNaN(target)) return 'Target is required';
+  if (direction !== undefined && !['above', 'below'].includes(direction)) return 'direction must be above or below';
+  if (cooldownMinutes !== undefined && !(Number.isInteger(cooldownMinutes) && cooldownMinutes >= 1)) {
+    return 'cooldownMinutes must be a whole number of minutes';
   }
-}
+  if (repeat !== undefined && typeof repeat !== 'boolean') return 'repeat must be true or false';
+  return null;
+};
+
+// Target, direction and armed state of an alert from the request and the current price
+const goldAlertFields = async ({ target, direction }) => {
+  const fields = { ...GOLD_ALERT, target: Number(target), direction };
+  return { ...fields, ...await initialState(fields) };
+};
 
 // Get all alerts
 /**
@@ -24,7 +32,7 @@ async function getLiveGoldPrice() {
  * /api/goldprice/alerts:
  *   get:
  *     summary: Fetch all gold price alerts for the authenticated user
- *     description: Retrieves all currently active price alerts for the authenticated user from MongoDB. Notifications are triggered when alerts are added or updated if the price approaches the target.
+ *     description: Retrieves the XAU/USD cross alerts of the authenticated user; /api/price-alerts has alerts on other instruments and conditions. A background worker checks XAU/USD every PRICE_ALERT_INTERVAL_MINUTES (1) and fires an alert once the price reaches its target, as a personal notification (socket event and email) plus a `priceAlertTriggered` event. The alert is then `triggered`; after its cooldown it is re-armed once the price is back on the other side of the target, unless repeat is off.
  *     tags: [Gold Price API]
  *     security:
  *       - bearerAuth: []
@@ -50,6 +58,26 @@ async function getLiveGoldPrice() {
  *                       userId:
  *                         type: string
  *                         example: "user123"
+ *                       direction:
+ *                         type: string
+ *                         enum: [above, below]
+ *                         description: Fires when the price rises to (above) or falls to (below) the target
+ *                       status:
+ *                         type: string
+ *                         enum: [active, triggered]
+ *                       repeat:
+ *                         type: boolean
+ *                       cooldownMinutes:
+ *                         type: integer
+ *                       triggeredAt:
+ *                         type: string
+ *                         format: date-time
+ *                       triggerPrice:
+ *                         type: number
+ *                       rearmAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: End of the cooldown after the alert fired
  *                       createdAt:
  *                         type: string
  *                         format: date-time
@@ -77,7 +105,7 @@ async function getLiveGoldPrice() {
  */
 router.get('/alerts', authenticateToken, async (req, res) => {
   try {
-    const alerts = await GoldPriceAlert.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    const alerts = await PriceAlert.find({ ...GOLD_ALERT, userId: req.user.id }).sort({ createdAt: -1 });
     res.json({ alerts });
   } catch (error) {
     console.error('Alerts Error:', error);
@@ -91,7 +119,7 @@ router.get('/alerts', authenticateToken, async (req, res) => {
  * /api/goldprice/alert:
  *   post:
  *     summary: Add a gold price alert for the authenticated user
- *     description: Adds a new alert to MongoDB for the authenticated user. Checks live XAU/USD price from goldapi.com and triggers a notification if the price is approaching the target. User ID is derived from the authentication token.
+ *     description: Adds a new alert for the authenticated user. Without a direction the alert fires when the price reaches the target from where it is now (live XAU/USD from goldapi.io); when no price is available the worker arms it with the first price it sees. User ID is derived from the authentication token.
  *     tags: [Gold Price API]
  *     security:
  *       - bearerAuth: []
@@ -105,6 +133,18 @@ router.get('/alerts', authenticateToken, async (req, res) => {
  *               target:
  *                 type: number
  *                 example: 3300.00
+ *               direction:
+ *                 type: string
+ *                 enum: [above, below]
+ *                 description: Defaults to the side of the target the current price is on
+ *               cooldownMinutes:
+ *                 type: integer
+ *                 description: Minimum time before a triggered alert is re-armed; defaults to PRICE_ALERT_COOLDOWN_MINUTES (60)
+ *                 example: 60
+ *               repeat:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Re-arm the alert after it fired
  *     responses:
  *       '200':
  *         description: Alert added successfully
@@ -141,33 +181,23 @@ router.get('/alerts', authenticateToken, async (req, res) => {
  *                   example: "Access denied, no token provided"
  */
 router.post('/alert', authenticateToken, async (req, res) => {
-  const { target } = req.body;
+  const { cooldownMinutes, repeat } = req.body;
   const userId = req.user.id;
-  console.log(userId);
-  if (!target || isNaN(target)) {
-    return res.status(401).json({ error: 'Target is required' });
+  const invalid = validateAlert(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
   }
-  
+
   try {
-    const newAlert = new GoldPriceAlert({ target, userId });
+    const newAlert = new PriceAlert({
+      ...await goldAlertFields(req.body),
+      userId,
+      cooldownMinutes,
+      repeat
+    });
     await newAlert.save();
 
-    const livePrice = await getLiveGoldPrice();
-    if (livePrice) {
-      const threshold = target * 0.01; // 1% threshold for "approaching"
-      if (Math.abs(livePrice - target) <= threshold) {
-        const notificationUrl = `${req.protocol}://${req.get('host')}/api/notifications/email`;
-        await axios.post(notificationUrl, {
-          title: 'Gold Price Alert',
-          message: `Gold is approaching ${target} (Live price: ${livePrice})`,
-          userId,
-          type: 'Alert'
-        });
-        console.log(`Notification sent for approaching price: ${target} for user ${userId}`);
-      }
-    }
-
-    res.json({ message: 'Alert added successfully', _id: newAlert._id });
+    res.json({ message: 'Alert added successfully', _id: newAlert._id, alert: newAlert });
   } catch (error) {
     console.error('Add Alert Error:', error);
     res.status(500).json({ error: 'Failed to add alert' });
@@ -180,7 +210,7 @@ router.post('/alert', authenticateToken, async (req, res) => {
  * /api/goldprice/alert/{id}:
  *   put:
  *     summary: Edit a gold price alert for the authenticated user
- *     description: Updates an existing alert in MongoDB with a new target for the authenticated user. Checks live XAU/USD price from goldapi.com and triggers a notification if the price is approaching the new target.
+ *     description: Updates an alert of the authenticated user. The alert becomes active again and is armed with the current price unless a direction is given.
  *     tags: [Gold Price API]
  *     security:
  *       - bearerAuth: []
@@ -201,6 +231,18 @@ router.post('/alert', authenticateToken, async (req, res) => {
  *               target:
  *                 type: number
  *                 example: 3350.00
+ *               direction:
+ *                 type: string
+ *                 enum: [above, below]
+ *                 description: Defaults to the side of the target the current price is on
+ *               cooldownMinutes:
+ *                 type: integer
+ *                 description: Minimum time before a triggered alert is re-armed; defaults to PRICE_ALERT_COOLDOWN_MINUTES (60)
+ *                 example: 60
+ *               repeat:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Re-arm the alert after it fired
  *     responses:
  *       '200':
  *         description: Alert updated successfully
@@ -212,6 +254,16 @@ router.post('/alert', authenticateToken, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Alert with ID 6862e58aedfe6f3d3e707ee0 updated"
+ *       '400':
+ *         description: Bad request due to invalid data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Target is required"
  *       '401':
  *         description: Unauthorized - No token or invalid token
  *         content:
@@ -235,37 +287,39 @@ router.post('/alert', authenticateToken, async (req, res) => {
  */
 router.put('/alert/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
-  const { target } = req.body;
+  const { cooldownMinutes, repeat } = req.body;
   const userId = req.user.id;
-  if (!target || isNaN(target)) {
-    return res.status(401).json({ error: 'Target is required' });
+  const invalid = validateAlert(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ error: 'Alert not found' });
   }
   try {
-    const alert = await GoldPriceAlert.findOneAndUpdate(
-      { _id: id, userId },
-      { target },
+    // A changed alert starts over as active, armed with the current price
+    const { direction, armed, ...fields } = await goldAlertFields(req.body);
+    const alert = await PriceAlert.findOneAndUpdate(
+      { _id: id, userId, ...GOLD_ALERT },
+      {
+        $set: {
+          ...fields,
+          status: 'active',
+          armed: Boolean(armed),
+          updatedAt: new Date(),
+          ...(direction && { direction }),
+          ...(cooldownMinutes !== undefined && { cooldownMinutes }),
+          ...(repeat !== undefined && { repeat })
+        },
+        $unset: { triggeredAt: '', triggerPrice: '', rearmAt: '', ...(!direction && { direction: '' }) }
+      },
       { new: true, runValidators: true }
     );
     if (!alert) {
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    const livePrice = await getLiveGoldPrice();
-    if (livePrice) {
-      const threshold = target * 0.01;
-      if (Math.abs(livePrice - target) <= threshold) {
-        const notificationUrl = `${req.protocol}://${req.get('host')}/api/notifications/email`;
-        await axios.post(notificationUrl, {
-          title: 'Gold Price Alert',
-          message: `Gold is approaching ${target} (Live price: ${livePrice})`,
-          userId,
-          type: 'Alert'
-        });
-        console.log(`Notification sent for approaching price: ${target} for user ${userId}`);
-      }
-    }
-
-    res.json({ message: `Alert with ID ${id} updated` });
+    res.json({ message: `Alert with ID ${id} updated`, alert });
   } catch (error) {
     console.error('Edit Alert Error:', error);
     res.status(500).json({ error: 'Failed to update alert' });
@@ -324,8 +378,11 @@ router.put('/alert/:id', authenticateToken, async (req, res) => {
 router.delete('/alert/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
   try {
-    const alert = await GoldPriceAlert.findOneAndDelete({ _id: id, userId });
+    const alert = await PriceAlert.findOneAndDelete({ _id: id, userId, ...GOLD_ALERT });
     if (!alert) {
       return res.status(404).json({ error: 'Alert not found' });
     }
@@ -0,0 +1,249 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Job = require('../models/Job');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { cancelJob, rescheduleJob } = require('../services/jobQueue');
+
+const { JOB_STATUSES } = Job;
+const MAX_LIST = 200;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707f10"
+ *         name:
+ *           type: string
+ *           enum: [signal.publish, notification.broadcast, notification.personal]
+ *         key:
+ *           type: string
+ *           example: "signal:S123"
+ *         payload:
+ *           type: object
+ *           example: { signalId: "S123" }
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *         attempts:
+ *           type: integer
+ *           example: 0
+ *         maxAttempts:
+ *           type: integer
+ *           example: 5
+ *         lastError:
+ *           type: string
+ *         lockedBy:
+ *           type: string
+ *           description: Worker (host:pid) holding the lease while the job runs
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/jobs:
+ *   get:
+ *     summary: List scheduled jobs
+ *     description: |
+ *       Lists the stored one-off jobs (scheduled signal publication and notifications), next due first. Every app instance polls for due jobs every JOB_POLL_INTERVAL_SECONDS (5) and claims each with a lease of JOB_LEASE_SECONDS (120), so a job runs on one instance only and is picked up again if that instance stops while running it. Failed attempts are retried after 30s, 1m, 2m... up to maxAttempts.
+ *
+ *       Requires the jobs:manage permission.
+ *     tags: [Jobs API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *           default: pending
+ *       - name: name
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: key
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: "signal:S123"
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       '200':
+ *         description: Jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       '400':
+ *         description: Invalid status
+ *       '403':
+ *         description: Insufficient permissions
+ *       '500':
+ *         description: Server error
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+  const { status = 'pending', name, key } = req.query;
+  if (!JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIST);
+
+  try {
+    const query = { status };
+    if (name) query.name = name;
+    if (key) query.key = key;
+    const jobs = await Job.find(query).sort({ runAt: 1 }).limit(limit);
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Job Error:', error);
+    res.status(500).json({ error: 'Error fetching jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/cancel/{id}:
+ *   post:
+ *     summary: Cancel a pending job
+ *     description: Cancels a job that has not run yet. Cancelling a signal's publication job leaves the signal scheduled but unpublished. Requires the jobs:manage permission.
+ *     tags: [Jobs API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       '404':
+ *         description: Job not found
+ *       '409':
+ *         description: The job is not pending
+ *       '500':
+ *         description: Server error
+ */
+router.post('/cancel/:id', authenticateToken, requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    const job = await cancelJob(req.params.id);
+    if (!job) {
+      const existing = await Job.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Job not found' });
+      return res.status(409).json({ error: `Only pending jobs can be cancelled; this one is ${existing.status}` });
+    }
+    res.json({ message: 'Job cancelled', job });
+  } catch (error) {
+    console.error('Job Error:', error);
+    res.status(500).json({ error: 'Error cancelling job' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/reschedule/{id}:
+ *   put:
+ *     summary: Reschedule a pending or failed job
+ *     description: Moves the job to a new run time. A failed job becomes pending again with its attempts reset. Requires the jobs:manage permission.
+ *     tags: [Jobs API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [runAt]
+ *             properties:
+ *               runAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-06-28T14:00:00Z"
+ *     responses:
+ *       '200':
+ *         description: Job rescheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       '400':
+ *         description: Missing or invalid runAt
+ *       '404':
+ *         description: Job not found
+ *       '409':
+ *         description: The job is running, completed or cancelled
+ *       '500':
+ *         description: Server error
+ */
+router.put('/reschedule/:id', authenticateToken, requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+  const runAt = new Date(req.body.runAt);
+  if (!req.body.runAt || isNaN(runAt)) {
+    return res.status(400).json({ error: 'A valid runAt is required' });
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    const job = await rescheduleJob(req.params.id, runAt);
+    if (!job) {
+      const existing = await Job.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Job not found' });
+      return res.status(409).json({ error: `Only pending or failed jobs can be rescheduled; this one is ${existing.status}` });
+    }
+    res.json({ message: 'Job rescheduled', job });
+  } catch (error) {
+    console.error('Job Error:', error);
+    res.status(500).json({ error: 'Error rescheduling job' });
+  }
+});
+
+module.exports = router;
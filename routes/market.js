@@ -0,0 +1,231 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { getCandles, importCandles } = require('../services/candleService');
+const { TIMEFRAMES, timeframeMs, parseCandleCsv } = require('../utils/candles');
+const { getInstrument } = require('../utils/instruments');
+const { decodeFile } = require('../utils/statementParser');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+const DEFAULT_CANDLES = 300;
+const MAX_CANDLES = 5000;
+const MAX_IMPORT_ERRORS = 20; // Row errors returned for a rejected file
+
+// The registry symbol of a known instrument, or null
+const resolveSymbol = (symbol) => {
+  const instrument = getInstrument(symbol);
+  return symbol && instrument.known ? instrument.symbol : null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Candle:
+ *       type: object
+ *       properties:
+ *         time:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the candle (UTC)
+ *           example: "2025-06-27T14:00:00.000Z"
+ *         open:
+ *           type: number
+ *           example: 3328.4
+ *         high:
+ *           type: number
+ *           example: 3331.2
+ *         low:
+ *           type: number
+ *           example: 3325.9
+ *         close:
+ *           type: number
+ *           example: 3329.5
+ *         volume:
+ *           type: number
+ *           description: Ticks recorded, or the imported volume
+ *           example: 240
+ */
+
+/**
+ * @swagger
+ * /api/market/candles:
+ *   get:
+ *     summary: Get OHLC candles of an instrument
+ *     description: Candles for charts, resampled on the server from the stored candles. When CANDLE_SYMBOLS lists instruments (e.g. XAUUSD,EURUSD), a background recorder builds M1 candles from their live quotes; it is off by default as every poll is a live quote request. Staff can import history from CSV; each candle is built from the coarsest stored timeframe that covers it. Candles without any stored data are left out rather than filled. Signal screens can overlay entry, SL and TP levels on them.
+ *     tags: [Market Data API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "XAUUSD"
+ *         description: Any spelling the instrument registry knows (XAU/USD, GOLD, XAUUSD)
+ *       - in: query
+ *         name: timeframe
+ *         schema:
+ *           type: string
+ *           enum: [M1, M5, M15, M30, H1, H4, D1]
+ *           default: H1
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 300 candles before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (exclusive), defaults to now
+ *     responses:
+ *       200:
+ *         description: The candles, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                   example: "XAUUSD"
+ *                 timeframe:
+ *                   type: string
+ *                   example: "H1"
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 candles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Candle'
+ *       400:
+ *         description: Unknown symbol or timeframe, invalid dates, or a range of more than 5000 candles
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/candles', authenticateToken, async (req, res) => {
+  const { timeframe = 'H1' } = req.query;
+  const symbol = resolveSymbol(req.query.symbol);
+  if (!symbol) {
+    return res.status(400).json({ error: 'symbol must be a known instrument' });
+  }
+  if (!Object.hasOwn(TIMEFRAMES, timeframe)) {
+    return res.status(400).json({ error: `timeframe must be one of ${Object.keys(TIMEFRAMES).join(', ')}` });
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_CANDLES * timeframeMs(timeframe));
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ error: 'from and to must be dates with from before to' });
+  }
+  if ((to - from) / timeframeMs(timeframe) > MAX_CANDLES) {
+    return res.status(400).json({ error: `The range covers more than ${MAX_CANDLES} ${timeframe} candles; use a larger timeframe or a shorter range` });
+  }
+
+  try {
+    const candles = await getCandles(symbol, timeframe, from, to);
+    res.json({ symbol, timeframe, from, to, candles });
+  } catch (error) {
+    console.error('Candles Error:', error);
+    res.status(500).json({ error: 'Failed to fetch candles' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/market/candles/import:
+ *   post:
+ *     summary: Import candles from CSV
+ *     description: Stores the candles of a CSV file with time (or date and time), open, high, low, close and optional volume columns; MetaTrader history exports (<DATE> <TIME> <OPEN> ... <TICKVOL>) work as they are. Times are read as UTC and must start a candle of the timeframe. Candles already stored for the same times are replaced. A file with invalid rows is rejected as a whole.
+ *     tags: [Market Data API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, symbol, timeframe]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               symbol:
+ *                 type: string
+ *                 example: "XAUUSD"
+ *               timeframe:
+ *                 type: string
+ *                 enum: [M1, M5, M15, M30, H1, H4, D1]
+ *     responses:
+ *       201:
+ *         description: Candles imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Candles imported successfully"
+ *                 imported:
+ *                   type: integer
+ *                   description: New candles
+ *                 updated:
+ *                   type: integer
+ *                   description: Stored candles that were replaced
+ *       400:
+ *         description: Missing file, unknown symbol or timeframe, or invalid rows (listed in `errors`)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the marketdata:manage permission
+ */
+router.post('/candles/import', authenticateToken, requirePermission(PERMISSIONS.MARKET_DATA_MANAGE), upload.single('file'), async (req, res) => {
+  const { timeframe } = req.body || {};
+  const symbol = resolveSymbol(req.body?.symbol);
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'A CSV file is required' });
+  }
+  if (!symbol) {
+    return res.status(400).json({ error: 'symbol must be a known instrument' });
+  }
+  if (!Object.hasOwn(TIMEFRAMES, timeframe || '')) {
+    return res.status(400).json({ error: `timeframe must be one of ${Object.keys(TIMEFRAMES).join(', ')}` });
+  }
+
+  let parsed;
+  try {
+    parsed = parseCandleCsv(decodeFile(req.file.buffer), timeframe);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not read candles: ${error.message}` });
+  }
+  if (parsed.errors.length) {
+    return res.status(400).json({ error: `${parsed.errors.length} invalid row(s)`, errors: parsed.errors.slice(0, MAX_IMPORT_ERRORS) });
+  }
+  if (!parsed.candles.length) {
+    return res.status(400).json({ error: 'No candles found in the file' });
+  }
+
+  try {
+    const result = await importCandles(symbol, timeframe, parsed.candles);
+    res.status(201).json({ message: 'Candles imported successfully', ...result });
+  } catch (error) {
+    console.error('Candle Import Error:', error);
+    res.status(500).json({ error: 'Failed to import candles' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@ const Lesson = require('../models/Lesson');
 const Assessment = require('../models/Assessment');
 const Question = require('../models/Question');
 const multer = require('multer');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Configure multer for file uploads (memory storage for base64 conversion)
 const upload = multer({ storage: multer.memoryStorage() });
@@ -177,6 +179,8 @@ router.get('/courses', async (req, res) => {
  *     summary: Create a new course
  *     description: Creates a new course with an optional initial module.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -210,6 +214,8 @@ router.get('/courses', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "Title is required"
+ *       '403':
+ *         description: Insufficient permissions
  *       '500':
  *         description: Internal server error
  *         content:
@@ -221,7 +227,7 @@ router.get('/courses', async (req, res) => {
  *                   type: string
  *                   example: "Failed to create course"
  */
-router.post('/courses', async (req, res) => {
+router.post('/courses', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   const { title } = req.body;
 
   if (!title) {
@@ -245,6 +251,8 @@ router.post('/courses', async (req, res) => {
  *     summary: Edit a course
  *     description: Updates the title of an existing course.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -275,6 +283,8 @@ router.post('/courses', async (req, res) => {
  *                   example: "Course updated successfully"
  *                 course:
  *                   $ref: '#/components/schemas/Course'
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Course not found
  *         content:
@@ -296,7 +306,7 @@ router.post('/courses', async (req, res) => {
  *                   type: string
  *                   example: "Failed to update course"
  */
-router.put('/courses/:id', async (req, res) => {
+router.put('/courses/:id', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   const { title } = req.body;
 
   try {
@@ -318,6 +328,8 @@ router.put('/courses/:id', async (req, res) => {
  *     summary: Delete a course
  *     description: Deletes a course and its associated modules, lessons, and assessments.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -336,6 +348,8 @@ router.put('/courses/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Course deleted successfully"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Course not found
  *         content:
@@ -357,7 +371,7 @@ router.put('/courses/:id', async (req, res) => {
  *                   type: string
  *                   example: "Failed to delete course"
  */
-router.delete('/courses/:id', async (req, res) => {
+router.delete('/courses/:id', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     if (!course) {
@@ -382,6 +396,8 @@ router.delete('/courses/:id', async (req, res) => {
  *     summary: Publish a course
  *     description: Publishes a course if it has at least one module.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -412,6 +428,8 @@ router.delete('/courses/:id', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "Course must have at least one module"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Course not found
  *         content:
@@ -433,7 +451,7 @@ router.delete('/courses/:id', async (req, res) => {
  *                   type: string
  *                   example: "Failed to publish course"
  */
-router.post('/courses/:id/publish', async (req, res) => {
+router.post('/courses/:id/publish', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   try {
     const course = await Course.findById(req.params.id).populate('modules');
     if (!course) {
@@ -458,6 +476,8 @@ router.post('/courses/:id/publish', async (req, res) => {
  *     summary: Create a new module
  *     description: Creates a new module for a specific course.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: courseId
  *         in: path
@@ -501,6 +521,8 @@ router.post('/courses/:id/publish', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "All fields are required"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Course not found
  *         content:
@@ -522,7 +544,7 @@ router.post('/courses/:id/publish', async (req, res) => {
  *                   type: string
  *                   example: "Failed to create module"
  */
-router.post('/courses/:courseId/modules', async (req, res) => {
+router.post('/courses/:courseId/modules', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   const { title, description } = req.body;
 
   if (!title || !description) {
@@ -552,6 +574,8 @@ router.post('/courses/:courseId/modules', async (req, res) => {
  *     summary: Edit a module
  *     description: Updates the title and description of an existing module.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -585,6 +609,8 @@ router.post('/courses/:courseId/modules', async (req, res) => {
  *                   example: "Module updated successfully"
  *                 module:
  *                   $ref: '#/components/schemas/Module'
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Module not found
  *         content:
@@ -606,7 +632,7 @@ router.post('/courses/:courseId/modules', async (req, res) => {
  *                   type: string
  *                   example: "Failed to update module"
  */
-router.put('/modules/:id', async (req, res) => {
+router.put('/modules/:id', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   const { title, description } = req.body;
 
   try {
@@ -628,6 +654,8 @@ router.put('/modules/:id', async (req, res) => {
  *     summary: Delete a module
  *     description: Deletes a module and its associated lessons and assessments.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -646,6 +674,8 @@ router.put('/modules/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Module deleted successfully"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Module not found
  *         content:
@@ -667,7 +697,7 @@ router.put('/modules/:id', async (req, res) => {
  *                   type: string
  *                   example: "Failed to delete module"
  */
-router.delete('/modules/:id', async (req, res) => {
+router.delete('/modules/:id', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   try {
     const module = await Module.findById(req.params.id);
     if (!module) {
@@ -692,6 +722,8 @@ router.delete('/modules/:id', async (req, res) => {
  *     summary: Create a new lesson
  *     description: Creates a new lesson for a specific module.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: moduleId
  *         in: path
@@ -741,6 +773,8 @@ router.delete('/modules/:id', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "All fields are required"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Module not found
  *         content:
@@ -762,7 +796,7 @@ router.delete('/modules/:id', async (req, res) => {
  *                   type: string
  *                   example: "Failed to create lesson"
  */
-router.post('/modules/:moduleId/lessons', async (req, res) => {
+router.post('/modules/:moduleId/lessons', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   const { title, description, url, duration } = req.body;
 
   if (!title || !description || !url || !duration) {
@@ -792,6 +826,8 @@ router.post('/modules/:moduleId/lessons', async (req, res) => {
  *     summary: Create a new assessment
  *     description: Creates a new assessment for a specific module.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: moduleId
  *         in: path
@@ -812,6 +848,8 @@ router.post('/modules/:moduleId/lessons', async (req, res) => {
  *                   example: "Assessment created successfully"
  *                 assessment:
  *                   $ref: '#/components/schemas/Assessment'
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Module not found
  *         content:
@@ -833,7 +871,7 @@ router.post('/modules/:moduleId/lessons', async (req, res) => {
  *                   type: string
  *                   example: "Failed to create assessment"
  */
-router.post('/modules/:moduleId/assessments', async (req, res) => {
+router.post('/modules/:moduleId/assessments', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   try {
     const module = await Module.findById(req.params.moduleId);
     if (!module) {
@@ -857,6 +895,8 @@ router.post('/modules/:moduleId/assessments', async (req, res) => {
  *     summary: Publish an assessment
  *     description: Publishes an assessment if it has at least one question.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: assessmentId
  *         in: path
@@ -887,6 +927,8 @@ router.post('/modules/:moduleId/assessments', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "Assessment must have at least one question"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Assessment not found
  *         content:
@@ -908,7 +950,7 @@ router.post('/modules/:moduleId/assessments', async (req, res) => {
  *                   type: string
  *                   example: "Failed to publish assessment"
  */
-router.post('/assessments/:assessmentId/publish', async (req, res) => {
+router.post('/assessments/:assessmentId/publish', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   try {
     const assessment = await Assessment.findById(req.params.assessmentId).populate('questions');
     if (!assessment) {
@@ -933,6 +975,8 @@ router.post('/assessments/:assessmentId/publish', async (req, res) => {
  *     summary: Create a new question
  *     description: Creates a new question for a specific assessment with an optional photo upload.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: assessmentId
  *         in: path
@@ -985,6 +1029,8 @@ router.post('/assessments/:assessmentId/publish', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "All fields are required, falseOptions must have at least 2 options"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Assessment not found
  *         content:
@@ -1006,7 +1052,7 @@ router.post('/assessments/:assessmentId/publish', async (req, res) => {
  *                   type: string
  *                   example: "Failed to create question"
  */
-router.post('/assessments/:assessmentId/questions', upload.single('photo'),  async (req, res) => {
+router.post('/assessments/:assessmentId/questions', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), upload.single('photo'),  async (req, res) => {
   const { text, trueOption, falseOptions } = req.body;
   let photo = '';
 
@@ -1043,6 +1089,8 @@ router.post('/assessments/:assessmentId/questions', upload.single('photo'),  asy
  *     summary: Edit a question
  *     description: Updates the details of an existing question with an optional photo upload.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -1085,6 +1133,8 @@ router.post('/assessments/:assessmentId/questions', upload.single('photo'),  asy
  *                   example: "Question updated successfully"
  *                 question:
  *                   $ref: '#/components/schemas/Question'
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Question not found
  *         content:
@@ -1106,7 +1156,7 @@ router.post('/assessments/:assessmentId/questions', upload.single('photo'),  asy
  *                   type: string
  *                   example: "Failed to update question"
  */
-router.put('/questions/:id', upload.single('photo'), async (req, res) => {
+router.put('/questions/:id', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), upload.single('photo'), async (req, res) => {
   const { text, trueOption, falseOptions } = req.body;
   let photo = '';
 
@@ -1139,6 +1189,8 @@ router.put('/questions/:id', upload.single('photo'), async (req, res) => {
  *     summary: Delete a question
  *     description: Deletes a specific question from an assessment.
  *     tags: [Mentorship API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -1157,6 +1209,8 @@ router.put('/questions/:id', upload.single('photo'), async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Question deleted successfully"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Question not found
  *         content:
@@ -1178,7 +1232,7 @@ router.put('/questions/:id', upload.single('photo'), async (req, res) => {
  *                   type: string
  *                   example: "Failed to delete question"
  */
-router.delete('/questions/:id', async (req, res) => {
+router.delete('/questions/:id', authenticateToken, requirePermission(PERMISSIONS.MENTORSHIP_MANAGE), async (req, res) => {
   try {
     const question = await Question.findByIdAndDelete(req.params.id);
     if (!question) {
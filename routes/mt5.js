@@ -1,18 +1,16 @@
 const express = require('express');
 const { spawn } = require('child_process');
-const axios = require('axios');
 require('dotenv').config();
-const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { connectAccount, disconnectAccount, resolveAccount } = require('../services/mt5Service');
 const router = express.Router();
-const PYTHON_SERVER_URL = process.env.PYTHON_SERVER_URL;
 
 /**
  * @swagger
  * /api/mt5/connect:
  *   post:
  *     summary: Connect to an MT5 account and retrieve analytics data
- *     description: Connects to the MT5 account using provided credentials and returns account information, positions, and recent deals for analytics. No trades are executed.
+ *     description: Connects to the MT5 account using provided credentials and returns account information, positions, and recent deals for analytics. The account is linked to the user as a trading account (the first one becomes the default); connecting an already linked login updates it. No trades are executed.
  *     tags: [Authentication API]    
  *     security:
  *       - bearerAuth: []
@@ -32,6 +30,15 @@ const PYTHON_SERVER_URL = process.env.PYTHON_SERVER_URL;
  *               password:
  *                 type: string
  *                 example: "yourpassword"
+ *               label:
+ *                 type: string
+ *                 example: "Prop firm challenge"
+ *               broker:
+ *                 type: string
+ *                 example: "IC Markets"
+ *               currency:
+ *                 type: string
+ *                 example: "USD"
  *     responses:
  *       200:
  *         description: Successful response with MT5 analytics data
@@ -137,13 +144,10 @@ router.post('/connect', authenticateToken, async (req, res) => {
     // });
 
     try {
-        const { login, password, server } = req.body;
-
-        const response = await axios.post(`${PYTHON_SERVER_URL}/connect`, {
-            login,
-            password,
-            server,
-        });
+        const { login, password, server, label, broker, currency } = req.body;
+        if (!login || !password || !server) {
+            return res.status(400).json({ error: 'Server, login, and password are required' });
+        }
 
         // Extract user ID from authenticated request (assuming JWT or similar middleware)
         const userId = req.user?.id;
@@ -151,18 +155,60 @@ router.post('/connect', authenticateToken, async (req, res) => {
             return res.status(401).json({ error: 'User not authenticated' });
         }
 
-        // Update user document with MT5 credentials
-        await User.findByIdAndUpdate(userId, {
-            mt5Login: login,
-            mt5Password: password, // Consider hashing this field for security
-            mt5Server: server,
-        }, { new: true, runValidators: true });
+        // The password is stored encrypted by the MT5 service, never on the User document
+        const { account, data } = await connectAccount(userId, { login, password, server, label, broker, currency });
 
-        res.json(response.data);
+        res.json({ ...data, account });
     } catch (err) {
         console.error("MT5 connect error:", err.message);
         res.status(500).json({ error: "Failed to connect to MT5", detail: err.response?.data });
     }
 });
 
+/**
+ * @swagger
+ * /api/mt5/disconnect:
+ *   delete:
+ *     summary: Disconnect a linked MT5 account
+ *     description: Deletes the trading account, its stored MT5 credentials and the metrics derived from it. Disconnects the default account unless an accountId is given.
+ *     tags: [Authentication API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: accountId
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ee0"
+ *     responses:
+ *       200:
+ *         description: MT5 account disconnected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "MT5 account disconnected"
+ *       404:
+ *         description: No MT5 account linked
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/disconnect', authenticateToken, async (req, res) => {
+    try {
+        const account = await resolveAccount(req.user.id, req.query.accountId);
+        const removed = account && await disconnectAccount(req.user.id, account._id);
+        if (!removed) {
+            return res.status(404).json({ error: 'No MT5 account linked' });
+        }
+        res.json({ message: 'MT5 account disconnected' });
+    } catch (err) {
+        console.error("MT5 disconnect error:", err.message);
+        res.status(500).json({ error: "Failed to disconnect MT5 account" });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
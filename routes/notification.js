@@ -2,20 +2,15 @@ const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
 const User = require('../models/User'); // Hypothetical User model
-const nodemailer = require('nodemailer');
-const schedule = require('node-schedule');
-const { authenticateToken } = require('../middleware/auth');
-
-// Nodemailer configuration
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-const scheduledJobs = new Map();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  AUDIENCES,
+  deliverNotification,
+  deliverPersonalNotification,
+  scheduleNotification,
+  schedulePersonalNotification,
+} = require('../services/notificationService');
 
 // Create Notification API
 /**
@@ -23,8 +18,10 @@ const scheduledJobs = new Map();
  * /api/notifications:
  *   post:
  *     summary: Create a new notification
- *     description: Adds a notification for specific audiences (All Users, Premium Users, Free Users, VVIP Users) with optional email and scheduling.
+ *     description: Adds a notification for specific audiences (All Users, Premium Users, Free Users, VVIP Users, matched on the user's subscription tier) with optional email and scheduling. Scheduled notifications are stored jobs (see /api/jobs) and are sent even if the server restarts in between.
  *     tags: [Notifications API]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -75,6 +72,8 @@ const scheduledJobs = new Map();
  *                 error:
  *                   type: string
  *                   example: "Title, message, and audience are required"
+ *       '403':
+ *         description: Insufficient permissions
  *       '500':
  *         description: Internal server error
  *         content:
@@ -86,7 +85,7 @@ const scheduledJobs = new Map();
  *                   type: string
  *                   example: "Failed to create notification"
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.NOTIFICATIONS_BROADCAST), async (req, res) => {
   const { title, message, audience, sendEmail, scheduleDate, type } = req.body;
   
   // Validate required fields
@@ -94,12 +93,11 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: 'Title, message, and audience are required' });
   }
 
-  if (audience && !['All Users', 'Premium Users', 'Free Users', 'VVIP Users'].includes(audience)) {
+  if (audience && !AUDIENCES.includes(audience)) {
     return res.status(400).json({ error: 'Invalid audience' });
   }
 
   try {
-    const currentDate = new Date();
     const notification = new Notification({
       title,
       message,
@@ -110,128 +108,11 @@ router.post('/', async (req, res) => {
 
     await notification.save();
 
-    // Handle immediate notification if no scheduleDate, or schedule it
-    const io = req.app.get('io');
+    // Send now if there is no scheduleDate, otherwise queue it for the job worker
     if (!notification.scheduleDate) {
-      const users = await User.find();
-      if (audience === 'All Users') {
-        io.emit('newNotification', notification);
-        if (sendEmail) {
-          const allUsers = await User.find();
-          for (const user of allUsers) {
-            if (user.email) {
-              await transporter.sendMail({
-                from: process.env.EMAIL_USER,
-                to: user.email,
-                subject: title,
-                text: message
-              });
-            }
-          }
-        }
-      } else if (audience === 'Free Users') {
-        const freeUsers = await User.find({ $or: [{ subscriptionType: 'free' }, { subscriptionType: { $exists: false } }] });
-        freeUsers.forEach(async (user) => {
-          io.to(user._id.toString()).emit('newNotification', notification);
-          if (sendEmail && user.email) {
-            await transporter.sendMail({
-              from: process.env.EMAIL_USER,
-              to: user.email,
-              subject: title,
-              text: message
-            });
-          }
-        });
-      } else if (audience === 'Premium Users') {
-        const premiumUsers = await User.find({ subscriptionType: 'premium' });
-        premiumUsers.forEach(async (user) => {
-          io.to(user._id.toString()).emit('newNotification', notification);
-          if (sendEmail && user.email) {
-            await transporter.sendMail({
-              from: process.env.EMAIL_USER,
-              to: user.email,
-              subject: title,
-              text: message
-            });
-          }
-        });
-      } else if (audience === 'VVIP Users') {
-        const vvipUsers = await User.find({ subscriptionType: 'VVIP' });
-        vvipUsers.forEach(async (user) => {
-          io.to(user._id.toString()).emit('newNotification', notification);
-          if (sendEmail && user.email) {
-            await transporter.sendMail({
-              from: process.env.EMAIL_USER,
-              to: user.email,
-              subject: title,
-              text: message
-            });
-          }
-        });
-      }
+      await deliverNotification(notification, { sendEmail }, req.app.get('io'));
     } else {
-      const job = schedule.scheduleJob(notification._id.toString(), notification.scheduleDate, async () => {
-        const io = req.app.get('io');
-        const users = await User.find();
-        if (audience === 'All Users') {
-          io.emit('newNotification', notification);
-          if (sendEmail) {
-            const allUsers = await User.find();
-            for (const user of allUsers) {
-              if (user.email) {
-                await transporter.sendMail({
-                  from: process.env.EMAIL_USER,
-                  to: user.email,
-                  subject: title,
-                  text: message
-                });
-              }
-            }
-          }
-        } else if (audience === 'Free Users') {
-          const freeUsers = await User.find({ $or: [{ subscriptionType: 'free' }, { subscriptionType: { $exists: false } }] });
-          freeUsers.forEach(async (user) => {
-            io.to(user._id.toString()).emit('newNotification', notification);
-            if (sendEmail && user.email) {
-              await transporter.sendMail({
-                from: process.env.EMAIL_USER,
-                to: user.email,
-                subject: title,
-                text: message
-              });
-            }
-          });
-        } else if (audience === 'Premium Users') {
-          const premiumUsers = await User.find({ subscriptionType: 'premium' });
-          premiumUsers.forEach(async (user) => {
-            io.to(user._id.toString()).emit('newNotification', notification);
-            if (sendEmail && user.email) {
-              await transporter.sendMail({
-                from: process.env.EMAIL_USER,
-                to: user.email,
-                subject: title,
-                text: message
-              });
-            }
-          });
-        } else if (audience === 'VVIP Users') {
-          const vvipUsers = await User.find({ subscriptionType: 'VVIP' });
-          vvipUsers.forEach(async (user) => {
-            io.to(user._id.toString()).emit('newNotification', notification);
-            if (sendEmail && user.email) {
-              await transporter.sendMail({
-                from: process.env.EMAIL_USER,
-                to: user.email,
-                subject: title,
-                text: message
-              });
-            }
-          });
-        }
-        // Optionally clean up the job after execution
-        scheduledJobs.delete(notification._id.toString());
-      });
-      scheduledJobs.set(notification._id.toString(), job);
+      await scheduleNotification(notification, { sendEmail }, req.user.id);
     }
 
     res.status(201).json({ message: 'Notification created successfully', notification });
@@ -372,6 +253,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *     summary: Send a notification to an individual user's email
  *     description: Sends a notification email to a specific user's email address with optional scheduling and Socket.IO notification.
  *     tags: [Notifications API]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -406,6 +289,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *                 notification:
  *                   type: object
  *                   properties: {}
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: User not found
  *         content:
@@ -427,7 +312,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *                   type: string
  *                   example: "Failed to create notification"
  */
-router.post('/email', async (req, res) => {
+router.post('/email', authenticateToken, requirePermission(PERMISSIONS.NOTIFICATIONS_BROADCAST), async (req, res) => {
   const { userId, title, message, scheduleDate } = req.body;
 
   if (!userId || !title || !message) {
@@ -441,40 +326,22 @@ router.post('/email', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const currentDate = new Date();
-    console.log(currentDate);
     const notification = new Notification({
       title,
       message,
       audience: `Individual User: ${user.displayName}`, // Include user's name in audience
+      userId: user._id,
       type: 'Personal', // Default type for individual notifications
       scheduleDate: scheduleDate ? new Date(scheduleDate) : undefined
     });
 
     await notification.save();
 
-    const io = req.app.get('io');
     if (!notification.scheduleDate) {
-      io.to(userId).emit('newNotification', notification);
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: user.email,
-        subject: title,
-        text: message
-      });
+      await deliverPersonalNotification(notification, user, req.app.get('io'));
       res.status(201).json({ message: 'Notification created and email sent successfully', notification });
     } else {
-      const job = schedule.scheduleJob(notification._id.toString(), notification.scheduleDate, async () => {
-        io.to(userId).emit('newNotification', notification);
-        await transporter.sendMail({
-          from: process.env.EMAIL_USER,
-          to: user.email,
-          subject: title,
-          text: message
-        });
-        scheduledJobs.delete(notification._id.toString());
-      });
-      scheduledJobs.set(notification._id.toString(), job);
+      await schedulePersonalNotification(notification, user._id);
       res.status(201).json({ message: 'Notification created and scheduled successfully', notification });
     }
   } catch (error) {
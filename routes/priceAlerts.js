@@ -0,0 +1,304 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const PriceAlert = require('../models/PriceAlert');
+const { authenticateToken } = require('../middleware/auth');
+const { canQuote } = require('../services/priceFeed');
+const { initialState } = require('../services/priceAlertService');
+const { ALERT_STATUSES, parseAlertInput } = require('../utils/priceConditions');
+const { getInstrument } = require('../utils/instruments');
+
+// Fields of an alert from the request body, checked and priced, or { error }
+const alertFields = async (body) => {
+  const { fields, error } = parseAlertInput(body);
+  if (error) return { error };
+  if (!canQuote(fields.asset)) return { error: `No price feed for ${body.asset}` };
+  return { fields: { ...fields, ...await initialState(fields) } };
+};
+
+const findAlert = (id, userId) => (mongoose.isValidObjectId(id) ? PriceAlert.findOne({ _id: id, userId }) : null);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceAlert:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         asset:
+ *           type: string
+ *           description: Instrument symbol; metals (XAUUSD, XAGUSD), crypto (BTCUSD, ETHUSD) and currency pairs. Aliases such as GOLD or EUR/USD are accepted.
+ *           example: "XAUUSD"
+ *         type:
+ *           type: string
+ *           enum: [cross, percent_change, range, distance]
+ *           description: cross fires when the price reaches `target`; percent_change when it moved `percent` within `windowMinutes`; range when it enters or exits `lower`-`upper`; distance when it comes within `distance` of `target`
+ *         target:
+ *           type: number
+ *           description: cross and distance
+ *           example: 3350
+ *         direction:
+ *           type: string
+ *           enum: [above, below]
+ *           description: cross - rises to (above) or falls to (below) the target, defaults to the side of the target the price is on; percent_change - rise or fall only, either way when unset
+ *         percent:
+ *           type: number
+ *           example: 2.5
+ *         windowMinutes:
+ *           type: integer
+ *           maximum: 1440
+ *           example: 60
+ *         lower:
+ *           type: number
+ *         upper:
+ *           type: number
+ *         rangeEvent:
+ *           type: string
+ *           enum: [enter, exit]
+ *         distance:
+ *           type: number
+ *           example: 50
+ *         distanceUnit:
+ *           type: string
+ *           enum: [pips, percent]
+ *           default: pips
+ *         note:
+ *           type: string
+ *           maxLength: 200
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [in_app, email, push]
+ *           default: [in_app, email]
+ *           description: in_app sends the notification and a `priceAlertTriggered` socket event, push goes to the devices registered under /api/users/push-tokens
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [active, triggered, expired]
+ *         armed:
+ *           type: boolean
+ *           description: Whether the condition was seen not to hold, so the alert fires the next time it does
+ *         repeat:
+ *           type: boolean
+ *           default: true
+ *           description: Re-arm the alert after its cooldown once the condition no longer holds
+ *         cooldownMinutes:
+ *           type: integer
+ *           description: Defaults to PRICE_ALERT_COOLDOWN_MINUTES (60)
+ *         triggeredAt:
+ *           type: string
+ *           format: date-time
+ *         triggerPrice:
+ *           type: number
+ *         rearmAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/price-alerts:
+ *   get:
+ *     summary: Get the price alerts of the authenticated user
+ *     description: A background worker checks the alerts every PRICE_ALERT_INTERVAL_MINUTES (1). Percent-change alerts are measured against the prices the worker has seen, so after a restart they wait until it has seen a full window.
+ *     tags: [Price Alerts API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, triggered, expired]
+ *       - in: query
+ *         name: asset
+ *         schema:
+ *           type: string
+ *           example: "BTCUSD"
+ *     responses:
+ *       200:
+ *         description: The alerts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alerts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceAlert'
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  const { status, asset } = req.query;
+  if (status !== undefined && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${ALERT_STATUSES.join(', ')}` });
+  }
+  try {
+    const filter = { userId: req.user.id };
+    if (status) filter.status = status;
+    if (asset) filter.asset = getInstrument(asset).symbol;
+    const alerts = await PriceAlert.find(filter).sort({ createdAt: -1 });
+    res.json({ alerts });
+  } catch (error) {
+    console.error('Price Alerts Error:', error);
+    res.status(500).json({ error: 'Failed to fetch price alerts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-alerts:
+ *   post:
+ *     summary: Create a price alert
+ *     description: Creates an alert for the authenticated user. The alert is armed with the current price, so a condition that already holds fires only once it has stopped holding and holds again.
+ *     tags: [Price Alerts API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceAlert'
+ *           examples:
+ *             cross:
+ *               value: { asset: "XAUUSD", type: "cross", target: 3350, channels: ["push", "in_app"] }
+ *             percentChange:
+ *               value: { asset: "BTCUSD", type: "percent_change", percent: 3, windowMinutes: 60, direction: "below" }
+ *             range:
+ *               value: { asset: "EURUSD", type: "range", lower: 1.08, upper: 1.09, rangeEvent: "exit", expiresAt: "2025-07-31T00:00:00Z" }
+ *             distance:
+ *               value: { asset: "XAGUSD", type: "distance", target: 37, distance: 20, distanceUnit: "pips" }
+ *     responses:
+ *       201:
+ *         description: The alert
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alert:
+ *                   $ref: '#/components/schemas/PriceAlert'
+ *       400:
+ *         description: Invalid alert or an asset without a price feed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { fields, error } = await alertFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const alert = await PriceAlert.create({ ...fields, userId: req.user.id });
+    res.status(201).json({ alert });
+  } catch (error) {
+    console.error('Create Price Alert Error:', error);
+    res.status(500).json({ error: 'Failed to create price alert' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-alerts/{id}:
+ *   put:
+ *     summary: Replace a price alert
+ *     description: Replaces the conditions and options of an alert, taking the same body as creating one. The alert starts over as active and is armed with the current price.
+ *     tags: [Price Alerts API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceAlert'
+ *     responses:
+ *       200:
+ *         description: The alert
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alert:
+ *                   $ref: '#/components/schemas/PriceAlert'
+ *       400:
+ *         description: Invalid alert or an asset without a price feed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Alert not found
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const alert = await findAlert(req.params.id, req.user.id);
+    if (!alert) return res.status(404).json({ error: 'Price alert not found' });
+
+    const { fields, error } = await alertFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    // Keep only the identity of the alert; defaults apply again to whatever the body leaves out
+    const replacement = new PriceAlert({ ...fields, _id: alert._id, userId: alert.userId, createdAt: alert.createdAt });
+    alert.overwrite(replacement.toObject());
+    await alert.save();
+    res.json({ alert });
+  } catch (error) {
+    console.error('Update Price Alert Error:', error);
+    res.status(500).json({ error: 'Failed to update price alert' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-alerts/{id}:
+ *   delete:
+ *     summary: Delete a price alert
+ *     tags: [Price Alerts API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Alert not found
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const alert = mongoose.isValidObjectId(req.params.id)
+      ? await PriceAlert.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+      : null;
+    if (!alert) return res.status(404).json({ error: 'Price alert not found' });
+    res.json({ message: 'Price alert deleted' });
+  } catch (error) {
+    console.error('Delete Price Alert Error:', error);
+    res.status(500).json({ error: 'Failed to delete price alert' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,487 @@
+const express = require('express');
+const mongoose = require('mongoose');
+// Mounted under /api/signals/:signalId/comments
+const router = express.Router({ mergeParams: true });
+const Signal = require('../models/Signal');
+const SignalComment = require('../models/SignalComment');
+const { MAX_DEPTH } = require('../models/SignalComment');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { resolveTier, signalVisibility, broadcastToViewers } = require('../services/signalAccess');
+const {
+  REACTIONS,
+  commentsLocked,
+  commentView,
+  buildThreads,
+  toggleReaction,
+  pinComment,
+} = require('../services/signalCommentService');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * The signal under discussion and the user's tier, or { status, error } when the user cannot
+ * take part: scheduled signals are only discussed by staff, and users who see a signal redacted
+ * cannot read its discussion either, as it would give the levels away.
+ */
+const discussionFor = async (signalId, userId) => {
+  const [signal, tier] = await Promise.all([Signal.findOne({ signalId }), resolveTier(userId)]);
+  if (!signal || (signal.status !== 'Published' && tier !== 'staff')) {
+    return { status: 404, error: 'Signal not found' };
+  }
+  if (signalVisibility(signal, tier) !== 'full') {
+    return { status: 403, error: 'The discussion opens once the signal is available at your subscription tier' };
+  }
+  return { signal, tier };
+};
+
+const findComment = (signalId, commentId) => (
+  mongoose.isValidObjectId(commentId) ? SignalComment.findOne({ _id: commentId, signalId }) : null
+);
+
+const lockedError = 'Comments are locked because the signal is no longer open';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SignalComment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         signalId:
+ *           type: string
+ *           example: "S501"
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *           description: Comment replied to, null for the top-level comment of a thread
+ *         rootId:
+ *           type: string
+ *           nullable: true
+ *           description: Top-level comment of the thread
+ *         userId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         avatar:
+ *           type: string
+ *         analyst:
+ *           type: boolean
+ *           description: Posted by a signal manager
+ *         message:
+ *           type: string
+ *           nullable: true
+ *           description: null once the comment is deleted
+ *         deleted:
+ *           type: boolean
+ *         pinned:
+ *           type: boolean
+ *         pinnedAt:
+ *           type: string
+ *           format: date-time
+ *         reactions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: "🔥"
+ *               count:
+ *                 type: number
+ *                 example: 3
+ *               reacted:
+ *                 type: boolean
+ *                 description: Whether the requesting user reacted with this emoji
+ *         replies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SignalComment'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/signals/{signalId}/comments:
+ *   get:
+ *     summary: Get the discussion of a signal
+ *     description: Threads of comments with nested replies, pinned threads first and then the newest. Each thread carries the reply an analyst pinned as its `answer`. Free users can read the discussion of a premium signal once they see the signal in full. Clients in the signal socket rooms receive `signalComment`, `signalCommentReaction`, `signalCommentPinned` and `signalCommentDeleted` events.
+ *     tags: [Signal Comments API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: signalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The discussion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 locked:
+ *                   type: boolean
+ *                   description: True once the signal resolved, was cancelled or expired; no new comments or reactions are accepted
+ *                 reactions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["👍", "👎", "🔥", "🎯", "🚀", "🤔"]
+ *                 threads:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SignalComment'
+ *                       - type: object
+ *                         properties:
+ *                           answer:
+ *                             $ref: '#/components/schemas/SignalComment'
+ *       403:
+ *         description: The signal is redacted at the user's tier
+ *       404:
+ *         description: Signal not found
+ *       500:
+ *         description: Error fetching comments
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { signal, status, error } = await discussionFor(req.params.signalId, req.user.id);
+    if (error) return res.status(status).json({ error });
+
+    const comments = await SignalComment.find({ signalId: signal.signalId });
+    res.json({ locked: commentsLocked(signal), reactions: REACTIONS, threads: buildThreads(comments, req.user.id) });
+  } catch (error) {
+    console.error('Signal Comment Error:', error);
+    res.status(500).json({ error: 'Error fetching comments' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/{signalId}/comments:
+ *   post:
+ *     summary: Comment on a signal or reply to a comment
+ *     description: Starts a thread, or replies to the comment given as `parentId` (up to 5 levels deep). Not accepted once the signal is no longer open.
+ *     tags: [Signal Comments API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: signalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "Are you still holding after the retest of 3300?"
+ *               parentId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 comment:
+ *                   $ref: '#/components/schemas/SignalComment'
+ *       400:
+ *         description: Missing or too long message, or the reply is nested too deep
+ *       403:
+ *         description: The signal is redacted at the user's tier
+ *       404:
+ *         description: Signal or parent comment not found
+ *       409:
+ *         description: Comments are locked
+ *       500:
+ *         description: Error adding comment
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  const { message, parentId } = req.body;
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ error: 'message is required' });
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: `message cannot be longer than ${MAX_MESSAGE_LENGTH} characters` });
+  }
+
+  try {
+    const { signal, tier, status, error } = await discussionFor(req.params.signalId, req.user.id);
+    if (error) return res.status(status).json({ error });
+    if (commentsLocked(signal)) return res.status(409).json({ error: lockedError });
+
+    let parent = null;
+    if (parentId) {
+      parent = await findComment(signal.signalId, parentId);
+      if (!parent) return res.status(404).json({ error: 'Comment not found' });
+      if (parent.depth >= MAX_DEPTH) {
+        return res.status(400).json({ error: `Replies cannot be nested more than ${MAX_DEPTH} levels deep` });
+      }
+    }
+
+    const user = await User.findById(req.user.id).select('displayName avatar');
+    if (!user) return res.status(400).json({ error: 'User not found' });
+
+    const comment = await SignalComment.create({
+      signalId: signal.signalId,
+      parentId: parent?._id || null,
+      rootId: parent ? parent.rootId || parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      userId: user._id,
+      name: user.displayName,
+      avatar: user.avatar,
+      analyst: tier === 'staff',
+      message: message.trim(),
+    });
+
+    broadcastToViewers(req.app.get('io'), 'signalComment', signal, commentView(comment));
+    res.status(201).json({ message: 'Comment added', comment: commentView(comment, req.user.id) });
+  } catch (error) {
+    console.error('Signal Comment Error:', error);
+    res.status(500).json({ error: 'Error adding comment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/{signalId}/comments/{commentId}/reactions:
+ *   post:
+ *     summary: Toggle a reaction on a comment
+ *     description: Adds the emoji reaction of the user, or removes it when they already reacted with it. Not accepted once the signal is no longer open.
+ *     tags: [Signal Comments API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: signalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 enum: ["👍", "👎", "🔥", "🎯", "🚀", "🤔"]
+ *     responses:
+ *       200:
+ *         description: Reaction toggled, with the comment's reaction counts
+ *       400:
+ *         description: Unsupported emoji
+ *       403:
+ *         description: The signal is redacted at the user's tier
+ *       404:
+ *         description: Signal or comment not found
+ *       409:
+ *         description: Comments are locked
+ *       500:
+ *         description: Error updating reaction
+ */
+router.post('/:commentId/reactions', authenticateToken, async (req, res) => {
+  const { emoji } = req.body;
+  if (!REACTIONS.includes(emoji)) {
+    return res.status(400).json({ error: `emoji must be one of ${REACTIONS.join(' ')}` });
+  }
+
+  try {
+    const { signal, status, error } = await discussionFor(req.params.signalId, req.user.id);
+    if (error) return res.status(status).json({ error });
+    if (commentsLocked(signal)) return res.status(409).json({ error: lockedError });
+
+    const existing = await findComment(signal.signalId, req.params.commentId);
+    if (!existing || existing.deleted) return res.status(404).json({ error: 'Comment not found' });
+
+    const comment = await toggleReaction(existing._id, req.user.id, emoji);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    const { reactions } = commentView(comment);
+    broadcastToViewers(req.app.get('io'), 'signalCommentReaction', signal, { signalId: signal.signalId, commentId: comment._id, reactions });
+    res.json({ message: 'Reaction toggled', reactions: commentView(comment, req.user.id).reactions });
+  } catch (error) {
+    console.error('Signal Comment Error:', error);
+    res.status(500).json({ error: 'Error updating reaction' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/{signalId}/comments/{commentId}/pin:
+ *   post:
+ *     summary: Pin a comment
+ *     description: Pins a reply as the answer of its thread, or a top-level comment to keep its thread on top. A thread has one pinned comment, so the one pinned before is unpinned. Allowed after the signal resolved. Requires the signals:manage permission.
+ *     tags: [Signal Comments API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: signalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment pinned
+ *       404:
+ *         description: Signal or comment not found
+ *       500:
+ *         description: Error pinning comment
+ *   delete:
+ *     summary: Unpin a comment
+ *     description: Requires the signals:manage permission.
+ *     tags: [Signal Comments API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: signalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment unpinned
+ *       404:
+ *         description: Signal or comment not found
+ *       500:
+ *         description: Error unpinning comment
+ */
+router.post('/:commentId/pin', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), async (req, res) => {
+  try {
+    const signal = await Signal.findOne({ signalId: req.params.signalId });
+    if (!signal) return res.status(404).json({ error: 'Signal not found' });
+
+    const existing = await findComment(signal.signalId, req.params.commentId);
+    if (!existing || existing.deleted) return res.status(404).json({ error: 'Comment not found' });
+
+    const comment = await pinComment(existing, req.user.id);
+    broadcastToViewers(req.app.get('io'), 'signalCommentPinned', signal, {
+      signalId: signal.signalId,
+      commentId: comment._id,
+      rootId: comment.rootId,
+      pinned: true,
+    });
+    res.json({ message: 'Comment pinned', comment: commentView(comment, req.user.id) });
+  } catch (error) {
+    console.error('Signal Comment Error:', error);
+    res.status(500).json({ error: 'Error pinning comment' });
+  }
+});
+
+router.delete('/:commentId/pin', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), async (req, res) => {
+  try {
+    const signal = await Signal.findOne({ signalId: req.params.signalId });
+    if (!signal) return res.status(404).json({ error: 'Signal not found' });
+
+    const comment = await findComment(signal.signalId, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    comment.set({ pinned: false, pinnedBy: undefined, pinnedAt: undefined });
+    await comment.save();
+    broadcastToViewers(req.app.get('io'), 'signalCommentPinned', signal, {
+      signalId: signal.signalId,
+      commentId: comment._id,
+      rootId: comment.rootId,
+      pinned: false,
+    });
+    res.json({ message: 'Comment unpinned', comment: commentView(comment, req.user.id) });
+  } catch (error) {
+    console.error('Signal Comment Error:', error);
+    res.status(500).json({ error: 'Error unpinning comment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/{signalId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Authors can delete their own comments and signal managers any comment, also after the signal resolved. The comment keeps its place in the thread without its author and message, so the replies to it remain.
+ *     tags: [Signal Comments API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: signalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not the author of the comment
+ *       404:
+ *         description: Signal or comment not found
+ *       500:
+ *         description: Error deleting comment
+ */
+router.delete('/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const { signal, tier, status, error } = await discussionFor(req.params.signalId, req.user.id);
+    if (error) return res.status(status).json({ error });
+
+    const comment = await findComment(signal.signalId, req.params.commentId);
+    if (!comment || comment.deleted) return res.status(404).json({ error: 'Comment not found' });
+    if (tier !== 'staff' && String(comment.userId) !== String(req.user.id)) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    comment.set({ deleted: true, message: undefined, reactions: [], pinned: false, pinnedBy: undefined, pinnedAt: undefined });
+    await comment.save();
+
+    broadcastToViewers(req.app.get('io'), 'signalCommentDeleted', signal, { signalId: signal.signalId, commentId: comment._id });
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Signal Comment Error:', error);
+    res.status(500).json({ error: 'Error deleting comment' });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,131 @@ const express = require('express');
 const router = express.Router();
 const Signal = require('../models/Signal');
 const Performance = require('../models/Performance');
-const schedule = require('node-schedule');
+const SignalComment = require('../models/SignalComment');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { PERMISSIONS } = require('../config/permissions');
+const { createReplaySource } = require('../services/priceFeed');
+const {
+  adjustSignal,
+  defaultExpiry,
+  publishSignal,
+  signalEvent,
+  lifecycleEvent,
+  announceSignal,
+  schedulePublish,
+  cancelPublish,
+  recomputePerformance,
+  getTrackRecord,
+  searchSignals,
+  resolveSignals,
+} = require('../services/signalService');
+const { queueCopyCancel } = require('../services/copyTradingService');
+const { renderTrackRecordHtml, renderTrackRecordPdf } = require('../services/trackRecordReport');
+const { nextSignalId } = require('../services/idGenerator');
+const { OPEN_STATES, RESOLVED_STATES, targetsOf, buildTargets, validateLevels } = require('../utils/signalLifecycle');
+const { getInstrument } = require('../utils/instruments');
+const { parseSignalSearch } = require('../utils/signalSearch');
+const { resolveTier, viewFor, broadcastSignal, broadcastToAll } = require('../services/signalAccess');
+const { INSTRUMENTS } = require('../config/instruments');
+
+const CATEGORIES = ['All users', 'Premium users', 'Free users'];
+
+// from/to/asset filters of the track-record endpoints; returns the filters or { error }
+const trackRecordFilters = (query) => {
+  const from = query.from ? new Date(query.from) : undefined;
+  const to = query.to ? new Date(query.to) : undefined;
+  if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) {
+    return { error: 'Invalid date range' };
+  }
+  return { from, to, asset: query.asset };
+};
+
+// Targets from the request body, or the single takeProfit of older clients
+const requestedTargets = ({ targets, takeProfit }) => {
+  if (Array.isArray(targets)) return buildTargets(targets);
+  return takeProfit ? [{ price: takeProfit, closePercent: 100 }] : null;
+};
 
 /**
  * @swagger
  * /api/signals/list:
  *   get:
- *     summary: Retrieve a list of signals
- *     description: Fetches a list of signals, visible only to Premium users with unlocked access.
+ *     summary: Search signals
+ *     description: |
+ *       Fetches published signals as the caller's tier may see them, newest first by default, 30 per page. Premium and VVIP users with an active subscription, and staff who manage signals, get every signal in full; staff also see scheduled ones. Signals for 'All users' and 'Free users' are full for everyone.
+ *
+ *       Free users (including premium roles whose subscription has lapsed) get 'Premium users' signals redacted to asset and direction while they are open, until SIGNAL_FREE_DELAY_HOURS (24) after publication. Resolved signals are always shown in full. When free users filter on entryType, only signals they see in full are returned.
+ *
+ *       List filters take comma-separated values. Pass `nextCursor` as `cursor` with the same filters and sort to get the next page. `facets` count the matches per asset and per state for filter chips; each facet ignores its own filter.
  *     tags: [Signals API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: asset
+ *         in: query
+ *         description: Symbols or aliases, matched through the instrument registry (XAU/USD, GOLD and XAUUSD are the same)
+ *         schema:
+ *           type: string
+ *           example: "XAUUSD,EURUSD"
+ *       - name: entryType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: "Buy,Buy limit"
+ *       - name: state
+ *         in: query
+ *         description: Lifecycle states, or `open` (pending, active) and `resolved` (tp_hit, sl_hit, breakeven)
+ *         schema:
+ *           type: string
+ *           example: "tp_hit,sl_hit"
+ *       - name: status
+ *         in: query
+ *         description: Publication status; only staff see Scheduled signals
+ *         schema:
+ *           type: string
+ *           enum: [Published, Scheduled]
+ *       - name: category
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: "Premium users"
+ *       - name: from
+ *         in: query
+ *         description: Signals created on or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         description: Signals created on or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: analyst
+ *         in: query
+ *         description: User id of the analyst who created the signals
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         description: Field to sort by, descending with a leading `-`. Sorting by resultR leaves out signals without a result.
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, resultR, -resultR]
+ *           default: -date
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 30
+ *       - name: cursor
+ *         in: query
+ *         description: nextCursor of the previous page
+ *         schema:
+ *           type: string
  *     responses:
  *       '200':
  *         description: Successful response with signals
@@ -19,10 +135,49 @@ const schedule = require('node-schedule');
  *             schema:
  *               type: object
  *               properties:
+ *                 tier:
+ *                   type: string
+ *                   enum: [free, premium, VVIP, staff]
  *                 signals:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Signal'
+ *                     oneOf:
+ *                       - $ref: '#/components/schemas/Signal'
+ *                       - $ref: '#/components/schemas/RedactedSignal'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: null on the last page
+ *                 total:
+ *                   type: integer
+ *                   description: Signals matching the filters, across all pages
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     assets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           asset:
+ *                             type: string
+ *                             example: "XAUUSD"
+ *                           count:
+ *                             type: integer
+ *                             example: 12
+ *                     states:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           state:
+ *                             type: string
+ *                             example: "tp_hit"
+ *                           count:
+ *                             type: integer
+ *                             example: 7
+ *       '400':
+ *         description: Invalid filter, sort, limit or cursor
  *       '500':
  *         description: Server error
  *         content:
@@ -34,13 +189,16 @@ const schedule = require('node-schedule');
  *                   type: string
  *                   example: "Error fetching signals"
  */
-router.get('/list', async (req, res) => {
+router.get('/list', authenticateToken, async (req, res) => {
   try {
-    const signals = await Signal.find()
-      .sort({ date: -1 })
-      .limit(30);
-    res.json({ signals });
+    const tier = await resolveTier(req.user.id);
+    const search = parseSignalSearch(req.query, tier);
+    if (search.error) return res.status(400).json({ error: search.error });
+
+    const { signals, nextCursor, total, facets } = await searchSignals(search, { tier, entryTypeFiltered: Boolean(req.query.entryType) });
+    res.json({ tier, signals: signals.map(signal => viewFor(signal, tier)), nextCursor, total, facets });
   } catch (error) {
+    console.error('Signal Error:', error);
     res.status(500).json({ error: 'Error fetching signals' });
   }
 });
@@ -50,8 +208,18 @@ router.get('/list', async (req, res) => {
  * /api/signals/create:
  *   post:
  *     summary: Create a new signal
- *     description: Adds a new signal, visible only to Premium users with unlocked access. Category is fixed as Premium users.
+ *     description: Adds a new signal. Category decides who receives it in full, see GET /api/signals/list; socket events go to the tier rooms accordingly. Market entries (Buy/Sell) are active from publication; limit entries stay pending until the price reaches the entry. The price-feed worker then resolves the signal at its take-profit or stop-loss and emits `signalStatusChanged`. Scheduled publication is a stored job (see /api/jobs), so it survives restarts. Once published, the signal is placed on the accounts of users who opted in to copy trading (see /api/copy-trading). Send an `Idempotency-Key` header to make retries safe: repeating the request with the same key and body within 24 hours returns the signal created the first time instead of creating another one.
  *     tags: [Signals API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         description: Unique per signal the client creates, e.g. a UUID generated when the form is opened
+ *         schema:
+ *           type: string
+ *           maxLength: 255
  *     requestBody:
  *       required: true
  *       content:
@@ -70,7 +238,17 @@ router.get('/list', async (req, res) => {
  *                 example: 11450
  *               takeProfit:
  *                 type: number
+ *                 description: Single target; ignored when targets are given
  *                 example: 11550
+ *               targets:
+ *                 type: array
+ *                 description: Take-profit levels, nearest first. Without closePercent the position is split evenly.
+ *                 items:
+ *                   $ref: '#/components/schemas/SignalTarget'
+ *               breakevenAfter:
+ *                 type: integer
+ *                 description: Move the stop loss to the entry automatically once this many targets were hit
+ *                 example: 1
  *               reasoning:
  *                 type: string
  *                 example: "Market trend analysis"
@@ -78,6 +256,10 @@ router.get('/list', async (req, res) => {
  *                 type: string
  *                 enum: [Buy, Sell, Buy limit, Sell limit]
  *                 example: "Sell"
+ *               category:
+ *                 type: string
+ *                 enum: [All users, Premium users, Free users]
+ *                 default: Premium users
  *               publishTiming:
  *                 type: string
  *                 enum: [Immediate Publish, Scheduled Publish]
@@ -88,6 +270,11 @@ router.get('/list', async (req, res) => {
  *               publishTime:
  *                 type: string
  *                 example: "14:30:00"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Limit entries only. When the entry is still unfilled at this time the signal expires. Defaults to SIGNAL_PENDING_EXPIRY_HOURS (72) after publication.
+ *                 example: "2025-06-30T14:30:00Z"
  *     responses:
  *       '201':
  *         description: Signal created successfully
@@ -111,6 +298,12 @@ router.get('/list', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "Asset, entryPrice, stopLoss, and takeProfit are required"
+ *       '403':
+ *         description: Insufficient permissions
+ *       '409':
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       '422':
+ *         description: The Idempotency-Key was already used with a different body
  *       '500':
  *         description: Server error
  *         content:
@@ -122,86 +315,75 @@ router.get('/list', async (req, res) => {
  *                   type: string
  *                   example: "Error creating signal"
  */
-router.post('/create', async (req, res) => {
+router.post('/create', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), idempotent('signals:create'), async (req, res) => {
   try {
-    const { asset, entryPrice, stopLoss, takeProfit, reasoning, entryType, publishTiming, publishDate, publishTime } = req.body;
+    const { asset, entryPrice, stopLoss, reasoning, entryType, category = 'Premium users', publishTiming, publishDate, publishTime, expiresAt, breakevenAfter } = req.body;
+    const targets = requestedTargets(req.body);
 
-    if (!asset || !entryPrice || !stopLoss || !takeProfit) {
-      return res.status(400).json({ error: 'Asset, entryPrice, stopLoss, and takeProfit are required' });
+    if (!asset || !entryPrice || !stopLoss || !targets) {
+      return res.status(400).json({ error: 'Asset, entryPrice, stopLoss, and takeProfit or targets are required' });
     }
 
     if (!['Buy', 'Sell', 'Buy limit', 'Sell limit'].includes(entryType)) {
       return res.status(400).json({ error: 'Invalid entryType' });
     }
 
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: 'Invalid category' });
+    }
+
+    const invalidLevels = validateLevels({ entryType, entryPrice, stopLoss, targets });
+    if (invalidLevels) {
+      return res.status(400).json({ error: invalidLevels });
+    }
+
+    if (breakevenAfter !== undefined && (!Number.isInteger(breakevenAfter) || breakevenAfter < 1 || breakevenAfter >= targets.length)) {
+      return res.status(400).json({ error: 'breakevenAfter must be the number of a target before the last one' });
+    }
+
     if (!['Immediate Publish', 'Scheduled Publish'].includes(publishTiming)) {
       return res.status(400).json({ error: 'Invalid publishTiming' });
     }
 
-    const signalId = 'S' + Math.floor(100 + Math.random() * 900).toString();
+    if (expiresAt && isNaN(new Date(expiresAt))) {
+      return res.status(400).json({ error: 'Invalid expiresAt' });
+    }
+
+    const signalId = await nextSignalId();
     const signal = new Signal({
       signalId,
       date: new Date(),
       asset,
       entryPrice,
       stopLoss,
-      takeProfit,
+      initialStopLoss: stopLoss,
+      takeProfit: targets[targets.length - 1].price,
+      targets,
+      breakevenAfter,
       reasoning,
       entryType,
-      category: 'Premium users',
+      category,
       publishTiming,
       publishDate: publishTiming === 'Scheduled Publish' ? new Date(publishDate + ' ' + publishTime) : new Date(),
-      status: publishTiming === 'Immediate Publish' ? 'Published' : 'Scheduled'
+      status: 'Scheduled',
+      state: 'pending',
+      createdBy: req.user.id
     });
+    signal.expiresAt = expiresAt ? new Date(expiresAt) : defaultExpiry(signal);
+    if (publishTiming === 'Immediate Publish') {
+      publishSignal(signal);
+    }
 
     await signal.save();
 
-    const io = req.app.get('io');
-    let performance = await Performance.findOne();
-    if (!performance) {
-      performance = await Performance.create({
-        totalProfitLoss: 0,
-        tradeCount: 0,
-        historicalData: []
-      });
+    if (signal.status === 'Published') {
+      await announceSignal(signal, req.app.get('io'));
     }
 
-    const profitLoss = entryPrice - stopLoss; // Simple profit/loss calculation
-    performance.totalProfitLoss += profitLoss;
-    performance.tradeCount += 1;
-    performance.historicalData.push({
-      signalId,
-      date: signal.date,
-      profitLoss,
-      pipMovement: '2.00R +' + (takeProfit - entryPrice) + ' pips'
-    });
-    await performance.save();
-
-    io.emit('newSignal', {
-      signalId: signal.signalId,
-      date: signal.date,
-      profitLoss,
-      tradeCount: 1,
-      pipMovement: '2.00R +' + (takeProfit - entryPrice) + ' pips'
-    });
-
     if (publishTiming === 'Scheduled Publish' && publishDate && publishTime) {
       const scheduledDateTime = new Date(publishDate + ' ' + publishTime);
       if (scheduledDateTime > new Date()) {
-        schedule.scheduleJob(signalId, scheduledDateTime, async () => {
-          const updatedSignal = await Signal.findOne({ signalId });
-          if (updatedSignal && updatedSignal.status === 'Scheduled') {
-            updatedSignal.status = 'Published';
-            await updatedSignal.save();
-            io.emit('newSignal', {
-              signalId: updatedSignal.signalId,
-              date: updatedSignal.date,
-              profitLoss: updatedSignal.entryPrice - updatedSignal.stopLoss,
-              tradeCount: 1,
-              pipMovement: '2.00R +' + (updatedSignal.takeProfit - updatedSignal.entryPrice) + ' pips'
-            });
-          }
-        });
+        await schedulePublish(signalId, scheduledDateTime, req.user.id);
       }
     }
 
@@ -217,8 +399,10 @@ router.post('/create', async (req, res) => {
  * /api/signals/edit/{signalId}:
  *   put:
  *     summary: Edit an existing signal
- *     description: Updates an existing signal, visible only to Premium users with unlocked access. Category remains Premium users.
+ *     description: Updates an existing signal. Once a signal is active only the reasoning can be edited here; stop loss and target changes go through PUT /api/signals/update/{signalId} so they are logged. Resolved, cancelled and expired signals cannot be edited.
  *     tags: [Signals API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: signalId
  *         in: path
@@ -245,6 +429,10 @@ router.post('/create', async (req, res) => {
  *               takeProfit:
  *                 type: number
  *                 example: 11550
+ *               targets:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SignalTarget'
  *               reasoning:
  *                 type: string
  *                 example: "Market trend analysis"
@@ -252,6 +440,10 @@ router.post('/create', async (req, res) => {
  *                 type: string
  *                 enum: [Buy, Sell, Buy limit, Sell limit]
  *                 example: "Sell"
+ *               category:
+ *                 type: string
+ *                 enum: [All users, Premium users, Free users]
+ *                 default: Premium users
  *               publishTiming:
  *                 type: string
  *                 enum: [Immediate Publish, Scheduled Publish]
@@ -262,6 +454,11 @@ router.post('/create', async (req, res) => {
  *               publishTime:
  *                 type: string
  *                 example: "14:30:00"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Limit entries only. When the entry is still unfilled at this time the signal expires. Defaults to SIGNAL_PENDING_EXPIRY_HOURS (72) after publication.
+ *                 example: "2025-06-30T14:30:00Z"
  *     responses:
  *       '200':
  *         description: Signal updated successfully
@@ -275,6 +472,10 @@ router.post('/create', async (req, res) => {
  *                   example: "Signal updated successfully"
  *                 signal:
  *                   $ref: '#/components/schemas/Signal'
+ *       '400':
+ *         description: Invalid field or levels, or a level change on an active signal
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Signal not found
  *         content:
@@ -285,6 +486,8 @@ router.post('/create', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "Signal not found"
+ *       '409':
+ *         description: Signal is already resolved, cancelled or expired
  *       '500':
  *         description: Server error
  *         content:
@@ -296,14 +499,26 @@ router.post('/create', async (req, res) => {
  *                   type: string
  *                   example: "Error updating signal"
  */
-router.put('/edit/:signalId', async (req, res) => {
+router.put('/edit/:signalId', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), async (req, res) => {
   try {
     const { signalId } = req.params;
-    const { asset, entryPrice, stopLoss, takeProfit, reasoning, entryType, publishTiming, publishDate, publishTime } = req.body;
+    const { asset, entryPrice, stopLoss, takeProfit, targets, reasoning, entryType, category, publishTiming, publishDate, publishTime, expiresAt } = req.body;
 
     const signal = await Signal.findOne({ signalId });
     if (!signal) return res.status(404).json({ error: 'Signal not found' });
 
+    // Results are part of the track record and must not be rewritten afterwards
+    if (!OPEN_STATES.includes(signal.state)) {
+      return res.status(409).json({ error: `Signal is already ${signal.state} and can no longer be edited` });
+    }
+
+    const entryChanged = (asset && asset !== signal.asset)
+      || (entryPrice && entryPrice !== signal.entryPrice)
+      || (entryType && entryType !== signal.entryType);
+    if (signal.state === 'active' && (entryChanged || publishTiming || stopLoss || takeProfit || targets)) {
+      return res.status(400).json({ error: 'Only reasoning can be edited once a signal is active; use /api/signals/update to move the stop loss or targets' });
+    }
+
     if (entryType && !['Buy', 'Sell', 'Buy limit', 'Sell limit'].includes(entryType)) {
       return res.status(400).json({ error: 'Invalid entryType' });
     }
@@ -312,39 +527,58 @@ router.put('/edit/:signalId', async (req, res) => {
       return res.status(400).json({ error: 'Invalid publishTiming' });
     }
 
+    if (category && !CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: 'Invalid category' });
+    }
+
+    if (expiresAt && isNaN(new Date(expiresAt))) {
+      return res.status(400).json({ error: 'Invalid expiresAt' });
+    }
+
+    const nextTargets = requestedTargets({ targets, takeProfit }) || targetsOf(signal).map(({ price, closePercent }) => ({ price, closePercent }));
+    const invalidLevels = validateLevels({
+      entryType: entryType || signal.entryType,
+      entryPrice: entryPrice || signal.entryPrice,
+      stopLoss: stopLoss || signal.stopLoss,
+      targets: nextTargets
+    });
+    if (signal.state === 'pending' && invalidLevels) {
+      return res.status(400).json({ error: invalidLevels });
+    }
+
     signal.asset = asset || signal.asset;
     signal.entryPrice = entryPrice || signal.entryPrice;
-    signal.stopLoss = stopLoss || signal.stopLoss;
-    signal.takeProfit = takeProfit || signal.takeProfit;
     signal.reasoning = reasoning || signal.reasoning;
     signal.entryType = entryType || signal.entryType;
-    signal.category = 'Premium users';
-    signal.publishTiming = publishTiming || signal.publishTiming;
-    signal.publishDate = publishTiming === 'Scheduled Publish' ? new Date(publishDate + ' ' + publishTime) : new Date();
-    signal.status = publishTiming === 'Immediate Publish' ? 'Published' : 'Scheduled';
+    signal.category = category || signal.category;
+    // Until the trade is live the levels can be edited freely, and the stop loss still defines 1R
+    if (signal.state === 'pending') {
+      signal.stopLoss = stopLoss || signal.stopLoss;
+      signal.initialStopLoss = signal.stopLoss;
+      signal.targets = nextTargets;
+      signal.takeProfit = nextTargets[nextTargets.length - 1].price;
+      if (signal.breakevenAfter >= nextTargets.length) signal.breakevenAfter = undefined;
+    }
 
-    const existingJob = schedule.scheduledJobs[signalId];
-    if (existingJob) existingJob.cancel();
+    if (publishTiming) {
+      signal.publishTiming = publishTiming;
+      signal.publishDate = publishTiming === 'Scheduled Publish' ? new Date(publishDate + ' ' + publishTime) : new Date();
+      signal.status = 'Scheduled';
 
-    if (publishTiming === 'Scheduled Publish' && publishDate && publishTime) {
-      const scheduledDateTime = new Date(publishDate + ' ' + publishTime);
-      if (scheduledDateTime > new Date()) {
-        schedule.scheduleJob(signalId, scheduledDateTime, async () => {
-          const updatedSignal = await Signal.findOne({ signalId });
-          if (updatedSignal && updatedSignal.status === 'Scheduled') {
-            updatedSignal.status = 'Published';
-            await updatedSignal.save();
-            io.emit('newSignal', {
-              signalId: updatedSignal.signalId,
-              date: updatedSignal.date,
-              profitLoss: updatedSignal.entryPrice - updatedSignal.stopLoss,
-              tradeCount: 1,
-              pipMovement: '2.00R +' + (updatedSignal.takeProfit - updatedSignal.entryPrice) + ' pips'
-            });
-          }
-        });
+      await cancelPublish(signalId);
+
+      if (publishTiming === 'Immediate Publish') {
+        publishSignal(signal);
+      } else if (publishDate && publishTime) {
+        const scheduledDateTime = new Date(publishDate + ' ' + publishTime);
+        if (scheduledDateTime > new Date()) {
+          await schedulePublish(signalId, scheduledDateTime, req.user.id);
+        }
       }
     }
+    if (signal.state === 'pending' && (expiresAt || publishTiming || entryType)) {
+      signal.expiresAt = expiresAt ? new Date(expiresAt) : defaultExpiry(signal);
+    }
 
     await signal.save();
     res.json({ message: 'Signal updated successfully', signal });
@@ -354,13 +588,257 @@ router.put('/edit/:signalId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/signals/update/{signalId}:
+ *   put:
+ *     summary: Adjust the stop loss or targets of an open signal
+ *     description: Moves the stop loss (e.g. to breakeven after TP1) and/or changes the targets of a pending or active signal. Targets that were already hit cannot change, and the stop of an active signal cannot be moved past the last price the resolver saw. Every change is logged in the signal's adjustments with a timestamp and the analyst who made it, and a `signalUpdated` socket event is emitted. R multiples keep being measured against the stop loss the signal was published with.
+ *     tags: [Signals API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: signalId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "S501"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stopLoss:
+ *                 type: number
+ *                 example: 11500
+ *               targets:
+ *                 type: array
+ *                 description: The complete target list, nearest first
+ *                 items:
+ *                   $ref: '#/components/schemas/SignalTarget'
+ *               note:
+ *                 type: string
+ *                 example: "SL to breakeven after TP1"
+ *     responses:
+ *       '200':
+ *         description: Signal adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Signal adjusted successfully"
+ *                 adjustments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SignalAdjustment'
+ *                 signal:
+ *                   $ref: '#/components/schemas/Signal'
+ *       '400':
+ *         description: Nothing to change or invalid levels
+ *       '403':
+ *         description: Insufficient permissions
+ *       '404':
+ *         description: Signal not found
+ *       '409':
+ *         description: Signal is already resolved, cancelled or expired
+ *       '500':
+ *         description: Server error
+ */
+router.put('/update/:signalId', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), async (req, res) => {
+  const { stopLoss, targets, note } = req.body;
+
+  if (stopLoss === undefined && targets === undefined) {
+    return res.status(400).json({ error: 'stopLoss or targets is required' });
+  }
+  if (targets !== undefined && !Array.isArray(targets)) {
+    return res.status(400).json({ error: 'Targets must be an array' });
+  }
+
+  try {
+    const signal = await Signal.findOne({ signalId: req.params.signalId });
+    if (!signal) return res.status(404).json({ error: 'Signal not found' });
+    if (!OPEN_STATES.includes(signal.state)) {
+      return res.status(409).json({ error: `Signal is already ${signal.state} and can no longer be adjusted` });
+    }
+
+    const { error, adjustments } = adjustSignal(signal, { stopLoss, targets, note }, req.user.id);
+    if (error) return res.status(400).json({ error });
+    if (adjustments.length === 0) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
+    await signal.save();
+
+    broadcastSignal(req.app.get('io'), 'signalUpdated', signal, {
+      ...signalEvent(signal),
+      adjustments: signal.adjustments.slice(-adjustments.length)
+    });
+    res.json({ message: 'Signal adjusted successfully', adjustments: signal.adjustments.slice(-adjustments.length), signal });
+  } catch (error) {
+    console.error('Signal Error:', error);
+    res.status(500).json({ error: 'Error adjusting signal' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/cancel/{signalId}:
+ *   post:
+ *     summary: Cancel a pending signal
+ *     description: Withdraws a signal whose entry has not been reached yet (scheduled signals and unfilled limit entries). Active signals run until take-profit or stop-loss. Cancelled signals do not count towards performance. Limit orders copy trading placed for the signal are cancelled on the users' accounts by a background job, which records the outcome on each copy.
+ *     tags: [Signals API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: signalId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "S501"
+ *     responses:
+ *       '200':
+ *         description: Signal cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Signal cancelled successfully"
+ *                 signal:
+ *                   $ref: '#/components/schemas/Signal'
+ *       '403':
+ *         description: Insufficient permissions
+ *       '404':
+ *         description: Signal not found
+ *       '409':
+ *         description: Signal is no longer pending
+ *       '500':
+ *         description: Server error
+ */
+router.post('/cancel/:signalId', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), async (req, res) => {
+  try {
+    const { signalId } = req.params;
+    const signal = await Signal.findOneAndUpdate(
+      { signalId, state: 'pending' },
+      { state: 'cancelled', closedAt: new Date() },
+      { new: true }
+    );
+    if (!signal) {
+      const existing = await Signal.findOne({ signalId });
+      if (!existing) return res.status(404).json({ error: 'Signal not found' });
+      return res.status(409).json({ error: `Only pending signals can be cancelled; this one is ${existing.state}` });
+    }
+
+    await cancelPublish(signalId);
+    await queueCopyCancel(signalId);
+
+    broadcastSignal(req.app.get('io'), 'signalStatusChanged', signal, lifecycleEvent(signal));
+    res.json({ message: 'Signal cancelled successfully', signal });
+  } catch (error) {
+    console.error('Signal Error:', error);
+    res.status(500).json({ error: 'Error cancelling signal' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/replay:
+ *   post:
+ *     summary: Preview open signals against recorded quotes
+ *     description: Runs the pending and active signals of one asset through the given quotes, oldest first, exactly as the live price-feed worker would, and returns the changes without saving them. Signals, Performance and copy trades are only ever moved by the live feed. Quotes at or before the last one already applied to a signal are skipped, and quotes later than now are rejected.
+ *     tags: [Signals API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asset:
+ *                 type: string
+ *                 example: "XAU/USD"
+ *               quotes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     time:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2025-06-27T14:31:00Z"
+ *                     price:
+ *                       type: number
+ *                       example: 3312.4
+ *                     bid:
+ *                       type: number
+ *                     ask:
+ *                       type: number
+ *     responses:
+ *       '200':
+ *         description: Signals whose state the quotes would change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                   example: true
+ *                 updated:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SignalLifecycle'
+ *       '400':
+ *         description: Missing asset, invalid quotes or quotes in the future
+ *       '403':
+ *         description: Insufficient permissions
+ *       '500':
+ *         description: Server error
+ */
+router.post('/replay', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), async (req, res) => {
+  const { asset, quotes } = req.body;
+
+  if (!asset || !Array.isArray(quotes) || quotes.length === 0) {
+    return res.status(400).json({ error: 'Asset and a non-empty quotes array are required' });
+  }
+  const isPrice = value => typeof value === 'number' && isFinite(value);
+  const invalid = quotes.some(quote => !quote || isNaN(new Date(quote.time))
+    || !(isPrice(quote.price) || (isPrice(quote.bid) && isPrice(quote.ask))));
+  if (invalid) {
+    return res.status(400).json({ error: 'Every quote needs a time and either a price or a bid and ask' });
+  }
+  if (quotes.some(quote => new Date(quote.time) > new Date())) {
+    return res.status(400).json({ error: 'Quotes cannot be later than now' });
+  }
+
+  try {
+    const changed = await resolveSignals(createReplaySource({ [asset]: quotes }), { asset, dryRun: true });
+    res.json({ dryRun: true, updated: changed.map(lifecycleEvent) });
+  } catch (error) {
+    console.error('Signal Error:', error);
+    res.status(500).json({ error: 'Error replaying quotes' });
+  }
+});
+
 /**
  * @swagger
  * /api/signals/delete/{signalId}:
  *   delete:
  *     summary: Delete a signal
- *     description: Removes a signal, visible only to Premium users with unlocked access.
+ *     description: Removes a signal, visible only to Premium users with unlocked access. Limit orders copy trading placed for it and that are still waiting are cancelled on the users' accounts.
  *     tags: [Signals API]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: signalId
  *         in: path
@@ -379,6 +857,8 @@ router.put('/edit/:signalId', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Signal deleted successfully"
+ *       '403':
+ *         description: Insufficient permissions
  *       '404':
  *         description: Signal not found
  *         content:
@@ -400,17 +880,21 @@ router.put('/edit/:signalId', async (req, res) => {
  *                   type: string
  *                   example: "Error deleting signal"
  */
-router.delete('/delete/:signalId', async (req, res) => {
+router.delete('/delete/:signalId', authenticateToken, requirePermission(PERMISSIONS.SIGNALS_MANAGE), async (req, res) => {
   try {
     const { signalId } = req.params;
     const signal = await Signal.findOneAndDelete({ signalId });
     if (!signal) return res.status(404).json({ error: 'Signal not found' });
 
-    const io = req.app.get('io');
-    io.emit('signalDeleted', { signalId });
+    broadcastToAll(req.app.get('io'), 'signalDeleted', { signalId });
 
-    const existingJob = schedule.scheduledJobs[signalId];
-    if (existingJob) existingJob.cancel();
+    await cancelPublish(signalId);
+    await queueCopyCancel(signalId);
+    await SignalComment.deleteMany({ signalId });
+
+    if (RESOLVED_STATES.includes(signal.state)) {
+      await recomputePerformance();
+    }
 
     res.json({ message: 'Signal deleted successfully' });
   } catch (error) {
@@ -419,12 +903,48 @@ router.delete('/delete/:signalId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/signals/instruments:
+ *   get:
+ *     summary: List the instrument registry
+ *     description: Pip size, price digits, contract size and quote currency of the instruments signals are measured in. Pass `symbol` to resolve one symbol the way signals do (broker suffixes and aliases such as GOLD are accepted; unlisted currency pairs follow the forex conventions).
+ *     tags: [Signals API]
+ *     parameters:
+ *       - name: symbol
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "XAUUSDm"
+ *     responses:
+ *       '200':
+ *         description: Registry entries, or the resolved instrument when symbol is given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 instruments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Instrument'
+ *                 instrument:
+ *                   $ref: '#/components/schemas/Instrument'
+ */
+router.get('/instruments', (req, res) => {
+  if (req.query.symbol) {
+    return res.json({ instrument: getInstrument(req.query.symbol) });
+  }
+  res.json({ instruments: Object.keys(INSTRUMENTS).map(getInstrument) });
+});
+
 /**
  * @swagger
  * /api/signals/performance:
  *   get:
  *     summary: Retrieve performance metrics
- *     description: Fetches performance metrics and historical data for analytics, visible only to Premium users.
+ *     description: Fetches performance metrics and historical data for analytics, visible only to Premium users. Only signals that reached take-profit, stop-loss or breakeven are counted, with the price movement from entry to the level that was hit; it is recomputed whenever a signal resolves. Cancelled and expired signals are left out.
  *     tags: [Signals API]
  *     responses:
  *       '200':
@@ -436,10 +956,30 @@ router.delete('/delete/:signalId', async (req, res) => {
  *               properties:
  *                 totalProfitLoss:
  *                   type: number
+ *                   description: Total result in pips
  *                   example: 1500
  *                 tradeCount:
  *                   type: number
  *                   example: 10
+ *                 wins:
+ *                   type: number
+ *                   example: 6
+ *                 losses:
+ *                   type: number
+ *                   example: 3
+ *                 breakevens:
+ *                   type: number
+ *                   example: 1
+ *                 winRate:
+ *                   type: number
+ *                   description: Wins as a percentage of wins and losses
+ *                   example: 66.67
+ *                 totalR:
+ *                   type: number
+ *                   example: 9
+ *                 averageR:
+ *                   type: number
+ *                   example: 0.9
  *                 historicalData:
  *                   type: array
  *                   items:
@@ -451,13 +991,28 @@ router.delete('/delete/:signalId', async (req, res) => {
  *                       date:
  *                         type: string
  *                         format: date-time
+ *                         description: When the signal resolved
  *                         example: "2025-06-27T02:16:00Z"
+ *                       asset:
+ *                         type: string
+ *                         example: "EUR/USD"
+ *                       state:
+ *                         type: string
+ *                         enum: [tp_hit, sl_hit, breakeven]
  *                       profitLoss:
  *                         type: number
+ *                         description: Result in pips of the signal's instrument, weighted across the partial closes
  *                         example: 50
- *                       pipMovement:
- *                         type: string
- *                         example: "2.00R +25 pips"
+ *                       resultR:
+ *                         type: number
+ *                         description: R multiple weighted across the partial closes
+ *                         example: 2
+ *                       targetsHit:
+ *                         type: number
+ *                         example: 2
+ *                       plannedRR:
+ *                         type: number
+ *                         example: 2.5
  *       '500':
  *         description: Server error
  *         content:
@@ -473,7 +1028,7 @@ router.get('/performance', async (req, res) => {
   try {
     const performance = await Performance.findOne();
     if (!performance) {
-      return res.json({ totalProfitLoss: 0, tradeCount: 0, historicalData: [] });
+      return res.json({ totalProfitLoss: 0, tradeCount: 0, wins: 0, losses: 0, breakevens: 0, winRate: 0, totalR: 0, averageR: 0, historicalData: [] });
     }
     res.json(performance);
   } catch (error) {
@@ -481,6 +1036,132 @@ router.get('/performance', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/signals/track-record:
+ *   get:
+ *     summary: Public track record of resolved signals
+ *     description: |
+ *       Aggregates the resolved signals in the performance record (see GET /api/signals/performance): overall and monthly win rate, result and cumulative result in R, the maximum drawdown of the cumulative R curve, the longest losing streak and a per-asset breakdown. Results come from the price-feed worker, not from analysts, and are weighted across partial closes. Wins and losses go by the sign of the result; breakevens count as neither.
+ *
+ *       `digest` is a SHA-256 over the listed signals; the downloadable report for the same filters shows the same digest.
+ *     tags: [Signals API]
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         description: Only signals resolved at or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-01-01"
+ *       - name: to
+ *         in: query
+ *         description: Only signals resolved at or before this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-06-30"
+ *       - name: asset
+ *         in: query
+ *         description: Only signals on this instrument, in any spelling the instrument registry knows (XAUUSD, XAU/USD, GOLD)
+ *         schema:
+ *           type: string
+ *           example: "XAUUSD"
+ *     responses:
+ *       '200':
+ *         description: Track record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrackRecord'
+ *       '400':
+ *         description: Invalid date range
+ *       '500':
+ *         description: Server error
+ */
+router.get('/track-record', async (req, res) => {
+  const filters = trackRecordFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    res.json(await getTrackRecord(filters));
+  } catch (error) {
+    console.error('Track Record Error:', error);
+    res.status(500).json({ error: 'Error fetching track record' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/track-record/report:
+ *   get:
+ *     summary: Download the track record as a PDF or HTML report
+ *     description: Renders GET /api/signals/track-record for the same filters as a shareable report with the summary, monthly and per-asset tables and the digest.
+ *     tags: [Signals API]
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: asset
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The report as an attachment
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       '400':
+ *         description: Invalid format or date range
+ *       '500':
+ *         description: Server error
+ */
+router.get('/track-record/report', async (req, res) => {
+  const { format = 'pdf' } = req.query;
+  if (!['pdf', 'html'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be pdf or html' });
+  }
+  const filters = trackRecordFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const record = await getTrackRecord(filters);
+    const filename = `track-record-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(filename);
+    if (format === 'html') {
+      res.type('html').send(renderTrackRecordHtml(record));
+    } else {
+      res.type('pdf').send(await renderTrackRecordPdf(record));
+    }
+  } catch (error) {
+    console.error('Track Record Error:', error);
+    res.status(500).json({ error: 'Error generating track record report' });
+  }
+});
+
 module.exports = router;
 
 /**
@@ -500,6 +1181,13 @@ module.exports = router;
  *         asset:
  *           type: string
  *           example: "EUR/USD"
+ *         symbol:
+ *           type: string
+ *           description: Instrument registry symbol of the asset
+ *           example: "EURUSD"
+ *         createdBy:
+ *           type: string
+ *           description: User id of the analyst who created the signal
  *         entryPrice:
  *           type: number
  *           example: 11500
@@ -518,7 +1206,7 @@ module.exports = router;
  *           example: "Sell"
  *         category:
  *           type: string
- *           enum: [Premium users]
+ *           enum: [All users, Premium users, Free users]
  *           example: "Premium users"
  *         publishTiming:
  *           type: string
@@ -535,4 +1223,319 @@ module.exports = router;
  *           type: string
  *           enum: [Published, Scheduled]
  *           example: "Scheduled"
+ *         targets:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SignalTarget'
+ *         breakevenAfter:
+ *           type: integer
+ *           example: 1
+ *         pipSize:
+ *           type: number
+ *           description: From the instrument registry, see GET /api/signals/instruments
+ *           example: 0.0001
+ *         riskPips:
+ *           type: number
+ *           description: Distance from the entry to the initial stop loss
+ *           example: 50
+ *         rewardPips:
+ *           type: number
+ *           description: Distance from the entry to the targets, weighted by their close percentages
+ *           example: 75
+ *         plannedRR:
+ *           type: number
+ *           example: 1.5
+ *         adjustments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SignalAdjustment'
+ *         state:
+ *           type: string
+ *           enum: [pending, active, tp_hit, sl_hit, breakeven, cancelled, expired]
+ *           example: "active"
+ *         initialStopLoss:
+ *           type: number
+ *           example: 11450
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         activatedAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         closePrice:
+ *           type: number
+ *           example: 11550
+ *         resultPoints:
+ *           type: number
+ *           example: 50
+ *         resultPips:
+ *           type: number
+ *           example: 50
+ *         resultR:
+ *           type: number
+ *           example: 1
+ *     RedactedSignal:
+ *       type: object
+ *       description: What free users see of an open premium signal
+ *       properties:
+ *         signalId:
+ *           type: string
+ *           example: "S501"
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         asset:
+ *           type: string
+ *           example: "XAU/USD"
+ *         direction:
+ *           type: string
+ *           enum: [Buy, Sell]
+ *         category:
+ *           type: string
+ *           example: "Premium users"
+ *         state:
+ *           type: string
+ *           example: "active"
+ *         locked:
+ *           type: boolean
+ *           example: true
+ *         unlocksAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the full signal becomes visible to free users
+ *     TrackRecordStats:
+ *       type: object
+ *       properties:
+ *         trades:
+ *           type: integer
+ *           example: 24
+ *         wins:
+ *           type: integer
+ *           example: 14
+ *         losses:
+ *           type: integer
+ *           example: 8
+ *         breakevens:
+ *           type: integer
+ *           example: 2
+ *         winRate:
+ *           type: number
+ *           description: Wins as a percentage of wins and losses
+ *           example: 63.64
+ *         totalR:
+ *           type: number
+ *           example: 11.5
+ *         averageR:
+ *           type: number
+ *           example: 0.48
+ *     TrackRecord:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: object
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             to:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             asset:
+ *               type: string
+ *               nullable: true
+ *         summary:
+ *           $ref: '#/components/schemas/TrackRecordStats'
+ *         maxDrawdown:
+ *           type: object
+ *           description: Largest fall of the cumulative R curve from a previous high
+ *           properties:
+ *             r:
+ *               type: number
+ *               example: 3.2
+ *             from:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: When the curve peaked (null when it never rose above 0)
+ *             to:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *         longestLosingStreak:
+ *           type: object
+ *           properties:
+ *             length:
+ *               type: integer
+ *               example: 3
+ *             r:
+ *               type: number
+ *               example: -3
+ *             from:
+ *               type: string
+ *               format: date-time
+ *             to:
+ *               type: string
+ *               format: date-time
+ *         monthly:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   month:
+ *                     type: string
+ *                     example: "2025-06"
+ *                   cumulativeR:
+ *                     type: number
+ *                     example: 6.5
+ *               - $ref: '#/components/schemas/TrackRecordStats'
+ *         assets:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   asset:
+ *                     type: string
+ *                     example: "XAUUSD"
+ *                   pips:
+ *                     type: number
+ *                     example: 820
+ *               - $ref: '#/components/schemas/TrackRecordStats'
+ *         signals:
+ *           type: array
+ *           description: The resolved signals the figures are built from, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               signalId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               asset:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *                 enum: [tp_hit, sl_hit, breakeven]
+ *               profitLoss:
+ *                 type: number
+ *                 description: Pips
+ *               resultR:
+ *                 type: number
+ *               plannedRR:
+ *                 type: number
+ *               targetsHit:
+ *                 type: integer
+ *         digest:
+ *           type: string
+ *           description: SHA-256 over the listed signals, shown on the downloadable report
+ *     Instrument:
+ *       type: object
+ *       properties:
+ *         symbol:
+ *           type: string
+ *           example: "XAUUSD"
+ *         type:
+ *           type: string
+ *           enum: [forex, metal, commodity, index, crypto, other]
+ *         pipSize:
+ *           type: number
+ *           example: 0.1
+ *         digits:
+ *           type: integer
+ *           example: 2
+ *         contractSize:
+ *           type: number
+ *           example: 100
+ *         quoteCurrency:
+ *           type: string
+ *           example: "USD"
+ *         known:
+ *           type: boolean
+ *           description: False when the symbol is not recognised and default pricing is assumed
+ *     SignalTarget:
+ *       type: object
+ *       properties:
+ *         price:
+ *           type: number
+ *           example: 11550
+ *         closePercent:
+ *           type: number
+ *           description: Share of the original position closed at this target
+ *           example: 50
+ *         pips:
+ *           type: number
+ *           example: 50
+ *         rr:
+ *           type: number
+ *           example: 1
+ *         hitAt:
+ *           type: string
+ *           format: date-time
+ *     SignalAdjustment:
+ *       type: object
+ *       properties:
+ *         field:
+ *           type: string
+ *           enum: [stopLoss, targetPrice, targetPercent]
+ *         target:
+ *           type: integer
+ *           description: Target number for target changes
+ *           example: 2
+ *         from:
+ *           type: number
+ *           example: 11450
+ *         to:
+ *           type: number
+ *           example: 11500
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         by:
+ *           type: string
+ *           description: User who made the change; empty for automatic breakeven moves
+ *         note:
+ *           type: string
+ *     SignalLifecycle:
+ *       type: object
+ *       description: Payload of the `signalStatusChanged` socket event
+ *       properties:
+ *         signalId:
+ *           type: string
+ *           example: "S501"
+ *         state:
+ *           type: string
+ *           enum: [pending, active, tp_hit, sl_hit, breakeven, cancelled, expired]
+ *           example: "tp_hit"
+ *         stopLoss:
+ *           type: number
+ *           example: 11500
+ *         targets:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SignalTarget'
+ *         activatedAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         closePrice:
+ *           type: number
+ *           example: 11550
+ *         resultPoints:
+ *           type: number
+ *           example: 50
+ *         resultPips:
+ *           type: number
+ *           example: 50
+ *         resultR:
+ *           type: number
+ *           example: 1
  */
\ No newline at end of file
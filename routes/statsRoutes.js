@@ -1,63 +1,28 @@
 const express = require('express');
 require('dotenv').config();
 const router = express.Router();
-const Stats = require('../models/Stats');
-const User = require('../models/User'); // Import User model
-const axios = require('axios');
 const { authenticateToken } = require('../middleware/auth');
-
-// MT5 Flask service URL
-const MT5_SERVICE_URL = process.env.PYTHON_SERVER_URL;
-
-// Helper function to fetch and save MT5 metrics for the authenticated user
-async function fetchAndSaveMT5Metrics(userId) {
-  try {
-    // Fetch user data to get MT5 credentials
-    const user = await User.findById(userId).select('mt5Login mt5Password mt5Server');
-    if (!user || !user.mt5Login || !user.mt5Password || !user.mt5Server) {
-      throw new Error('MT5 credentials not found or incomplete');
-    }
-
-    const credentials = {
-      login: user.mt5Login,
-      password: user.mt5Password,
-      server: user.mt5Server,
-    };
-
-    const response = await axios.post(`${MT5_SERVICE_URL}/connect`, credentials);
-    if (!response.data.success) {
-      throw new Error(response.data.error);
-    }
-
-    const { metrics } = response.data;
-    const allMetrics = [...metrics.default, ...metrics.custom];
-
-    // Clear existing metrics for this user and insert new ones
-    await Stats.deleteMany({ userId });
-    const newMetrics = allMetrics.map(metric => ({
-      ...metric,
-      userId,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    }));
-    await Stats.insertMany(newMetrics);
-
-    return newMetrics;
-  } catch (error) {
-    console.error('MT5 Fetch Error:', error.message);
-    throw error;
-  }
-}
+const { getMetrics, getHistory, syncNow } = require('../services/statsService');
+const { evaluateCustomMetrics } = require('../services/customMetricService');
+const { INTERVALS } = require('../utils/timeSeries');
 
 /**
  * @swagger
  * /api/stats/default:
  *   get:
  *     summary: Get all default metrics
- *     description: Retrieves a list of default metrics fetched from MT5 account for the authenticated user.
+ *     description: Retrieves the default metrics from the latest stored snapshot of the user's MT5 trading account(s). Snapshots are refreshed by a background job; `stale` is true when the snapshot is older than the expected sync interval.
  *     tags: [Stats API]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - name: accountId
+ *         in: query
+ *         required: false
+ *         description: A trading account id, or "all" to aggregate every linked account. Defaults to the user's default account.
+ *         schema:
+ *           type: string
+ *           example: "all"
  *     responses:
  *       '200':
  *         description: List of default metrics retrieved successfully
@@ -70,6 +35,15 @@ async function fetchAndSaveMT5Metrics(userId) {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Stats'
+ *                 snapshotAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: "2025-07-01T14:00:00Z"
+ *                 stale:
+ *                   type: boolean
+ *                   example: false
+ *       '404':
+ *         description: No trading account linked
  *       '500':
  *         description: Internal server error
  *         content:
@@ -83,25 +57,12 @@ async function fetchAndSaveMT5Metrics(userId) {
  */
 router.get('/default', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('mt5Login mt5Password mt5Server');
-    if (!user || !user.mt5Login || !user.mt5Password || !user.mt5Server) {
-      throw new Error('MT5 credentials not found or incomplete');
-    }
-
-    const credentials = {
-      login: user.mt5Login,
-      password: user.mt5Password,
-      server: user.mt5Server,
-    };
-
-    const response = await axios.post(`${MT5_SERVICE_URL}/connect`, credentials);
-    if (!response.data.success) {
-      throw new Error(response.data.error);
+    const result = await getMetrics(req.user.id, req.query.accountId);
+    if (!result) {
+      return res.status(404).json({ error: 'No trading account linked' });
     }
-
-    const { metrics } = response.data;
-    // const metrics = await Stats.find({ userId: req.user.id, isCustom: false }).sort({ createdAt: -1 });
-    res.json({ default: metrics.default });
+    const { snapshotAt, stale, accounts } = result;
+    res.json({ default: result.default, snapshotAt, stale, accounts });
   } catch (error) {
     console.error('Stats Error:', error);
     res.status(500).json({ error: 'Failed to retrieve default metrics' });
@@ -113,10 +74,18 @@ router.get('/default', authenticateToken, async (req, res) => {
  * /api/stats/custom:
  *   get:
  *     summary: Get all custom metrics
- *     description: Retrieves a list of custom metrics calculated from MT5 data for the authenticated user.
+ *     description: Retrieves the custom metrics from the latest stored snapshot of the user's trading account(s), followed by the metrics the user defined under /api/stats/custom-metrics (marked with `metricId`; a definition that fails to evaluate has value null and an `error`). Snapshots are refreshed by a background job; `stale` is true when the snapshot is older than the expected sync interval.
  *     tags: [Stats API]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - name: accountId
+ *         in: query
+ *         required: false
+ *         description: A trading account id, or "all" to aggregate every linked account. Defaults to the user's default account.
+ *         schema:
+ *           type: string
+ *           example: "all"
  *     responses:
  *       '200':
  *         description: List of custom metrics retrieved successfully
@@ -129,6 +98,15 @@ router.get('/default', authenticateToken, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Stats'
+ *                 snapshotAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: "2025-07-01T14:00:00Z"
+ *                 stale:
+ *                   type: boolean
+ *                   example: false
+ *       '404':
+ *         description: No trading account linked
  *       '500':
  *         description: Internal server error
  *         content:
@@ -142,28 +120,189 @@ router.get('/default', authenticateToken, async (req, res) => {
  */
 router.get('/custom', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('mt5Login mt5Password mt5Server');
-    if (!user || !user.mt5Login || !user.mt5Password || !user.mt5Server) {
-      throw new Error('MT5 credentials not found or incomplete');
+    const result = await getMetrics(req.user.id, req.query.accountId);
+    if (!result) {
+      return res.status(404).json({ error: 'No trading account linked' });
     }
+    const { snapshotAt, stale, accounts } = result;
+    const userDefined = await evaluateCustomMetrics(req.user.id, accounts.map(account => account._id));
+    res.json({ custom: [...result.custom, ...userDefined], snapshotAt, stale, accounts });
+  } catch (error) {
+    console.error('Stats Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve custom metrics' });
+  }
+});
 
-    const credentials = {
-      login: user.mt5Login,
-      password: user.mt5Password,
-      server: user.mt5Server,
-    };
+/**
+ * @swagger
+ * /api/stats/history:
+ *   get:
+ *     summary: Get the history of a metric
+ *     description: Returns a chart-ready time series built from the daily snapshots taken on every sync. Use `balance`, `equity` or `drawdown` (% below the equity peak) for the equity curve, or the name of any default/custom metric. Week and month buckets keep the last value of the period, except drawdown which keeps the deepest value. Average Trade Duration is returned in seconds.
+ *     tags: [Stats API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: metric
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: equity
+ *           example: "Win Rate"
+ *       - name: from
+ *         in: query
+ *         required: false
+ *         description: Start date, defaults to 90 days before `to`
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-06-01"
+ *       - name: to
+ *         in: query
+ *         required: false
+ *         description: End date, defaults to now
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-07-01"
+ *       - name: interval
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - name: accountId
+ *         in: query
+ *         required: false
+ *         description: A trading account id, or "all" to combine every linked account. Defaults to the user's default account.
+ *         schema:
+ *           type: string
+ *           example: "all"
+ *     responses:
+ *       '200':
+ *         description: Metric history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 metric:
+ *                   type: string
+ *                   example: "Win Rate"
+ *                 interval:
+ *                   type: string
+ *                   example: "week"
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 points:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                         example: "2025-06-30T00:00:00Z"
+ *                       value:
+ *                         type: number
+ *                         example: 62.5
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       '400':
+ *         description: Invalid interval or date range
+ *       '404':
+ *         description: No trading account linked
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/history', authenticateToken, async (req, res) => {
+  const { metric, interval = 'day', accountId } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
 
-    const response = await axios.post(`${MT5_SERVICE_URL}/connect`, credentials);
-    if (!response.data.success) {
-      throw new Error(response.data.error);
+  if (!INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `Interval must be one of: ${INTERVALS.join(', ')}` });
+  }
+  if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  try {
+    const history = await getHistory(req.user.id, accountId, { metric, from, to, interval });
+    if (!history) {
+      return res.status(404).json({ error: 'No trading account linked' });
     }
+    res.json(history);
+  } catch (error) {
+    console.error('Stats History Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve metric history' });
+  }
+});
 
-    const { metrics } = response.data;
-    // const metrics = await Stats.find({ userId: req.user.id, isCustom: false }).sort({ createdAt: -1 });
-    res.json({ custom: metrics.custom });
+/**
+ * @swagger
+ * /api/stats/sync:
+ *   post:
+ *     summary: Sync metrics now
+ *     description: Pulls fresh metrics from MT5 for the requested account(s) instead of waiting for the background job. Each account can be synced at most once per cooldown period.
+ *     tags: [Stats API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               accountId:
+ *                 type: string
+ *                 description: A trading account id, or "all". Defaults to the user's default account.
+ *                 example: "all"
+ *     responses:
+ *       '200':
+ *         description: Metrics synced
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Metrics synced"
+ *                 synced:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       '404':
+ *         description: No trading account linked
+ *       '429':
+ *         description: Synced too recently, retry after the number of seconds in retryAfter
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/sync', authenticateToken, async (req, res) => {
+  try {
+    const result = await syncNow(req.user.id, req.body?.accountId);
+    if (!result) {
+      return res.status(404).json({ error: 'No trading account linked' });
+    }
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ error: 'Metrics were synced recently, please try again later', retryAfter: result.retryAfter });
+    }
+    res.json({ message: 'Metrics synced', synced: result.synced });
   } catch (error) {
-    console.error('Stats Error:', error);
-    res.status(500).json({ error: 'Failed to retrieve custom metrics' });
+    console.error('Stats Sync Error:', error);
+    res.status(500).json({ error: 'Failed to sync metrics' });
   }
 });
 
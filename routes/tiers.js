@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const AffiliateTier = require('../models/AffiliateTier');
-const { authenticateToken } = require('../middleware/auth'); // Assume admin-only middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const moment = require('moment-timezone'); // For date handling
 
 /**
@@ -176,12 +177,14 @@ router.get('/', authenticateToken, async (req, res) => {
  *                   $ref: '#/components/schemas/Tier'
  *       400:
  *         description: Invalid tier name
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Tier not found
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.TIERS_MANAGE), async (req, res) => {
   try {
     const { name, commissionType, commissionRate, minReferrals, revenusGenerated, bonusPoints, specialBadges } = req.body;
     // Validate that only existing tiers can be edited
@@ -0,0 +1,370 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const Trade = require('../models/Trade');
+const { listTrades } = require('../services/tradeService');
+const { resolveAccount } = require('../services/mt5Service');
+const { importStatement } = require('../services/importService');
+const { getAdapter } = require('../services/platforms');
+const { FORMATS } = require('../utils/statementParser');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Trade:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ef1"
+ *         accountId:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ee0"
+ *         positionId:
+ *           type: number
+ *           example: 52841236
+ *         leg:
+ *           type: number
+ *           description: 0, or the number of times a netting position was reversed before this part of it opened
+ *           example: 0
+ *         symbol:
+ *           type: string
+ *           example: "XAUUSD"
+ *         side:
+ *           type: string
+ *           enum: [buy, sell]
+ *         status:
+ *           type: string
+ *           enum: [open, closed]
+ *         volume:
+ *           type: number
+ *           example: 0.5
+ *         closedVolume:
+ *           type: number
+ *           example: 0.5
+ *         openTime:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-07-01T08:15:00Z"
+ *         closeTime:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-07-01T13:40:00Z"
+ *         openPrice:
+ *           type: number
+ *           example: 3310.25
+ *         closePrice:
+ *           type: number
+ *           example: 3328.9
+ *         sl:
+ *           type: number
+ *           example: 3300
+ *         tp:
+ *           type: number
+ *           example: 3330
+ *         commission:
+ *           type: number
+ *           example: -3.5
+ *         swap:
+ *           type: number
+ *           example: 0
+ *         fee:
+ *           type: number
+ *           example: 0
+ *         profit:
+ *           type: number
+ *           example: 932.5
+ *
+ * /api/trades:
+ *   get:
+ *     summary: List trades
+ *     description: Returns the authenticated user's trades, newest first. Trades are rebuilt from MT5 deals on every stats sync; each deal is stored once.
+ *     tags: [Trades API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: accountId
+ *         in: query
+ *         required: false
+ *         description: A trading account id, or "all" for every linked account. Defaults to the user's default account.
+ *         schema:
+ *           type: string
+ *           example: "all"
+ *       - name: symbol
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "XAUUSD"
+ *       - name: side
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [buy, sell]
+ *       - name: status
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - name: from
+ *         in: query
+ *         required: false
+ *         description: Only trades opened on or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-06-01"
+ *       - name: to
+ *         in: query
+ *         required: false
+ *         description: Only trades opened on or before this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-07-01"
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       '200':
+ *         description: Page of trades
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 trades:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Trade'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 57
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 3
+ *       '400':
+ *         description: Invalid filter
+ *       '404':
+ *         description: No trading account linked
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  const { accountId, symbol, side, status } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  if (side && !['buy', 'sell'].includes(side)) {
+    return res.status(400).json({ error: 'Side must be buy or sell' });
+  }
+  if (status && !['open', 'closed'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be open or closed' });
+  }
+  if ((from && isNaN(from)) || (to && isNaN(to)) || page < 1) {
+    return res.status(400).json({ error: 'Invalid date range or page' });
+  }
+
+  try {
+    const result = await listTrades(req.user.id, { accountId, symbol, side, status, from, to, page, limit });
+    if (!result) {
+      return res.status(404).json({ error: 'No trading account linked' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Trades Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve trades' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trades/import:
+ *   post:
+ *     summary: Import a trading statement
+ *     description: Imports closed trades from an MT5 or MT4 HTML statement ("Report History" / "Detailed Statement") or a broker CSV, for users who cannot run the MT5 bridge. Trades are stored on an import trading account (created on first import, reused for statements of the same account number) and its metrics are recomputed like calculate_metrics, so /api/stats serves them. Re-importing the same trades updates them instead of adding duplicates.
+ *     tags: [Trades API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [csv, mt5-html, mt4-html]
+ *                 description: Detected from the file content when left out
+ *               mapping:
+ *                 type: string
+ *                 description: CSV only. JSON object mapping trade fields (positionId, symbol, side, volume, openTime, closeTime, openPrice, closePrice, sl, tp, commission, swap, profit) to column headers
+ *                 example: '{"symbol":"Instrument","profit":"Net P/L"}'
+ *               accountId:
+ *                 type: string
+ *                 description: Existing import account to add the trades to
+ *               label:
+ *                 type: string
+ *                 example: "FTMO statement"
+ *     responses:
+ *       '201':
+ *         description: Statement imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Statement imported successfully"
+ *                 imported:
+ *                   type: integer
+ *                   example: 42
+ *                 account:
+ *                   $ref: '#/components/schemas/TradingAccount'
+ *                 default:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Stats'
+ *                 custom:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Stats'
+ *       '400':
+ *         description: Missing or unreadable file, invalid format or mapping
+ *       '404':
+ *         description: Trading account not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/import', authenticateToken, upload.single('file'), async (req, res) => {
+  const { format, accountId, label } = req.body || {};
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'A statement file is required' });
+  }
+  if (format && !FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${FORMATS.join(', ')}` });
+  }
+
+  let mapping;
+  try {
+    mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+  } catch (error) {
+    mapping = null;
+  }
+  if (mapping === null || (mapping && (typeof mapping !== 'object' || Array.isArray(mapping)))) {
+    return res.status(400).json({ error: 'Mapping must be a JSON object' });
+  }
+
+  let parsed;
+  try {
+    parsed = getAdapter('import').parse(req.file.buffer, { format, mapping });
+  } catch (error) {
+    return res.status(400).json({ error: `Could not read statement: ${error.message}` });
+  }
+  if (parsed.trades.length === 0) {
+    return res.status(400).json({ error: 'No closed trades found in the statement' });
+  }
+
+  try {
+    let account;
+    if (accountId) {
+      account = await resolveAccount(req.user.id, accountId);
+      if (!account) {
+        return res.status(404).json({ error: 'Trading account not found' });
+      }
+      if (account.platform !== 'import') {
+        return res.status(400).json({ error: 'Statements can only be imported into import accounts' });
+      }
+    }
+
+    const result = await importStatement(req.user.id, parsed, { account, label });
+    res.status(201).json({
+      message: 'Statement imported successfully',
+      imported: result.imported,
+      account: result.account,
+      default: result.metrics.default,
+      custom: result.metrics.custom,
+    });
+  } catch (error) {
+    console.error('Trade Import Error:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trades/{id}:
+ *   get:
+ *     summary: Get a trade
+ *     description: Returns one of the authenticated user's trades, including the MT5 deal tickets it was built from.
+ *     tags: [Trades API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ef1"
+ *     responses:
+ *       '200':
+ *         description: Trade retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       '404':
+ *         description: Trade not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Trade not found' });
+  }
+
+  try {
+    const trade = await Trade.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!trade) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+    res.json(trade);
+  } catch (error) {
+    console.error('Trades Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve trade' });
+  }
+});
+
+module.exports = router;
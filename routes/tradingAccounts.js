@@ -0,0 +1,318 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { connectAccount, resolveAccount, resolveAccounts, setDefaultAccount, disconnectAccount } = require('../services/mt5Service');
+const { getAdapter } = require('../services/platforms');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TradingAccount:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ee0"
+ *         label:
+ *           type: string
+ *           example: "Prop firm challenge"
+ *         platform:
+ *           type: string
+ *           enum: [mt5, import]
+ *           description: mt5 accounts sync through the bridge, import accounts are fed by uploaded statements
+ *           example: "mt5"
+ *         broker:
+ *           type: string
+ *           example: "IC Markets"
+ *         login:
+ *           type: string
+ *           example: "123456"
+ *         server:
+ *           type: string
+ *           example: "ICMarketsSC-Demo"
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         isDefault:
+ *           type: boolean
+ *           example: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-07-01T14:06:00Z"
+ *
+ * /api/trading-accounts:
+ *   get:
+ *     summary: List linked trading accounts
+ *     description: Retrieves every trading account the authenticated user has linked. Credentials are never returned.
+ *     tags: [Trading Accounts API]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: List of trading accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradingAccount'
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const accounts = await resolveAccounts(req.user.id, 'all');
+    res.json({ accounts });
+  } catch (error) {
+    console.error('Trading Account Error:', error);
+    res.status(500).json({ error: 'Failed to retrieve trading accounts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trading-accounts:
+ *   post:
+ *     summary: Link a new trading account
+ *     description: Verifies the credentials with the trading platform and links the account. MT5 accounts need server, login and password (checked against the MT5 bridge); cTrader accounts need an Open API accessToken and the ctidTraderAccountId. Secrets are stored encrypted. The first linked account becomes the default. Import accounts are created by POST /api/trades/import.
+ *     tags: [Trading Accounts API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               platform:
+ *                 type: string
+ *                 enum: [mt5, ctrader]
+ *                 default: mt5
+ *               label:
+ *                 type: string
+ *                 example: "Personal"
+ *               broker:
+ *                 type: string
+ *                 example: "IC Markets"
+ *               server:
+ *                 type: string
+ *                 example: "ICMarketsSC-Demo"
+ *               login:
+ *                 type: string
+ *                 example: "123456"
+ *               password:
+ *                 type: string
+ *                 example: "yourpassword"
+ *               currency:
+ *                 type: string
+ *                 example: "USD"
+ *               accessToken:
+ *                 type: string
+ *                 description: cTrader only
+ *               ctidTraderAccountId:
+ *                 type: string
+ *                 description: cTrader only
+ *                 example: "5291983"
+ *               environment:
+ *                 type: string
+ *                 enum: [live, demo]
+ *                 description: cTrader only
+ *     responses:
+ *       '201':
+ *         description: Trading account linked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Trading account linked successfully"
+ *                 account:
+ *                   $ref: '#/components/schemas/TradingAccount'
+ *       '400':
+ *         description: Missing fields
+ *       '500':
+ *         description: Failed to connect to the trading platform
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  const { platform = 'mt5', label, broker, currency } = req.body;
+  const adapter = getAdapter(platform);
+
+  if (!adapter || !adapter.live) {
+    return res.status(400).json({ error: 'Platform must be mt5 or ctrader' });
+  }
+  const missing = ['label', ...adapter.requiredFields].filter(field => !req.body[field]);
+  if (missing.length > 0) {
+    return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
+  }
+
+  const credentials = Object.fromEntries(
+    [...adapter.requiredFields, 'environment'].filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+  );
+
+  try {
+    const { account } = await connectAccount(req.user.id, { platform, label, broker, currency, ...credentials });
+    res.status(201).json({ message: 'Trading account linked successfully', account });
+  } catch (error) {
+    console.error('Trading Account Error:', error.message);
+    res.status(500).json({ error: `Failed to connect to ${platform}`, detail: error.response?.data });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trading-accounts/{id}:
+ *   put:
+ *     summary: Update a trading account
+ *     description: Updates the label, broker or currency of a linked account. Use POST /api/trading-accounts to change credentials.
+ *     tags: [Trading Accounts API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ee0"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: "Prop firm challenge"
+ *               broker:
+ *                 type: string
+ *                 example: "FTMO"
+ *               currency:
+ *                 type: string
+ *                 example: "EUR"
+ *     responses:
+ *       '200':
+ *         description: Trading account updated successfully
+ *       '400':
+ *         description: Invalid label, broker or currency
+ *       '404':
+ *         description: Trading account not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  const { label, broker, currency } = req.body;
+  if (label !== undefined && (typeof label !== 'string' || !label.trim())) {
+    return res.status(400).json({ error: 'Label must be a non-empty string' });
+  }
+  if (broker !== undefined && typeof broker !== 'string') {
+    return res.status(400).json({ error: 'Broker must be a string' });
+  }
+  if (currency !== undefined && (typeof currency !== 'string' || !currency.trim())) {
+    return res.status(400).json({ error: 'Currency must be a non-empty string' });
+  }
+
+  try {
+    const account = await resolveAccount(req.user.id, req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Trading account not found' });
+    }
+
+    if (label !== undefined) account.label = label;
+    if (broker !== undefined) account.broker = broker;
+    if (currency !== undefined) account.currency = currency;
+    await account.save();
+
+    res.json({ message: 'Trading account updated successfully', account });
+  } catch (error) {
+    console.error('Trading Account Error:', error);
+    res.status(500).json({ error: 'Failed to update trading account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trading-accounts/{id}/default:
+ *   put:
+ *     summary: Make a trading account the default
+ *     description: The default account is used by the stats endpoints when no accountId is given.
+ *     tags: [Trading Accounts API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ee0"
+ *     responses:
+ *       '200':
+ *         description: Default trading account updated
+ *       '404':
+ *         description: Trading account not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.put('/:id/default', authenticateToken, async (req, res) => {
+  try {
+    const account = await resolveAccount(req.user.id, req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Trading account not found' });
+    }
+
+    const updated = await setDefaultAccount(req.user.id, account._id);
+    res.json({ message: 'Default trading account updated', account: updated });
+  } catch (error) {
+    console.error('Trading Account Error:', error);
+    res.status(500).json({ error: 'Failed to update default trading account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trading-accounts/{id}:
+ *   delete:
+ *     summary: Unlink a trading account
+ *     description: Deletes the account together with its stored credentials and metrics. If it was the default, the oldest remaining account becomes the default.
+ *     tags: [Trading Accounts API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "6862e58aedfe6f3d3e707ee0"
+ *     responses:
+ *       '200':
+ *         description: Trading account removed
+ *       '404':
+ *         description: Trading account not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const account = await resolveAccount(req.user.id, req.params.id);
+    const removed = account && await disconnectAccount(req.user.id, account._id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Trading account not found' });
+    }
+    res.json({ message: `Trading account ${account.label} removed` });
+  } catch (error) {
+    console.error('Trading Account Error:', error);
+    res.status(500).json({ error: 'Failed to remove trading account' });
+  }
+});
+
+module.exports = router;
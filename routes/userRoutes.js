@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
 const multer = require('multer');
 
 // Configure multer for file uploads (memory storage for base64 conversion)
@@ -133,4 +134,219 @@ router.put('/', authenticateToken, upload.single('image'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   post:
+ *     summary: Grant a staff role to a user
+ *     description: Adds one of the staff roles (admin, mentor, analyst, support) to a user. Requires the roles:manage permission.
+ *     tags: [User API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "60d5f8c8a9b1b8c1c8e4f4f4"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, mentor, analyst, support]
+ *                 example: "analyst"
+ *     responses:
+ *       '200':
+ *         description: Role granted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Role granted successfully"
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       '400':
+ *         description: Invalid role
+ *       '403':
+ *         description: Insufficient permissions
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/:id/roles', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(id, { $addToSet: { roles: role } }, { new: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ message: 'Role granted successfully', roles: user.roles });
+  } catch (error) {
+    console.error('User Error:', error);
+    res.status(500).json({ error: 'Failed to grant role' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/roles/{role}:
+ *   delete:
+ *     summary: Revoke a staff role from a user
+ *     description: Removes a staff role from a user. Requires the roles:manage permission. Admins cannot revoke their own admin role.
+ *     tags: [User API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "60d5f8c8a9b1b8c1c8e4f4f4"
+ *       - name: role
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, mentor, analyst, support]
+ *           example: "analyst"
+ *     responses:
+ *       '200':
+ *         description: Role revoked successfully
+ *       '400':
+ *         description: Invalid role or attempt to revoke own admin role
+ *       '403':
+ *         description: Insufficient permissions
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete('/:id/roles/:role', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  const { id, role } = req.params;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (role === 'admin' && id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot revoke your own admin role' });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(id, { $pull: { roles: role } }, { new: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ message: 'Role revoked successfully', roles: user.roles });
+  } catch (error) {
+    console.error('User Error:', error);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+});
+
+// Devices kept per user; registering another one drops the oldest
+const MAX_PUSH_TOKENS = 10;
+
+/**
+ * @swagger
+ * /api/users/push-tokens:
+ *   post:
+ *     summary: Register a device for push notifications
+ *     description: Stores the Firebase Cloud Messaging registration token of the app on this device for the authenticated user, so notifications sent over the push channel (e.g. price alerts) reach it. Up to 10 devices are kept; tokens FCM rejects are removed automatically. A device belongs to the last user who registered it, so after switching accounts it stops receiving the previous user's notifications.
+ *     tags: [User API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Device registered
+ *       '400':
+ *         description: token is required
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/push-tokens', authenticateToken, async (req, res) => {
+  const { token } = req.body;
+  if (typeof token !== 'string' || !token.trim() || token.length > 4096) {
+    return res.status(400).json({ error: 'token is required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // A device only receives the notifications of the account signed in on it
+    await User.updateMany({ _id: { $ne: user._id }, pushTokens: token }, { $pull: { pushTokens: token } });
+    user.pushTokens = [...user.pushTokens.filter(existing => existing !== token), token].slice(-MAX_PUSH_TOKENS);
+    await user.save();
+    res.json({ message: 'Device registered for push notifications' });
+  } catch (error) {
+    console.error('User Error:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/push-tokens/{token}:
+ *   delete:
+ *     summary: Unregister a device from push notifications
+ *     description: Call on logout so the device stops receiving the user's notifications.
+ *     tags: [User API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         description: The FCM registration token, URL-encoded
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Device unregistered
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete('/push-tokens/:token', authenticateToken, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $pull: { pushTokens: req.params.token } });
+    res.json({ message: 'Device unregistered from push notifications' });
+  } catch (error) {
+    console.error('User Error:', error);
+    res.status(500).json({ error: 'Failed to unregister device' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+// scripts/backfill-signal-symbols.js
+// Sets the instrument registry symbol on signals saved before it was stored, so the asset filter
+// and facets of GET /api/signals/list find them. New and edited signals get it when saved.
+//   node scripts/backfill-signal-symbols.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Signal = require('../models/Signal');
+const { getInstrument } = require('../utils/instruments');
+
+(async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  let updated = 0;
+
+  const signals = await Signal.collection.find({ symbol: { $exists: false } }).project({ asset: 1 }).toArray();
+  for (const signal of signals) {
+    await Signal.collection.updateOne({ _id: signal._id }, { $set: { symbol: getInstrument(signal.asset).symbol } });
+    updated += 1;
+  }
+
+  console.log(`✅ Set the symbol of ${updated} signal(s)`);
+  await mongoose.disconnect();
+})();
@@ -0,0 +1,25 @@
+// scripts/grant-role.js
+// Grants a staff role from the command line, e.g. to bootstrap the first admin:
+//   node scripts/grant-role.js john.smith@gmail.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../config/permissions');
+
+const [email, role] = process.argv.slice(2);
+
+(async () => {
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/grant-role.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { $addToSet: { roles: role } }, { new: true });
+  if (!user) {
+    console.error(`❌ No user found with email ${email}`);
+  } else {
+    console.log(`✅ ${email} now has roles: ${user.roles.join(', ')}`);
+  }
+  await mongoose.disconnect();
+})();
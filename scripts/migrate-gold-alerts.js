@@ -0,0 +1,47 @@
+// scripts/migrate-gold-alerts.js
+// Moves the alerts of the old goldpricealerts collection to price alerts (XAU/USD cross alerts),
+// which the price alert worker and /api/goldprice now use. Alerts whose user id is not a valid
+// id are left in place and reported.
+//   node scripts/migrate-gold-alerts.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PriceAlert = require('../models/PriceAlert');
+
+(async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const goldAlerts = mongoose.connection.collection('goldpricealerts');
+  let migrated = 0;
+  let skipped = 0;
+
+  const alerts = await goldAlerts.find({}).toArray();
+  for (const alert of alerts) {
+    if (!mongoose.isValidObjectId(alert.userId)) {
+      console.warn(`⚠️ Skipped alert ${alert._id}: invalid user id ${alert.userId}`);
+      skipped += 1;
+      continue;
+    }
+    const status = alert.status || 'active';
+    await PriceAlert.collection.insertOne({
+      _id: alert._id,
+      userId: new mongoose.Types.ObjectId(String(alert.userId)),
+      asset: 'XAUUSD',
+      type: 'cross',
+      target: alert.target,
+      ...(alert.direction && { direction: alert.direction }),
+      channels: ['in_app', 'email'],
+      status,
+      // Gold alerts were armed once they had a direction
+      armed: status === 'active' && Boolean(alert.direction),
+      repeat: alert.repeat ?? true,
+      ...(alert.cooldownMinutes && { cooldownMinutes: alert.cooldownMinutes }),
+      ...(alert.triggeredAt && { triggeredAt: alert.triggeredAt, triggerPrice: alert.triggerPrice, rearmAt: alert.rearmAt }),
+      createdAt: alert.createdAt || new Date(),
+      updatedAt: new Date()
+    });
+    await goldAlerts.deleteOne({ _id: alert._id });
+    migrated += 1;
+  }
+
+  console.log(`✅ Migrated ${migrated} gold price alert(s), skipped ${skipped}`);
+  await mongoose.disconnect();
+})();
@@ -0,0 +1,23 @@
+// scripts/migrate-trade-legs.js
+// Replaces the unique (accountId, positionId) index of trades with (accountId, positionId, leg),
+// so the position a reversal opens can be stored next to the one it closed. Trades stored
+// before get leg 0. Run once before deploying the trade sync that stores reversals.
+//   node scripts/migrate-trade-legs.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Trade = require('../models/Trade');
+
+(async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { modifiedCount } = await Trade.collection.updateMany({ leg: { $exists: false } }, { $set: { leg: 0 } });
+  const indexes = await Trade.collection.indexes();
+  if (indexes.some(index => index.name === 'accountId_1_positionId_1')) {
+    await Trade.collection.dropIndex('accountId_1_positionId_1');
+    console.log('Dropped the accountId_1_positionId_1 index');
+  }
+  await Trade.syncIndexes();
+
+  console.log(`✅ Set leg 0 on ${modifiedCount} trade(s) and synced the trade indexes`);
+  await mongoose.disconnect();
+})();
@@ -0,0 +1,67 @@
+// scripts/reencrypt-credentials.js
+// Moves every stored broker credential onto the active vault key (CREDENTIAL_VAULT_ACTIVE_KEY).
+// It also upgrades older data: MT5 passwords still stored in plaintext on a User document and
+// credentials saved before trading accounts existed are turned into TradingAccount records.
+// Run it after adding a new key to CREDENTIAL_VAULT_KEYS; the old key can be dropped afterwards.
+//   node scripts/reencrypt-credentials.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Credential = require('../models/Credential');
+const TradingAccount = require('../models/TradingAccount');
+const User = require('../models/User');
+const { encrypt, needsRotation, rotate } = require('../services/credentialVault');
+
+const linkAccount = async (userId, login, server) => {
+  const hasDefault = await TradingAccount.exists({ userId, isDefault: true });
+  return TradingAccount.findOneAndUpdate(
+    { userId, platform: 'mt5', server, login },
+    { $setOnInsert: { label: `${server} ${login}`, isDefault: !hasDefault } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+(async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  let migrated = 0;
+
+  // Plaintext passwords and login details from before the vault existed
+  const legacyUsers = await User.collection
+    .find({ $or: [{ mt5Password: { $exists: true } }, { mt5Login: { $exists: true } }] })
+    .project({ mt5Login: 1, mt5Password: 1, mt5Server: 1 })
+    .toArray();
+  for (const user of legacyUsers) {
+    if (user.mt5Login && user.mt5Server && user.mt5Password) {
+      const account = await linkAccount(user._id, user.mt5Login, user.mt5Server);
+      await Credential.findOneAndUpdate(
+        { accountId: account._id },
+        { userId: user._id, secret: encrypt(user.mt5Password, user._id), updatedAt: new Date() },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      migrated += 1;
+    }
+    await User.collection.updateOne({ _id: user._id }, { $unset: { mt5Login: 1, mt5Password: 1, mt5Server: 1 } });
+  }
+
+  // Encrypted credentials that still carry their own login/server instead of an account
+  const unlinked = await Credential.collection.find({ accountId: { $exists: false } }).toArray();
+  for (const credential of unlinked) {
+    const account = await linkAccount(credential.userId, credential.login, credential.server);
+    await Credential.collection.updateOne(
+      { _id: credential._id },
+      { $set: { accountId: account._id }, $unset: { login: 1, server: 1, platform: 1 } }
+    );
+    migrated += 1;
+  }
+
+  let rotated = 0;
+  for await (const credential of Credential.find().cursor()) {
+    if (needsRotation(credential.secret)) {
+      credential.secret = rotate(credential.secret);
+      await credential.save();
+      rotated += 1;
+    }
+  }
+
+  console.log(`✅ Migrated ${migrated} legacy MT5 login(s), re-encrypted ${rotated} credential(s) with the active key`);
+  await mongoose.disconnect();
+})();
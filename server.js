@@ -16,6 +16,15 @@ const notificationRoutes = require('./routes/notification');
 const currencyRoutes = require('./routes/currency'); // New route
 const newsRoutes = require('./routes/news');
 const goldPriceRoutes = require('./routes/goldprice');
+const priceAlertRoutes = require('./routes/priceAlerts');
+const marketRoutes = require('./routes/market');
+const { startStatsSyncJob } = require('./services/statsService');
+const { startSignalResolutionJob, queueMissingPublishJobs } = require('./services/signalService');
+const { startJobWorker } = require('./services/jobQueue');
+const { startPriceAlertJob } = require('./services/priceAlertService');
+const { createQuoteStream } = require('./services/quoteStream');
+const { startCandleRecorder } = require('./services/candleService');
+const { joinSignalRooms } = require('./services/signalAccess');
 const applicationRoutes = require('./routes/applications');
 const signalRoutes = require('./routes/signals');
 const JournalRoutes = require('./routes/journalRoutes');
@@ -31,6 +40,7 @@ connectDB();
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
+const quoteStream = createQuoteStream({ io });
 app.use(express.static(__dirname + '/public'));
 // Attach io to app for use in routes
 app.set('io', io);
@@ -63,14 +73,20 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/convert', currencyRoutes); // New route
 app.use('/api/news', newsRoutes);
 app.use('/api/goldprice', goldPriceRoutes);
+app.use('/api/price-alerts', priceAlertRoutes);
+app.use('/api/market', marketRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/signals', signalRoutes);
+app.use('/api/signals/:signalId/comments', require('./routes/signalComments'));
 app.use('/api/economic-calendar', economicCalendarRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/journals', JournalRoutes);
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/trading-tips', require('./routes/tradingTipRoutes'));
 app.use('/api/stats', require('./routes/statsRoutes'));
+app.use('/api/stats/custom-metrics', require('./routes/customMetrics'));
+app.use('/api/trading-accounts', require('./routes/tradingAccounts'));
+app.use('/api/trades', require('./routes/trades'));
 app.use('/api/mindfulness-prompts', require('./routes/mindfulnessPromptRoutes'));
 app.use('/api/mentorship', require('./routes/mentorshipRoutes'));
 app.use('/api/posts', require('./routes/post'));
@@ -84,6 +100,8 @@ app.use('/api/sessions', require('./routes/session'));
 app.use('/api/tiers', require('./routes/tiers'));
 app.use('/api/affiliates', require('./routes/affiliates'));
 app.use('/api/affiliate-reports', require('./routes/reports'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/copy-trading', require('./routes/copyTrading'));
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 app.get('/', (req, res) => {
@@ -98,6 +116,10 @@ app.use((err, req, res, next) => {
 // Socket.IO for real-time chat
 io.on('connection', (socket) => {
   console.log('New client connected:', socket.id);
+  // Authenticated sockets join their user room and signal tier room
+  joinSignalRooms(socket).catch((error) => console.error('Socket Room Error:', error));
+  // subscribeQuotes / unsubscribeQuotes for live quotes
+  quoteStream.register(socket);
 
   socket.on('sendMessage', async (data) => {
     const { sender, receiver, message, isAI } = data;
@@ -144,5 +166,13 @@ io.on('connection', (socket) => {
 
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+server.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  startStatsSyncJob();
+  startSignalResolutionJob(io);
+  startJobWorker({ io });
+  startPriceAlertJob(io);
+  startCandleRecorder();
+  queueMissingPublishJobs().catch((error) => console.error('Publish Job Error:', error));
+});
 // module.exports = app;
\ No newline at end of file
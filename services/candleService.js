@@ -0,0 +1,136 @@
+const schedule = require('node-schedule');
+require('dotenv').config();
+const Candle = require('../models/Candle');
+const { livePriceSource } = require('./priceFeed');
+const { timeframeMs, candleStart, sourceTimeframes } = require('../utils/candles');
+
+// Instruments the recorder builds M1 candles for, polled every CANDLE_TICK_SECONDS. Off unless
+// set: each poll is a live quote request, and goldapi.io bills them against a monthly quota.
+const RECORDED_SYMBOLS = (process.env.CANDLE_SYMBOLS || '').split(',').map(symbol => symbol.trim()).filter(Boolean);
+// Cron step, so 1-59 seconds
+const TICK_SECONDS = Math.min(parseInt(process.env.CANDLE_TICK_SECONDS, 10) || 15, 59);
+const IMPORT_BATCH = 1000;
+
+const lastTickAt = new Map(); // symbol -> time of the last tick recorded
+
+/**
+ * Adds a tick to the M1 candle it falls in, creating the candle with the first tick. Ticks with
+ * a time already recorded are skipped, as the market data cache hands the same quote out for a
+ * while. Returns whether the tick was recorded.
+ */
+const recordTick = async (symbol, { time, price }) => {
+  const at = new Date(time).getTime();
+  if (!price || lastTickAt.get(symbol) >= at) return false;
+  lastTickAt.set(symbol, at);
+
+  await Candle.updateOne(
+    { symbol, timeframe: 'M1', time: candleStart(at, 'M1') },
+    {
+      $setOnInsert: { open: price, source: 'ticks' },
+      $max: { high: price },
+      $min: { low: price },
+      $set: { close: price, updatedAt: new Date() },
+      $inc: { volume: 1 }
+    },
+    { upsert: true }
+  );
+  return true;
+};
+
+// Stores imported candles, replacing stored candles of the same symbol, timeframe and time
+const importCandles = async (symbol, timeframe, candles) => {
+  let upserted = 0;
+  let modified = 0;
+  for (let i = 0; i < candles.length; i += IMPORT_BATCH) {
+    const result = await Candle.bulkWrite(candles.slice(i, i + IMPORT_BATCH).map(({ time, open, high, low, close, volume }) => ({
+      updateOne: {
+        filter: { symbol, timeframe, time },
+        update: { $set: { open, high, low, close, volume, source: 'import', updatedAt: new Date() } },
+        upsert: true,
+      },
+    })), { ordered: false });
+    upserted += result.upsertedCount;
+    modified += result.modifiedCount;
+  }
+  return { imported: upserted, updated: modified };
+};
+
+/**
+ * Aggregation resampling the stored candles of `symbol` to `timeframe` candles in [from, to).
+ * A bucket is built from the coarsest stored timeframe that has candles in it, so imported H1
+ * history and recorded M1 candles can cover different periods of one chart.
+ */
+const candlePipeline = (symbol, timeframe, from, to) => {
+  const sources = sourceTimeframes(timeframe);
+  const ohlc = {
+    open: { $first: '$open' },
+    high: { $max: '$high' },
+    low: { $min: '$low' },
+    close: { $last: '$close' },
+    volume: { $sum: '$volume' },
+  };
+  return [
+    { $match: { symbol, timeframe: { $in: sources }, time: { $gte: from, $lt: to } } },
+    { $sort: { time: 1 } },
+    {
+      $group: {
+        _id: { time: { $subtract: ['$time', { $mod: [{ $toLong: '$time' }, timeframeMs(timeframe)] }] }, timeframe: '$timeframe' },
+        ...ohlc,
+      },
+    },
+    { $addFields: { rank: { $indexOfArray: [sources, '$_id.timeframe'] } } },
+    { $sort: { '_id.time': 1, rank: 1 } },
+    {
+      $group: {
+        _id: '$_id.time',
+        open: { $first: '$open' },
+        high: { $first: '$high' },
+        low: { $first: '$low' },
+        close: { $first: '$close' },
+        volume: { $first: '$volume' },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, time: '$_id', open: 1, high: 1, low: 1, close: 1, volume: 1 } },
+  ];
+};
+
+const getCandles = (symbol, timeframe, from, to) => Candle.aggregate(candlePipeline(symbol, timeframe, from, to));
+
+// Records a tick of every RECORDED_SYMBOLS instrument from `source`
+const recordTicks = async (source = livePriceSource) => {
+  for (const symbol of RECORDED_SYMBOLS) {
+    try {
+      const [quote] = (await source.getQuotes(symbol)).slice(-1);
+      if (quote) await recordTick(symbol, { time: quote.time, price: quote.price ?? (quote.bid + quote.ask) / 2 });
+    } catch (error) {
+      console.error(`Candle recorder failed for ${symbol}:`, error.message);
+    }
+  }
+};
+
+let recorderJob = null;
+let running = false;
+
+const startCandleRecorder = (source = livePriceSource) => {
+  if (recorderJob || !RECORDED_SYMBOLS.length) return recorderJob;
+  recorderJob = schedule.scheduleJob(`*/${TICK_SECONDS} * * * * *`, async () => {
+    if (running) return;
+    running = true;
+    try {
+      await recordTicks(source);
+    } finally {
+      running = false;
+    }
+  });
+  return recorderJob;
+};
+
+module.exports = {
+  recordTick,
+  importCandles,
+  candlePipeline,
+  getCandles,
+  recordTicks,
+  startCandleRecorder,
+};
@@ -0,0 +1,224 @@
+require('dotenv').config();
+const Signal = require('../models/Signal');
+const TradingAccount = require('../models/TradingAccount');
+const StatsDaily = require('../models/StatsDaily');
+const { CopySettings, CopyExecution, CopyTradingControl } = require('../models/CopyTrading');
+const platforms = require('./platforms');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { resolveTier, signalVisibility } = require('./signalAccess');
+const { OPEN_STATES, isBuy, isLimit, targetsOf } = require('../utils/signalLifecycle');
+const { getInstrument } = require('../utils/instruments');
+const { positionSize, splitVolume } = require('../utils/positionSizing');
+const { DAY, startOfDay } = require('../utils/timeSeries');
+
+// Copy trading: when a signal is published, a job places it on the linked account of every user
+// who opted in, sized from their risk setting and balance. Each user's copy is recorded in
+// CopyExecution before any order is sent, so a signal is never placed twice for the same user,
+// even when the job is retried. Later stop loss or target adjustments are not mirrored, but
+// limit orders still waiting on an account are cancelled when their signal is cancelled or deleted.
+const MAGIC = parseInt(process.env.COPY_TRADING_MAGIC, 10) || 770001;
+// Market entries are not copied once the signal is older than this (e.g. after downtime)
+const MAX_DELAY_MINUTES = parseInt(process.env.COPY_TRADING_MAX_DELAY_MINUTES, 10) || 5;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Loss since the start of the UTC day as a percentage of the balance the day started with,
+ * which is yesterday's closing balance from StatsDaily. Without a row for yesterday only the
+ * open loss (balance - equity) counts.
+ */
+const dailyLossPercent = async (account, { balance, equity }, now = new Date()) => {
+  const yesterday = await StatsDaily.findOne({ accountId: account._id, date: new Date(startOfDay(now).getTime() - DAY) });
+  const start = yesterday?.balance > 0 ? yesterday.balance : balance;
+  return start > 0 ? ((start - (equity ?? balance)) / start) * 100 : 0;
+};
+
+const isHalted = async () => Boolean((await CopyTradingControl.findOne())?.halted);
+
+// The orders a signal becomes for the given lots, one per target that gets volume
+const buildOrders = (signal, lots) => {
+  const side = isBuy(signal.entryType) ? 'buy' : 'sell';
+  const type = isLimit(signal.entryType) ? 'limit' : 'market';
+  return splitVolume(lots, targetsOf(signal)).map(({ target, price, volume }) => ({
+    target,
+    symbol: getInstrument(signal.asset).symbol,
+    side,
+    type,
+    volume,
+    price: type === 'limit' ? signal.entryPrice : undefined,
+    sl: signal.stopLoss,
+    tp: price,
+    expiresAt: type === 'limit' ? signal.expiresAt : undefined,
+    comment: `Signal ${signal.signalId} TP${target}`,
+    magic: MAGIC,
+  }));
+};
+
+/**
+ * Copies a published signal for one user and returns the CopyExecution, or null when the
+ * signal was already copied for them. Checks run in order: platform kill switch, tier,
+ * account, daily loss cap and sizing; a failed check records the copy as skipped.
+ */
+const copySignalForUser = async (signal, settings, { tier, halted = false, now = new Date() } = {}) => {
+  let execution;
+  try {
+    execution = await CopyExecution.create({ userId: settings.userId, accountId: settings.accountId, signalId: signal.signalId });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  const finish = (status, fields = {}) => {
+    execution.set({ status, ...fields });
+    return execution.save();
+  };
+
+  if (halted) {
+    return finish('skipped', { reason: 'Copy trading is halted' });
+  }
+  if (signalVisibility(signal, tier, now) !== 'full') {
+    return finish('skipped', { reason: 'Signal is not available at your subscription tier yet' });
+  }
+  if (!isLimit(signal.entryType) && now - new Date(signal.publishDate) > MAX_DELAY_MINUTES * 60 * 1000) {
+    return finish('skipped', { reason: `Market entries are only copied within ${MAX_DELAY_MINUTES} minutes of publication` });
+  }
+  const account = await TradingAccount.findOne({ _id: settings.accountId, userId: settings.userId });
+  if (!account) {
+    return finish('skipped', { reason: 'Trading account not found' });
+  }
+  if (!platforms.canPlaceOrders(account.platform)) {
+    return finish('skipped', { reason: `Order placement is not supported for ${account.platform} accounts` });
+  }
+
+  let balances;
+  try {
+    balances = await platforms.fetchAccount(account);
+  } catch (error) {
+    return finish('failed', { reason: `Could not read the account: ${error.message}` });
+  }
+  const currency = balances.currency || account.currency;
+  const context = { balance: balances.balance, currency };
+
+  const loss = await dailyLossPercent(account, balances, now);
+  if (loss >= settings.dailyLossLimitPercent) {
+    return finish('skipped', { ...context, reason: `Daily loss cap reached (${round(loss)}% of ${settings.dailyLossLimitPercent}%)` });
+  }
+
+  const size = positionSize(context, signal, settings);
+  if (size.error) {
+    return finish('skipped', { ...context, reason: size.error });
+  }
+
+  // One at a time: the MT5 bridge drives a single terminal
+  const orders = [];
+  for (const order of buildOrders(signal, size.lots)) {
+    const { expiresAt, comment, magic, ...recorded } = order;
+    try {
+      const placed = await platforms.placeOrder(account, order);
+      orders.push({
+        ...recorded,
+        symbol: placed.symbol || order.symbol,
+        status: order.type === 'limit' ? 'placed' : 'filled',
+        ticket: placed.ticket,
+        fillPrice: order.type === 'limit' ? undefined : placed.price,
+      });
+    } catch (error) {
+      orders.push({ ...recorded, status: 'failed', error: error.message });
+    }
+  }
+
+  const succeeded = orders.filter(order => order.status !== 'failed').length;
+  let status = 'failed';
+  if (succeeded === orders.length) status = orders[0].type === 'limit' ? 'placed' : 'filled';
+  else if (succeeded) status = 'partial';
+  return finish(status, {
+    ...context,
+    riskAmount: size.riskAmount,
+    volume: size.lots,
+    orders,
+    reason: succeeded ? undefined : orders[0].error,
+  });
+};
+
+/**
+ * Copies a signal for every user with copy trading enabled and not paused, one user at a time,
+ * and sends each of them a `copyTrade` event. Signals that are no longer published and open
+ * are left alone.
+ */
+const copySignal = async (signalId, { io, now = new Date() } = {}) => {
+  const signal = await Signal.findOne({ signalId });
+  if (!signal || signal.status !== 'Published' || !OPEN_STATES.includes(signal.state)) return [];
+
+  const halted = await isHalted();
+  const subscribers = await CopySettings.find({ enabled: true, paused: false, accountId: { $ne: null } });
+  const executions = [];
+  for (const settings of subscribers) {
+    try {
+      const tier = await resolveTier(settings.userId);
+      const execution = await copySignalForUser(signal, settings, { tier, halted, now });
+      if (!execution) continue;
+      executions.push(execution);
+      if (io) io.to(String(settings.userId)).emit('copyTrade', execution);
+    } catch (error) {
+      console.error(`Copy trade for user ${settings.userId} failed:`, error);
+    }
+  }
+  return executions;
+};
+
+/**
+ * Cancels the limit orders still placed for a signal on every user's account, one user at a
+ * time, and records the outcome on each CopyExecution: orders removed from the account become
+ * cancelled, ones the platform refused (filled in the meantime, already gone) keep their status
+ * with the error. An execution whose orders were all cancelled becomes cancelled itself. Users
+ * get a `copyTradeCancelled` event.
+ */
+const cancelCopyOrders = async (signalId, { io, now = new Date() } = {}) => {
+  const executions = await CopyExecution.find({ signalId, status: { $in: ['placed', 'partial'] } });
+  const updated = [];
+  for (const execution of executions) {
+    const placed = execution.orders.filter(order => order.status === 'placed' && order.ticket);
+    if (!placed.length) continue;
+
+    const account = await TradingAccount.findOne({ _id: execution.accountId, userId: execution.userId });
+    for (const order of placed) {
+      try {
+        if (!account) throw new Error('Trading account not found');
+        await platforms.cancelOrder(account, order.ticket);
+        order.status = 'cancelled';
+        order.error = undefined;
+      } catch (error) {
+        order.error = `Could not cancel: ${error.message}`;
+      }
+    }
+
+    const cancelled = execution.orders.filter(order => order.status === 'cancelled').length;
+    if (cancelled === execution.orders.filter(order => order.status !== 'failed').length) {
+      execution.set({ status: 'cancelled', reason: 'Signal was withdrawn', cancelledAt: now });
+    } else if (cancelled) {
+      execution.set({ status: 'partial', cancelledAt: now });
+    }
+    await execution.save();
+    updated.push(execution);
+    if (io) io.to(String(execution.userId)).emit('copyTradeCancelled', execution);
+  }
+  return updated;
+};
+
+registerHandler('copy.signal', ({ signalId }, { io }) => copySignal(signalId, { io }));
+registerHandler('copy.cancel', ({ signalId }, { io }) => cancelCopyOrders(signalId, { io }));
+
+// Queues the copy of a signal that was just published (see services/jobQueue.js)
+const queueCopyTrades = signal => enqueue('copy.signal', { signalId: signal.signalId }, { key: `copy:${signal.signalId}` });
+
+// Queues the cancellation of the copied limit orders of a withdrawn signal
+const queueCopyCancel = signalId => enqueue('copy.cancel', { signalId }, { key: `copy-cancel:${signalId}` });
+
+module.exports = {
+  dailyLossPercent,
+  buildOrders,
+  copySignalForUser,
+  copySignal,
+  cancelCopyOrders,
+  queueCopyTrades,
+  queueCopyCancel,
+};
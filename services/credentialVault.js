@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Envelope encryption for broker credentials. Every secret is encrypted with its own random
+// data key (AES-256-GCM); the data key is then wrapped with a master key from the environment.
+//
+// CREDENTIAL_VAULT_KEYS lists the master keys as comma-separated `keyId:base64Key` pairs
+// (32-byte keys), e.g. "v1:3q2+7w...,v2:q83vEj...". CREDENTIAL_VAULT_ACTIVE_KEY names the key
+// new secrets are wrapped with; it defaults to the last one listed. Older keys stay in the list
+// until scripts/reencrypt-credentials.js has moved every record onto the active key.
+
+const ALGORITHM = 'aes-256-gcm';
+
+const loadMasterKeys = () => {
+  const keys = new Map();
+  (process.env.CREDENTIAL_VAULT_KEYS || '').split(',').filter(Boolean).forEach((entry) => {
+    const [keyId, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!keyId || key.length !== 32) {
+      throw new Error(`Invalid credential vault key "${keyId}": expected keyId:base64 of 32 bytes`);
+    }
+    keys.set(keyId, key);
+  });
+  return keys;
+};
+
+const getMasterKeys = () => {
+  const keys = loadMasterKeys();
+  if (keys.size === 0) {
+    throw new Error('CREDENTIAL_VAULT_KEYS is not configured');
+  }
+  const activeKeyId = process.env.CREDENTIAL_VAULT_ACTIVE_KEY || Array.from(keys.keys()).pop();
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Active credential vault key "${activeKeyId}" is not in CREDENTIAL_VAULT_KEYS`);
+  }
+  return { keys, activeKeyId };
+};
+
+// Serialized as iv.authTag.ciphertext, all base64
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+};
+
+const open = (key, sealed, aad) => {
+  const [iv, authTag, ciphertext] = sealed.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const unwrapDataKey = (envelope) => {
+  const { keys } = getMasterKeys();
+  const masterKey = keys.get(envelope.keyId);
+  if (!masterKey) {
+    throw new Error(`Credential vault key "${envelope.keyId}" is not available`);
+  }
+  return open(masterKey, envelope.encryptedKey, envelope.keyId);
+};
+
+/**
+ * Encrypts a secret. `context` (e.g. the owning user id) is bound to the ciphertext so a
+ * sealed value copied onto another record fails to decrypt.
+ */
+const encrypt = (plaintext, context) => {
+  const { keys, activeKeyId } = getMasterKeys();
+  const dataKey = crypto.randomBytes(32);
+  return {
+    keyId: activeKeyId,
+    encryptedKey: seal(keys.get(activeKeyId), dataKey, activeKeyId),
+    encryptedData: seal(dataKey, Buffer.from(String(plaintext), 'utf8'), context && String(context)),
+  };
+};
+
+const decrypt = (envelope, context) => {
+  const dataKey = unwrapDataKey(envelope);
+  return open(dataKey, envelope.encryptedData, context && String(context)).toString('utf8');
+};
+
+const needsRotation = (envelope) => envelope.keyId !== getMasterKeys().activeKeyId;
+
+// Re-wraps the data key under the active master key; the encrypted secret itself is unchanged
+const rotate = (envelope) => {
+  const { keys, activeKeyId } = getMasterKeys();
+  const dataKey = unwrapDataKey(envelope);
+  return {
+    keyId: activeKeyId,
+    encryptedKey: seal(keys.get(activeKeyId), dataKey, activeKeyId),
+    encryptedData: envelope.encryptedData,
+  };
+};
+
+module.exports = { encrypt, decrypt, needsRotation, rotate };
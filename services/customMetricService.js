@@ -0,0 +1,67 @@
+const CustomMetric = require('../models/CustomMetric');
+const StatsDaily = require('../models/StatsDaily');
+const Trade = require('../models/Trade');
+const { compile } = require('../utils/metricExpression');
+const { DAY } = require('../utils/timeSeries');
+
+const MAX_METRICS_PER_USER = 20;
+
+// Latest known balance and equity summed over the accounts, exposed to expressions as variables
+const loadVariables = async (accountIds) => {
+  const latest = await Promise.all(accountIds.map(accountId =>
+    StatsDaily.findOne({ accountId, equity: { $exists: true } }).sort({ date: -1 }).select('balance equity').lean()));
+  const known = latest.filter(Boolean);
+  if (known.length === 0) return {};
+  return {
+    balance: known.reduce((sum, row) => sum + row.balance, 0),
+    equity: known.reduce((sum, row) => sum + row.equity, 0),
+  };
+};
+
+const closedTrades = (accountIds, lookbackDays) => Trade.find({
+  accountId: { $in: accountIds },
+  status: 'closed',
+  ...(lookbackDays > 0 && { closeTime: { $gte: new Date(Date.now() - lookbackDays * DAY) } }),
+}).lean();
+
+const evaluate = (expression, trades, variables) => {
+  try {
+    return { value: compile(expression)(trades, variables) };
+  } catch (error) {
+    return { value: null, error: error.message };
+  }
+};
+
+/**
+ * Evaluates every metric the user defined against the closed trades of the given accounts.
+ * A metric that fails at runtime comes back with value null and an error instead of failing
+ * the whole list.
+ */
+const evaluateCustomMetrics = async (userId, accountIds) => {
+  const definitions = await CustomMetric.find({ userId }).sort({ createdAt: 1 });
+  if (definitions.length === 0) return [];
+
+  // One query covering the longest lookback; shorter ones are filtered in memory
+  const allTime = definitions.some(definition => !definition.lookbackDays);
+  const trades = await closedTrades(accountIds, allTime ? 0 : Math.max(...definitions.map(d => d.lookbackDays)));
+  const variables = await loadVariables(accountIds);
+
+  return definitions.map((definition) => {
+    const since = definition.lookbackDays > 0 ? Date.now() - definition.lookbackDays * DAY : null;
+    const scoped = since ? trades.filter(trade => trade.closeTime && new Date(trade.closeTime) >= since) : trades;
+    return {
+      name: definition.name,
+      ...evaluate(definition.expression, scoped, variables),
+      isCustom: true,
+      metricId: definition._id,
+    };
+  });
+};
+
+// Evaluates an expression that has not been saved yet, for the metric editor
+const previewCustomMetric = async (accountIds, expression, lookbackDays = 30) => {
+  const trades = await closedTrades(accountIds, lookbackDays);
+  return { ...evaluate(expression, trades, await loadVariables(accountIds)), trades: trades.length };
+};
+
+module.exports = { MAX_METRICS_PER_USER, evaluateCustomMetrics, previewCustomMetric };
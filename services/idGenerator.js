@@ -0,0 +1,39 @@
+const Counter = require('../models/Counter');
+const Signal = require('../models/Signal');
+const Application = require('../models/Application');
+
+/**
+ * Next value of the named sequence, from a single atomic increment so concurrent callers never
+ * get the same value. The first time a sequence is used it starts after `seed()`, the highest id
+ * already in use, so existing records keep theirs.
+ */
+const nextSequence = async (name, seed = async () => 0) => {
+  if (!(await Counter.exists({ _id: name }))) {
+    // $max keeps this safe when two first callers seed at the same time
+    await Counter.updateOne({ _id: name }, { $max: { seq: await seed() } }, { upsert: true });
+  }
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Highest number among signal ids of the form S<number>, such as the random S100-S999 ones
+const highestSignalNumber = async () => {
+  const [result] = await Signal.aggregate([
+    { $match: { signalId: /^S\d+$/ } },
+    { $group: { _id: null, max: { $max: { $toLong: { $substrCP: ['$signalId', 1, 18] } } } } },
+  ]);
+  return Number(result?.max || 0);
+};
+
+// "S" followed by the signal sequence, so ids sort by creation when compared as numbers
+const nextSignalId = async () => `S${await nextSequence('signal', highestSignalNumber)}`;
+
+const nextApplicationId = () => nextSequence('application', async () => (
+  (await Application.findOne().sort({ id: -1 }).select('id'))?.id || 0
+));
+
+module.exports = { nextSequence, nextSignalId, nextApplicationId };
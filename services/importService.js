@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const Trade = require('../models/Trade');
+const TradingAccount = require('../models/TradingAccount');
+const { storeSnapshot } = require('./statsService');
+const { calculateMetrics } = require('../utils/metrics');
+
+// CSV rows often have no ticket; derive a stable id so re-importing the same file updates
+// the existing trades instead of duplicating them. 48 bits keeps it a safe integer.
+const rowPositionId = (trade) => parseInt(crypto.createHash('sha1')
+  .update([trade.symbol, trade.side, trade.openTime?.toISOString(), trade.volume, trade.openPrice].join('|'))
+  .digest('hex')
+  .slice(0, 12), 16);
+
+// Re-importing a statement of the same account number lands in the same trading account
+const findOrCreateAccount = async (userId, summary, label) => {
+  if (summary.accountNumber) {
+    const existing = await TradingAccount.findOne({ userId, platform: 'import', login: summary.accountNumber });
+    if (existing) return existing;
+  }
+
+  const hasDefault = await TradingAccount.exists({ userId, isDefault: true });
+  return TradingAccount.create({
+    userId,
+    platform: 'import',
+    label: label || (summary.accountNumber ? `Imported statement ${summary.accountNumber}` : 'Imported statement'),
+    login: summary.accountNumber,
+    currency: summary.currency,
+    isDefault: !hasDefault,
+  });
+};
+
+/**
+ * Stores parsed statement trades on an import account (a new one unless `account` is given) and
+ * recomputes its metrics from every trade stored on it, so /api/stats serves them like a sync.
+ */
+const importStatement = async (userId, { trades, summary }, { account, label } = {}) => {
+  const target = account || await findOrCreateAccount(userId, summary, label);
+
+  const now = new Date();
+  const operations = trades.map((trade) => {
+    const positionId = trade.positionId || rowPositionId(trade);
+    const fields = Object.fromEntries(Object.entries(trade).filter(([, value]) => value !== undefined));
+    return {
+      updateOne: {
+        filter: { accountId: target._id, positionId },
+        update: {
+          $set: {
+            ...fields,
+            positionId,
+            userId: target.userId,
+            source: 'import',
+            status: 'closed',
+            closedVolume: trade.volume,
+            updatedAt: now,
+          },
+          $setOnInsert: { createdAt: now },
+        },
+        upsert: true,
+      },
+    };
+  });
+  if (operations.length > 0) {
+    await Trade.bulkWrite(operations);
+  }
+
+  const stored = await Trade.find({ accountId: target._id, status: 'closed' }).lean();
+  const balances = summary.balance === undefined
+    ? undefined
+    : { balance: summary.balance, equity: summary.equity ?? summary.balance, marginLevel: summary.marginLevel };
+  const metrics = calculateMetrics(stored, balances);
+  const snapshotAt = await storeSnapshot(target, { metrics, balances }, now);
+
+  return { account: target, imported: trades.length, metrics, snapshotAt };
+};
+
+module.exports = { importStatement };
@@ -0,0 +1,169 @@
+const os = require('os');
+const schedule = require('node-schedule');
+require('dotenv').config();
+const Job = require('../models/Job');
+
+// Durable one-off jobs (scheduled signal publication, scheduled notifications) stored in the
+// Job collection, so they survive restarts and run once across several app instances:
+//
+//   - every instance polls for due jobs and claims one at a time with an atomic update that
+//     gives it a lease (lockedBy/lockedUntil) for JOB_LEASE_SECONDS
+//   - a job whose lease runs out, because its worker died, is claimed again by another poll
+//   - a failed attempt is retried with exponential backoff until maxAttempts is reached
+//
+// Delivery is at least once, so handlers check the state of what they act on before acting.
+const SECOND = 1000;
+// Cron step in seconds, so 1-59
+const POLL_INTERVAL_SECONDS = Math.min(parseInt(process.env.JOB_POLL_INTERVAL_SECONDS, 10) || 5, 59);
+const LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS, 10) || 120;
+const RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS, 10) || 30;
+const MAX_RETRY_DELAY = 60 * 60 * SECOND;
+// Jobs one poll runs at most, so a backlog cannot hold the worker indefinitely
+const BATCH_SIZE = 20;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+// `handler(payload, { ...context, job })`; context is what startJobWorker was given (e.g. io)
+const registerHandler = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+// Delay before retrying after the given number of attempts: 30s, 1m, 2m, 4m... capped at an hour
+const retryDelay = attempts => Math.min(RETRY_BASE_SECONDS * SECOND * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+// Cancels the pending jobs under `key`; jobs already running finish
+const cancelJobs = async (key) => {
+  const result = await Job.updateMany({ key, status: 'pending' }, { status: 'cancelled', updatedAt: new Date() });
+  return result.modifiedCount;
+};
+
+/**
+ * Stores a job that runs the `name` handler with `payload` at `runAt` (now by default). Pending
+ * jobs under the same key are cancelled first, so scheduling something again replaces its job.
+ */
+const enqueue = async (name, payload = {}, { runAt = new Date(), key, maxAttempts, createdBy } = {}) => {
+  if (!handlers.has(name)) {
+    throw new Error(`No job handler registered for ${name}`);
+  }
+  if (key) await cancelJobs(key);
+  return Job.create({ name, key, payload, runAt, maxAttempts, createdBy });
+};
+
+// The job under `key` that has yet to run or is running, if any
+const activeJob = key => Job.findOne({ key, status: { $in: ['pending', 'running'] } });
+
+// Whether a job was ever stored under `key`, whatever became of it
+const hasJob = async key => Boolean(await Job.exists({ key }));
+
+// Returns the cancelled job, or null when it is not pending (any more)
+const cancelJob = id => Job.findOneAndUpdate(
+  { _id: id, status: 'pending' },
+  { status: 'cancelled', updatedAt: new Date() },
+  { new: true }
+);
+
+/**
+ * Moves a pending job to `runAt`. Failed jobs can be rescheduled too, which gives them a fresh
+ * set of attempts. Returns the job, or null when it is neither pending nor failed.
+ */
+const rescheduleJob = (id, runAt) => Job.findOneAndUpdate(
+  { _id: id, status: { $in: ['pending', 'failed'] } },
+  { status: 'pending', runAt, attempts: 0, updatedAt: new Date() },
+  { new: true }
+);
+
+// Claims the job that is due first, or one whose lease ran out, for this worker
+const claimJob = (now = new Date()) => Job.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'pending', runAt: { $lte: now } },
+      { status: 'running', lockedUntil: { $lte: now } },
+    ],
+  },
+  {
+    $set: { status: 'running', lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LEASE_SECONDS * SECOND), updatedAt: now },
+    $inc: { attempts: 1 },
+  },
+  { sort: { runAt: 1 }, new: true }
+);
+
+// Records the outcome of an attempt, unless the lease was lost to another worker meanwhile
+const finishJob = (job, update) => Job.updateOne(
+  { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+  { $set: { ...update, updatedAt: new Date() }, $unset: { lockedBy: '', lockedUntil: '' } }
+);
+
+const runJob = async (job, context = {}) => {
+  // Claimed again after the lease of its last allowed attempt ran out
+  if (job.attempts > job.maxAttempts) {
+    return finishJob(job, { status: 'failed', lastError: job.lastError || 'Lease expired while running' });
+  }
+
+  try {
+    const handler = handlers.get(job.name);
+    if (!handler) throw new Error(`No job handler registered for ${job.name}`);
+    await handler(job.payload, { ...context, job });
+    return finishJob(job, { status: 'completed', completedAt: new Date() });
+  } catch (error) {
+    console.error(`Job ${job.name} (${job._id}) attempt ${job.attempts} failed:`, error.message);
+    if (job.attempts >= job.maxAttempts) {
+      return finishJob(job, { status: 'failed', lastError: error.message });
+    }
+    return finishJob(job, {
+      status: 'pending',
+      runAt: new Date(Date.now() + retryDelay(job.attempts)),
+      lastError: error.message,
+    });
+  }
+};
+
+// Runs the jobs that are due, up to BATCH_SIZE; returns how many ran
+const pollJobs = async (context = {}) => {
+  let count = 0;
+  while (count < BATCH_SIZE) {
+    const job = await claimJob();
+    if (!job) break;
+    await runJob(job, context);
+    count += 1;
+  }
+  return count;
+};
+
+let workerJob = null;
+let running = false;
+
+/**
+ * Polls for due jobs every JOB_POLL_INTERVAL_SECONDS. Jobs are stored, so after a restart the
+ * first polls run whatever fell due while the app was down, and pick up jobs that were running
+ * when it stopped once their lease runs out.
+ */
+const startJobWorker = (context = {}) => {
+  if (workerJob) return workerJob;
+  workerJob = schedule.scheduleJob(`*/${POLL_INTERVAL_SECONDS} * * * * *`, async () => {
+    if (running) return;
+    running = true;
+    try {
+      await pollJobs(context);
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      running = false;
+    }
+  });
+  return workerJob;
+};
+
+module.exports = {
+  registerHandler,
+  retryDelay,
+  enqueue,
+  activeJob,
+  hasJob,
+  cancelJobs,
+  cancelJob,
+  rescheduleJob,
+  pollJobs,
+  startJobWorker,
+};
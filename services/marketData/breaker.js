@@ -0,0 +1,39 @@
+/**
+ * Circuit breaker of a provider. After `threshold` failures in a row the circuit opens and the
+ * provider is skipped for `cooldownMs`; then a single trial call is let through, which closes the
+ * circuit when it succeeds and opens it again when it fails.
+ */
+const createCircuitBreaker = ({ threshold, cooldownMs, now = Date.now }) => {
+  let failures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+
+  return {
+    get state() {
+      if (openedAt === null) return 'closed';
+      return now() - openedAt >= cooldownMs ? 'half_open' : 'open';
+    },
+
+    // Whether the provider may be called now; in half-open state only the trial call may
+    allowRequest() {
+      if (openedAt === null) return true;
+      if (now() - openedAt < cooldownMs || trialRunning) return false;
+      trialRunning = true;
+      return true;
+    },
+
+    success() {
+      failures = 0;
+      openedAt = null;
+      trialRunning = false;
+    },
+
+    failure() {
+      failures += 1;
+      trialRunning = false;
+      if (openedAt !== null || failures >= threshold) openedAt = now();
+    },
+  };
+};
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const MarketDataCache = require('../../models/MarketDataCache');
+
+/**
+ * Caches of market data responses. A cache exposes
+ *   get(key) -> { value, provider } or null once expired
+ *   set(key, { value, provider }, ttlMs)
+ */
+
+// Cache of this process
+const createMemoryCache = ({ now = Date.now } = {}) => {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return { value: entry.value, provider: entry.provider };
+    },
+
+    async set(key, { value, provider }, ttlMs) {
+      entries.set(key, { value, provider, expiresAt: now() + ttlMs });
+    },
+  };
+};
+
+/**
+ * Cache in MongoDB, shared by the app instances so they do not each call the providers. It is
+ * skipped while there is no database connection, and its errors are logged rather than thrown:
+ * the providers can still answer without it.
+ */
+const createMongoCache = ({ now = Date.now } = {}) => {
+  const connected = () => mongoose.connection.readyState === 1;
+  return {
+    async get(key) {
+      if (!connected()) return null;
+      try {
+        const entry = await MarketDataCache.findOne({ key, expiresAt: { $gt: new Date(now()) } }).lean();
+        return entry && { value: entry.value, provider: entry.provider, expiresAt: entry.expiresAt };
+      } catch (error) {
+        console.error('Market data cache read failed:', error.message);
+        return null;
+      }
+    },
+
+    async set(key, { value, provider }, ttlMs) {
+      if (!connected()) return;
+      try {
+        await MarketDataCache.updateOne(
+          { key },
+          { value, provider, expiresAt: new Date(now() + ttlMs), createdAt: new Date(now()) },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error('Market data cache write failed:', error.message);
+      }
+    },
+  };
+};
+
+// Memory in front of MongoDB; entries found in MongoDB are kept in memory for the rest of their life
+const createTieredCache = ({ memory = createMemoryCache(), shared = createMongoCache(), now = Date.now } = {}) => ({
+  async get(key) {
+    const cached = await memory.get(key);
+    if (cached) return cached;
+    const entry = await shared.get(key);
+    if (!entry) return null;
+    const remaining = entry.expiresAt ? new Date(entry.expiresAt).getTime() - now() : 0;
+    if (remaining > 0) await memory.set(key, entry, remaining);
+    return { value: entry.value, provider: entry.provider };
+  },
+
+  async set(key, entry, ttlMs) {
+    await Promise.all([memory.set(key, entry, ttlMs), shared.set(key, entry, ttlMs)]);
+  },
+});
+
+module.exports = { createMemoryCache, createMongoCache, createTieredCache };
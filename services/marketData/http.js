@@ -0,0 +1,8 @@
+const axios = require('axios');
+require('dotenv').config();
+
+// HTTP client of the providers. The timeout keeps a slow API from holding up requests and the
+// price workers; a timed out call counts as a failure of the provider.
+const http = axios.create({ timeout: parseInt(process.env.MARKET_DATA_TIMEOUT_MS, 10) || 5000 });
+
+module.exports = http;
@@ -0,0 +1,140 @@
+require('dotenv').config();
+const { createCircuitBreaker } = require('./breaker');
+const { createMemoryCache, createTieredCache } = require('./cache');
+const { createFixtureProvider } = require('./providers/fixture');
+
+/**
+ * Market data for the routes and workers: quotes, exchange rates and the economic calendar. Nothing
+ * else calls a market data API directly. Every provider exposes `name` and one or more of
+ *   quote(pair) -> { time, price, bid?, ask? }     pair is { base, quote }, e.g. XAU and USD
+ *   covers(pair) -> whether quote() serves the pair (every pair when absent)
+ *   rates(base) -> { time, rates: { [currency]: units per base unit } }
+ *   calendar(from, to) -> [{ event, importance, actual, forecast, previous, country, currency, date }]
+ * and throws when it cannot answer. Providers are tried in order until one answers; a provider
+ * that keeps failing is skipped for a while by its circuit breaker. Answers are cached for the
+ * TTL of their dataset, and concurrent requests for the same data share one provider call.
+ * Currency pair quotes nobody covers are derived from the exchange rates.
+ */
+const seconds = (name, fallback) => (parseInt(process.env[name], 10) || fallback) * 1000;
+
+const TTL = {
+  quote: seconds('MARKET_DATA_QUOTE_TTL_SECONDS', 15),
+  rates: seconds('MARKET_DATA_RATES_TTL_SECONDS', 10 * 60),
+  calendar: seconds('MARKET_DATA_CALENDAR_TTL_SECONDS', 15 * 60),
+};
+const BREAKER = {
+  threshold: parseInt(process.env.MARKET_DATA_BREAKER_THRESHOLD, 10) || 3,
+  cooldownMs: seconds('MARKET_DATA_BREAKER_COOLDOWN_SECONDS', 60),
+};
+
+class MarketDataError extends Error {
+  constructor(message, failures = []) {
+    super(failures.length ? `${message} (${failures.join('; ')})` : message);
+    this.name = 'MarketDataError';
+    this.failures = failures;
+  }
+}
+
+const day = date => new Date(date).toISOString().split('T')[0];
+
+const createMarketData = ({ providers, cache = createMemoryCache(), ttl = TTL, breaker = BREAKER, now = Date.now }) => {
+  const breakers = new Map();
+  const pending = new Map();
+
+  const breakerFor = (provider) => {
+    if (!breakers.has(provider.name)) breakers.set(provider.name, createCircuitBreaker({ ...breaker, now }));
+    return breakers.get(provider.name);
+  };
+
+  // The first answer of the providers with `method`, or null when none of them serves the request
+  const ask = async (method, args, covers = () => true) => {
+    const candidates = providers.filter(provider => typeof provider[method] === 'function' && covers(provider));
+    if (!candidates.length) return null;
+
+    const failures = [];
+    for (const provider of candidates) {
+      const circuit = breakerFor(provider);
+      if (!circuit.allowRequest()) {
+        failures.push(`${provider.name}: circuit open`);
+        continue;
+      }
+      try {
+        const value = await provider[method](...args);
+        circuit.success();
+        return { value, provider: provider.name };
+      } catch (error) {
+        circuit.failure();
+        failures.push(`${provider.name}: ${error.message}`);
+        console.error(`Market data provider ${provider.name} failed:`, error.message);
+      }
+    }
+    throw new MarketDataError('No market data provider could answer', failures);
+  };
+
+  // Cached answer for `key`, else the answer of `load` (an entry or null), cached when there is one
+  const cached = async (key, dataset, load) => {
+    const hit = await cache.get(key);
+    if (hit) return hit.value;
+    if (pending.has(key)) return pending.get(key);
+
+    const request = (async () => {
+      const entry = await load();
+      if (entry) await cache.set(key, entry, ttl[dataset]);
+      return entry ? entry.value : null;
+    })();
+    pending.set(key, request);
+    try {
+      return await request;
+    } finally {
+      pending.delete(key);
+    }
+  };
+
+  const getRates = async (base) => {
+    const currency = String(base).toUpperCase();
+    const rates = await cached(`rates:${currency}`, 'rates', () => ask('rates', [currency]));
+    if (!rates) throw new MarketDataError(`No exchange rate provider for ${currency}`);
+    return rates;
+  };
+
+  // Latest quote of a pair ({ base, quote }), or null when no provider has the pair
+  const getQuote = (pair) => cached(`quote:${pair.base}${pair.quote}`, 'quote', async () => {
+    const answer = await ask('quote', [pair], provider => !provider.covers || provider.covers(pair));
+    if (answer) return answer;
+
+    const { time, rates } = await getRates(pair.base);
+    const price = rates[pair.quote];
+    return price ? { value: { time, price }, provider: 'rates' } : null;
+  });
+
+  const getCalendar = async (from, to) => {
+    const events = await cached(`calendar:${day(from)}:${day(to)}`, 'calendar', () => ask('calendar', [new Date(from), new Date(to)]));
+    if (!events) throw new MarketDataError('No economic calendar provider');
+    return events;
+  };
+
+  // Circuit state per provider, for diagnostics
+  const status = () => Object.fromEntries(providers.map(provider => [provider.name, breakerFor(provider).state]));
+
+  return { getQuote, getRates, getCalendar, status };
+};
+
+// MARKET_DATA_OFFLINE=true serves the recorded fixtures instead of calling the APIs
+const defaultProviders = () => (process.env.MARKET_DATA_OFFLINE === 'true'
+  ? [createFixtureProvider()]
+  : [
+    require('./providers/goldApi'),
+    require('./providers/coinbase'),
+    require('./providers/goldApiCom'),
+    require('./providers/exchangeRateApi'),
+    require('./providers/openErApi'),
+    require('./providers/tradingEconomics'),
+  ]);
+
+const marketData = createMarketData({ providers: defaultProviders(), cache: createTieredCache() });
+
+module.exports = {
+  ...marketData,
+  createMarketData,
+  MarketDataError,
+};
@@ -0,0 +1,17 @@
+const http = require('../http');
+
+const CRYPTO = ['BTC', 'ETH'];
+
+// Coinbase spot prices of crypto
+module.exports = {
+  name: 'coinbase',
+
+  covers: ({ base }) => CRYPTO.includes(base),
+
+  async quote({ base, quote }) {
+    const response = await http.get(`https://api.coinbase.com/v2/prices/${base}-${quote}/spot`);
+    const price = parseFloat(response.data.data?.amount);
+    if (!Number.isFinite(price)) throw new Error(`No ${base}-${quote} price in the response`);
+    return { time: new Date(), price };
+  },
+};
@@ -0,0 +1,15 @@
+const http = require('../http');
+require('dotenv').config();
+
+// exchangerate-api.com: exchange rates, EXCHANGE_RATE_API_KEY (the demo key is heavily limited)
+module.exports = {
+  name: 'exchangerate-api.com',
+
+  async rates(base) {
+    const apiKey = process.env.EXCHANGE_RATE_API_KEY || 'demo';
+    const response = await http.get(`https://v6.exchangerate-api.com/v6/${apiKey}/latest/${base}`);
+    const { result, conversion_rates: rates, time_last_update_unix: updated } = response.data;
+    if (result !== 'success' || !rates) throw new Error(`Exchange rates for ${base} unavailable: ${response.data['error-type'] || result}`);
+    return { time: updated ? new Date(updated * 1000) : new Date(), rates };
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Offline provider serving recorded data, for tests and local development without network
+ * access (MARKET_DATA_OFFLINE=true). Fixtures are { quotes: { XAUUSD: { price, bid?, ask? } },
+ * rates: { USD: { MYR: 4.22 } }, calendar: [events] }, by default fixtures/offline.json. Quotes
+ * and rates are stamped with the time of the call; `calls` records what was requested.
+ */
+const createFixtureProvider = (fixtures = require('../fixtures/offline.json'), { name = 'fixture' } = {}) => {
+  const calls = [];
+  return {
+    name,
+    calls,
+
+    covers: ({ base, quote }) => Boolean(fixtures.quotes?.[base + quote]),
+
+    async quote({ base, quote }) {
+      calls.push(['quote', base + quote]);
+      return { time: new Date(), ...fixtures.quotes[base + quote] };
+    },
+
+    async rates(base) {
+      calls.push(['rates', base]);
+      const rates = fixtures.rates?.[base];
+      if (!rates) throw new Error(`No fixture rates for ${base}`);
+      return { time: new Date(), rates };
+    },
+
+    async calendar(from, to) {
+      calls.push(['calendar', from, to]);
+      return (fixtures.calendar || []).filter(event => {
+        const date = new Date(event.date);
+        return date >= from && date <= to;
+      });
+    },
+  };
+};
+
+module.exports = { createFixtureProvider };
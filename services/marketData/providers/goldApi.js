@@ -0,0 +1,20 @@
+const http = require('../http');
+require('dotenv').config();
+
+const METALS = ['XAU', 'XAG', 'XPT', 'XPD'];
+
+// goldapi.io: metal quotes with bid/ask, needs GOLD_API_KEY
+module.exports = {
+  name: 'goldapi.io',
+
+  covers: ({ base }) => METALS.includes(base),
+
+  async quote({ base, quote }) {
+    const response = await http.get(`https://www.goldapi.io/api/${base}/${quote}`, {
+      headers: { 'x-access-token': process.env.GOLD_API_KEY }
+    });
+    const { price, bid, ask, timestamp } = response.data;
+    if (!price) throw new Error(`No ${base}/${quote} price in the response`);
+    return { time: timestamp ? new Date(timestamp * 1000) : new Date(), price, bid, ask };
+  },
+};
@@ -0,0 +1,17 @@
+const http = require('../http');
+
+const SYMBOLS = ['XAU', 'XAG', 'XPT', 'XPD', 'BTC', 'ETH'];
+
+// gold-api.com: keyless USD spot prices of metals and crypto, without bid/ask
+module.exports = {
+  name: 'gold-api.com',
+
+  covers: ({ base, quote }) => SYMBOLS.includes(base) && quote === 'USD',
+
+  async quote({ base }) {
+    const response = await http.get(`https://api.gold-api.com/price/${base}`);
+    const { price, updatedAt } = response.data;
+    if (!price) throw new Error(`No ${base} price in the response`);
+    return { time: updatedAt ? new Date(updatedAt) : new Date(), price };
+  },
+};
@@ -0,0 +1,13 @@
+const http = require('../http');
+
+// open.er-api.com: the keyless tier of exchangerate-api.com, updated daily
+module.exports = {
+  name: 'open.er-api.com',
+
+  async rates(base) {
+    const response = await http.get(`https://open.er-api.com/v6/latest/${base}`);
+    const { result, rates, time_last_update_unix: updated } = response.data;
+    if (result !== 'success' || !rates) throw new Error(`Exchange rates for ${base} unavailable: ${response.data['error-type'] || result}`);
+    return { time: updated ? new Date(updated * 1000) : new Date(), rates };
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Provider replaying recorded ticks ({ XAUUSD: [{ time, price, bid?, ask? }] }) against a clock,
+ * for deterministic tests of code that polls or streams quotes: quote() returns the last tick at
+ * or before now(). Pair the market data service with a quote TTL of 0 so every poll sees the
+ * clock move.
+ */
+const createReplayProvider = (ticksBySymbol, { now = Date.now, name = 'replay' } = {}) => {
+  const series = new Map(Object.entries(ticksBySymbol).map(([symbol, ticks]) => [
+    symbol.toUpperCase(),
+    ticks.map(tick => ({ ...tick, time: new Date(tick.time) })).sort((a, b) => a.time - b.time),
+  ]));
+
+  return {
+    name,
+
+    covers: ({ base, quote }) => series.has(base + quote),
+
+    async quote({ base, quote }) {
+      const ticks = series.get(base + quote);
+      const time = now();
+      const played = ticks.filter(tick => tick.time.getTime() <= time);
+      if (!played.length) throw new Error(`No ${base}${quote} tick recorded before ${new Date(time).toISOString()}`);
+      return played[played.length - 1];
+    },
+  };
+};
+
+module.exports = { createReplayProvider };
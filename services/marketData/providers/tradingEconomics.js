@@ -0,0 +1,33 @@
+const http = require('../http');
+require('dotenv').config();
+
+const day = date => date.toISOString().split('T')[0];
+
+// Trading Economics economic calendar, needs TRADING_ECONOMICS_API_KEY. Without it every call
+// fails, so the provider's circuit opens and the calendar answers 503.
+module.exports = {
+  name: 'tradingeconomics.com',
+
+  async calendar(from, to) {
+    const apiKey = process.env.TRADING_ECONOMICS_API_KEY;
+    if (!apiKey) throw new Error('TRADING_ECONOMICS_API_KEY is not set');
+    const response = await http.get(`https://api.tradingeconomics.com/calendar/country/All/${day(from)}/${day(to)}`, {
+      params: {
+        c: apiKey,
+        f: 'json'
+      }
+    });
+    if (!Array.isArray(response.data)) throw new Error('Unexpected economic calendar response');
+
+    return response.data.map(event => ({
+      event: event.Event,
+      importance: event.Importance,
+      actual: event.Actual || 'N/A',
+      forecast: event.Forecast || 'N/A',
+      previous: event.Previous || 'N/A',
+      country: event.Country,
+      currency: event.Currency,
+      date: event.Date
+    }));
+  },
+};
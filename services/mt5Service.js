@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Credential = require('../models/Credential');
+const TradingAccount = require('../models/TradingAccount');
+const Stats = require('../models/Stats');
+const StatsDaily = require('../models/StatsDaily');
+const Trade = require('../models/Trade');
+const { CopySettings } = require('../models/CopyTrading');
+const { encrypt } = require('./credentialVault');
+const { getAdapter } = require('./platforms');
+
+/**
+ * Verifies the credentials with the platform adapter (the MT5 bridge unless `platform` says
+ * otherwise), then links (or re-links) the account and stores its secret encrypted. The user's
+ * first account becomes their default.
+ */
+const connectAccount = async (userId, { platform = 'mt5', label, broker, currency, ...credentials }) => {
+  const adapter = getAdapter(platform);
+  if (!adapter) {
+    throw new Error(`Unsupported trading platform: ${platform}`);
+  }
+  const { login, server, secret, data } = await adapter.connect(credentials);
+
+  const hasDefault = await TradingAccount.exists({ userId, isDefault: true });
+  const update = { updatedAt: new Date() };
+  if (label) update.label = label;
+  if (broker) update.broker = broker;
+  if (currency) update.currency = currency;
+
+  const account = await TradingAccount.findOneAndUpdate(
+    { userId, platform, server, login },
+    {
+      $set: update,
+      $setOnInsert: { isDefault: !hasDefault, ...(!label && { label: `${server} ${login}` }) },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+
+  await Credential.findOneAndUpdate(
+    { accountId: account._id },
+    { userId, secret: encrypt(secret, userId), updatedAt: new Date() },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return { account, data };
+};
+
+/**
+ * Looks up a single account of the user: the given one, or the default account when no
+ * `accountId` is given. 'all' is not an account, so it resolves to null like an unknown id.
+ */
+const resolveAccount = async (userId, accountId) => {
+  if (accountId && !mongoose.isValidObjectId(accountId)) {
+    return null;
+  }
+  return accountId
+    ? TradingAccount.findOne({ _id: accountId, userId })
+    : TradingAccount.findOne({ userId, isDefault: true });
+};
+
+/**
+ * Resolves the `accountId` a client asked for: a specific account, 'all' for every linked
+ * account, or nothing for the user's default account.
+ */
+const resolveAccounts = async (userId, accountId) => {
+  if (accountId === 'all') {
+    return TradingAccount.find({ userId }).sort({ createdAt: 1 });
+  }
+  const account = await resolveAccount(userId, accountId);
+  return account ? [account] : [];
+};
+
+const setDefaultAccount = async (userId, accountId) => {
+  const account = await TradingAccount.findOne({ _id: accountId, userId });
+  if (!account) return null;
+  await TradingAccount.updateMany({ userId, _id: { $ne: account._id } }, { isDefault: false });
+  account.isDefault = true;
+  await account.save();
+  return account;
+};
+
+// Removes the account, its stored credentials and every metric and trade derived from it
+const disconnectAccount = async (userId, accountId) => {
+  const account = await TradingAccount.findOneAndDelete({ _id: accountId, userId });
+  if (!account) return false;
+
+  await Credential.deleteOne({ accountId: account._id });
+  await Stats.deleteMany({ userId, accountId: account._id });
+  await StatsDaily.deleteMany({ userId, accountId: account._id });
+  await Trade.deleteMany({ userId, accountId: account._id });
+  // Copy trading has nowhere to place orders any more
+  await CopySettings.updateOne({ userId, accountId: account._id }, { enabled: false, $unset: { accountId: '' } });
+
+  if (account.isDefault) {
+    const next = await TradingAccount.findOne({ userId }).sort({ createdAt: 1 });
+    if (next) await setDefaultAccount(userId, next._id);
+  }
+  return true;
+};
+
+module.exports = { connectAccount, resolveAccount, resolveAccounts, setDefaultAccount, disconnectAccount };
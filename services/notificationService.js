@@ -0,0 +1,127 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { registerHandler, enqueue } = require('./jobQueue');
+
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+// Users each broadcast audience reaches, by subscription tier (User.role)
+const AUDIENCE_FILTERS = {
+  'All Users': {},
+  'Free Users': { $or: [{ role: 'free' }, { role: { $exists: false } }] },
+  'Premium Users': { role: 'premium' },
+  'VVIP Users': { role: 'VVIP' },
+};
+const AUDIENCES = Object.keys(AUDIENCE_FILTERS);
+
+const sendNotificationEmail = (email, notification) => transporter.sendMail({
+  from: process.env.EMAIL_USER,
+  to: email,
+  subject: notification.title,
+  text: notification.message
+});
+
+/**
+ * Emits `newNotification` to the notification's audience and optionally emails them. An email
+ * that fails is logged and skipped rather than failing the delivery, so a retry never repeats
+ * what was already sent.
+ */
+const deliverNotification = async (notification, { sendEmail } = {}, io) => {
+  const everyone = notification.audience === 'All Users';
+  if (everyone) {
+    io.emit('newNotification', notification);
+  }
+  if (everyone && !sendEmail) return;
+
+  const users = await User.find(AUDIENCE_FILTERS[notification.audience]).select('email');
+  for (const user of users) {
+    if (!everyone) {
+      io.to(user._id.toString()).emit('newNotification', notification);
+    }
+    if (sendEmail && user.email) {
+      try {
+        await sendNotificationEmail(user.email, notification);
+      } catch (error) {
+        console.error(`Notification email to ${user.email} failed:`, error.message);
+      }
+    }
+  }
+};
+
+// FCM errors for tokens of uninstalled apps or expired registrations
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Sends the notification to the user's devices (User.pushTokens) and forgets tokens FCM rejects
+const sendPushNotification = async (user, notification) => {
+  if (!user.pushTokens?.length) return;
+  // Loaded on first use as it needs the Firebase service account key
+  const admin = require('../config/firebase');
+  const result = await admin.messaging().sendEachForMulticast({
+    tokens: user.pushTokens,
+    notification: { title: notification.title, body: notification.message },
+    data: { notificationId: notification._id.toString(), type: notification.type || 'Normal' }
+  });
+  const stale = user.pushTokens.filter((token, index) => STALE_TOKEN_ERRORS.includes(result.responses[index].error?.code));
+  if (stale.length) {
+    await User.updateOne({ _id: user._id }, { $pull: { pushTokens: { $in: stale } } });
+  }
+};
+
+/**
+ * Sends a notification to one user over the given channels: in_app emits it to their room,
+ * email mails it and push sends it to their devices. Email and push failures are thrown.
+ */
+const deliverPersonalNotification = async (notification, user, io, channels = ['in_app', 'email']) => {
+  if (channels.includes('in_app')) {
+    io.to(user._id.toString()).emit('newNotification', notification);
+  }
+  if (channels.includes('email') && user.email) {
+    await sendNotificationEmail(user.email, notification);
+  }
+  if (channels.includes('push')) {
+    await sendPushNotification(user, notification);
+  }
+};
+
+registerHandler('notification.broadcast', async ({ notificationId, sendEmail }, { io }) => {
+  const notification = await Notification.findById(notificationId);
+  if (!notification) return;
+  await deliverNotification(notification, { sendEmail }, io);
+});
+
+registerHandler('notification.personal', async ({ notificationId, userId, channels }, { io }) => {
+  const [notification, user] = await Promise.all([Notification.findById(notificationId), User.findById(userId)]);
+  if (!notification || !user) return;
+  await deliverPersonalNotification(notification, user, io, channels);
+});
+
+// Deliveries at a notification's scheduleDate are stored jobs, see services/jobQueue.js
+const queueDelivery = (name, notification, payload, createdBy) => enqueue(
+  name,
+  { notificationId: notification._id.toString(), ...payload },
+  { runAt: notification.scheduleDate, key: `notification:${notification._id}`, createdBy }
+);
+
+const scheduleNotification = (notification, { sendEmail }, createdBy) => (
+  queueDelivery('notification.broadcast', notification, { sendEmail: Boolean(sendEmail) }, createdBy)
+);
+
+// Without channels the notification goes out in-app and by email
+const schedulePersonalNotification = (notification, userId, createdBy, channels) => (
+  queueDelivery('notification.personal', notification, { userId: userId.toString(), ...(channels && { channels }) }, createdBy)
+);
+
+module.exports = {
+  AUDIENCES,
+  deliverNotification,
+  deliverPersonalNotification,
+  scheduleNotification,
+  schedulePersonalNotification,
+};
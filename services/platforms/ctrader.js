@@ -0,0 +1,228 @@
+const WebSocket = require('ws');
+require('dotenv').config();
+
+// cTrader Open API over its JSON WebSocket endpoint. Each call opens a session, authorises the
+// application and the trading account, runs its requests and closes again.
+const HOSTS = {
+  live: 'wss://live.ctraderapi.com:5036',
+  demo: 'wss://demo.ctraderapi.com:5036',
+};
+const CONNECT_TIMEOUT_MS = 10000;
+const REQUEST_TIMEOUT_MS = 15000;
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+// How far back the first deal sync looks when the account has no stored deals yet
+const INITIAL_HISTORY_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Open API payload types used here
+const PAYLOAD = {
+  ERROR: 50,
+  HEARTBEAT: 51,
+  APPLICATION_AUTH_REQ: 2100,
+  ACCOUNT_AUTH_REQ: 2102,
+  SYMBOLS_LIST_REQ: 2114,
+  SYMBOL_BY_ID_REQ: 2116,
+  TRADER_REQ: 2121,
+  RECONCILE_REQ: 2124,
+  DEAL_LIST_REQ: 2133,
+  OA_ERROR: 2142,
+  UNREALIZED_PNL_REQ: 2187,
+};
+const TRADE_SIDES = { 1: 'buy', 2: 'sell' };
+const FILLED_DEAL_STATUSES = [2, 3]; // FILLED, PARTIALLY_FILLED
+
+const money = (value, digits) => (value || 0) / 10 ** (digits ?? 2);
+
+const openSession = (environment) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(HOSTS[environment] || HOSTS.live);
+  const pending = new Map();
+  let nextId = 1;
+
+  const failPending = (error) => {
+    pending.forEach((request) => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+    pending.clear();
+  };
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      // A frame that is not JSON leaves the session in an unknown state; drop it
+      const invalid = new Error('cTrader sent an invalid message');
+      failPending(invalid);
+      reject(invalid);
+      socket.terminate();
+      return;
+    }
+    if (message.payloadType === PAYLOAD.HEARTBEAT) {
+      socket.send(JSON.stringify({ payloadType: PAYLOAD.HEARTBEAT, payload: {} }));
+      return;
+    }
+    const request = pending.get(message.clientMsgId);
+    if (!request) return;
+    pending.delete(message.clientMsgId);
+    clearTimeout(request.timer);
+    if ([PAYLOAD.ERROR, PAYLOAD.OA_ERROR].includes(message.payloadType)) {
+      request.reject(new Error(`cTrader ${message.payload.errorCode}: ${message.payload.description || 'request failed'}`));
+    } else {
+      request.resolve(message.payload);
+    }
+  });
+
+  // Until the socket opens, a close, an error or the timeout fails the session itself
+  const connectTimer = setTimeout(() => {
+    reject(new Error('cTrader connection timed out'));
+    socket.terminate();
+  }, CONNECT_TIMEOUT_MS);
+  socket.on('close', () => {
+    clearTimeout(connectTimer);
+    const error = new Error('cTrader connection closed');
+    failPending(error);
+    reject(error);
+  });
+  socket.on('error', (error) => {
+    clearTimeout(connectTimer);
+    failPending(error);
+    reject(error);
+  });
+  socket.once('open', () => {
+    clearTimeout(connectTimer);
+    resolve({
+      send: (payloadType, payload) => new Promise((resolveRequest, rejectRequest) => {
+        const clientMsgId = String(nextId++);
+        const timer = setTimeout(() => {
+          pending.delete(clientMsgId);
+          rejectRequest(new Error('cTrader request timed out'));
+        }, REQUEST_TIMEOUT_MS);
+        pending.set(clientMsgId, { resolve: resolveRequest, reject: rejectRequest, timer });
+        socket.send(JSON.stringify({ clientMsgId, payloadType, payload }));
+      }),
+      close: () => socket.close(),
+    });
+  });
+});
+
+// Runs `work` inside an authorised session for the trading account
+const withSession = async ({ ctidTraderAccountId, environment }, accessToken, work) => {
+  const session = await openSession(environment);
+  try {
+    await session.send(PAYLOAD.APPLICATION_AUTH_REQ, {
+      clientId: process.env.CTRADER_CLIENT_ID,
+      clientSecret: process.env.CTRADER_CLIENT_SECRET,
+    });
+    const accountId = Number(ctidTraderAccountId);
+    await session.send(PAYLOAD.ACCOUNT_AUTH_REQ, { ctidTraderAccountId: accountId, accessToken });
+    return await work(session, accountId);
+  } finally {
+    session.close();
+  }
+};
+
+const fetchBalances = async (session, ctidTraderAccountId) => {
+  const { trader } = await session.send(PAYLOAD.TRADER_REQ, { ctidTraderAccountId });
+  const balance = money(trader.balance, trader.moneyDigits);
+  const pnl = await session.send(PAYLOAD.UNREALIZED_PNL_REQ, { ctidTraderAccountId });
+  const profit = (pnl.positionUnrealizedPnL || [])
+    .reduce((sum, position) => sum + money(position.netUnrealizedPnL, pnl.moneyDigits), 0);
+  return { balance, equity: balance + profit, profit };
+};
+
+// Symbol names and lot sizes (volumes are sent in 0.01 units; lotSize is in the same units)
+const fetchSymbols = async (session, ctidTraderAccountId, symbolIds) => {
+  const ids = [...new Set(symbolIds)];
+  if (ids.length === 0) return new Map();
+  const [{ symbol: light = [] }, { symbol: details = [] }] = await Promise.all([
+    session.send(PAYLOAD.SYMBOLS_LIST_REQ, { ctidTraderAccountId }),
+    session.send(PAYLOAD.SYMBOL_BY_ID_REQ, { ctidTraderAccountId, symbolId: ids }),
+  ]);
+  const names = new Map(light.map(symbol => [symbol.symbolId, symbol.symbolName]));
+  return new Map(details.map(symbol => [symbol.symbolId, { name: names.get(symbol.symbolId), lotSize: symbol.lotSize }]));
+};
+
+const toLots = (volume, symbol) => (symbol?.lotSize ? volume / symbol.lotSize : volume / 100);
+
+// ctidTraderAccountId and the environment are stored as the account's login and server
+const accountRef = account => ({ ctidTraderAccountId: account.login, environment: account.server });
+
+module.exports = {
+  platform: 'ctrader',
+  live: true,
+  requiredFields: ['accessToken', 'ctidTraderAccountId'],
+
+  async connect({ accessToken, ctidTraderAccountId, environment = 'live' }) {
+    if (!HOSTS[environment]) {
+      throw new Error('environment must be live or demo');
+    }
+    const account = await withSession({ ctidTraderAccountId, environment }, accessToken, fetchBalances);
+    return { login: String(ctidTraderAccountId), server: environment, secret: accessToken, data: { success: true, account } };
+  },
+
+  async fetchAccount(account, accessToken) {
+    return withSession(accountRef(account), accessToken, fetchBalances);
+  },
+
+  // Filled deals in weekly windows (the Open API limit per request), mapped to the bridge deal shape
+  async fetchDeals(account, accessToken, { afterTicket = 0, from } = {}) {
+    return withSession(accountRef(account), accessToken, async (session, ctidTraderAccountId) => {
+      const now = Date.now();
+      const raw = [];
+      for (let start = from || now - INITIAL_HISTORY_MS; start < now; start += WEEK) {
+        const { deal = [] } = await session.send(PAYLOAD.DEAL_LIST_REQ, {
+          ctidTraderAccountId,
+          fromTimestamp: start,
+          toTimestamp: Math.min(start + WEEK, now),
+        });
+        raw.push(...deal.filter(d => d.dealId > afterTicket && FILLED_DEAL_STATUSES.includes(d.dealStatus)));
+      }
+
+      const symbols = await fetchSymbols(session, ctidTraderAccountId, raw.map(d => d.symbolId));
+      return raw
+        .sort((a, b) => a.dealId - b.dealId)
+        .map((deal) => {
+          const symbol = symbols.get(deal.symbolId);
+          const close = deal.closePositionDetail;
+          return {
+            ticket: deal.dealId,
+            order: deal.orderId,
+            positionId: deal.positionId,
+            time: deal.executionTimestamp,
+            type: TRADE_SIDES[deal.tradeSide],
+            entry: close ? 'out' : 'in',
+            symbol: symbol?.name || String(deal.symbolId),
+            volume: toLots(deal.filledVolume || deal.volume, symbol),
+            price: deal.executionPrice,
+            sl: 0,
+            tp: 0,
+            commission: money(deal.commission, deal.moneyDigits),
+            swap: close ? money(close.swap, close.moneyDigits) : 0,
+            fee: 0,
+            profit: close ? money(close.grossProfit, close.moneyDigits) : 0,
+          };
+        });
+    });
+  },
+
+  async fetchPositions(account, accessToken) {
+    return withSession(accountRef(account), accessToken, async (session, ctidTraderAccountId) => {
+      const { position = [] } = await session.send(PAYLOAD.RECONCILE_REQ, { ctidTraderAccountId });
+      const symbols = await fetchSymbols(session, ctidTraderAccountId, position.map(p => p.tradeData.symbolId));
+      return position.map((p) => {
+        const symbol = symbols.get(p.tradeData.symbolId);
+        return {
+          positionId: p.positionId,
+          symbol: symbol?.name || String(p.tradeData.symbolId),
+          side: TRADE_SIDES[p.tradeData.tradeSide],
+          volume: toLots(p.tradeData.volume, symbol),
+          openTime: p.tradeData.openTimestamp,
+          openPrice: p.price,
+          sl: p.stopLoss || 0,
+          tp: p.takeProfit || 0,
+          swap: money(p.swap, p.moneyDigits),
+        };
+      });
+    });
+  },
+};
@@ -0,0 +1,27 @@
+const { parseStatement } = require('../../utils/statementParser');
+
+// Accounts fed by uploaded statements (POST /api/trades/import). There is nothing to poll: the
+// trades and balances only change when the user uploads a new file.
+module.exports = {
+  platform: 'import',
+  live: false,
+  requiredFields: [],
+
+  async connect() {
+    throw new Error('Import accounts are created by uploading a statement');
+  },
+
+  async fetchAccount() {
+    return null;
+  },
+
+  async fetchDeals() {
+    return [];
+  },
+
+  async fetchPositions() {
+    return [];
+  },
+
+  parse: parseStatement,
+};
@@ -0,0 +1,88 @@
+const Credential = require('../../models/Credential');
+const { decrypt } = require('../credentialVault');
+
+/**
+ * Trading platform adapters. Every adapter exposes:
+ *   platform        TradingAccount.platform value it serves
+ *   live            true when the platform can be polled (false for uploaded statements)
+ *   requiredFields  credential fields connect() needs
+ *   connect(credentials) -> { login, server, secret, data }
+ *       verifies the credentials; `secret` is what gets stored in the credential vault
+ *   fetchAccount(account, secret) -> { balance, equity, profit?, currency?, metrics? }
+ *       `metrics` only when the platform computes them itself (the MT5 bridge does)
+ *   fetchDeals(account, secret, { afterTicket, from }) -> deals, oldest first, in the shape
+ *       tradeService.applyDeal expects
+ *   fetchPositions(account, secret) -> open positions
+ *   placeOrder(account, secret, order) -> { ticket, price, volume, symbol }   (optional)
+ *       order is { symbol, side: buy|sell, type: market|limit, volume, price?, sl, tp,
+ *       expiresAt?, comment, magic }; throws when the platform rejects it
+ *   cancelOrder(account, secret, ticket)   (optional, with placeOrder)
+ *       removes a pending order that was not filled; throws when it cannot
+ * Stats, trade and signal code goes through the helpers below and never calls a platform directly.
+ */
+const adapters = new Map();
+
+const registerAdapter = (adapter) => {
+  adapters.set(adapter.platform, adapter);
+  return adapter;
+};
+
+const getAdapter = (platform) => adapters.get(platform);
+
+const livePlatforms = () => Array.from(adapters.values()).filter(adapter => adapter.live).map(adapter => adapter.platform);
+
+const isLive = (platform) => Boolean(adapters.get(platform)?.live);
+
+const canPlaceOrders = (platform) => Boolean(adapters.get(platform)?.placeOrder);
+
+[require('./mt5Bridge'), require('./ctrader'), require('./fileImport')].forEach(registerAdapter);
+
+// This is the only place stored credentials are decrypted, and only to hand them to an adapter.
+const callAdapter = async (account, method, options) => {
+  const adapter = getAdapter(account.platform);
+  if (!adapter) {
+    throw new Error(`Unsupported trading platform: ${account.platform}`);
+  }
+  if (!adapter.live) {
+    return adapter[method](account, null, options);
+  }
+
+  const credential = await Credential.findOne({ accountId: account._id });
+  if (!credential) {
+    throw new Error('Trading account credentials not found or incomplete');
+  }
+  return adapter[method](account, decrypt(credential.secret, account.userId), options);
+};
+
+const fetchAccount = (account) => callAdapter(account, 'fetchAccount');
+
+const fetchDeals = (account, options) => callAdapter(account, 'fetchDeals', options);
+
+const fetchPositions = (account) => callAdapter(account, 'fetchPositions');
+
+const placeOrder = (account, order) => {
+  if (!canPlaceOrders(account.platform)) {
+    return Promise.reject(new Error(`Order placement is not supported for ${account.platform} accounts`));
+  }
+  return callAdapter(account, 'placeOrder', order);
+};
+
+const cancelOrder = (account, ticket) => {
+  if (!getAdapter(account.platform)?.cancelOrder) {
+    return Promise.reject(new Error(`Order cancellation is not supported for ${account.platform} accounts`));
+  }
+  return callAdapter(account, 'cancelOrder', ticket);
+};
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  livePlatforms,
+  isLive,
+  canPlaceOrders,
+  fetchAccount,
+  fetchDeals,
+  fetchPositions,
+  placeOrder,
+  cancelOrder,
+};
@@ -0,0 +1,70 @@
+/**
+ * In-memory adapter for tests and local development without a terminal. Register it over a
+ * platform to fake that platform:
+ *   registerAdapter(createMockAdapter({ account: { balance: 1000, equity: 1000 }, deals: [...] }))
+ * Placed orders are kept in `orders` and fill at their own price; `rejectOrders` (a message)
+ * makes placeOrder and cancelOrder fail the way a broker rejection does.
+ */
+const createMockAdapter = ({
+  platform = 'mt5',
+  account = { balance: 0, equity: 0 },
+  deals = [],
+  positions = [],
+  metrics,
+  rejectOrders,
+} = {}) => {
+  const calls = [];
+  const orders = [];
+  return {
+    platform,
+    live: true,
+    requiredFields: [],
+    calls,
+    deals,
+    positions,
+    orders,
+
+    async connect(credentials) {
+      calls.push(['connect', credentials]);
+      return {
+        login: String(credentials.login || 'mock'),
+        server: credentials.server || 'mock',
+        secret: credentials.password || 'mock',
+        data: { success: true, account },
+      };
+    },
+
+    async fetchAccount(linked, secret) {
+      calls.push(['fetchAccount', linked, secret]);
+      return { ...account, ...(metrics && { metrics }) };
+    },
+
+    async fetchDeals(linked, secret, { afterTicket = 0 } = {}) {
+      calls.push(['fetchDeals', linked, secret, afterTicket]);
+      return deals.filter(deal => deal.ticket > afterTicket).sort((a, b) => a.ticket - b.ticket);
+    },
+
+    async fetchPositions(linked, secret) {
+      calls.push(['fetchPositions', linked, secret]);
+      return positions;
+    },
+
+    async placeOrder(linked, secret, order) {
+      calls.push(['placeOrder', linked, secret, order]);
+      if (rejectOrders) throw new Error(rejectOrders);
+      const placed = { ticket: 1000 + orders.length, price: order.price ?? null, volume: order.volume, symbol: order.symbol };
+      orders.push({ ...order, ...placed });
+      return placed;
+    },
+
+    async cancelOrder(linked, secret, ticket) {
+      calls.push(['cancelOrder', linked, secret, ticket]);
+      if (rejectOrders) throw new Error(rejectOrders);
+      const index = orders.findIndex(order => order.ticket === ticket);
+      if (index === -1) throw new Error(`Order ${ticket} not found`);
+      orders.splice(index, 1);
+    },
+  };
+};
+
+module.exports = { createMockAdapter };
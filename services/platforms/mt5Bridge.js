@@ -0,0 +1,54 @@
+const axios = require('axios');
+require('dotenv').config();
+
+// MT5 Flask service URL (mt5_bridge.py). The bridge drives a single terminal, so callers must
+// not run requests for several accounts in parallel.
+const PYTHON_SERVER_URL = process.env.PYTHON_SERVER_URL;
+
+const callBridge = async (endpoint, { login, server }, password, options = {}) => {
+  const response = await axios.post(`${PYTHON_SERVER_URL}${endpoint}`, { ...options, login, password, server });
+  if (!response.data.success) {
+    throw new Error(response.data.error);
+  }
+  return response.data;
+};
+
+// The bridge computes calculate_metrics itself, so fetchAccount returns them alongside the balances
+module.exports = {
+  platform: 'mt5',
+  live: true,
+  requiredFields: ['login', 'password', 'server'],
+
+  async connect({ login, password, server }) {
+    const data = await callBridge('/connect', { login, server }, password);
+    return { login: String(login), server, secret: password, data };
+  },
+
+  async fetchAccount(account, password) {
+    const { metrics, account: balances } = await callBridge('/connect', account, password);
+    return { ...balances, metrics };
+  },
+
+  async fetchDeals(account, password, { afterTicket = 0, from } = {}) {
+    const { deals } = await callBridge('/deals', account, password, { afterTicket, from });
+    return deals;
+  },
+
+  async fetchPositions(account, password) {
+    const { positions } = await callBridge('/positions', account, password);
+    return positions;
+  },
+
+  // The bridge resolves the broker's name for the symbol (suffixes such as "XAUUSDm")
+  async placeOrder(account, password, { expiresAt, ...order }) {
+    const { order: placed } = await callBridge('/order', account, password, {
+      ...order,
+      expiration: expiresAt ? new Date(expiresAt).getTime() : undefined,
+    });
+    return placed;
+  },
+
+  async cancelOrder(account, password, ticket) {
+    await callBridge('/cancel', account, password, { ticket });
+  },
+};
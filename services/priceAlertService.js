@@ -0,0 +1,200 @@
+const schedule = require('node-schedule');
+require('dotenv').config();
+const PriceAlert = require('../models/PriceAlert');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { livePriceSource } = require('./priceFeed');
+const { schedulePersonalNotification } = require('./notificationService');
+const { MAX_WINDOW_MINUTES, conditionMet, directionFor, evaluateAlert, percentChange } = require('../utils/priceConditions');
+
+const MINUTE = 60 * 1000;
+// Cron step, so 1-59 minutes
+const CHECK_INTERVAL_MINUTES = Math.min(parseInt(process.env.PRICE_ALERT_INTERVAL_MINUTES, 10) || 1, 59);
+const COOLDOWN_MINUTES = parseInt(process.env.PRICE_ALERT_COOLDOWN_MINUTES, 10) || 60;
+
+// Latest price of a quote source (see services/priceFeed.js), the mid when only bid/ask are given
+const latestPrice = (quotes) => {
+  const quote = quotes[quotes.length - 1];
+  if (!quote) return null;
+  return quote.price ?? (quote.bid + quote.ask) / 2;
+};
+
+/**
+ * Prices the worker has seen per asset, for percent_change alerts. Kept in memory for
+ * MAX_WINDOW_MINUTES, so after a restart those alerts wait until the history covers their window.
+ * A margin of two checks keeps a price at least MAX_WINDOW_MINUTES old despite scheduling jitter.
+ */
+const createPriceHistory = (keepMinutes = MAX_WINDOW_MINUTES + 2 * CHECK_INTERVAL_MINUTES) => {
+  const samples = new Map();
+  return {
+    record(asset, price, time) {
+      const series = (samples.get(asset) || []).filter(sample => time - sample.time <= keepMinutes * MINUTE);
+      series.push({ time, price });
+      samples.set(asset, series);
+    },
+    get: asset => samples.get(asset) || [],
+  };
+};
+
+const priceHistory = createPriceHistory();
+
+/**
+ * Direction and armed state of a new or edited alert from the current price: cross alerts without
+ * a direction wait for the price to move to the other side of the target, and an alert whose
+ * condition already holds waits until it no longer does. Returns {} when there is no price (or the
+ * condition needs price history), leaving arming to the worker.
+ */
+const initialState = async (fields, source = livePriceSource) => {
+  let price;
+  try {
+    price = latestPrice(await source.getQuotes(fields.asset));
+  } catch (error) {
+    console.error(`Price feed failed for ${fields.asset}:`, error.message);
+    return {};
+  }
+  if (price === null) return {};
+  const direction = fields.type === 'cross' && !fields.direction ? directionFor(fields.target, price) : fields.direction;
+  const met = conditionMet({ ...fields, direction }, price);
+  if (met === null) return {};
+  return { ...(direction && { direction }), armed: !met };
+};
+
+// What the alert notification says happened
+const describeAlert = (alert) => {
+  const name = alert.asset;
+  switch (alert.type) {
+    case 'cross':
+      return `${name} ${alert.direction === 'above' ? 'rose to' : 'fell to'} ${alert.target}`;
+    case 'percent_change': {
+      const way = { above: 'rose', below: 'fell' }[alert.direction] || 'moved';
+      return `${name} ${way} ${alert.percent}% or more within ${alert.windowMinutes} minutes`;
+    }
+    case 'range':
+      return `${name} ${alert.rangeEvent === 'enter' ? 'entered' : 'left'} the ${alert.lower}-${alert.upper} range`;
+    default:
+      return `${name} came within ${alert.distance}${alert.distanceUnit === 'percent' ? '%' : ' pips'} of ${alert.target}`;
+  }
+};
+
+// Sends the alert to its user as a personal notification over the alert's channels
+const notifyAlert = async (alert) => {
+  const user = await User.findById(alert.userId).select('displayName');
+  if (!user) return;
+  const notification = await Notification.create({
+    title: `${alert.asset} Price Alert`,
+    message: `${describeAlert(alert)} (price: ${alert.triggerPrice})${alert.note ? ` - ${alert.note}` : ''}`,
+    audience: `Individual User: ${user.displayName}`,
+    userId: user._id,
+    type: 'Alert'
+  });
+  await schedulePersonalNotification(notification, user._id, undefined, alert.channels);
+};
+
+/**
+ * Marks the alert triggered and notifies its user. The update only matches an active alert, so
+ * an alert fires once even when two workers check it at the same time. Returns the alert, or
+ * null when it was not active any more.
+ */
+const fireAlert = async (alert, price, now = new Date()) => {
+  const cooldown = alert.cooldownMinutes || COOLDOWN_MINUTES;
+  const fired = await PriceAlert.findOneAndUpdate(
+    { _id: alert._id, status: 'active' },
+    {
+      status: 'triggered',
+      armed: false,
+      triggeredAt: now,
+      triggerPrice: price,
+      rearmAt: new Date(now.getTime() + cooldown * MINUTE),
+      updatedAt: now
+    },
+    { new: true }
+  );
+  if (fired) await notifyAlert(fired);
+  return fired;
+};
+
+// Carries out what evaluateAlert decided; returns the alert when it fired
+const applyAction = async (action, alert, price, now) => {
+  if (action === 'expire') {
+    await PriceAlert.updateOne({ _id: alert._id }, { status: 'expired', armed: false, updatedAt: now });
+  } else if (action === 'arm') {
+    const update = { armed: true, updatedAt: now };
+    if (alert.type === 'cross' && !alert.direction) update.direction = directionFor(alert.target, price);
+    await PriceAlert.updateOne({ _id: alert._id, status: 'active' }, update);
+  } else if (action === 'rearm') {
+    await PriceAlert.updateOne({ _id: alert._id, status: 'triggered' }, { status: 'active', armed: true, updatedAt: now });
+  } else if (action === 'fire') {
+    return fireAlert(alert, price, now);
+  }
+  return null;
+};
+
+/**
+ * Evaluates the alerts that can act (active ones, and triggered ones due for re-arming) against
+ * the latest quote of their asset from `source`, one request per asset. Nothing is requested when
+ * there is nothing to check. Returns the alerts that fired.
+ */
+const checkPriceAlerts = async (source = livePriceSource, { io, now = new Date(), history = priceHistory } = {}) => {
+  const alerts = await PriceAlert.find({
+    $or: [{ status: 'active' }, { status: 'triggered', $or: [{ repeat: true, rearmAt: { $lte: now } }, { expiresAt: { $lte: now } }] }],
+  });
+
+  const byAsset = new Map();
+  alerts.forEach(alert => byAsset.set(alert.asset, [...(byAsset.get(alert.asset) || []), alert]));
+
+  const fired = [];
+  for (const [asset, group] of byAsset) {
+    let price;
+    try {
+      price = latestPrice(await source.getQuotes(asset));
+    } catch (error) {
+      console.error(`Price feed failed for ${asset}:`, error.message);
+      continue;
+    }
+    if (price === null) continue;
+    history.record(asset, price, now);
+
+    for (const alert of group) {
+      try {
+        const change = alert.type === 'percent_change' ? percentChange(history.get(asset), alert.windowMinutes, price, now) : null;
+        const result = await applyAction(evaluateAlert(alert, price, { now, change }), alert, price, now);
+        if (!result) continue;
+        fired.push(result);
+        if (io && result.channels.includes('in_app')) io.to(String(result.userId)).emit('priceAlertTriggered', result);
+      } catch (error) {
+        console.error(`Price alert ${alert._id} failed:`, error);
+      }
+    }
+  }
+  return fired;
+};
+
+let alertJob = null;
+let running = false;
+
+// Checks the alerts every PRICE_ALERT_INTERVAL_MINUTES; pass a source to use other quotes
+const startPriceAlertJob = (io, source = livePriceSource) => {
+  if (alertJob) return alertJob;
+  alertJob = schedule.scheduleJob(`*/${CHECK_INTERVAL_MINUTES} * * * *`, async () => {
+    if (running) return;
+    running = true;
+    try {
+      await checkPriceAlerts(source, { io });
+    } catch (error) {
+      console.error('Price alert job error:', error);
+    } finally {
+      running = false;
+    }
+  });
+  return alertJob;
+};
+
+module.exports = {
+  latestPrice,
+  createPriceHistory,
+  initialState,
+  describeAlert,
+  fireAlert,
+  checkPriceAlerts,
+  startPriceAlertJob,
+};
@@ -0,0 +1,58 @@
+const { getInstrument } = require('../utils/instruments');
+const marketData = require('./marketData');
+
+/**
+ * Quote sources for the signal resolver. A source exposes
+ *   getQuotes(asset, since) -> [{ time, price, bid?, ask? }], oldest first
+ * The live source returns the current quote; a replay source returns the recorded quotes
+ * after `since`, so signals can be resolved against history or in tests.
+ */
+// "EUR/USD", "EURUSD" and "xau-usd" all become { base: 'EUR', quote: 'USD' }
+const parseAsset = (asset) => {
+  const letters = String(asset).toUpperCase().replace(/[^A-Z]/g, '');
+  if (letters.length !== 6) return null;
+  return { base: letters.slice(0, 3), quote: letters.slice(3) };
+};
+
+// Registry symbol of the asset, so "GOLD", "XAUUSDm" and "XAU/USD" share the same quotes
+const assetKey = asset => getInstrument(asset).symbol;
+
+// Current quotes from the market data service (services/marketData), which caches them briefly
+const livePriceSource = {
+  async getQuotes(asset) {
+    const pair = parseAsset(assetKey(asset));
+    if (!pair) return [];
+    const quote = await marketData.getQuote(pair);
+    return quote ? [quote] : [];
+  },
+};
+
+/**
+ * Replays recorded quotes, given as { asset: [{ time, price | bid, ask }] }. Asset names are
+ * matched by registry symbol, so "XAU/USD" and "GOLD" signals find quotes recorded as "XAUUSD".
+ */
+const createReplaySource = (quotesByAsset) => {
+  const series = new Map();
+  Object.entries(quotesByAsset).forEach(([asset, quotes]) => {
+    const sorted = quotes
+      .map(quote => ({ ...quote, time: new Date(quote.time) }))
+      .sort((a, b) => a.time - b.time);
+    series.set(assetKey(asset), sorted);
+  });
+
+  return {
+    async getQuotes(asset, since) {
+      const quotes = series.get(assetKey(asset)) || [];
+      return since ? quotes.filter(quote => quote.time > new Date(since)) : quotes;
+    },
+  };
+};
+
+// Whether the live source has quotes for the asset (given by any registry name): metals, crypto
+// and currency pairs
+const canQuote = (asset) => {
+  const { symbol, type, known } = getInstrument(asset);
+  return known && ['metal', 'crypto', 'forex'].includes(type) && Boolean(parseAsset(symbol));
+};
+
+module.exports = { parseAsset, assetKey, canQuote, livePriceSource, createReplaySource };
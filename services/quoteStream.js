@@ -0,0 +1,139 @@
+require('dotenv').config();
+const marketData = require('./marketData');
+const { parseAsset, canQuote } = require('./priceFeed');
+const { getInstrument } = require('../utils/instruments');
+
+// Minimum time between two updates of a symbol, which is also how often subscribed symbols are polled.
+// Quotes come through the market data cache, so MARKET_DATA_QUOTE_TTL_SECONDS bounds how fresh they are.
+const THROTTLE_MS = parseInt(process.env.QUOTE_STREAM_THROTTLE_MS, 10) || 1000;
+const MAX_SUBSCRIPTIONS = 20; // Symbols per socket
+
+const quoteRoom = symbol => `quotes:${symbol}`;
+
+const sameQuote = (a, b) => a && b && a.price === b.price && a.bid === b.bid && a.ask === b.ask;
+
+/**
+ * Live quotes over Socket.IO. Clients emit `subscribeQuotes` / `unsubscribeQuotes` with a symbol
+ * or a list of symbols (any spelling the instrument registry knows) and receive `quote` events
+ * ({ symbol, price, bid, ask, time }) in the room of each symbol. While anyone is subscribed the
+ * symbols are polled from the market data service and a quote is sent when it changed, at most
+ * once per `throttleMs`. Subscriptions end when the socket disconnects.
+ */
+const createQuoteStream = ({ io, source = marketData, throttleMs = THROTTLE_MS, now = Date.now }) => {
+  const subscribers = new Map(); // symbol -> socket ids
+  const latest = new Map(); // symbol -> last quote sent
+  const sentAt = new Map(); // symbol -> when it was sent
+  const failing = new Set();
+  let timer = null;
+  let running = false;
+
+  // The registry symbols of a subscribeQuotes payload, and the ones that cannot be streamed
+  const resolveSymbols = (payload) => {
+    const requested = (Array.isArray(payload) ? payload : [payload]).filter(symbol => typeof symbol === 'string' && symbol);
+    const symbols = [];
+    const rejected = [];
+    requested.forEach(symbol => {
+      const resolved = getInstrument(symbol).symbol;
+      if (!canQuote(resolved)) rejected.push(symbol);
+      else if (!symbols.includes(resolved)) symbols.push(resolved);
+    });
+    return { symbols, rejected };
+  };
+
+  const poll = async (symbol) => {
+    try {
+      const quote = await source.getQuote(parseAsset(symbol));
+      failing.delete(symbol);
+      if (!quote || sameQuote(quote, latest.get(symbol))) return;
+      if (sentAt.has(symbol) && now() - sentAt.get(symbol) < throttleMs) return;
+
+      const update = { symbol, price: quote.price, bid: quote.bid, ask: quote.ask, time: quote.time };
+      latest.set(symbol, update);
+      sentAt.set(symbol, now());
+      io.to(quoteRoom(symbol)).emit('quote', update);
+    } catch (error) {
+      // Logged once per outage rather than on every poll
+      if (!failing.has(symbol)) console.error(`Quote stream failed for ${symbol}:`, error.message);
+      failing.add(symbol);
+    }
+  };
+
+  // Polls every subscribed symbol once; skipped while the previous round is still running
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await Promise.all(Array.from(subscribers.keys()).map(poll));
+    } finally {
+      running = false;
+    }
+  };
+
+  const startPolling = () => {
+    if (timer) return;
+    timer = setInterval(tick, throttleMs);
+    timer.unref?.();
+  };
+
+  const stopPolling = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const unsubscribe = (socket, symbols) => {
+    symbols.forEach(symbol => {
+      const ids = subscribers.get(symbol);
+      if (!ids) return;
+      ids.delete(socket.id);
+      socket.leave(quoteRoom(symbol));
+      if (!ids.size) {
+        subscribers.delete(symbol);
+        latest.delete(symbol);
+        sentAt.delete(symbol);
+        failing.delete(symbol);
+      }
+    });
+    if (!subscribers.size) stopPolling();
+  };
+
+  const subscriptionsOf = socket => Array.from(subscribers.keys()).filter(symbol => subscribers.get(symbol).has(socket.id));
+
+  const register = (socket) => {
+    socket.on('subscribeQuotes', (payload, ack) => {
+      const { symbols, rejected } = resolveSymbols(payload);
+      const current = subscriptionsOf(socket);
+      const added = symbols.filter(symbol => !current.includes(symbol));
+      if (current.length + added.length > MAX_SUBSCRIPTIONS) {
+        if (typeof ack === 'function') ack({ error: `At most ${MAX_SUBSCRIPTIONS} symbols can be subscribed at a time` });
+        return;
+      }
+
+      added.forEach(symbol => {
+        if (!subscribers.has(symbol)) subscribers.set(symbol, new Set());
+        subscribers.get(symbol).add(socket.id);
+        socket.join(quoteRoom(symbol));
+        // The last quote straight away, so the client need not wait for the next change
+        if (latest.has(symbol)) socket.emit('quote', latest.get(symbol));
+      });
+      if (added.length) {
+        startPolling();
+        Promise.all(added.filter(symbol => !latest.has(symbol)).map(poll)).catch(() => {});
+      }
+      if (typeof ack === 'function') ack({ subscribed: [...current, ...added], rejected });
+    });
+
+    socket.on('unsubscribeQuotes', (payload, ack) => {
+      unsubscribe(socket, resolveSymbols(payload).symbols);
+      if (typeof ack === 'function') ack({ subscribed: subscriptionsOf(socket) });
+    });
+
+    socket.on('disconnect', () => unsubscribe(socket, subscriptionsOf(socket)));
+  };
+
+  // Subscriber count per symbol
+  const stats = () => Object.fromEntries(Array.from(subscribers, ([symbol, ids]) => [symbol, ids.size]));
+
+  return { register, tick, stop: stopPolling, stats };
+};
+
+module.exports = { MAX_SUBSCRIPTIONS, quoteRoom, createQuoteStream };
@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+const User = require('../models/User');
+const { Subscription } = require('../models/Subscription');
+const { hasPermission, PERMISSIONS } = require('../config/permissions');
+const { OPEN_STATES, isBuy } = require('../utils/signalLifecycle');
+
+const HOUR = 60 * 60 * 1000;
+// How long free users only see the asset and direction of a premium signal that is still open
+const FREE_DELAY_HOURS = parseInt(process.env.SIGNAL_FREE_DELAY_HOURS, 10) || 24;
+
+const PAID_TIERS = ['premium', 'VVIP'];
+// Socket rooms signal events are sent to; staff are in STAFF_ROOM instead of a tier room
+const tierRoom = tier => `tier:${tier}`;
+const STAFF_ROOM = 'signals:staff';
+
+/**
+ * Tier the user receives signals at: 'staff' for signal managers, their paid role (premium,
+ * VVIP) while they have an active, unexpired Subscription, and 'free' otherwise.
+ */
+const resolveTier = async (userId) => {
+  const user = await User.findById(userId).select('role roles');
+  if (!user) return 'free';
+  if (hasPermission(user.roles, PERMISSIONS.SIGNALS_MANAGE)) return 'staff';
+  if (!PAID_TIERS.includes(user.role)) return 'free';
+
+  const subscribed = await Subscription.exists({
+    userId: user._id,
+    status: 'active',
+    $or: [{ endDate: null }, { endDate: { $gt: new Date() } }],
+  });
+  return subscribed ? user.role : 'free';
+};
+
+const unlocksAt = signal => new Date(new Date(signal.publishDate || signal.date).getTime() + FREE_DELAY_HOURS * HOUR);
+
+/**
+ * 'full' or 'redacted'. Paid tiers and staff see every signal in full, and so does everyone
+ * for signals published to 'All users' or 'Free users'. Free users see premium signals in
+ * full once they resolved or SIGNAL_FREE_DELAY_HOURS after publication, redacted before that.
+ */
+const signalVisibility = (signal, tier, now = new Date()) => {
+  if (tier !== 'free' || signal.category !== 'Premium users') return 'full';
+  if (!OPEN_STATES.includes(signal.state)) return 'full';
+  return now >= unlocksAt(signal) ? 'full' : 'redacted';
+};
+
+// Query for the signals free users see in full at `now`, the database side of signalVisibility
+const fullViewQuery = (now = new Date()) => {
+  const unlocked = new Date(now.getTime() - FREE_DELAY_HOURS * HOUR);
+  return {
+    $or: [
+      { category: { $ne: 'Premium users' } },
+      { state: { $nin: OPEN_STATES } },
+      { publishDate: { $lte: unlocked } },
+      { publishDate: null, date: { $lte: unlocked } },
+    ],
+  };
+};
+
+// Asset and direction only
+const redactSignal = signal => ({
+  signalId: signal.signalId,
+  date: signal.date,
+  asset: signal.asset,
+  direction: isBuy(signal.entryType) ? 'Buy' : 'Sell',
+  category: signal.category,
+  state: signal.state,
+  locked: true,
+  unlocksAt: unlocksAt(signal),
+});
+
+// Pass `full` to send something other than the signal itself (e.g. an event payload)
+const viewFor = (signal, tier, full = signal) => (
+  signalVisibility(signal, tier) === 'full' ? full : redactSignal(signal)
+);
+
+/**
+ * Sends a signal event to the connected users allowed to receive it: `payload` to staff and
+ * tiers that see the signal in full, the redacted signal to the others.
+ */
+const broadcastSignal = (io, event, signal, payload) => {
+  io.to([STAFF_ROOM, ...PAID_TIERS.map(tierRoom)]).emit(event, payload);
+  io.to(tierRoom('free')).emit(event, viewFor(signal, 'free', payload));
+};
+
+// Events only for those who see the signal in full, such as its discussion; nothing is sent to
+// free users while the signal is redacted for them
+const broadcastToViewers = (io, event, signal, payload) => {
+  const rooms = [STAFF_ROOM, ...PAID_TIERS.map(tierRoom)];
+  if (signalVisibility(signal, 'free') === 'full') rooms.push(tierRoom('free'));
+  io.to(rooms).emit(event, payload);
+};
+
+// Events that reveal nothing about the signal, such as its deletion
+const broadcastToAll = (io, event, payload) => {
+  io.to([STAFF_ROOM, ...['free', ...PAID_TIERS].map(tierRoom)]).emit(event, payload);
+};
+
+/**
+ * Joins an authenticated socket (token in handshake.auth.token) to its user room and the room
+ * of its signal tier. Rooms are decided at connection time, so clients reconnect after a tier
+ * change. Sockets without a valid token stay out of the signal rooms.
+ */
+const joinSignalRooms = async (socket) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  const tier = await resolveTier(decoded.id);
+  socket.join(String(decoded.id));
+  socket.join(tier === 'staff' ? STAFF_ROOM : tierRoom(tier));
+  return tier;
+};
+
+module.exports = {
+  FREE_DELAY_HOURS,
+  STAFF_ROOM,
+  tierRoom,
+  resolveTier,
+  signalVisibility,
+  fullViewQuery,
+  redactSignal,
+  viewFor,
+  broadcastSignal,
+  broadcastToViewers,
+  broadcastToAll,
+  joinSignalRooms,
+};
@@ -0,0 +1,93 @@
+const SignalComment = require('../models/SignalComment');
+const { REACTIONS } = require('../models/SignalComment');
+const { OPEN_STATES } = require('../utils/signalLifecycle');
+
+// The discussion of a signal closes once it is no longer open (resolved, cancelled or expired)
+const commentsLocked = signal => !OPEN_STATES.includes(signal.state);
+
+// Reaction counts in REACTIONS order; `reacted` lists the ones by `userId`
+const reactionSummary = (reactions, userId) => REACTIONS
+  .map(emoji => {
+    const by = reactions.filter(reaction => reaction.emoji === emoji);
+    return { emoji, count: by.length, reacted: Boolean(userId) && by.some(reaction => String(reaction.userId) === String(userId)) };
+  })
+  .filter(reaction => reaction.count > 0);
+
+// What clients receive for a comment; without `userId` (socket events) reacted is always false
+const commentView = (comment, userId) => ({
+  _id: comment._id,
+  signalId: comment.signalId,
+  parentId: comment.parentId,
+  rootId: comment.rootId,
+  userId: comment.deleted ? null : comment.userId,
+  name: comment.deleted ? null : comment.name,
+  avatar: comment.deleted ? null : comment.avatar,
+  analyst: comment.analyst,
+  message: comment.deleted ? null : comment.message,
+  deleted: comment.deleted,
+  pinned: comment.pinned,
+  pinnedAt: comment.pinnedAt,
+  reactions: reactionSummary(comment.reactions || [], userId),
+  createdAt: comment.createdAt,
+});
+
+/**
+ * Nests the comments of a signal into threads: top-level comments with their `replies`, oldest
+ * reply first, and the reply pinned as the thread's `answer`. Pinned top-level comments (e.g.
+ * analyst notes) come first, then the newest threads. Replies whose parent is missing are dropped.
+ */
+const buildThreads = (comments, userId) => {
+  const views = new Map(comments.map(comment => [String(comment._id), { ...commentView(comment, userId), replies: [] }]));
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+  const threads = [];
+  [...views.values()].sort(byDate).forEach(view => {
+    if (!view.parentId) {
+      threads.push(view);
+      return;
+    }
+    views.get(String(view.parentId))?.replies.push(view);
+  });
+
+  return threads
+    .map(thread => {
+      const answer = [...views.values()].find(view => view.pinned && String(view.rootId) === String(thread._id));
+      return { ...thread, answer: answer || null };
+    })
+    .sort((a, b) => (b.pinned - a.pinned) || byDate(b, a));
+};
+
+/**
+ * Adds or removes the user's `emoji` reaction on a comment. Returns the updated comment, or
+ * null when it does not exist.
+ */
+const toggleReaction = async (commentId, userId, emoji) => {
+  const reaction = { emoji, userId };
+  const added = await SignalComment.findOneAndUpdate(
+    { _id: commentId, deleted: false, reactions: { $not: { $elemMatch: reaction } } },
+    { $push: { reactions: reaction } },
+    { new: true }
+  );
+  if (added) return added;
+  return SignalComment.findOneAndUpdate({ _id: commentId, deleted: false }, { $pull: { reactions: reaction } }, { new: true });
+};
+
+// Pins the comment as the answer of its thread, unpinning the one pinned before
+const pinComment = async (comment, userId) => {
+  const threadId = comment.rootId || comment._id;
+  await SignalComment.updateMany(
+    { $or: [{ _id: threadId }, { rootId: threadId }], pinned: true },
+    { $set: { pinned: false }, $unset: { pinnedBy: '', pinnedAt: '' } }
+  );
+  comment.set({ pinned: true, pinnedBy: userId, pinnedAt: new Date() });
+  return comment.save();
+};
+
+module.exports = {
+  REACTIONS,
+  commentsLocked,
+  commentView,
+  buildThreads,
+  toggleReaction,
+  pinComment,
+};
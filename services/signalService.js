@@ -0,0 +1,372 @@
+const schedule = require('node-schedule');
+require('dotenv').config();
+const Signal = require('../models/Signal');
+const Performance = require('../models/Performance');
+const { assetKey, livePriceSource } = require('./priceFeed');
+const { broadcastSignal, fullViewQuery } = require('./signalAccess');
+const { registerHandler, enqueue, hasJob, cancelJobs } = require('./jobQueue');
+const { queueCopyTrades } = require('./copyTradingService');
+const {
+  OPEN_STATES,
+  RESOLVED_STATES,
+  isLimit,
+  targetsOf,
+  buildTargets,
+  validateLevels,
+  closingPrice,
+  replayQuotes,
+  signalPlan,
+  signalResult,
+} = require('../utils/signalLifecycle');
+const { getInstrument } = require('../utils/instruments');
+const { buildTrackRecord } = require('../utils/trackRecord');
+const { encodeCursor, combineMatch } = require('../utils/signalSearch');
+
+const HOUR = 60 * 60 * 1000;
+// Cron step, so 1-59 minutes
+const RESOLVE_INTERVAL_MINUTES = Math.min(parseInt(process.env.SIGNAL_RESOLVE_INTERVAL_MINUTES, 10) || 1, 59);
+const PENDING_EXPIRY_HOURS = parseInt(process.env.SIGNAL_PENDING_EXPIRY_HOURS, 10) || 72;
+
+// Limit entries that are not filled within SIGNAL_PENDING_EXPIRY_HOURS of publication expire
+const defaultExpiry = (signal) => {
+  if (!isLimit(signal.entryType)) return undefined;
+  return new Date(new Date(signal.publishDate || Date.now()).getTime() + PENDING_EXPIRY_HOURS * HOUR);
+};
+
+/**
+ * Publishes the signal document (without saving it); market entries are active from then on.
+ * publishDate becomes the actual publication time, since a rescheduled or late job may run
+ * well after the planned one, and a default pending expiry moves along with it.
+ */
+const publishSignal = (signal, at = new Date()) => {
+  const planned = defaultExpiry(signal);
+  const defaultExpiring = Boolean(planned && signal.expiresAt) && new Date(signal.expiresAt).getTime() === planned.getTime();
+  signal.status = 'Published';
+  signal.publishDate = at;
+  if (defaultExpiring) signal.expiresAt = defaultExpiry(signal);
+  if (signal.state === 'pending' && !isLimit(signal.entryType)) {
+    signal.state = 'active';
+    signal.activatedAt = at;
+  }
+  return signal;
+};
+
+// What clients receive when a signal goes out
+const signalEvent = signal => ({
+  signalId: signal.signalId,
+  date: signal.date,
+  asset: signal.asset,
+  entryType: signal.entryType,
+  entryPrice: signal.entryPrice,
+  stopLoss: signal.stopLoss,
+  takeProfit: signal.takeProfit,
+  targets: targetsOf(signal).map(({ price, closePercent, pips, rr }) => ({ price, closePercent, pips, rr })),
+  pipSize: signal.pipSize,
+  riskPips: signal.riskPips,
+  rewardPips: signal.rewardPips,
+  plannedRR: signal.plannedRR,
+  state: signal.state
+});
+
+// The part of a signal clients need to follow its lifecycle
+const lifecycleEvent = signal => ({
+  signalId: signal.signalId,
+  state: signal.state,
+  stopLoss: signal.stopLoss,
+  targets: targetsOf(signal).map(({ price, closePercent, hitAt }) => ({ price, closePercent, hitAt })),
+  activatedAt: signal.activatedAt,
+  closedAt: signal.closedAt,
+  closePrice: signal.closePrice,
+  resultPoints: signal.resultPoints,
+  resultPips: signal.resultPips,
+  resultR: signal.resultR,
+});
+
+/**
+ * Applies an analyst's stop loss and/or target changes to an open signal document (without
+ * saving it) and logs each change in signal.adjustments. Targets that were already hit keep
+ * their price and percentage. Returns { adjustments } with the new log entries, or { error }.
+ */
+const adjustSignal = (signal, { stopLoss, targets, note }, userId, at = new Date()) => {
+  if (!OPEN_STATES.includes(signal.state)) {
+    return { error: `Signal is already ${signal.state} and can no longer be adjusted` };
+  }
+
+  const current = targetsOf(signal);
+  const next = targets ? buildTargets(targets) : current.map(({ price, closePercent }) => ({ price, closePercent }));
+  const nextStop = stopLoss ?? signal.stopLoss;
+  const hits = current.filter(target => target.hitAt);
+  if (hits.some((target, index) => next[index]?.price !== target.price || next[index]?.closePercent !== target.closePercent)) {
+    return { error: 'Targets that were already hit cannot be changed' };
+  }
+
+  const invalid = validateLevels(
+    { entryType: signal.entryType, entryPrice: signal.entryPrice, stopLoss: nextStop, targets: next },
+    { active: signal.state === 'active', hitCount: hits.length, lastPrice: nextStop !== signal.stopLoss ? signal.lastPrice : undefined }
+  );
+  if (invalid) return { error: invalid };
+
+  const adjustments = [];
+  const log = (field, from, to, target) => {
+    if (from !== to) adjustments.push({ field, target, from, to, at, by: userId, note });
+  };
+  log('stopLoss', signal.stopLoss, nextStop);
+  next.forEach((target, index) => {
+    log('targetPrice', current[index]?.price, target.price, index + 1);
+    log('targetPercent', current[index]?.closePercent, target.closePercent, index + 1);
+  });
+  if (adjustments.length === 0) return { adjustments };
+
+  signal.stopLoss = nextStop;
+  signal.targets = next.map((target, index) => ({ ...target, hitAt: current[index]?.hitAt }));
+  signal.takeProfit = next[next.length - 1].price;
+  // Until the trade is live the stop loss still defines what 1R means
+  if (signal.state === 'pending') {
+    signal.initialStopLoss = nextStop;
+  }
+  signal.adjustments.push(...adjustments);
+  return { adjustments };
+};
+
+/**
+ * Rebuilds the Performance document from every resolved signal. Results are pips (per
+ * instrument, see config/instruments.js) and R multiples, both weighted across each signal's
+ * partial closes. Wins and losses are counted by the sign of the result, so a stop trailed
+ * into profit or a breakeven stop after TP1 is a win.
+ */
+const recomputePerformance = async () => {
+  const signals = await Signal.find({ state: { $in: RESOLVED_STATES } }).sort({ closedAt: 1 }).lean();
+
+  const historicalData = signals.map((signal) => {
+    const { pips, r, targetsHit } = signalResult(signal);
+    return {
+      signalId: signal.signalId,
+      date: signal.closedAt,
+      asset: signal.asset,
+      state: signal.state,
+      profitLoss: pips,
+      resultR: r,
+      plannedRR: signalPlan(signal).plannedRR,
+      targetsHit,
+    };
+  });
+  const wins = historicalData.filter(entry => entry.profitLoss > 0).length;
+  const losses = historicalData.filter(entry => entry.profitLoss < 0).length;
+  const sum = key => Math.round(historicalData.reduce((total, entry) => total + entry[key], 0) * 100) / 100;
+
+  return Performance.findOneAndUpdate(
+    {},
+    {
+      totalProfitLoss: sum('profitLoss'),
+      tradeCount: historicalData.length,
+      wins,
+      losses,
+      breakevens: historicalData.length - wins - losses,
+      winRate: wins + losses ? Math.round((wins / (wins + losses)) * 10000) / 100 : 0,
+      totalR: sum('resultR'),
+      averageR: historicalData.length ? Math.round((sum('resultR') / historicalData.length) * 100) / 100 : 0,
+      historicalData,
+      updatedAt: new Date(),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Track record of the resolved signals in Performance, optionally limited to those resolved
+ * between `from` and `to` (inclusive) and to one instrument. See utils/trackRecord.js.
+ */
+const getTrackRecord = async ({ from, to, asset } = {}) => {
+  const performance = await Performance.findOne().lean();
+  const symbol = asset ? getInstrument(asset).symbol : null;
+  const entries = (performance?.historicalData || []).filter(entry => (!from || entry.date >= from)
+    && (!to || entry.date <= to)
+    && (!symbol || getInstrument(entry.asset).symbol === symbol));
+  return buildTrackRecord(entries, { from: from || null, to: to || null, asset: symbol });
+};
+
+/**
+ * Runs a search from parseSignalSearch (utils/signalSearch.js) for a user of `tier`. Returns
+ * the page of signals, the cursor of the next page (null on the last one), the number of
+ * matches and facets: counts per asset and per state, each ignoring its own filter so the
+ * other choices stay visible. Free users filtering on the entry type only find signals they
+ * see in full, as the type of a redacted signal is not shown to them.
+ */
+const searchSignals = async (search, { tier, entryTypeFiltered = false, now = new Date() }) => {
+  const match = [...search.match];
+  if (tier === 'free' && entryTypeFiltered) match.push(fullViewQuery(now));
+
+  const [signals, [facets]] = await Promise.all([
+    Signal.find(combineMatch(match, search.assetMatch, search.stateMatch, search.after))
+      .sort(search.sort)
+      .limit(search.limit + 1),
+    Signal.aggregate([
+      { $match: combineMatch(match) },
+      {
+        $facet: {
+          total: [{ $match: combineMatch(search.assetMatch, search.stateMatch) }, { $count: 'count' }],
+          assets: [
+            { $match: combineMatch(search.stateMatch) },
+            { $group: { _id: { $ifNull: ['$symbol', '$asset'] }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          states: [
+            { $match: combineMatch(search.assetMatch) },
+            { $group: { _id: '$state', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+        },
+      },
+    ]),
+  ]);
+
+  const page = signals.slice(0, search.limit);
+  return {
+    signals: page,
+    nextCursor: signals.length > search.limit ? encodeCursor(page[page.length - 1], search.sortField) : null,
+    total: facets.total[0]?.count || 0,
+    facets: {
+      assets: facets.assets.map(({ _id, count }) => ({ asset: _id, count })),
+      states: facets.states.map(({ _id, count }) => ({ state: _id, count })),
+    },
+  };
+};
+
+/**
+ * Applies quotes from `source` (see services/priceFeed.js) to every published signal that is
+ * still pending or active, optionally only those of one asset. Each signal only sees quotes
+ * newer than the last one applied to it. Returns the signals that moved on (new state, targets
+ * hit or an automatic breakeven move); Performance is recomputed when any of them resolved.
+ * With `dryRun` the changes are applied to the returned documents only: nothing is saved.
+ */
+const resolveSignals = async (source = livePriceSource, { asset, dryRun = false } = {}) => {
+  const signals = await Signal.find({ status: 'Published', state: { $in: OPEN_STATES } });
+  // Signals are quoted by registry symbol, whatever spelling or broker suffix the analyst used
+  const symbolOf = signal => signal.symbol || assetKey(signal.asset);
+  const bySymbol = new Map();
+  signals
+    .filter(signal => !asset || symbolOf(signal) === assetKey(asset))
+    .forEach((signal) => {
+      const symbol = symbolOf(signal);
+      if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+      bySymbol.get(symbol).push(signal);
+    });
+
+  const changed = [];
+  for (const [symbol, group] of bySymbol) {
+    const since = new Date(Math.min(...group.map(signal => signal.lastQuoteAt || signal.publishDate || signal.date)));
+    let quotes = [];
+    try {
+      quotes = await source.getQuotes(symbol, since);
+    } catch (error) {
+      console.error(`Price feed failed for ${symbol}:`, error.message);
+    }
+
+    for (const signal of group) {
+      const fresh = quotes.filter(quote => !signal.lastQuoteAt || new Date(quote.time) > signal.lastQuoteAt);
+      let changes = replayQuotes(signal.toObject(), fresh);
+      const state = changes?.state || signal.state;
+      // Without quotes (feed down, market closed) an unfilled limit entry still has to expire
+      if (state === 'pending' && signal.expiresAt && signal.expiresAt <= new Date()) {
+        changes = { state: 'expired', closedAt: signal.expiresAt };
+      }
+
+      if (fresh.length) {
+        signal.lastQuoteAt = new Date(fresh[fresh.length - 1].time);
+        signal.lastPrice = closingPrice(signal, fresh[fresh.length - 1]);
+      }
+      if (changes) {
+        signal.set(changes);
+        changed.push(signal);
+      }
+      if (!dryRun && (changes || fresh.length)) await signal.save();
+    }
+  }
+
+  if (!dryRun && changed.some(signal => RESOLVED_STATES.includes(signal.state))) {
+    await recomputePerformance();
+  }
+  return changed;
+};
+
+// Sends a signal that was just published to the tier rooms and queues it for copy trading
+const announceSignal = async (signal, io) => {
+  if (io) broadcastSignal(io, 'newSignal', signal, signalEvent(signal));
+  await queueCopyTrades(signal);
+};
+
+const publishJobKey = signalId => `signal:${signalId}`;
+
+// Publishes a scheduled signal unless it was cancelled or published in the meantime
+registerHandler('signal.publish', async ({ signalId }, { io }) => {
+  const signal = await Signal.findOne({ signalId });
+  if (!signal || signal.status !== 'Scheduled' || signal.state !== 'pending') return;
+  publishSignal(signal);
+  await signal.save();
+  await announceSignal(signal, io);
+});
+
+// Queues the publication of a scheduled signal, replacing any earlier one (see services/jobQueue.js)
+const schedulePublish = (signalId, when, createdBy) => (
+  enqueue('signal.publish', { signalId }, { runAt: when, key: publishJobKey(signalId), createdBy })
+);
+
+const cancelPublish = signalId => cancelJobs(publishJobKey(signalId));
+
+/**
+ * Queues a publication job for every scheduled signal that never had one, such as signals
+ * scheduled before publication jobs were stored. Those whose time has passed are published
+ * straight away. Signals whose job was cancelled (e.g. from the jobs dashboard) or failed are
+ * left alone rather than published behind the back of whoever stopped them.
+ */
+const queueMissingPublishJobs = async () => {
+  const signals = await Signal.find({ status: 'Scheduled', state: 'pending', publishTiming: 'Scheduled Publish' });
+  let queued = 0;
+  for (const signal of signals) {
+    if (await hasJob(publishJobKey(signal.signalId))) continue;
+    await schedulePublish(signal.signalId, signal.publishDate || new Date());
+    queued += 1;
+  }
+  return queued;
+};
+
+let resolveJob = null;
+let running = false;
+
+/**
+ * Resolves open signals against the live price feed every SIGNAL_RESOLVE_INTERVAL_MINUTES and
+ * emits `signalStatusChanged` to the tier rooms for each signal that moved on.
+ */
+const startSignalResolutionJob = (io, source = livePriceSource) => {
+  if (resolveJob) return resolveJob;
+  resolveJob = schedule.scheduleJob(`*/${RESOLVE_INTERVAL_MINUTES} * * * *`, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const changed = await resolveSignals(source);
+      changed.forEach(signal => broadcastSignal(io, 'signalStatusChanged', signal, lifecycleEvent(signal)));
+    } catch (error) {
+      console.error('Signal resolution job error:', error);
+    } finally {
+      running = false;
+    }
+  });
+  return resolveJob;
+};
+
+module.exports = {
+  adjustSignal,
+  defaultExpiry,
+  publishSignal,
+  signalEvent,
+  lifecycleEvent,
+  announceSignal,
+  schedulePublish,
+  cancelPublish,
+  queueMissingPublishJobs,
+  recomputePerformance,
+  getTrackRecord,
+  searchSignals,
+  resolveSignals,
+  startSignalResolutionJob,
+};
@@ -0,0 +1,307 @@
+const schedule = require('node-schedule');
+require('dotenv').config();
+const Stats = require('../models/Stats');
+const StatsDaily = require('../models/StatsDaily');
+const Trade = require('../models/Trade');
+const TradingAccount = require('../models/TradingAccount');
+const { resolveAccounts } = require('./mt5Service');
+const { fetchAccount, isLive, livePlatforms } = require('./platforms');
+const { syncTrades } = require('./tradeService');
+const { aggregateMetrics, calculateMetrics, durationToSeconds } = require('../utils/metrics');
+const { DAY, startOfDay, bucketSeries } = require('../utils/timeSeries');
+
+const MINUTE = 60 * 1000;
+// Cron step, so 1-59 minutes
+const SYNC_INTERVAL_MINUTES = Math.min(parseInt(process.env.STATS_SYNC_INTERVAL_MINUTES, 10) || 15, 59);
+const SYNC_COOLDOWN_MINUTES = parseInt(process.env.STATS_SYNC_COOLDOWN_MINUTES, 10) || 5;
+const STALE_AFTER_MINUTES = parseInt(process.env.STATS_STALE_AFTER_MINUTES, 10) || SYNC_INTERVAL_MINUTES * 2;
+const SNAPSHOT_RETENTION_HOURS = parseInt(process.env.STATS_SNAPSHOT_RETENTION_HOURS, 10) || 48;
+// Same window calculate_metrics in mt5_bridge.py uses
+const METRICS_WINDOW_DAYS = 30;
+const HISTORY_DEFAULT_DAYS = 90;
+// Series built from the account balances rather than from a bridge metric
+const ACCOUNT_SERIES = ['balance', 'equity', 'drawdown'];
+
+/**
+ * Marks the account as being synced unless it was already attempted within the cooldown.
+ * The check and the update happen in one query, so concurrent callers (or several server
+ * instances) cannot log in to the same terminal at once.
+ */
+const claimAccount = (accountId, cooldownMinutes) => {
+  const now = new Date();
+  return TradingAccount.findOneAndUpdate(
+    {
+      _id: accountId,
+      $or: [{ lastSyncAttemptAt: null }, { lastSyncAttemptAt: { $lt: new Date(now - cooldownMinutes * MINUTE) } }],
+    },
+    { lastSyncAttemptAt: now },
+    { new: true }
+  );
+};
+
+/**
+ * Folds a sync into the account's row for the current UTC day. Drawdown is measured against the
+ * highest equity recorded so far, so it carries over from the previous day's peak. Without
+ * balances (e.g. a CSV import) only the metrics are recorded.
+ */
+const recordDailySnapshot = async (account, { metrics, balances }, at) => {
+  const date = startOfDay(at);
+  const update = {
+    $set: { userId: account.userId, metrics: [...metrics.default, ...metrics.custom], updatedAt: at },
+  };
+
+  if (balances) {
+    const previous = await StatsDaily.findOne({ accountId: account._id, date: { $lte: date } }).sort({ date: -1 });
+    const peakEquity = Math.max(previous?.peakEquity || 0, balances.equity);
+    const drawdown = peakEquity > 0 ? ((peakEquity - balances.equity) / peakEquity) * 100 : 0;
+    Object.assign(update.$set, { balance: balances.balance, equity: balances.equity, peakEquity, drawdown });
+    update.$max = { maxDrawdown: drawdown };
+  }
+
+  await StatsDaily.findOneAndUpdate({ accountId: account._id, date }, update, { upsert: true, setDefaultsOnInsert: true });
+};
+
+/**
+ * Stores metrics (and balances, when known) as the account's newest snapshot. Used for platform
+ * syncs and for imported statements alike.
+ */
+const storeSnapshot = async (account, data, snapshotAt = new Date()) => {
+  const { metrics } = data;
+  await Stats.insertMany([...metrics.default, ...metrics.custom].map(metric => ({
+    ...metric,
+    userId: account.userId,
+    accountId: account._id,
+    snapshotAt,
+  })));
+  await Stats.deleteMany({
+    accountId: account._id,
+    snapshotAt: { $lt: new Date(snapshotAt - SNAPSHOT_RETENTION_HOURS * 60 * MINUTE) },
+  });
+  await recordDailySnapshot(account, data, snapshotAt);
+  await TradingAccount.updateOne({ _id: account._id }, { lastSyncedAt: snapshotAt, lastSyncError: null });
+  return snapshotAt;
+};
+
+/**
+ * Syncs new trades, then stores a fresh snapshot. Platforms that do not compute metrics
+ * themselves are measured from the trades closed in the last METRICS_WINDOW_DAYS.
+ */
+const syncAccount = async (account) => {
+  // Trades are stored on a best-effort basis; a failure here should not block fresh metrics
+  try {
+    await syncTrades(account);
+  } catch (error) {
+    console.error(`Trade sync failed for account ${account._id}:`, error.message);
+  }
+
+  try {
+    const { metrics, ...balances } = await fetchAccount(account);
+    if (metrics) {
+      return await storeSnapshot(account, { metrics, balances });
+    }
+    const trades = await Trade.find({
+      accountId: account._id,
+      status: 'closed',
+      closeTime: { $gte: new Date(Date.now() - METRICS_WINDOW_DAYS * DAY) },
+    }).lean();
+    return await storeSnapshot(account, { metrics: calculateMetrics(trades, balances), balances });
+  } catch (error) {
+    await TradingAccount.updateOne({ _id: account._id }, { lastSyncError: error.message });
+    throw error;
+  }
+};
+
+const getLatestSnapshot = async (accountId) => {
+  const latest = await Stats.findOne({ accountId }).sort({ snapshotAt: -1 }).select('snapshotAt');
+  if (!latest) return null;
+
+  const rows = await Stats.find({ accountId, snapshotAt: latest.snapshotAt }).sort({ _id: 1 });
+  const toMetric = ({ name, value, isCustom }) => ({ name, value, isCustom });
+  return {
+    snapshotAt: latest.snapshotAt,
+    default: rows.filter(row => !row.isCustom).map(toMetric),
+    custom: rows.filter(row => row.isCustom).map(toMetric),
+  };
+};
+
+/**
+ * Latest stored metrics for the requested account(s), see resolveAccounts. Live accounts that
+ * have never been synced are synced once inline; after that the background job keeps them fresh.
+ * Imported accounts only change on the next import, so they never count as stale. With several
+ * accounts the metrics are aggregated and snapshotAt is the oldest snapshot used.
+ */
+const getMetrics = async (userId, accountId) => {
+  const accounts = await resolveAccounts(userId, accountId);
+  if (accounts.length === 0) {
+    return null;
+  }
+
+  const snapshots = [];
+  for (const account of accounts) {
+    let snapshot = await getLatestSnapshot(account._id);
+    if (!snapshot && isLive(account.platform) && await claimAccount(account._id, 0)) {
+      await syncAccount(account);
+      snapshot = await getLatestSnapshot(account._id);
+    }
+    if (snapshot) snapshots.push({ ...snapshot, live: isLive(account.platform) });
+  }
+  if (snapshots.length === 0) {
+    throw new Error('No metrics available yet');
+  }
+
+  const snapshotAt = new Date(Math.min(...snapshots.map(snapshot => snapshot.snapshotAt)));
+  const live = snapshots.filter(snapshot => snapshot.live);
+  return {
+    default: snapshots.length === 1 ? snapshots[0].default : aggregateMetrics(snapshots.map(snapshot => snapshot.default)),
+    custom: snapshots.length === 1 ? snapshots[0].custom : aggregateMetrics(snapshots.map(snapshot => snapshot.custom)),
+    snapshotAt,
+    stale: live.some(snapshot => Date.now() - snapshot.snapshotAt > STALE_AFTER_MINUTES * MINUTE),
+    accounts: accounts.map(({ _id, label, lastSyncedAt, lastSyncError }) => ({ _id, label, lastSyncedAt, lastSyncError })),
+  };
+};
+
+/**
+ * Manual "sync now". Returns the accounts that were synced, or `retryAfter` (seconds) when every
+ * requested live account is still inside its cooldown. Imported accounts are skipped.
+ */
+const syncNow = async (userId, accountId) => {
+  const resolved = await resolveAccounts(userId, accountId);
+  if (resolved.length === 0) {
+    return null;
+  }
+  const accounts = resolved.filter(account => isLive(account.platform));
+
+  const synced = [];
+  for (const account of accounts) {
+    if (await claimAccount(account._id, SYNC_COOLDOWN_MINUTES)) {
+      await syncAccount(account);
+      synced.push(account._id);
+    }
+  }
+
+  if (accounts.length > 0 && synced.length === 0) {
+    const lastAttempt = Math.max(...accounts.map(account => account.lastSyncAttemptAt || 0));
+    const retryAfter = Math.ceil((lastAttempt + SYNC_COOLDOWN_MINUTES * MINUTE - Date.now()) / 1000);
+    return { synced, retryAfter: Math.max(retryAfter, 1) };
+  }
+  return { synced };
+};
+
+// Sums the accounts' rows for one day; ratios are combined the same way as the live metrics
+const combineDays = (rows) => {
+  if (rows.length === 1) return rows[0];
+  return {
+    date: rows[0].date,
+    balance: rows.reduce((sum, row) => sum + (row.balance || 0), 0),
+    equity: rows.reduce((sum, row) => sum + (row.equity || 0), 0),
+    metrics: aggregateMetrics(rows.map(row => row.metrics)),
+  };
+};
+
+/**
+ * Chart-ready series of one metric for the requested account(s), see resolveAccounts. `metric`
+ * is 'balance', 'equity', 'drawdown' or the name of any bridge metric ("Win Rate"). Weekly and
+ * monthly buckets keep the last day's value, except drawdown which keeps the deepest one.
+ * Across several accounts drawdown is recomputed from the combined equity within the range.
+ */
+const getHistory = async (userId, accountId, { metric = 'equity', from, to, interval = 'day' }) => {
+  const accounts = await resolveAccounts(userId, accountId);
+  if (accounts.length === 0) {
+    return null;
+  }
+
+  const end = to || new Date();
+  const start = startOfDay(from || end - HISTORY_DEFAULT_DAYS * DAY);
+  const rows = await StatsDaily.find({
+    accountId: { $in: accounts.map(account => account._id) },
+    date: { $gte: start, $lte: end },
+  }).sort({ date: 1 }).lean();
+
+  const byDate = new Map();
+  rows.forEach((row) => {
+    const key = row.date.getTime();
+    if (!byDate.has(key)) byDate.set(key, new Map());
+    byDate.get(key).set(String(row.accountId), row);
+  });
+
+  // An account without a row on some day still holds its last known equity, so combined
+  // totals carry that row forward instead of dropping the account for the day
+  const latest = new Map();
+  if (accounts.length > 1) {
+    const before = await Promise.all(accounts.map(account => (
+      StatsDaily.findOne({ accountId: account._id, date: { $lt: start } }).sort({ date: -1 }).lean()
+    )));
+    before.filter(Boolean).forEach(row => latest.set(String(row.accountId), row));
+  }
+  const days = Array.from(byDate, ([key, dayRows]) => {
+    dayRows.forEach((row, id) => latest.set(id, row));
+    const current = Array.from(latest.values(), row => (dayRows.has(String(row.accountId)) ? row : { ...row, date: new Date(key) }));
+    return combineDays(current);
+  });
+
+  if (accounts.length > 1) {
+    let peak = 0;
+    days.forEach((day) => {
+      peak = Math.max(peak, day.equity);
+      day.drawdown = peak > 0 ? ((peak - day.equity) / peak) * 100 : 0;
+      day.maxDrawdown = day.drawdown;
+    });
+  }
+
+  const points = [];
+  days.forEach((day) => {
+    if (ACCOUNT_SERIES.includes(metric)) {
+      const value = metric === 'drawdown' ? day.maxDrawdown ?? day.drawdown : day[metric];
+      if (value !== undefined) points.push({ date: day.date, value });
+      return;
+    }
+    const found = day.metrics.find(m => m.name === metric);
+    if (found) {
+      points.push({ date: day.date, value: metric === 'Average Trade Duration' ? durationToSeconds(found.value) : found.value });
+    }
+  });
+
+  return {
+    metric,
+    interval,
+    from: start,
+    to: end,
+    points: bucketSeries(points, interval, metric === 'drawdown' ? 'max' : 'last'),
+    accounts: accounts.map(({ _id, label }) => ({ _id, label })),
+  };
+};
+
+// Syncs every linked account one after another; the bridge drives a single MT5 terminal
+const syncAllAccounts = async () => {
+  const accounts = await TradingAccount.find({ platform: { $in: livePlatforms() } });
+  for (const account of accounts) {
+    // Slightly under the interval so a slow previous run does not make every account skip a turn
+    if (!(await claimAccount(account._id, SYNC_INTERVAL_MINUTES - 1))) continue;
+    try {
+      await syncAccount(account);
+    } catch (error) {
+      console.error(`Stats sync failed for account ${account._id}:`, error.message);
+    }
+  }
+};
+
+let syncJob = null;
+let running = false;
+
+const startStatsSyncJob = () => {
+  if (syncJob) return syncJob;
+  syncJob = schedule.scheduleJob(`*/${SYNC_INTERVAL_MINUTES} * * * *`, async () => {
+    if (running) return;
+    running = true;
+    try {
+      await syncAllAccounts();
+    } catch (error) {
+      console.error('Stats sync job error:', error);
+    } finally {
+      running = false;
+    }
+  });
+  return syncJob;
+};
+
+module.exports = { getMetrics, getHistory, syncNow, syncAccount, storeSnapshot, syncAllAccounts, startStatsSyncJob };
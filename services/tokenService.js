@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// A refresh token the client cannot use any more; anything else is a server failure
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { id: user._id, uid: user.firebaseUid, roles: user.roles || [], isAdmin: (user.roles || []).includes('admin') },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Stores the hash of a new random refresh token and returns the raw value to hand to the client
+const createRefreshToken = async (userId, deviceId, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const tokenHash = hashToken(token);
+  await RefreshToken.create({
+    userId,
+    deviceId,
+    tokenHash,
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return { token, tokenHash };
+};
+
+// Issues an access/refresh pair for a fresh login, replacing whatever the device held before
+const issueTokens = async (user, deviceId = 'default') => {
+  await RefreshToken.updateMany(
+    { userId: user._id, deviceId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  const { token: refreshToken } = await createRefreshToken(user._id, deviceId);
+  return { token: generateAccessToken(user), refreshToken };
+};
+
+// Exchanges a refresh token for a new pair. Presenting a token that was already rotated
+// means it leaked, so the whole chain it belongs to is revoked.
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) {
+      throw new RefreshTokenError('Invalid refresh token');
+    }
+    if (existing.revokedAt && existing.replacedBy) {
+      await RefreshToken.updateMany({ family: existing.family, revokedAt: null }, { revokedAt: now });
+      console.warn(`Refresh token reuse detected for user ${existing.userId} on device ${existing.deviceId}`);
+    }
+    throw new RefreshTokenError(existing.revokedAt ? 'Refresh token has been revoked' : 'Refresh token has expired');
+  }
+
+  const user = await User.findById(claimed.userId);
+  if (!user) {
+    throw new RefreshTokenError('User not found');
+  }
+
+  const { token, tokenHash: nextHash } = await createRefreshToken(claimed.userId, claimed.deviceId, claimed.family);
+  claimed.replacedBy = nextHash;
+  await claimed.save();
+
+  return { token: generateAccessToken(user), refreshToken: token };
+};
+
+const revokeDevice = (userId, deviceId) => {
+  return RefreshToken.updateMany({ userId, deviceId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+const revokeAll = (userId) => {
+  return RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = {
+  RefreshTokenError,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeDevice,
+  revokeAll,
+};
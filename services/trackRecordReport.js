@@ -0,0 +1,134 @@
+const PDFDocument = require('pdfkit');
+
+// Renders a track record (see utils/trackRecord.js) as a shareable HTML page or PDF. Both
+// formats show the same summary and tables and end with the digest readers can compare with
+// GET /api/signals/track-record for the same period.
+const percent = value => `${value}%`;
+const signedR = value => `${value > 0 ? '+' : ''}${value}R`;
+const day = date => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const MONTH_COLUMNS = [
+  ['Month', row => row.month],
+  ['Signals', row => row.trades],
+  ['W / L / BE', row => `${row.wins} / ${row.losses} / ${row.breakevens}`],
+  ['Win rate', row => percent(row.winRate)],
+  ['Result', row => signedR(row.totalR)],
+  ['Cumulative', row => signedR(row.cumulativeR)],
+];
+
+const ASSET_COLUMNS = [
+  ['Asset', row => row.asset],
+  ['Signals', row => row.trades],
+  ['Win rate', row => percent(row.winRate)],
+  ['Total', row => signedR(row.totalR)],
+  ['Average', row => signedR(row.averageR)],
+  ['Pips', row => row.pips],
+];
+
+const periodLabel = ({ from, to, asset }) => {
+  const range = from || to ? `${day(from) || 'start'} to ${day(to) || 'today'}` : 'All time';
+  return asset ? `${range}, ${asset}` : range;
+};
+
+const summaryRows = ({ summary, maxDrawdown, longestLosingStreak }) => [
+  ['Resolved signals', summary.trades],
+  ['Wins / losses / breakevens', `${summary.wins} / ${summary.losses} / ${summary.breakevens}`],
+  ['Win rate', percent(summary.winRate)],
+  ['Total result', signedR(summary.totalR)],
+  ['Average result', signedR(summary.averageR)],
+  ['Max drawdown', maxDrawdown.r ? `${maxDrawdown.r}R (${day(maxDrawdown.from) || 'start'} to ${day(maxDrawdown.to)})` : 'None'],
+  ['Longest losing streak', longestLosingStreak.length
+    ? `${longestLosingStreak.length} signals, ${signedR(longestLosingStreak.r)} (${day(longestLosingStreak.from)} to ${day(longestLosingStreak.to)})`
+    : 'None'],
+];
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Columns are [label, row => cell]; a table whose labels are all empty has no header
+const hasHeader = columns => columns.some(([label]) => label);
+const SUMMARY_COLUMNS = [['', ([label]) => label], ['', ([, value]) => value]];
+
+const htmlTable = (columns, rows) => `<table>
+${hasHeader(columns) ? `<thead><tr>${columns.map(([label]) => `<th>${label}</th>`).join('')}</tr></thead>\n` : ''}<tbody>
+${rows.map(row => `<tr>${columns.map(([, cell]) => `<td>${escapeHtml(cell(row))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+const renderTrackRecordHtml = (record, generatedAt = new Date()) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Signal track record</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 860px; margin: 40px auto; padding: 0 16px; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 32px; }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #ddd; }
+th { background: #f4f4f4; }
+.muted { color: #777; font-size: 12px; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>Signal track record</h1>
+<p>${escapeHtml(periodLabel(record.period))}. Results are in R, the risk to each signal's original stop loss, weighted across partial closes.</p>
+<h2>Summary</h2>
+${htmlTable(SUMMARY_COLUMNS, summaryRows(record))}
+<h2>By month</h2>
+${htmlTable(MONTH_COLUMNS, record.monthly)}
+<h2>By asset</h2>
+${htmlTable(ASSET_COLUMNS, record.assets)}
+<p class="muted">Generated ${escapeHtml(generatedAt.toISOString())}. Digest ${escapeHtml(record.digest)}</p>
+</body>
+</html>
+`;
+
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const columnWidth = width / columns.length;
+  const drawRow = (cells, font) => {
+    if (doc.y + 18 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), left + index * columnWidth, y, { width: columnWidth - 6, lineBreak: false, ellipsis: true });
+    });
+    doc.x = left;
+    doc.y = y + 16;
+  };
+
+  if (hasHeader(columns)) drawRow(columns.map(([label]) => label), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(columns.map(([, cell]) => cell(row)), 'Helvetica'));
+  doc.moveDown();
+};
+
+// Resolves with the PDF as a Buffer
+const renderTrackRecordPdf = (record, generatedAt = new Date()) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Signal track record' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Signal track record');
+  doc.font('Helvetica').fontSize(10).fillColor('#555')
+    .text(`${periodLabel(record.period)}. Results are in R, the risk to each signal's original stop loss, weighted across partial closes.`)
+    .fillColor('black');
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(13).text('Summary');
+  drawTable(doc, SUMMARY_COLUMNS, summaryRows(record));
+  doc.font('Helvetica-Bold').fontSize(13).text('By month');
+  drawTable(doc, MONTH_COLUMNS, record.monthly);
+  doc.font('Helvetica-Bold').fontSize(13).text('By asset');
+  drawTable(doc, ASSET_COLUMNS, record.assets);
+
+  doc.font('Helvetica').fontSize(8).fillColor('#777')
+    .text(`Generated ${generatedAt.toISOString()}. Digest ${record.digest}`);
+  doc.end();
+});
+
+module.exports = { renderTrackRecordHtml, renderTrackRecordPdf };
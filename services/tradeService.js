@@ -0,0 +1,133 @@
+const Trade = require('../models/Trade');
+const TradingAccount = require('../models/TradingAccount');
+const { resolveAccounts } = require('./mt5Service');
+const { fetchDeals } = require('./platforms');
+
+const DAY = 24 * 60 * 60 * 1000;
+// MT5 volumes are lots with two decimals; compare with some slack for float sums
+const VOLUME_EPSILON = 1e-6;
+const MAX_PAGE_SIZE = 100;
+
+const weightedAverage = (price, volume, addedPrice, addedVolume) =>
+  volume + addedVolume > 0 ? ((price || 0) * volume + addedPrice * addedVolume) / (volume + addedVolume) : addedPrice;
+
+/**
+ * Applies one bridge deal to the trade of its position (its latest leg). Entry deals open or
+ * scale in, every other entry ('out', 'out_by' and the closing part of 'inout') closes volume.
+ * The rest of an 'inout' deal opens the next leg on the other side. Costs and profit are summed
+ * over the deals of each leg.
+ */
+const applyDeal = async (account, deal) => {
+  if (await Trade.exists({ accountId: account._id, dealTickets: deal.ticket })) return;
+
+  const trade = await Trade.findOne({ accountId: account._id, positionId: deal.positionId }).sort({ leg: -1 })
+    || new Trade({ userId: account.userId, accountId: account._id, positionId: deal.positionId, symbol: deal.symbol });
+  const time = new Date(deal.time);
+  let closing = 0;
+
+  if (deal.entry === 'in') {
+    trade.side = deal.type;
+    trade.openPrice = weightedAverage(trade.openPrice, trade.volume, deal.price, deal.volume);
+    trade.volume += deal.volume;
+    if (!trade.openTime || time < trade.openTime) trade.openTime = time;
+    if (deal.sl) trade.sl = deal.sl;
+    if (deal.tp) trade.tp = deal.tp;
+  } else {
+    // A closing deal trades against the position, so a sell closes a buy
+    if (!trade.side) trade.side = deal.type === 'buy' ? 'sell' : 'buy';
+    closing = deal.entry === 'inout' ? Math.max(trade.volume - trade.closedVolume, 0) : deal.volume;
+    trade.closePrice = weightedAverage(trade.closePrice, trade.closedVolume, deal.price, closing);
+    trade.closedVolume += closing;
+    trade.closeTime = time;
+  }
+
+  trade.commission += deal.commission || 0;
+  trade.swap += deal.swap || 0;
+  trade.fee += deal.fee || 0;
+  trade.profit += deal.profit || 0;
+  if (deal.magic !== undefined) trade.magic = deal.magic;
+  if (deal.comment) trade.comment = deal.comment;
+  trade.dealTickets.push(deal.ticket);
+  trade.status = trade.volume > 0 && trade.closedVolume >= trade.volume - VOLUME_EPSILON ? 'closed' : 'open';
+  await trade.save();
+
+  const reversed = deal.entry === 'inout' ? deal.volume - closing : 0;
+  if (reversed > VOLUME_EPSILON) {
+    await new Trade({
+      userId: account.userId,
+      accountId: account._id,
+      positionId: deal.positionId,
+      leg: trade.leg + 1,
+      symbol: trade.symbol,
+      side: deal.type,
+      volume: reversed,
+      openPrice: deal.price,
+      openTime: time,
+      magic: trade.magic,
+      dealTickets: [deal.ticket],
+    }).save();
+  }
+};
+
+/**
+ * Pulls the deals the account has made since the last stored ticket and folds them into
+ * trades. Safe to re-run: already applied deals are skipped.
+ */
+const syncTrades = async (account) => {
+  const current = await TradingAccount.findById(account._id);
+  const { lastDealTicket, lastDealTime } = current;
+  // Terminal times are in broker server time, so look back a day to be sure nothing is missed
+  const deals = await fetchDeals(current, {
+    afterTicket: lastDealTicket,
+    from: lastDealTime ? lastDealTime.getTime() - DAY : undefined,
+  });
+
+  for (const deal of deals) {
+    await applyDeal(account, deal);
+  }
+
+  if (deals.length > 0) {
+    await TradingAccount.updateOne({ _id: account._id }, {
+      $max: {
+        lastDealTicket: Math.max(...deals.map(deal => deal.ticket)),
+        lastDealTime: new Date(Math.max(...deals.map(deal => deal.time))),
+      },
+    });
+  }
+  return deals.length;
+};
+
+/**
+ * One page of the user's trades, newest first. Accepts the same `accountId` values as
+ * resolveAccounts plus symbol/side/status filters and an openTime range.
+ */
+const listTrades = async (userId, { accountId, symbol, side, status, from, to, page = 1, limit = 20 }) => {
+  const accounts = await resolveAccounts(userId, accountId);
+  if (accounts.length === 0) {
+    return null;
+  }
+
+  const filter = { accountId: { $in: accounts.map(account => account._id) } };
+  if (symbol) filter.symbol = symbol;
+  if (side) filter.side = side;
+  if (status) filter.status = status;
+  if (from || to) {
+    filter.openTime = {};
+    if (from) filter.openTime.$gte = from;
+    if (to) filter.openTime.$lte = to;
+  }
+
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const [trades, total] = await Promise.all([
+    Trade.find(filter)
+      .select('-dealTickets')
+      .sort({ openTime: -1, _id: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize),
+    Trade.countDocuments(filter),
+  ]);
+
+  return { trades, page, limit: pageSize, total, totalPages: Math.ceil(total / pageSize) };
+};
+
+module.exports = { applyDeal, syncTrades, listTrades };
@@ -0,0 +1,140 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const TradingAccount = require('../models/TradingAccount');
+const { aggregateMetrics, calculateMetrics } = require('../utils/metrics');
+const tradingAccountRoutes = require('../routes/tradingAccounts');
+const { resolveAccount, resolveAccounts, setDefaultAccount } = require('../services/mt5Service');
+
+describe('Combined account metrics', () => {
+    const trade = (profit, side = 'buy', hours = 1) => ({
+        profit,
+        side,
+        volume: 0.1,
+        openTime: new Date('2025-06-27T10:00:00Z'),
+        closeTime: new Date(new Date('2025-06-27T10:00:00Z').getTime() + hours * 3600 * 1000),
+    });
+    // A busy account that mostly loses and a quiet one that won its only two trades
+    const busy = [trade(50), trade(50), trade(-40), trade(-40), trade(-40, 'sell'), trade(-40, 'sell'), trade(-40), trade(-40), trade(0), trade(50, 'sell')];
+    const quiet = [trade(300, 'buy', 10), trade(100, 'sell', 10)];
+    const value = (metrics, name) => metrics.find(m => m.name === name).value;
+
+    it('should match the metrics of all trades taken together', () => {
+        const combined = aggregateMetrics([calculateMetrics(busy).default, calculateMetrics(quiet).default]);
+        const together = calculateMetrics([...busy, ...quiet]).default;
+
+        ['Win Rate', 'Loss Rate', 'Profit Factor', 'Avg. RRR', 'Average Profit per Trade', 'Average Loss per Trade', 'Lots', 'Gross Profit', 'Best Trade', 'Worst Trade']
+            .forEach(name => expect([name, value(combined, name)]).toEqual([name, expect.closeTo(value(together, name), 6)]));
+        // 5 of 12 trades won, where averaging the two accounts' rates would claim 65%
+        expect(value(combined, 'Win Rate')).toBeCloseTo(41.667);
+        expect(value(combined, 'Average Trade Duration')).toEqual('2:30:00');
+    });
+
+    it('should weight the other ratios by trade count and average metrics without trades', () => {
+        const combined = aggregateMetrics([calculateMetrics(busy).default, calculateMetrics(quiet).default]);
+        // Long Won: 2 of 7 on the account with 10 trades, 1 of 1 on the one with 2
+        expect(value(combined, 'Long Won')).toBeCloseTo(((200 / 7) * 10 + 100 * 2) / 12);
+
+        const custom = aggregateMetrics([
+            calculateMetrics(busy, { balance: 1000, equity: 1100 }).custom,
+            calculateMetrics(quiet, { balance: 1000, equity: 900 }).custom,
+        ]);
+        expect(value(custom, 'Custom ROI')).toBeCloseTo(0);
+    });
+
+    it('should handle accounts without trades', () => {
+        const combined = aggregateMetrics([calculateMetrics([]).default, calculateMetrics(quiet).default]);
+        expect(value(combined, 'Win Rate')).toEqual(100);
+        expect(value(combined, 'Average Loss per Trade')).toEqual(0);
+        expect(value(combined, 'Profit Factor')).toEqual(0);
+    });
+});
+
+describe('Account selection', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const first = new TradingAccount({ userId, platform: 'mt5', login: '1001', server: 'Demo', isDefault: true });
+    const second = new TradingAccount({ userId, platform: 'mt5', login: '1002', server: 'Demo' });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should resolve the default, a given or every account of the user', async () => {
+        const findOne = jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(first);
+        const sort = jest.fn().mockResolvedValue([first, second]);
+        const find = jest.spyOn(TradingAccount, 'find').mockReturnValue({ sort });
+
+        expect(await resolveAccounts(userId)).toEqual([first]);
+        expect(findOne).toHaveBeenLastCalledWith({ userId, isDefault: true });
+        expect(await resolveAccounts(userId, String(second._id))).toEqual([first]);
+        expect(findOne).toHaveBeenLastCalledWith({ _id: String(second._id), userId });
+        expect(await resolveAccounts(userId, 'all')).toEqual([first, second]);
+        expect(find).toHaveBeenCalledWith({ userId });
+        expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+    });
+
+    it('should not look up invalid ids or accounts of other users', async () => {
+        const findOne = jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(null);
+
+        expect(await resolveAccounts(userId, 'not-an-id')).toEqual([]);
+        expect(findOne).not.toHaveBeenCalled();
+        expect(await resolveAccounts(userId, String(new mongoose.Types.ObjectId()))).toEqual([]);
+    });
+
+    it('should not resolve \'all\' to a single account', async () => {
+        const findOne = jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(first);
+
+        expect(await resolveAccount(userId, 'all')).toBeNull();
+        expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('should not delete any account for DELETE /api/trading-accounts/all', async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        const app = express();
+        app.use(express.json());
+        app.use('/api/trading-accounts', tradingAccountRoutes);
+        jest.spyOn(TradingAccount, 'find').mockReturnValue({ sort: async () => [first, second] });
+        jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(first);
+        const remove = jest.spyOn(TradingAccount, 'findOneAndDelete').mockResolvedValue(first);
+
+        const res = await request(app)
+            .delete('/api/trading-accounts/all')
+            .set('Authorization', `Bearer ${jwt.sign({ id: String(userId) }, 'test-secret')}`);
+
+        expect(res.statusCode).toEqual(404);
+        expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty label or a non-string broker or currency with 400', async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        const app = express();
+        app.use(express.json());
+        app.use('/api/trading-accounts', tradingAccountRoutes);
+        const save = jest.spyOn(second, 'save').mockResolvedValue(second);
+        jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(second);
+        const update = body => request(app)
+            .put(`/api/trading-accounts/${second._id}`)
+            .set('Authorization', `Bearer ${jwt.sign({ id: String(userId) }, 'test-secret')}`)
+            .send(body);
+
+        for (const body of [{ label: '' }, { label: '  ' }, { label: 42 }, { broker: ['FTMO'] }, { currency: '' }, { currency: 840 }]) {
+            expect((await update(body)).statusCode).toEqual(400);
+        }
+        expect(save).not.toHaveBeenCalled();
+        expect((await update({ label: 'Swing', currency: 'eur' })).statusCode).toEqual(200);
+        expect(second.label).toEqual('Swing');
+    });
+
+    it('should make one account the default and clear the flag on the others', async () => {
+        jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(second);
+        const clear = jest.spyOn(TradingAccount, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+        const save = jest.spyOn(second, 'save').mockResolvedValue(second);
+
+        expect(await setDefaultAccount(userId, second._id)).toBe(second);
+        expect(clear).toHaveBeenCalledWith({ userId, _id: { $ne: second._id } }, { isDefault: false });
+        expect(second.isDefault).toBe(true);
+        expect(save).toHaveBeenCalled();
+
+        TradingAccount.findOne.mockResolvedValue(null);
+        expect(await setDefaultAccount(userId, new mongoose.Types.ObjectId())).toBeNull();
+    });
+});
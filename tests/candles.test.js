@@ -0,0 +1,90 @@
+const Candle = require('../models/Candle');
+const { candleStart, sourceTimeframes, parseCandleCsv } = require('../utils/candles');
+const { recordTick, importCandles, candlePipeline, startCandleRecorder } = require('../services/candleService');
+
+describe('Candles', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should start candles at multiples of the timeframe in UTC', () => {
+        expect(candleStart('2025-06-27T14:37:42Z', 'M15').toISOString()).toEqual('2025-06-27T14:30:00.000Z');
+        expect(candleStart('2025-06-27T14:37:42Z', 'H4').toISOString()).toEqual('2025-06-27T12:00:00.000Z');
+        expect(candleStart('2025-06-27T14:37:42Z', 'D1').toISOString()).toEqual('2025-06-27T00:00:00.000Z');
+    });
+
+    it('should resample from the timeframes that divide the requested one, coarsest first', () => {
+        expect(sourceTimeframes('H4')).toEqual(['H4', 'H1', 'M30', 'M15', 'M5', 'M1']);
+        expect(sourceTimeframes('M15')).toEqual(['M15', 'M5', 'M1']);
+    });
+
+    it('should read MetaTrader history exports and ISO timed CSV', () => {
+        const mt5 = '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>\t<VOL>\t<SPREAD>\n'
+            + '2025.06.27\t14:00:00\t3328.40\t3331.20\t3325.90\t3329.50\t2410\t0\t12\n'
+            + '2025.06.27\t15:00:00\t3329.50\t3333.00\t3328.10\t3332.70\t1985\t0\t12\n';
+        expect(parseCandleCsv(mt5, 'H1')).toEqual({
+            candles: [
+                { time: new Date('2025-06-27T14:00:00Z'), open: 3328.4, high: 3331.2, low: 3325.9, close: 3329.5, volume: 2410 },
+                { time: new Date('2025-06-27T15:00:00Z'), open: 3329.5, high: 3333, low: 3328.1, close: 3332.7, volume: 1985 },
+            ],
+            errors: [],
+        });
+
+        const iso = 'time,open,high,low,close\n2025-06-27T00:00:00Z,1.1702,1.1745,1.1688,1.1721\n';
+        expect(parseCandleCsv(iso, 'D1').candles).toHaveLength(1);
+    });
+
+    it('should name the rows it rejects', () => {
+        const csv = 'time,open,high,low,close\n'
+            + '2025-06-27T14:10:00Z,1,2,1,2\n'
+            + '2025-06-27T15:00:00Z,1.2,1.1,1.0,1.05\n'
+            + 'yesterday,1,2,1,2\n'
+            + '2025-06-27T16:00:00Z,1,,1,1\n';
+
+        expect(parseCandleCsv(csv, 'H1').errors).toEqual([
+            'Line 2: 2025-06-27T14:10:00.000Z does not start a H1 candle',
+            'Line 3: high and low do not contain open and close',
+            'Line 4: invalid time',
+            'Line 5: open, high, low and close must be prices',
+        ]);
+        expect(() => parseCandleCsv('time,price\n2025-06-27,1\n', 'H1')).toThrow('Could not find CSV column(s) for: open, high, low, close');
+    });
+
+    it('should add ticks to their M1 candle once each', async () => {
+        const update = jest.spyOn(Candle, 'updateOne').mockResolvedValue({});
+
+        expect(await recordTick('XAGUSD', { time: '2025-06-27T14:30:15Z', price: 36.42 })).toBe(true);
+        expect(await recordTick('XAGUSD', { time: '2025-06-27T14:30:15Z', price: 36.42 })).toBe(false);
+        expect(await recordTick('XAGUSD', { time: '2025-06-27T14:30:30Z', price: 36.45 })).toBe(true);
+
+        expect(update).toHaveBeenCalledTimes(2);
+        expect(update).toHaveBeenLastCalledWith(
+            { symbol: 'XAGUSD', timeframe: 'M1', time: new Date('2025-06-27T14:30:00Z') },
+            expect.objectContaining({ $setOnInsert: { open: 36.45, source: 'ticks' }, $max: { high: 36.45 }, $min: { low: 36.45 }, $inc: { volume: 1 } }),
+            { upsert: true }
+        );
+    });
+
+    it('should upsert imported candles by symbol, timeframe and time', async () => {
+        const write = jest.spyOn(Candle, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, modifiedCount: 1 });
+        const time = new Date('2025-06-27T14:00:00Z');
+
+        expect(await importCandles('XAUUSD', 'H1', [{ time, open: 1, high: 2, low: 1, close: 2, volume: 5 }])).toEqual({ imported: 1, updated: 1 });
+        expect(write.mock.calls[0][0][0].updateOne).toEqual(expect.objectContaining({ filter: { symbol: 'XAUUSD', timeframe: 'H1', time }, upsert: true }));
+    });
+
+    it('should build each candle from the coarsest stored timeframe', () => {
+        const from = new Date('2025-06-01T00:00:00Z');
+        const to = new Date('2025-06-28T00:00:00Z');
+        const pipeline = candlePipeline('XAUUSD', 'H4', from, to);
+
+        expect(pipeline[0]).toEqual({ $match: { symbol: 'XAUUSD', timeframe: { $in: ['H4', 'H1', 'M30', 'M15', 'M5', 'M1'] }, time: { $gte: from, $lt: to } } });
+        expect(pipeline[2].$group._id.time).toEqual({ $subtract: ['$time', { $mod: [{ $toLong: '$time' }, 4 * 60 * 60 * 1000] }] });
+        expect(pipeline[4]).toEqual({ $sort: { '_id.time': 1, rank: 1 } });
+    });
+
+    it('should not poll live quotes unless CANDLE_SYMBOLS is set', () => {
+        const source = { getQuote: jest.fn() };
+        expect(process.env.CANDLE_SYMBOLS).toBeUndefined();
+        expect(startCandleRecorder(source)).toBeNull();
+        expect(source.getQuote).not.toHaveBeenCalled();
+    });
+});
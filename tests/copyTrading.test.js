@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { positionSize, splitVolume } = require('../utils/positionSizing');
+
+describe('Copy trading position sizing', () => {
+    const gold = { asset: 'XAU/USD', entryPrice: 3300, stopLoss: 3290 };
+
+    it('should size the position so the stop loss costs the risk percentage', () => {
+        // 1% of 10,000 = 100 USD over 100 pips at 10 USD per pip per lot
+        expect(positionSize({ balance: 10000, currency: 'USD' }, gold, { riskPercent: 1, maxLots: 5 })).toEqual({ lots: 0.1, riskAmount: 100, stopPips: 100 });
+        expect(positionSize({ balance: 1000000, currency: 'USD' }, gold, { riskPercent: 1, maxLots: 5 }).lots).toEqual(5);
+    });
+
+    it('should convert pip values of pairs based on the account currency and refuse the others', () => {
+        const usdJpy = { asset: 'USDJPY', entryPrice: 150, stopLoss: 150.5 };
+        // 100 USD over 50 pips at 1000 JPY (6.67 USD at 150) per pip per lot
+        expect(positionSize({ balance: 10000, currency: 'USD' }, usdJpy, { riskPercent: 1, maxLots: 5 }).lots).toEqual(0.3);
+        expect(positionSize({ balance: 10000, currency: 'EUR' }, gold, { riskPercent: 1, maxLots: 5 }).error).toMatch(/Cannot convert USD/);
+        expect(positionSize({ balance: 100, currency: 'USD' }, gold, { riskPercent: 0.5, maxLots: 5 }).error).toMatch(/minimum/);
+    });
+
+    it('should split the volume over the targets with the remainder on the last one', () => {
+        const targets = [{ price: 3310, closePercent: 50 }, { price: 3320, closePercent: 30 }, { price: 3330, closePercent: 20 }];
+        expect(splitVolume(0.25, targets).map(order => order.volume)).toEqual([0.12, 0.07, 0.06]);
+        expect(splitVolume(0.02, targets)).toEqual([{ target: 1, price: 3310, volume: 0.01 }, { target: 3, price: 3330, volume: 0.01 }]);
+    });
+});
+
+describe('Copy trading against a mock bridge', () => {
+    let platforms;
+    let mock;
+    let copySignalForUser;
+    let cancelCopyOrders;
+    let models;
+    const publishDate = new Date('2025-06-27T14:30:00Z');
+    const now = new Date('2025-06-27T14:31:00Z');
+    const account = { _id: 'account1', userId: 'user1', platform: 'mt5', login: '123456', server: 'Demo', currency: 'USD' };
+    const settings = { userId: 'user1', accountId: 'account1', riskPercent: 1, maxLots: 2, dailyLossLimitPercent: 3 };
+    const signal = {
+        signalId: 'S501',
+        asset: 'XAUUSD',
+        entryType: 'Buy',
+        entryPrice: 3300,
+        stopLoss: 3290,
+        targets: [{ price: 3310, closePercent: 50 }, { price: 3320, closePercent: 50 }],
+        category: 'Premium users',
+        state: 'active',
+        status: 'Published',
+        publishDate,
+    };
+
+    const link = (adapterOptions, yesterdayBalance) => {
+        mock = platforms.registerAdapter(require('../services/platforms/mock').createMockAdapter(adapterOptions));
+        jest.spyOn(models.TradingAccount, 'findOne').mockResolvedValue(account);
+        jest.spyOn(models.StatsDaily, 'findOne').mockResolvedValue(yesterdayBalance ? { balance: yesterdayBalance } : null);
+        jest.spyOn(models.CopyExecution, 'create').mockImplementation(async fields => ({
+            ...fields,
+            set(update) { Object.assign(this, update); },
+            async save() { return this; },
+        }));
+    };
+
+    beforeEach(() => {
+        process.env.CREDENTIAL_VAULT_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+        process.env.CREDENTIAL_VAULT_ACTIVE_KEY = 'v1';
+        platforms = require('../services/platforms');
+        ({ copySignalForUser, cancelCopyOrders } = require('../services/copyTradingService'));
+        models = {
+            TradingAccount: require('../models/TradingAccount'),
+            StatsDaily: require('../models/StatsDaily'),
+            CopyExecution: require('../models/CopyTrading').CopyExecution,
+        };
+        const { encrypt } = require('../services/credentialVault');
+        jest.spyOn(require('../models/Credential'), 'findOne').mockResolvedValue({ secret: encrypt('Password123', 'user1') });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        platforms.registerAdapter(require('../services/platforms/mt5Bridge'));
+    });
+
+    it('should place one market order per target and record the fills', async () => {
+        link({ account: { balance: 10000, equity: 10000, currency: 'USD' } });
+        const execution = await copySignalForUser(signal, settings, { tier: 'premium', now });
+
+        expect(execution).toMatchObject({ status: 'filled', volume: 0.1, riskAmount: 100, balance: 10000 });
+        expect(mock.orders.map(({ side, type, volume, sl, tp, comment }) => ({ side, type, volume, sl, tp, comment }))).toEqual([
+            { side: 'buy', type: 'market', volume: 0.05, sl: 3290, tp: 3310, comment: 'Signal S501 TP1' },
+            { side: 'buy', type: 'market', volume: 0.05, sl: 3290, tp: 3320, comment: 'Signal S501 TP2' },
+        ]);
+        expect(execution.orders.map(order => order.ticket)).toEqual([1000, 1001]);
+    });
+
+    it('should record broker rejections per order', async () => {
+        link({ account: { balance: 10000, equity: 10000 }, rejectOrders: '10019 No money' });
+        const execution = await copySignalForUser(signal, settings, { tier: 'premium', now });
+
+        expect(execution).toMatchObject({ status: 'failed', reason: '10019 No money' });
+        expect(execution.orders.map(order => order.status)).toEqual(['failed', 'failed']);
+    });
+
+    it('should skip once the daily loss cap is reached, when halted and when the tier only sees it redacted', async () => {
+        link({ account: { balance: 9800, equity: 9650 } }, 10000);
+        expect(await copySignalForUser(signal, settings, { tier: 'premium', now })).toMatchObject({ status: 'skipped', reason: 'Daily loss cap reached (3.5% of 3%)' });
+
+        expect((await copySignalForUser(signal, settings, { tier: 'premium', halted: true, now })).reason).toMatch(/halted/);
+        expect((await copySignalForUser(signal, settings, { tier: 'free', now })).reason).toMatch(/subscription tier/);
+        expect((await copySignalForUser(signal, settings, { tier: 'premium', now: new Date('2025-06-27T15:00:00Z') })).reason).toMatch(/within 5 minutes/);
+        expect(mock.orders).toEqual([]);
+    });
+
+    it('should not copy a signal twice for the same user', async () => {
+        link({ account: { balance: 10000, equity: 10000 } });
+        models.CopyExecution.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+        expect(await copySignalForUser(signal, settings, { tier: 'premium', now })).toBeNull();
+        expect(mock.calls).toEqual([]);
+    });
+
+    it('should cancel the limit orders of a withdrawn signal and record what the broker refused', async () => {
+        link({ account: { balance: 10000, equity: 10000 } });
+        const limit = { ...signal, entryType: 'Buy limit', state: 'pending', expiresAt: new Date('2025-06-28T14:30:00Z') };
+        const execution = await copySignalForUser(limit, settings, { tier: 'premium', now });
+        expect(execution.status).toEqual('placed');
+        jest.spyOn(models.CopyExecution, 'find').mockResolvedValue([execution]);
+
+        // The second order filled before the signal was withdrawn
+        mock.orders.splice(1, 1);
+        await cancelCopyOrders('S501', { now });
+
+        expect(mock.orders).toEqual([]);
+        expect(execution.orders.map(({ status, error }) => ({ status, error }))).toEqual([
+            { status: 'cancelled', error: undefined },
+            { status: 'placed', error: 'Could not cancel: Order 1001 not found' },
+        ]);
+        expect(execution).toMatchObject({ status: 'partial', cancelledAt: now });
+
+        mock.orders.push({ ticket: 1001 });
+        await cancelCopyOrders('S501', { now });
+        expect(execution).toMatchObject({ status: 'cancelled', reason: 'Signal was withdrawn' });
+    });
+});
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+describe('Credential vault', () => {
+    let vault;
+
+    beforeEach(() => {
+        process.env.CREDENTIAL_VAULT_KEYS = `v1:${key()},v2:${key()}`;
+        process.env.CREDENTIAL_VAULT_ACTIVE_KEY = 'v1';
+        vault = require('../services/credentialVault');
+    });
+
+    it('should decrypt what it encrypted without storing the plaintext', () => {
+        const envelope = vault.encrypt('Password123', 'user123');
+        expect(JSON.stringify(envelope)).not.toContain('Password123');
+        expect(envelope.keyId).toEqual('v1');
+        expect(vault.decrypt(envelope, 'user123')).toEqual('Password123');
+    });
+
+    it('should refuse to decrypt under a different context', () => {
+        const envelope = vault.encrypt('Password123', 'user123');
+        expect(() => vault.decrypt(envelope, 'user456')).toThrow();
+    });
+
+    it('should re-wrap a secret onto the active key', () => {
+        const envelope = vault.encrypt('Password123', 'user123');
+        process.env.CREDENTIAL_VAULT_ACTIVE_KEY = 'v2';
+        expect(vault.needsRotation(envelope)).toBe(true);
+
+        const rotated = vault.rotate(envelope);
+        expect(rotated.keyId).toEqual('v2');
+        expect(vault.needsRotation(rotated)).toBe(false);
+        expect(vault.decrypt(rotated, 'user123')).toEqual('Password123');
+    });
+
+    it('should fail loudly when no master key is configured', () => {
+        process.env.CREDENTIAL_VAULT_KEYS = '';
+        expect(() => vault.encrypt('Password123', 'user123')).toThrow('CREDENTIAL_VAULT_KEYS is not configured');
+    });
+});
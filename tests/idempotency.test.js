@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Counter = require('../models/Counter');
+const { idempotent } = require('../middleware/idempotency');
+const { nextSequence } = require('../services/idGenerator');
+
+const query = result => ({ catch: () => undefined, then: resolve => resolve(result) });
+
+describe('Idempotency-Key middleware', () => {
+    const request = (key, body) => ({ body, user: { id: '64b7f0c2a1b2c3d4e5f60718' }, get: () => key });
+    const response = () => {
+        const res = { statusCode: 200, headers: {} };
+        res.status = (code) => { res.statusCode = code; return res; };
+        res.set = (name, value) => { res.headers[name] = value; return res; };
+        res.json = (body) => { res.body = body; return res; };
+        return res;
+    };
+    const run = async (req, res) => {
+        const next = jest.fn();
+        await idempotent('signals:create')(req, res, next);
+        return next;
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should run the first request and keep its successful response', async () => {
+        jest.spyOn(IdempotencyKey, 'create').mockResolvedValue({});
+        const update = jest.spyOn(IdempotencyKey, 'updateOne').mockReturnValue(query({}));
+        const res = response();
+
+        expect(await run(request('abc', { asset: 'XAUUSD' }), res)).toHaveBeenCalled();
+        res.status(201).json({ signal: { signalId: 'S1001' } });
+        expect(update).toHaveBeenCalledWith(
+            expect.objectContaining({ key: 'abc', scope: 'signals:create' }),
+            { completed: true, responseStatus: 201, responseBody: { signal: { signalId: 'S1001' } } }
+        );
+    });
+
+    it('should release the key when the request fails', async () => {
+        jest.spyOn(IdempotencyKey, 'create').mockResolvedValue({});
+        const release = jest.spyOn(IdempotencyKey, 'deleteOne').mockReturnValue(query({}));
+        const res = response();
+
+        await run(request('abc', {}), res);
+        res.status(400).json({ error: 'Invalid entryType' });
+        expect(release).toHaveBeenCalled();
+    });
+
+    it('should replay, reject or hold back repeated keys', async () => {
+        const duplicate = Object.assign(new Error('duplicate key'), { code: 11000 });
+        jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicate);
+        const findOne = jest.spyOn(IdempotencyKey, 'findOne');
+        const body = { asset: 'XAUUSD' };
+        const requestHash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+        findOne.mockResolvedValueOnce({ requestHash, completed: false });
+        const running = response();
+        await run(request('abc', body), running);
+        expect(running.statusCode).toEqual(409);
+
+        findOne.mockResolvedValueOnce({ requestHash, completed: true, responseStatus: 201, responseBody: { signal: { signalId: 'S1001' } } });
+        const replayed = response();
+        expect(await run(request('abc', body), replayed)).not.toHaveBeenCalled();
+        expect(replayed).toMatchObject({ statusCode: 201, body: { signal: { signalId: 'S1001' } }, headers: { 'Idempotent-Replayed': 'true' } });
+
+        findOne.mockResolvedValueOnce({ requestHash, completed: true });
+        const other = response();
+        await run(request('abc', { asset: 'EURUSD' }), other);
+        expect(other.statusCode).toEqual(422);
+    });
+
+    it('should leave requests without the header alone and reject empty keys', async () => {
+        expect(await run(request(undefined, {}), response())).toHaveBeenCalled();
+        const res = response();
+        expect(await run(request('', {}), res)).not.toHaveBeenCalled();
+        expect(res.statusCode).toEqual(400);
+    });
+});
+
+describe('Sequences', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should start a new sequence after the highest existing id', async () => {
+        jest.spyOn(Counter, 'exists').mockResolvedValue(null);
+        const seedUpdate = jest.spyOn(Counter, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 1000 });
+
+        expect(await nextSequence('signal', async () => 999)).toEqual(1000);
+        expect(seedUpdate).toHaveBeenCalledWith({ _id: 'signal' }, { $max: { seq: 999 } }, { upsert: true });
+    });
+
+    it('should only increment once the sequence exists', async () => {
+        jest.spyOn(Counter, 'exists').mockResolvedValue({ _id: 'application' });
+        const seedUpdate = jest.spyOn(Counter, 'updateOne');
+        const increment = jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 42 });
+        const seed = jest.fn();
+
+        expect(await nextSequence('application', seed)).toEqual(42);
+        expect(seed).not.toHaveBeenCalled();
+        expect(seedUpdate).not.toHaveBeenCalled();
+        expect(increment.mock.calls[0][1]).toMatchObject({ $inc: { seq: 1 } });
+    });
+});
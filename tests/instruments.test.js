@@ -0,0 +1,28 @@
+const { getInstrument, toPips, pipValue } = require('../utils/instruments');
+
+describe('Instrument registry', () => {
+    it('should resolve broker symbols, separators and aliases', () => {
+        expect(getInstrument('XAUUSDm')).toMatchObject({ symbol: 'XAUUSD', pipSize: 0.1, contractSize: 100, quoteCurrency: 'USD' });
+        expect(getInstrument('GOLD').symbol).toEqual('XAUUSD');
+        expect(getInstrument('EUR/USD')).toMatchObject({ symbol: 'EURUSD', pipSize: 0.0001, digits: 5 });
+        expect(getInstrument('US30.cash')).toMatchObject({ symbol: 'US30', type: 'index', pipSize: 1 });
+        expect(getInstrument('USTEC').symbol).toEqual('NAS100');
+    });
+
+    it('should apply forex conventions to unlisted pairs', () => {
+        expect(getInstrument('CADJPY')).toMatchObject({ pipSize: 0.01, digits: 3, quoteCurrency: 'JPY', known: true });
+        expect(getInstrument('EURNOK.pro')).toMatchObject({ symbol: 'EURNOK', pipSize: 0.0001, quoteCurrency: 'NOK' });
+    });
+
+    it('should flag symbols it does not know', () => {
+        expect(getInstrument('COPPER')).toMatchObject({ known: false, pipSize: 0.01 });
+    });
+
+    it('should convert distances to pips and pip values', () => {
+        expect(toPips(150.25 - 149.8, getInstrument('USDJPY').pipSize)).toEqual(45);
+        expect(toPips(1.08 - 1.0835, getInstrument('EURUSD').pipSize)).toEqual(-35);
+        expect(toPips(3320 - 3300, getInstrument('XAUUSD').pipSize)).toEqual(200);
+        expect(pipValue(getInstrument('EURUSD'), 0.5)).toBeCloseTo(5);
+        expect(pipValue(getInstrument('XAUUSD'))).toBeCloseTo(10);
+    });
+});
@@ -0,0 +1,94 @@
+const Job = require('../models/Job');
+const Signal = require('../models/Signal');
+const { registerHandler, retryDelay, pollJobs } = require('../services/jobQueue');
+const { queueMissingPublishJobs } = require('../services/signalService');
+
+describe('Job queue', () => {
+    const claimed = fields => ({ _id: 'job1', name: 'test.run', payload: { value: 1 }, status: 'running', attempts: 1, maxAttempts: 3, ...fields });
+    let updates;
+
+    // Claims the given jobs one per poll step, then reports the queue as empty
+    const queue = (...jobs) => {
+        const claim = jest.spyOn(Job, 'findOneAndUpdate');
+        jobs.forEach(job => claim.mockResolvedValueOnce(job));
+        claim.mockResolvedValue(null);
+        updates = [];
+        jest.spyOn(Job, 'updateOne').mockImplementation(async (filter, update) => {
+            updates.push({ filter, update });
+            return { modifiedCount: 1 };
+        });
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should back off exponentially up to an hour', () => {
+        expect([1, 2, 3, 4].map(retryDelay)).toEqual([30000, 60000, 120000, 240000]);
+        expect(retryDelay(20)).toEqual(60 * 60 * 1000);
+    });
+
+    it('should run the handler with the payload and the worker context', async () => {
+        const handler = jest.fn();
+        registerHandler('test.run', handler);
+        queue(claimed());
+
+        expect(await pollJobs({ io: 'io' })).toEqual(1);
+        expect(handler).toHaveBeenCalledWith({ value: 1 }, expect.objectContaining({ io: 'io' }));
+        expect(updates[0].filter).toMatchObject({ _id: 'job1', status: 'running' });
+        expect(updates[0].update.$set.status).toEqual('completed');
+        expect(updates[0].update.$unset).toEqual({ lockedBy: '', lockedUntil: '' });
+    });
+
+    it('should put a failed attempt back with a delay and fail the job after the last one', async () => {
+        registerHandler('test.run', async () => { throw new Error('SMTP down'); });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        queue(claimed({ attempts: 2 }), claimed({ attempts: 3 }));
+        const before = Date.now();
+
+        await pollJobs();
+        expect(updates[0].update.$set).toMatchObject({ status: 'pending', lastError: 'SMTP down' });
+        expect(updates[0].update.$set.runAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+        expect(updates[1].update.$set).toMatchObject({ status: 'failed', lastError: 'SMTP down' });
+    });
+
+    it('should fail a job reclaimed after the lease of its last attempt ran out without running it', async () => {
+        const handler = jest.fn();
+        registerHandler('test.run', handler);
+        queue(claimed({ attempts: 4 }));
+
+        await pollJobs();
+        expect(handler).not.toHaveBeenCalled();
+        expect(updates[0].update.$set.status).toEqual('failed');
+    });
+
+    it('should only queue publication jobs for scheduled signals that never had one', async () => {
+        const publishDate = new Date('2030-01-02T09:00:00Z');
+        jest.spyOn(Signal, 'find').mockResolvedValue([{ signalId: 'S1', publishDate }, { signalId: 'S2', publishDate }, { signalId: 'S3' }]);
+        // S1 has a pending job, S2 had its job cancelled
+        jest.spyOn(Job, 'exists').mockImplementation(async ({ key }) => (['signal:S1', 'signal:S2'].includes(key) ? { _id: key } : null));
+        jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+        const created = jest.spyOn(Job, 'create').mockResolvedValue({});
+
+        expect(await queueMissingPublishJobs()).toEqual(1);
+        expect(created).toHaveBeenCalledWith(expect.objectContaining({ name: 'signal.publish', key: 'signal:S3', payload: { signalId: 'S3' } }));
+    });
+
+    it('should date a signal published by a late job at the time it actually went out', async () => {
+        const planned = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        const signal = new Signal({
+            signalId: 'S4', asset: 'XAUUSD', entryType: 'Buy limit', status: 'Scheduled', state: 'pending',
+            publishTiming: 'Scheduled Publish', publishDate: planned, expiresAt: new Date(planned.getTime() + 72 * 60 * 60 * 1000),
+        });
+        jest.spyOn(Signal, 'findOne').mockResolvedValue(signal);
+        jest.spyOn(signal, 'save').mockResolvedValue(signal);
+        jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+        jest.spyOn(Job, 'create').mockResolvedValue({});
+        queue(claimed({ name: 'signal.publish', payload: { signalId: 'S4' } }));
+        const before = Date.now();
+
+        await pollJobs();
+
+        expect(signal.status).toEqual('Published');
+        expect(signal.publishDate.getTime()).toBeGreaterThanOrEqual(before);
+        expect(signal.expiresAt.getTime()).toEqual(signal.publishDate.getTime() + 72 * 60 * 60 * 1000);
+    });
+});
@@ -0,0 +1,114 @@
+const { createMarketData, MarketDataError } = require('../services/marketData');
+const { createMemoryCache } = require('../services/marketData/cache');
+const { createFixtureProvider } = require('../services/marketData/providers/fixture');
+const tradingEconomics = require('../services/marketData/providers/tradingEconomics');
+
+describe('Market data service', () => {
+    let clock;
+    const now = () => clock;
+    const gold = { base: 'XAU', quote: 'USD' };
+    const ttl = { quote: 15000, rates: 30000, calendar: 30000 };
+    const breaker = { threshold: 2, cooldownMs: 60000 };
+    const failing = (name, message = 'timeout of 5000ms exceeded') => ({
+        name,
+        calls: 0,
+        async quote() {
+            this.calls += 1;
+            throw new Error(message);
+        },
+        async rates() {
+            this.calls += 1;
+            throw new Error(message);
+        },
+    });
+    const service = (providers) => createMarketData({ providers, cache: createMemoryCache({ now }), ttl, breaker, now });
+
+    beforeEach(() => {
+        clock = new Date('2025-06-27T14:30:00Z').getTime();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should serve quotes from the cache until their TTL passes', async () => {
+        const fixture = createFixtureProvider();
+        const marketData = service([fixture]);
+
+        expect(await marketData.getQuote(gold)).toEqual(expect.objectContaining({ price: 3328.45, bid: 3328.2, ask: 3328.7 }));
+        await marketData.getQuote(gold);
+        clock += 16000;
+        await marketData.getQuote(gold);
+
+        expect(fixture.calls).toEqual([['quote', 'XAUUSD'], ['quote', 'XAUUSD']]);
+    });
+
+    it('should share one provider call between concurrent requests', async () => {
+        const fixture = createFixtureProvider();
+        const marketData = service([fixture]);
+
+        await Promise.all([marketData.getRates('USD'), marketData.getRates('usd'), marketData.getRates('USD')]);
+
+        expect(fixture.calls).toEqual([['rates', 'USD']]);
+    });
+
+    it('should fall back to the next provider and skip one whose circuit is open', async () => {
+        const broken = failing('primary');
+        const marketData = service([broken, createFixtureProvider()]);
+
+        for (let i = 0; i < 3; i += 1) {
+            clock += ttl.rates;
+            expect((await marketData.getRates('EUR')).rates.USD).toEqual(1.172);
+        }
+
+        expect(broken.calls).toEqual(2);
+        expect(marketData.status()).toEqual({ primary: 'open', fixture: 'closed' });
+    });
+
+    it('should let one trial call through once the cooldown is over', async () => {
+        const flaky = failing('primary');
+        const marketData = service([flaky]);
+
+        await expect(marketData.getQuote(gold)).rejects.toThrow(MarketDataError);
+        await expect(marketData.getQuote(gold)).rejects.toThrow('primary: timeout of 5000ms exceeded');
+        await expect(marketData.getQuote(gold)).rejects.toThrow('primary: circuit open');
+        expect(flaky.calls).toEqual(2);
+
+        clock += breaker.cooldownMs;
+        expect(marketData.status()).toEqual({ primary: 'half_open' });
+        flaky.quote = async () => ({ time: new Date(clock), price: 3330 });
+        expect(await marketData.getQuote(gold)).toEqual({ time: new Date(clock), price: 3330 });
+        expect(marketData.status()).toEqual({ primary: 'closed' });
+    });
+
+    it('should only ask providers that cover the pair and derive currency pairs from the rates', async () => {
+        const metals = { name: 'metals', covers: ({ base }) => base === 'XAU', quote: jest.fn(async () => ({ time: new Date(clock), price: 3329 })) };
+        const marketData = service([metals, createFixtureProvider()]);
+
+        expect((await marketData.getQuote(gold)).price).toEqual(3329);
+        expect((await marketData.getQuote({ base: 'EUR', quote: 'GBP' })).price).toEqual(0.855);
+        expect(metals.quote).toHaveBeenCalledTimes(1);
+        await expect(marketData.getQuote({ base: 'ABC', quote: 'USD' })).rejects.toThrow('No fixture rates for ABC');
+    });
+
+    it('should return the calendar events in the date range', async () => {
+        const marketData = service([createFixtureProvider()]);
+
+        const events = await marketData.getCalendar(new Date('2025-06-27T00:00:00Z'), new Date('2025-06-28T00:00:00Z'));
+
+        expect(events.map(event => event.event)).toEqual(['Core PCE Price Index MoM', 'Michigan Consumer Sentiment Final']);
+        await expect(service([]).getCalendar(new Date(), new Date())).rejects.toThrow('No economic calendar provider');
+    });
+
+    it('should fail the calendar provider without an API key and open its circuit', async () => {
+        const apiKey = process.env.TRADING_ECONOMICS_API_KEY;
+        delete process.env.TRADING_ECONOMICS_API_KEY;
+        try {
+            const marketData = service([tradingEconomics]);
+            await expect(marketData.getCalendar(new Date(), new Date())).rejects.toThrow('TRADING_ECONOMICS_API_KEY is not set');
+            await expect(marketData.getCalendar(new Date(), new Date())).rejects.toThrow(MarketDataError);
+            expect(marketData.status()).toEqual({ 'tradingeconomics.com': 'open' });
+        } finally {
+            if (apiKey !== undefined) process.env.TRADING_ECONOMICS_API_KEY = apiKey;
+        }
+    });
+});
@@ -0,0 +1,32 @@
+const { compile } = require('../utils/metricExpression');
+
+const trades = [
+    { symbol: 'XAUUSD', side: 'buy', profit: 100, openTime: '2025-07-01T08:00:00Z', closeTime: '2025-07-01T10:00:00Z' },
+    { symbol: 'XAUUSD', side: 'sell', profit: -40, openTime: '2025-07-02T08:00:00Z', closeTime: '2025-07-02T09:00:00Z' },
+    { symbol: 'EURUSD', side: 'buy', profit: 20 },
+];
+
+describe('Custom metric expressions', () => {
+    it('should evaluate aggregates with where filters', () => {
+        expect(compile('sum(profit where symbol=="XAUUSD") / count()')(trades)).toEqual(20);
+        expect(compile('count(where profit > 0 and side == "buy") / count(where side == "buy") * 100')(trades)).toEqual(100);
+        expect(compile('avg(duration) / 3600')(trades)).toEqual(1.5);
+    });
+
+    it('should support scalar functions and account variables', () => {
+        expect(compile('round(sum(profit) / balance * 100, 2)')(trades, { balance: 3000 })).toEqual(2.67);
+        expect(compile('abs(min(profit))')(trades)).toEqual(40);
+    });
+
+    it('should return 0 when dividing by zero', () => {
+        expect(compile('sum(profit) / count(where symbol == "BTCUSD")')(trades)).toEqual(0);
+    });
+
+    it('should reject unknown names, bare trade fields and nested aggregates', () => {
+        expect(() => compile('profit * 2')).toThrow('only be used inside an aggregate');
+        expect(() => compile('sum(sum(profit))')).toThrow('cannot be nested');
+        expect(() => compile('constructor')).toThrow('Unknown name');
+        expect(() => compile('process.exit()')).toThrow('Unexpected character');
+        expect(() => compile('sum(profit')).toThrow('Expected ")"');
+    });
+});
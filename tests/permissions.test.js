@@ -0,0 +1,65 @@
+const User = require('../models/User');
+const { loadRoles, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+describe('Permissions', () => {
+    const response = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+    const rolesOf = roles => jest.spyOn(User, 'findById').mockReturnValue({ select: async () => (roles ? { roles } : null) });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should grant each role its permissions and admins all of them', () => {
+        expect(hasPermission(['support'], PERMISSIONS.NOTIFICATIONS_BROADCAST)).toBe(true);
+        expect(hasPermission(['analyst'], PERMISSIONS.NOTIFICATIONS_BROADCAST)).toBe(false);
+        expect(hasPermission(['admin'], PERMISSIONS.JOBS_MANAGE)).toBe(true);
+        expect(hasPermission([], PERMISSIONS.SIGNALS_MANAGE)).toBe(false);
+        expect(hasPermission(['unknown'], PERMISSIONS.SIGNALS_MANAGE)).toBe(false);
+    });
+
+    it('should read the roles from the database once per request', async () => {
+        const find = rolesOf(['mentor']);
+        const req = { user: { id: 'user1', roles: ['admin'] } };
+
+        expect(await loadRoles(req)).toEqual(['mentor']);
+        expect(await loadRoles(req)).toEqual(['mentor']);
+        expect(find).toHaveBeenCalledTimes(1);
+        expect(find).toHaveBeenCalledWith('user1');
+    });
+
+    it('should treat a deleted user as having no roles', async () => {
+        rolesOf(null);
+        expect(await loadRoles({ user: { id: 'gone' } })).toEqual([]);
+    });
+
+    it('should only let users with the permission through', async () => {
+        rolesOf(['support']);
+        const next = jest.fn();
+        const allowed = response();
+        await requirePermission(PERMISSIONS.NOTIFICATIONS_BROADCAST)({ user: { id: 'user1' } }, allowed, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(allowed.status).not.toHaveBeenCalled();
+
+        const denied = response();
+        await requirePermission(PERMISSIONS.SIGNALS_MANAGE)({ user: { id: 'user1' } }, denied, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(denied.status).toHaveBeenCalledWith(403);
+        expect(denied.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
+    });
+
+    it('should answer 500 when the roles cannot be read', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => { throw new Error('connection lost'); } });
+        const res = response();
+        const next = jest.fn();
+
+        await requirePermission(PERMISSIONS.NOTIFICATIONS_BROADCAST)({ user: { id: 'user1' } }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
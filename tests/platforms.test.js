@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// Sockets the cTrader adapter opened; tests decide whether and how each one connects
+const mockSockets = [];
+jest.mock('ws', () => {
+    const { EventEmitter: Emitter } = require('events');
+    return class extends Emitter {
+        constructor(url) {
+            super();
+            this.url = url;
+            this.sent = [];
+            this.send = message => this.sent.push(JSON.parse(message));
+            this.close = jest.fn(() => this.emit('close'));
+            this.terminate = jest.fn(() => this.emit('close'));
+            mockSockets.push(this);
+        }
+    };
+});
+
+describe('Trading platform adapters', () => {
+    let platforms;
+    let Credential;
+    let mock;
+    const account = { _id: 'account1', userId: 'user123', platform: 'mt5', login: '123456', server: 'Demo' };
+
+    beforeEach(() => {
+        process.env.CREDENTIAL_VAULT_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+        process.env.CREDENTIAL_VAULT_ACTIVE_KEY = 'v1';
+        platforms = require('../services/platforms');
+        Credential = require('../models/Credential');
+        const { createMockAdapter } = require('../services/platforms/mock');
+        const { encrypt } = require('../services/credentialVault');
+
+        mock = platforms.registerAdapter(createMockAdapter({
+            account: { balance: 1000, equity: 1050 },
+            deals: [{ ticket: 2, positionId: 7 }, { ticket: 1, positionId: 7 }, { ticket: 3, positionId: 8 }],
+        }));
+        jest.spyOn(Credential, 'findOne').mockResolvedValue({ secret: encrypt('Password123', 'user123') });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        platforms.registerAdapter(require('../services/platforms/mt5Bridge'));
+    });
+
+    it('should hand the decrypted secret to the adapter of the account platform', async () => {
+        const deals = await platforms.fetchDeals(account, { afterTicket: 1 });
+        expect(deals.map(deal => deal.ticket)).toEqual([2, 3]);
+        expect(mock.calls[0]).toEqual(['fetchDeals', account, 'Password123', 1]);
+        expect(await platforms.fetchAccount(account)).toEqual({ balance: 1000, equity: 1050 });
+    });
+
+    it('should not load credentials for import accounts', async () => {
+        expect(platforms.isLive('import')).toBe(false);
+        expect(await platforms.fetchDeals({ ...account, platform: 'import' })).toEqual([]);
+        expect(Credential.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown platforms', async () => {
+        await expect(platforms.fetchAccount({ ...account, platform: 'ninjatrader' })).rejects.toThrow('Unsupported trading platform');
+    });
+});
+
+describe('cTrader sessions', () => {
+    const ctrader = require('../services/platforms/ctrader');
+    const credentials = { accessToken: 'token', ctidTraderAccountId: '4412', environment: 'demo' };
+
+    beforeEach(() => {
+        mockSockets.length = 0;
+    });
+
+    afterEach(() => jest.useRealTimers());
+
+    it('should fail when the connection closes or errors before it opens', async () => {
+        const closed = ctrader.connect(credentials);
+        mockSockets[0].emit('close');
+        await expect(closed).rejects.toThrow('cTrader connection closed');
+
+        const refused = ctrader.connect(credentials);
+        mockSockets[1].emit('error', new Error('connect ECONNREFUSED'));
+        mockSockets[1].emit('close');
+        await expect(refused).rejects.toThrow('ECONNREFUSED');
+    });
+
+    it('should give up on a connection that does not open in time', async () => {
+        jest.useFakeTimers();
+        const connecting = ctrader.connect(credentials);
+
+        jest.advanceTimersByTime(10000);
+
+        await expect(connecting).rejects.toThrow('cTrader connection timed out');
+        expect(mockSockets[0].terminate).toHaveBeenCalled();
+    });
+
+    it('should fail pending requests when an open connection drops', async () => {
+        const connecting = ctrader.connect(credentials);
+        mockSockets[0].emit('open');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(mockSockets[0].sent[0]).toMatchObject({ clientMsgId: '1', payloadType: 2100 });
+
+        mockSockets[0].emit('close');
+
+        await expect(connecting).rejects.toThrow('cTrader connection closed');
+        expect(mockSockets[0].url).toEqual('wss://demo.ctraderapi.com:5036');
+    });
+
+    it('should fail the session instead of throwing on a frame that is not JSON', async () => {
+        const connecting = ctrader.connect(credentials);
+        mockSockets[0].emit('open');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(() => mockSockets[0].emit('message', Buffer.from([0xff, 0x00, 0x7b]))).not.toThrow();
+
+        await expect(connecting).rejects.toThrow('cTrader sent an invalid message');
+        expect(mockSockets[0].terminate).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,176 @@
+const PriceAlert = require('../models/PriceAlert');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { createReplaySource } = require('../services/priceFeed');
+const { createPriceHistory, checkPriceAlerts, initialState } = require('../services/priceAlertService');
+const { MAX_WINDOW_MINUTES, evaluateAlert, conditionMet, percentChange, parseAlertInput } = require('../utils/priceConditions');
+
+describe('Price alerts', () => {
+    const now = new Date('2025-06-27T14:30:00Z');
+    const later = new Date('2025-06-27T16:00:00Z');
+    const minutesBefore = minutes => new Date(now.getTime() - minutes * 60 * 1000);
+    const alert = fields => ({
+        _id: 'alert1',
+        userId: '64b7f0c2a1b2c3d4e5f60718',
+        asset: 'XAUUSD',
+        type: 'cross',
+        target: 3350,
+        status: 'active',
+        armed: true,
+        repeat: true,
+        channels: ['in_app', 'email'],
+        ...fields,
+    });
+    const source = quotes => createReplaySource(Object.fromEntries(
+        Object.entries(quotes).map(([asset, price]) => [asset, [{ time: now, price }]])
+    ));
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should fire a cross alert when the price reaches the target from the side it was armed on', () => {
+        expect(evaluateAlert(alert({ armed: false }), 3340, { now })).toEqual('arm');
+        expect(evaluateAlert(alert({ direction: 'above' }), 3340, { now })).toBeNull();
+        expect(evaluateAlert(alert({ direction: 'above' }), 3350, { now })).toEqual('fire');
+        expect(evaluateAlert(alert({ direction: 'below' }), 3349.5, { now })).toEqual('fire');
+        expect(evaluateAlert(alert({ direction: 'above', armed: false }), 3360, { now })).toBeNull();
+    });
+
+    it('should only re-arm after the cooldown once the condition no longer holds', () => {
+        const triggered = alert({ direction: 'above', status: 'triggered', armed: false, rearmAt: new Date('2025-06-27T15:30:00Z') });
+        expect(evaluateAlert(triggered, 3300, { now })).toBeNull();
+        expect(evaluateAlert(triggered, 3360, { now: later })).toBeNull();
+        expect(evaluateAlert(triggered, 3300, { now: later })).toEqual('rearm');
+        expect(evaluateAlert({ ...triggered, repeat: false }, 3300, { now: later })).toBeNull();
+    });
+
+    it('should expire alerts past their expiry date', () => {
+        expect(evaluateAlert(alert({ direction: 'above', expiresAt: minutesBefore(1) }), 3360, { now })).toEqual('expire');
+        expect(evaluateAlert(alert({ direction: 'above', expiresAt: later }), 3360, { now })).toEqual('fire');
+    });
+
+    it('should measure percent moves against the oldest price in the window', () => {
+        const history = [
+            { time: minutesBefore(90), price: 60000 },
+            { time: minutesBefore(60), price: 62000 },
+            { time: minutesBefore(30), price: 61000 },
+        ];
+        expect(percentChange(history, 60, 60140, now)).toBeCloseTo(-3);
+        expect(percentChange(history, 120, 60140, now)).toBeNull();
+
+        const drop = alert({ asset: 'BTCUSD', type: 'percent_change', percent: 3, windowMinutes: 60, direction: 'below' });
+        expect(conditionMet(drop, 60140, -3)).toBe(true);
+        expect(conditionMet(drop, 63860, 3)).toBe(false);
+        expect(conditionMet({ ...drop, direction: undefined }, 63860, 3)).toBe(true);
+        expect(evaluateAlert(drop, 60140, { now, change: null })).toBeNull();
+    });
+
+    it('should keep a price old enough for alerts with the longest window', () => {
+        const history = createPriceHistory();
+        // One check a minute, each running a little late
+        for (let minutes = MAX_WINDOW_MINUTES + 30; minutes >= 0; minutes -= 1) {
+            history.record('XAUUSD', 3000, new Date(minutesBefore(minutes).getTime() + ((minutes + 1) % 3) * 1000));
+        }
+
+        expect(percentChange(history.get('XAUUSD'), MAX_WINDOW_MINUTES, 3030, now)).toBeCloseTo(1);
+        expect(history.get('XAUUSD').length).toBeLessThan(MAX_WINDOW_MINUTES + 5);
+    });
+
+    it('should fire range alerts on entering or leaving the range', () => {
+        const range = { asset: 'EURUSD', type: 'range', lower: 1.08, upper: 1.09 };
+        expect(conditionMet({ ...range, rangeEvent: 'enter' }, 1.085)).toBe(true);
+        expect(conditionMet({ ...range, rangeEvent: 'enter' }, 1.095)).toBe(false);
+        expect(conditionMet({ ...range, rangeEvent: 'exit' }, 1.0799)).toBe(true);
+        expect(conditionMet({ ...range, rangeEvent: 'exit' }, 1.08)).toBe(false);
+    });
+
+    it('should measure the distance to a level in pips of the instrument or in percent', () => {
+        const near = { asset: 'XAGUSD', type: 'distance', target: 37, distance: 20, distanceUnit: 'pips' };
+        expect(conditionMet(near, 36.81)).toBe(true);
+        expect(conditionMet(near, 36.79)).toBe(false);
+        expect(conditionMet({ ...near, asset: 'EURUSD', target: 1.1, distance: 15 }, 1.0986)).toBe(true);
+        expect(conditionMet({ ...near, distance: 0.5, distanceUnit: 'percent' }, 37.15)).toBe(true);
+    });
+
+    it('should check the fields of each alert type', () => {
+        expect(parseAlertInput({ asset: 'gold', type: 'cross', target: 3350 }).fields).toEqual({ asset: 'XAUUSD', type: 'cross', target: 3350, direction: undefined });
+        expect(parseAlertInput({ asset: 'BTC', type: 'percent_change', percent: 2, windowMinutes: 2000 }).error).toMatch(/windowMinutes/);
+        expect(parseAlertInput({ asset: 'EURUSD', type: 'range', lower: 1.09, upper: 1.08, rangeEvent: 'enter' }).error).toMatch(/lower/);
+        expect(parseAlertInput({ asset: 'EURUSD', type: 'cross', target: 1.1, channels: ['sms'] }).error).toMatch(/channels/);
+        expect(parseAlertInput({ asset: 'EURUSD', type: 'cross', target: 1.1, expiresAt: minutesBefore(1).toISOString() }).error).toMatch(/expiresAt/);
+    });
+
+    it('should arm new alerts with the current price', async () => {
+        const quotes = source({ XAUUSD: 3340 });
+        expect(await initialState({ asset: 'XAUUSD', type: 'cross', target: 3350 }, quotes)).toEqual({ direction: 'above', armed: true });
+        expect(await initialState({ asset: 'XAUUSD', type: 'cross', target: 3345, direction: 'below' }, quotes)).toEqual({ direction: 'below', armed: false });
+        expect(await initialState({ asset: 'XAUUSD', type: 'percent_change', percent: 1, windowMinutes: 60 }, quotes)).toEqual({});
+        expect(await initialState({ asset: 'BTCUSD', type: 'cross', target: 60000 }, quotes)).toEqual({});
+    });
+
+    it('should mark a fired alert triggered and send it over its channels', async () => {
+        jest.spyOn(PriceAlert, 'find').mockResolvedValue([alert({ direction: 'above', channels: ['push', 'in_app'] })]);
+        const fire = jest.spyOn(PriceAlert, 'findOneAndUpdate').mockImplementation(async (filter, update) => alert({ direction: 'above', channels: ['push', 'in_app'], ...update }));
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ _id: '64b7f0c2a1b2c3d4e5f60718', displayName: 'Trader' }) });
+        jest.spyOn(Notification, 'create').mockImplementation(async fields => ({ _id: 'notification1', ...fields }));
+        const queued = jest.spyOn(Job, 'create').mockResolvedValue({});
+        jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+        const sent = [];
+        const io = { to: room => ({ emit: (event, payload) => sent.push({ room, event, payload }) }) };
+
+        const fired = await checkPriceAlerts(source({ XAUUSD: 3352.4 }), { io, now, history: createPriceHistory() });
+
+        expect(fire).toHaveBeenCalledWith({ _id: 'alert1', status: 'active' }, expect.objectContaining({
+            status: 'triggered',
+            armed: false,
+            triggerPrice: 3352.4,
+            rearmAt: new Date('2025-06-27T15:30:00Z'),
+        }), { new: true });
+        expect(fired).toHaveLength(1);
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            message: 'XAUUSD rose to 3350 (price: 3352.4)',
+            userId: '64b7f0c2a1b2c3d4e5f60718',
+            type: 'Alert',
+        }));
+        expect(queued).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'notification.personal',
+            payload: { notificationId: 'notification1', userId: '64b7f0c2a1b2c3d4e5f60718', channels: ['push', 'in_app'] },
+        }));
+        expect(sent.map(({ room, event }) => ({ room, event }))).toEqual([{ room: '64b7f0c2a1b2c3d4e5f60718', event: 'priceAlertTriggered' }]);
+    });
+
+    it('should not fire twice when another worker got there first', async () => {
+        jest.spyOn(PriceAlert, 'find').mockResolvedValue([alert({ direction: 'below' })]);
+        jest.spyOn(PriceAlert, 'findOneAndUpdate').mockResolvedValue(null);
+        const notify = jest.spyOn(Notification, 'create');
+
+        expect(await checkPriceAlerts(source({ XAUUSD: 3300 }), { now, history: createPriceHistory() })).toEqual([]);
+        expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('should quote each asset once, fire percent alerts from the history and skip the quote when nothing is due', async () => {
+        const history = createPriceHistory();
+        history.record('BTCUSD', 62000, minutesBefore(60));
+        jest.spyOn(PriceAlert, 'find').mockResolvedValue([
+            alert({ _id: 'alert1', armed: false }),
+            alert({ _id: 'alert2', asset: 'BTCUSD', type: 'percent_change', percent: 3, windowMinutes: 60, direction: 'below' }),
+            alert({ _id: 'alert3', asset: 'EURUSD', type: 'range', lower: 1.08, upper: 1.09, rangeEvent: 'enter', expiresAt: minutesBefore(5) }),
+        ]);
+        const update = jest.spyOn(PriceAlert, 'updateOne').mockResolvedValue({});
+        const fire = jest.spyOn(PriceAlert, 'findOneAndUpdate').mockResolvedValue(null);
+        const quotes = source({ XAUUSD: 3340, BTCUSD: 60140, EURUSD: 1.085 });
+        jest.spyOn(quotes, 'getQuotes');
+
+        await checkPriceAlerts(quotes, { now, history });
+
+        expect(quotes.getQuotes).toHaveBeenCalledTimes(3);
+        expect(update).toHaveBeenCalledWith({ _id: 'alert1', status: 'active' }, { armed: true, direction: 'above', updatedAt: now });
+        expect(fire).toHaveBeenCalledWith({ _id: 'alert2', status: 'active' }, expect.objectContaining({ triggerPrice: 60140 }), { new: true });
+        expect(update).toHaveBeenCalledWith({ _id: 'alert3' }, { status: 'expired', armed: false, updatedAt: now });
+
+        PriceAlert.find.mockResolvedValue([]);
+        const idle = { getQuotes: jest.fn() };
+        await checkPriceAlerts(idle, { now, history });
+        expect(idle.getQuotes).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,131 @@
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const { createMarketData } = require('../services/marketData');
+const { createMemoryCache } = require('../services/marketData/cache');
+const { createReplayProvider } = require('../services/marketData/providers/replay');
+const { createQuoteStream, MAX_SUBSCRIPTIONS } = require('../services/quoteStream');
+
+describe('Quote stream', () => {
+    const start = new Date('2025-06-27T14:30:00Z').getTime();
+    let clock;
+    let sockets;
+    let io;
+    let stream;
+    const now = () => clock;
+
+    // Minimal Socket.IO server: rooms and the events each socket received
+    const connect = (id) => {
+        const handlers = {};
+        const socket = {
+            id,
+            rooms: new Set(),
+            received: [],
+            on: (event, handler) => { handlers[event] = handler; },
+            join: room => socket.rooms.add(room),
+            leave: room => socket.rooms.delete(room),
+            emit: (event, payload) => socket.received.push({ event, payload }),
+            send: (event, payload) => new Promise(resolve => handlers[event](payload, resolve)),
+            disconnect: () => handlers.disconnect(),
+        };
+        sockets.push(socket);
+        stream.register(socket);
+        return socket;
+    };
+    const quotes = socket => socket.received.filter(({ event }) => event === 'quote').map(({ payload }) => [payload.symbol, payload.price]);
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        clock = start;
+        sockets = [];
+        io = { to: room => ({ emit: (event, payload) => sockets.filter(socket => socket.rooms.has(room)).forEach(socket => socket.emit(event, payload)) }) };
+        const replay = createReplayProvider({
+            XAUUSD: [
+                { time: start, price: 3328.4, bid: 3328.2, ask: 3328.6 },
+                { time: start + 500, price: 3328.9, bid: 3328.7, ask: 3329.1 },
+                { time: start + 1500, price: 3329.5, bid: 3329.3, ask: 3329.7 },
+            ],
+            EURUSD: [{ time: start, price: 1.1721 }],
+        }, { now });
+        const source = createMarketData({ providers: [replay], cache: createMemoryCache({ now }), ttl: { quote: 0 }, now });
+        stream = createQuoteStream({ io, source, throttleMs: 1000, now });
+    });
+
+    afterEach(() => stream.stop());
+
+    it('should send the current quote on subscribe and then throttled changes to the symbol room', async () => {
+        const socket = connect('a');
+        expect(await socket.send('subscribeQuotes', ['gold', 'EUR/USD', 'US30'])).toEqual({ subscribed: ['XAUUSD', 'EURUSD'], rejected: ['US30'] });
+        await settle();
+        expect(quotes(socket)).toEqual([['XAUUSD', 3328.4], ['EURUSD', 1.1721]]);
+
+        clock = start + 600;
+        await stream.tick();
+        expect(quotes(socket)).toHaveLength(2);
+
+        clock = start + 1000;
+        await stream.tick();
+        clock = start + 2000;
+        await stream.tick();
+        expect(quotes(socket).slice(2)).toEqual([['XAUUSD', 3328.9], ['XAUUSD', 3329.5]]);
+    });
+
+    it('should give late subscribers the last quote and only stream their symbols', async () => {
+        const first = connect('a');
+        await first.send('subscribeQuotes', 'XAUUSD');
+        await settle();
+
+        const second = connect('b');
+        await second.send('subscribeQuotes', ['XAUUSD']);
+        const third = connect('c');
+        await third.send('subscribeQuotes', 'EURUSD');
+        await settle();
+
+        expect(quotes(second)).toEqual([['XAUUSD', 3328.4]]);
+        expect(quotes(third)).toEqual([['EURUSD', 1.1721]]);
+        expect(stream.stats()).toEqual({ XAUUSD: 2, EURUSD: 1 });
+    });
+
+    it('should drop subscriptions on unsubscribe and disconnect', async () => {
+        const first = connect('a');
+        const second = connect('b');
+        await first.send('subscribeQuotes', ['XAUUSD', 'EURUSD']);
+        await second.send('subscribeQuotes', 'XAUUSD');
+
+        expect(await first.send('unsubscribeQuotes', 'EUR/USD')).toEqual({ subscribed: ['XAUUSD'] });
+        expect(first.rooms).toEqual(new Set(['quotes:XAUUSD']));
+        second.disconnect();
+        expect(stream.stats()).toEqual({ XAUUSD: 1 });
+        first.disconnect();
+        expect(stream.stats()).toEqual({});
+    });
+
+    it('should limit the symbols of a socket', async () => {
+        const socket = connect('a');
+        const many = ['EURUSD', 'GBPUSD', 'USDJPY', 'AUDUSD', 'USDCAD', 'USDCHF', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY',
+            'EURCHF', 'AUDJPY', 'EURAUD', 'GBPCHF', 'CADJPY', 'AUDNZD', 'EURCAD', 'GBPAUD', 'CHFJPY', 'NZDJPY', 'XAUUSD'];
+        expect(many.length).toBeGreaterThan(MAX_SUBSCRIPTIONS);
+
+        expect(await socket.send('subscribeQuotes', many)).toEqual({ error: `At most ${MAX_SUBSCRIPTIONS} symbols can be subscribed at a time` });
+        expect(stream.stats()).toEqual({});
+    });
+
+    it('should stream to a real Socket.IO client of the HTTP server', async () => {
+        const server = http.createServer();
+        const realIo = new Server(server);
+        const realStream = createQuoteStream({ io: realIo, source: createMarketData({ providers: [createReplayProvider({ XAUUSD: [{ time: start, price: 3328.4 }] }, { now })], ttl: { quote: 0 }, now }), now });
+        realIo.on('connection', socket => realStream.register(socket));
+        await new Promise(resolve => server.listen(0, resolve));
+        const client = connectClient(`http://localhost:${server.address().port}`, { transports: ['websocket'] });
+
+        try {
+            const quote = new Promise(resolve => client.on('quote', resolve));
+            expect(await client.emitWithAck('subscribeQuotes', 'gold')).toEqual({ subscribed: ['XAUUSD'], rejected: [] });
+            expect(await quote).toEqual(expect.objectContaining({ symbol: 'XAUUSD', price: 3328.4 }));
+        } finally {
+            client.close();
+            realStream.stop();
+            await new Promise(resolve => realIo.close(resolve));
+        }
+    });
+});
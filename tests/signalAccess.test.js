@@ -0,0 +1,46 @@
+const { signalVisibility, viewFor, broadcastSignal } = require('../services/signalAccess');
+
+describe('Signal access by tier', () => {
+    const publishDate = new Date('2025-06-27T14:30:00Z');
+    const signal = {
+        signalId: 'S501',
+        date: publishDate,
+        publishDate,
+        asset: 'XAU/USD',
+        entryType: 'Sell limit',
+        entryPrice: 3320,
+        stopLoss: 3330,
+        takeProfit: 3300,
+        category: 'Premium users',
+        state: 'pending',
+    };
+    const soon = new Date('2025-06-27T15:00:00Z');
+
+    it('should redact open premium signals for free users until the delay has passed', () => {
+        expect(signalVisibility(signal, 'free', soon)).toEqual('redacted');
+        expect(signalVisibility(signal, 'free', new Date('2025-06-28T15:00:00Z'))).toEqual('full');
+        expect(signalVisibility({ ...signal, state: 'sl_hit' }, 'free', soon)).toEqual('full');
+    });
+
+    it('should show everything to paid tiers and staff, and open categories to everyone', () => {
+        ['premium', 'VVIP', 'staff'].forEach(tier => expect(signalVisibility(signal, tier, soon)).toEqual('full'));
+        expect(signalVisibility({ ...signal, category: 'All users' }, 'free', soon)).toEqual('full');
+        expect(signalVisibility({ ...signal, category: 'Free users' }, 'free', soon)).toEqual('full');
+    });
+
+    it('should only keep asset and direction in the redacted view', () => {
+        const view = viewFor({ ...signal, publishDate: new Date() }, 'free');
+        expect(view).toMatchObject({ signalId: 'S501', asset: 'XAU/USD', direction: 'Sell', locked: true });
+        expect(view).not.toHaveProperty('entryPrice');
+        expect(view).not.toHaveProperty('stopLoss');
+    });
+
+    it('should send the full payload to paid rooms and the redacted one to free users', () => {
+        const sent = [];
+        const io = { to: rooms => ({ emit: (event, payload) => sent.push({ rooms, event, payload }) }) };
+        broadcastSignal(io, 'newSignal', { ...signal, publishDate: new Date() }, { signalId: 'S501', entryPrice: 3320 });
+        expect(sent[0]).toEqual({ rooms: ['signals:staff', 'tier:premium', 'tier:VVIP'], event: 'newSignal', payload: { signalId: 'S501', entryPrice: 3320 } });
+        expect(sent[1].rooms).toEqual('tier:free');
+        expect(sent[1].payload.locked).toBe(true);
+    });
+});
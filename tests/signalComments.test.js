@@ -0,0 +1,69 @@
+const { buildThreads, commentsLocked, commentView } = require('../services/signalCommentService');
+const { broadcastToViewers } = require('../services/signalAccess');
+
+describe('Signal comments', () => {
+    const at = minutes => new Date(Date.UTC(2025, 5, 27, 14, minutes));
+    const comment = (id, fields = {}) => ({
+        _id: id,
+        signalId: 'S501',
+        parentId: null,
+        rootId: null,
+        userId: 'user1',
+        name: 'Trader',
+        message: `Comment ${id}`,
+        reactions: [],
+        pinned: false,
+        deleted: false,
+        ...fields,
+    });
+
+    it('should nest replies under their parents with the pinned reply as the answer', () => {
+        const threads = buildThreads([
+            comment('a', { createdAt: at(0) }),
+            comment('b', { createdAt: at(5) }),
+            comment('a1', { parentId: 'a', rootId: 'a', createdAt: at(2) }),
+            comment('a2', { parentId: 'a', rootId: 'a', createdAt: at(1), analyst: true, pinned: true }),
+            comment('a1x', { parentId: 'a1', rootId: 'a', createdAt: at(3) }),
+            comment('orphan', { parentId: 'gone', rootId: 'gone', createdAt: at(4) }),
+        ]);
+
+        expect(threads.map(thread => thread._id)).toEqual(['b', 'a']);
+        expect(threads[1].replies.map(reply => reply._id)).toEqual(['a2', 'a1']);
+        expect(threads[1].replies[1].replies.map(reply => reply._id)).toEqual(['a1x']);
+        expect(threads[1].answer).toMatchObject({ _id: 'a2', analyst: true });
+        expect(threads[0].answer).toBeNull();
+    });
+
+    it('should put pinned threads first', () => {
+        const threads = buildThreads([
+            comment('a', { createdAt: at(0), pinned: true }),
+            comment('b', { createdAt: at(5) }),
+        ]);
+        expect(threads.map(thread => thread._id)).toEqual(['a', 'b']);
+    });
+
+    it('should count reactions, flag the requester\'s own and hide deleted comments', () => {
+        const reactions = [{ emoji: '🔥', userId: 'user1' }, { emoji: '🔥', userId: 'user2' }, { emoji: '👍', userId: 'user2' }];
+        expect(commentView(comment('a', { reactions }), 'user1').reactions).toEqual([
+            { emoji: '👍', count: 1, reacted: false },
+            { emoji: '🔥', count: 2, reacted: true },
+        ]);
+        expect(commentView(comment('a', { deleted: true }))).toMatchObject({ deleted: true, message: null, name: null, userId: null });
+    });
+
+    it('should lock the discussion once the signal is no longer open', () => {
+        expect(commentsLocked({ state: 'active' })).toBe(false);
+        ['tp_hit', 'sl_hit', 'cancelled', 'expired'].forEach(state => expect(commentsLocked({ state })).toBe(true));
+    });
+
+    it('should only send comment events to free users when they see the signal in full', () => {
+        const sent = [];
+        const io = { to: rooms => ({ emit: (event, payload) => sent.push({ rooms, event, payload }) }) };
+        const signal = { signalId: 'S501', category: 'Premium users', state: 'active', publishDate: new Date() };
+
+        broadcastToViewers(io, 'signalComment', signal, { message: 'Hi' });
+        broadcastToViewers(io, 'signalComment', { ...signal, category: 'All users' }, { message: 'Hi' });
+        expect(sent[0].rooms).not.toContain('tier:free');
+        expect(sent[1].rooms).toContain('tier:free');
+    });
+});
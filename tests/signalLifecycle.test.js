@@ -0,0 +1,176 @@
+const { applyQuote, replayQuotes, signalPlan, signalResult, buildTargets, validateLevels } = require('../utils/signalLifecycle');
+const Signal = require('../models/Signal');
+const Performance = require('../models/Performance');
+const { createReplaySource } = require('../services/priceFeed');
+const { adjustSignal, resolveSignals } = require('../services/signalService');
+
+describe('Signal lifecycle', () => {
+    const publishDate = new Date('2025-06-27T14:30:00Z');
+    const buy = { asset: 'XAUUSD', entryType: 'Buy', state: 'active', entryPrice: 3300, stopLoss: 3290, initialStopLoss: 3290, takeProfit: 3320, publishDate };
+    const sellLimit = { asset: 'EUR/USD', entryType: 'Sell limit', state: 'pending', entryPrice: 1.1, stopLoss: 1.105, takeProfit: 1.09, publishDate, expiresAt: new Date('2025-06-28T14:30:00Z') };
+    const at = minutes => new Date(publishDate.getTime() + minutes * 60 * 1000);
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should resolve an active buy at the take-profit level', () => {
+        const changes = replayQuotes(buy, [
+            { time: at(1), price: 3305 },
+            { time: at(2), price: 3321.5 },
+            { time: at(3), price: 3280 },
+        ]);
+        expect(changes).toMatchObject({ state: 'tp_hit', closedAt: at(2), closePrice: 3320 });
+        expect(signalResult({ ...buy, ...changes })).toEqual({ points: 20, pips: 200, r: 2, targetsHit: 1 });
+    });
+
+    it('should ignore quotes from before publication', () => {
+        expect(applyQuote(buy, { time: at(-5), price: 3200 })).toBeNull();
+    });
+
+    it('should fill a limit entry only when the price reaches it and close sells on the ask', () => {
+        expect(applyQuote(sellLimit, { time: at(1), bid: 1.098, ask: 1.0982 })).toBeNull();
+        const changes = replayQuotes(sellLimit, [
+            { time: at(2), bid: 1.1001, ask: 1.1003 },
+            { time: at(3), bid: 1.1049, ask: 1.1051 },
+        ]);
+        expect(changes).toEqual({ state: 'sl_hit', activatedAt: at(2), closedAt: at(3), closePrice: 1.105 });
+        expect(signalResult({ ...sellLimit, ...changes })).toEqual({ points: -0.005, pips: -50, r: -1, targetsHit: 0 });
+    });
+
+    it('should expire an unfilled limit entry', () => {
+        expect(applyQuote(sellLimit, { time: '2025-06-28T15:00:00Z', price: 1.2 })).toEqual({
+            state: 'expired',
+            closedAt: sellLimit.expiresAt,
+        });
+    });
+
+    it('should treat a stop moved to the entry as breakeven and keep R on the original stop', () => {
+        const trailed = { ...buy, stopLoss: 3300 };
+        const changes = applyQuote(trailed, { time: at(10), price: 3299.5 });
+        expect(changes.state).toEqual('breakeven');
+        expect(signalResult({ ...trailed, ...changes })).toEqual({ points: 0, pips: 0, r: 0, targetsHit: 0 });
+
+        const locked = { ...buy, stopLoss: 3310 };
+        expect(signalResult({ ...locked, ...applyQuote(locked, { time: at(10), price: 3309 }) })).toEqual({ points: 10, pips: 100, r: 1, targetsHit: 0 });
+    });
+
+    it('should leave resolved signals alone', () => {
+        expect(applyQuote({ ...buy, state: 'tp_hit' }, { time: at(1), price: 3200 })).toBeNull();
+        expect(applyQuote({ ...sellLimit, state: 'cancelled' }, { time: at(1), price: 1.1 })).toBeNull();
+    });
+
+    it('should only preview the changes of a dry run', async () => {
+        const signal = new Signal({ signalId: 'SIG-1', status: 'Published', ...buy });
+        jest.spyOn(Signal, 'find').mockResolvedValue([signal]);
+        const save = jest.spyOn(signal, 'save');
+        const recompute = jest.spyOn(Performance, 'findOneAndUpdate');
+
+        const changed = await resolveSignals(createReplaySource({ XAUUSD: [{ time: at(1), price: 3321 }] }), { asset: 'XAUUSD', dryRun: true });
+
+        expect(changed.map(s => [s.state, s.lastPrice])).toEqual([['tp_hit', 3321]]);
+        expect(save).not.toHaveBeenCalled();
+        expect(recompute).not.toHaveBeenCalled();
+    });
+
+    it('should resolve signals published under an alias or broker symbol', async () => {
+        const gold = new Signal({ signalId: 'SIG-2', status: 'Published', ...buy, asset: 'GOLD' });
+        const broker = new Signal({ signalId: 'SIG-3', status: 'Published', ...buy, asset: 'XAUUSDm', takeProfit: 3330 });
+        jest.spyOn(Signal, 'find').mockResolvedValue([gold, broker]);
+        const source = createReplaySource({ XAUUSD: [{ time: at(1), price: 3321 }] });
+        jest.spyOn(source, 'getQuotes');
+
+        const changed = await resolveSignals(source, { asset: 'XAU/USD', dryRun: true });
+
+        expect(changed).toEqual([gold]);
+        expect(gold.state).toEqual('tp_hit');
+        expect(broker.lastPrice).toEqual(3321);
+        expect(source.getQuotes).toHaveBeenCalledTimes(1);
+        expect(source.getQuotes).toHaveBeenCalledWith('XAUUSD', publishDate);
+    });
+
+    it('should replay recorded quotes after a given time regardless of asset spelling', async () => {
+        const source = createReplaySource({
+            XAUUSD: [{ time: at(2), price: 2 }, { time: at(1), price: 1 }, { time: at(3), price: 3 }],
+        });
+        expect((await source.getQuotes('XAU/USD')).map(q => q.price)).toEqual([1, 2, 3]);
+        expect((await source.getQuotes('xau-usd', at(1))).map(q => q.price)).toEqual([2, 3]);
+        expect((await source.getQuotes('GOLD')).map(q => q.price)).toEqual([1, 2, 3]);
+        expect(await source.getQuotes('EUR/USD')).toEqual([]);
+    });
+});
+
+describe('Multi-target signals', () => {
+    const publishDate = new Date('2025-06-27T14:30:00Z');
+    const at = minutes => new Date(publishDate.getTime() + minutes * 60 * 1000);
+    const signal = {
+        asset: 'XAUUSD',
+        entryType: 'Buy',
+        state: 'active',
+        entryPrice: 3300,
+        stopLoss: 3290,
+        initialStopLoss: 3290,
+        takeProfit: 3330,
+        targets: [{ price: 3310, closePercent: 50 }, { price: 3320, closePercent: 30 }, { price: 3330, closePercent: 20 }],
+        breakevenAfter: 1,
+        adjustments: [],
+        publishDate,
+    };
+
+    it('should split the position evenly when no percentages are given', () => {
+        expect(buildTargets([{ price: 1 }, { price: 2 }, { price: 3 }]).map(t => t.closePercent)).toEqual([33, 33, 34]);
+    });
+
+    it('should validate the order and side of the levels', () => {
+        const levels = { entryType: 'Sell', entryPrice: 1.1, stopLoss: 1.105, targets: buildTargets([{ price: 1.09 }, { price: 1.08 }]) };
+        expect(validateLevels(levels)).toBeNull();
+        expect(validateLevels({ ...levels, targets: buildTargets([{ price: 1.08 }, { price: 1.09 }]) })).toMatch(/ordered/);
+        expect(validateLevels({ ...levels, stopLoss: 1.095 })).toMatch(/above the entry/);
+        expect(validateLevels({ ...levels, stopLoss: 1.095 }, { active: true, hitCount: 1 })).toBeNull();
+        expect(validateLevels({ ...levels, targets: [{ price: 1.09, closePercent: 60 }, { price: 1.08, closePercent: 60 }] })).toMatch(/add up to 100/);
+    });
+
+    it('should take partials, move the stop to breakeven after TP1 and weight the R', () => {
+        const changes = replayQuotes(signal, [
+            { time: at(1), price: 3311 },
+            { time: at(2), price: 3321 },
+            { time: at(3), price: 3299 },
+        ]);
+        expect(changes.state).toEqual('breakeven');
+        expect(changes.stopLoss).toEqual(3300);
+        expect(changes.adjustments).toHaveLength(1);
+        expect(changes.targets.map(t => t.hitAt)).toEqual([at(1), at(2), undefined]);
+        // 50% at +10, 30% at +20, 20% at 0 -> +11 points on a 10 point risk
+        expect(signalResult({ ...signal, ...changes })).toEqual({ points: 11, pips: 110, r: 1.1, targetsHit: 2 });
+    });
+
+    it('should plan the risk and weighted reward in pips', () => {
+        expect(signalPlan(signal)).toEqual({
+            pipSize: 0.1,
+            riskPips: 100,
+            rewardPips: 170,
+            plannedRR: 1.7,
+            targets: [{ pips: 100, rr: 1 }, { pips: 200, rr: 2 }, { pips: 300, rr: 3 }],
+        });
+    });
+
+    it('should resolve as tp_hit when the last target is reached', () => {
+        const changes = applyQuote(signal, { time: at(1), price: 3335 });
+        expect(changes.state).toEqual('tp_hit');
+        expect(signalResult({ ...signal, ...changes })).toEqual({ points: 17, pips: 170, r: 1.7, targetsHit: 3 });
+    });
+
+    it('should log analyst adjustments and protect targets that were hit', () => {
+        const hit = { ...signal, targets: signal.targets.map((t, i) => (i === 0 ? { ...t, hitAt: at(1) } : t)), adjustments: [] };
+        const { adjustments } = adjustSignal(hit, { stopLoss: 3305, note: 'Lock in profit' }, 'analyst1', at(5));
+        expect(adjustments).toEqual([{ field: 'stopLoss', target: undefined, from: 3290, to: 3305, at: at(5), by: 'analyst1', note: 'Lock in profit' }]);
+        expect(hit.stopLoss).toEqual(3305);
+        expect(hit.initialStopLoss).toEqual(3290);
+
+        const moved = adjustSignal(hit, { targets: [{ price: 3312, closePercent: 50 }, { price: 3320, closePercent: 30 }, { price: 3340, closePercent: 20 }] }, 'analyst1');
+        expect(moved.error).toMatch(/already hit/);
+        expect(adjustSignal({ ...hit, state: 'tp_hit' }, { stopLoss: 3300 }, 'analyst1').error).toMatch(/no longer be adjusted/);
+
+        const quoted = { ...hit, lastPrice: 3304 };
+        expect(adjustSignal(quoted, { stopLoss: 3306 }, 'analyst1').error).toEqual('Stop loss must stay below the current price (3304)');
+        expect(adjustSignal(quoted, { stopLoss: 3303 }, 'analyst1').error).toBeUndefined();
+    });
+});
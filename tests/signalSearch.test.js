@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { parseSignalSearch, combineMatch, encodeCursor } = require('../utils/signalSearch');
+
+describe('Signal search', () => {
+    it('should split the filters so facets can leave out their own dimension', () => {
+        const search = parseSignalSearch({ asset: 'GOLD,EUR/USD', state: 'open,breakeven', entryType: 'Buy', category: 'Premium users' }, 'premium');
+
+        expect(search.assetMatch).toEqual({ symbol: { $in: ['XAUUSD', 'EURUSD'] } });
+        expect(search.stateMatch).toEqual({ state: { $in: ['pending', 'active', 'breakeven'] } });
+        expect(search.match).toEqual([
+            { entryType: { $in: ['Buy'] } },
+            { category: { $in: ['Premium users'] } },
+            { status: 'Published' },
+        ]);
+        expect(search).toMatchObject({ sort: { date: -1, _id: -1 }, limit: 30, after: null });
+    });
+
+    it('should only let staff search scheduled signals', () => {
+        expect(parseSignalSearch({}, 'staff').match).toEqual([]);
+        expect(parseSignalSearch({ status: 'Scheduled' }, 'free').match).toEqual([{ status: { $in: ['Scheduled'] } }, { status: 'Published' }]);
+    });
+
+    it('should reject unknown values', () => {
+        expect(parseSignalSearch({ state: 'won' }, 'premium').error).toEqual('Unknown state won');
+        expect(parseSignalSearch({ entryType: 'Buy stop' }, 'premium').error).toEqual('Invalid entryType Buy stop');
+        expect(parseSignalSearch({ sort: 'plannedRR' }, 'premium').error).toMatch(/sort must be one of/);
+        expect(parseSignalSearch({ limit: '500' }, 'premium').error).toMatch(/limit/);
+        expect(parseSignalSearch({ from: '2025-07-01', to: '2025-06-01' }, 'premium').error).toEqual('Invalid date range');
+        expect(parseSignalSearch({ cursor: 'nonsense' }, 'premium').error).toEqual('Invalid cursor');
+    });
+
+    it('should continue after the cursor position with the id as tie breaker', () => {
+        const last = { _id: new mongoose.Types.ObjectId(), resultR: 1.5 };
+        const search = parseSignalSearch({ sort: '-resultR', cursor: encodeCursor(last, 'resultR') }, 'premium');
+
+        expect(search.match).toContainEqual({ resultR: { $ne: null } });
+        expect(search.after).toEqual({
+            $or: [
+                { resultR: { $lt: 1.5 } },
+                { resultR: 1.5, _id: { $lt: last._id } },
+            ],
+        });
+        expect(combineMatch(search.match, search.assetMatch, search.stateMatch, search.after).$and).toHaveLength(3);
+        expect(combineMatch([], {}, {}, null)).toEqual({});
+    });
+});
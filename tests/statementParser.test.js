@@ -0,0 +1,80 @@
+const { parseStatement } = require('../utils/statementParser');
+const { calculateMetrics } = require('../utils/metrics');
+
+const mt5Report = `
+<html><body><table>
+<tr><th colspan="13"><div><b>Trade History Report</b></div></th></tr>
+<tr><td colspan="3">Account:</td><td colspan="10"><b>51234567 (USD, ICMarketsSC-Demo, demo, Hedge)</b></td></tr>
+<tr><td colspan="13" style="height: 10px"></td></tr>
+<tr><th colspan="13"><div><b>Positions</b></div></th></tr>
+<tr><td>Time</td><td>Position</td><td>Symbol</td><td>Type</td><td>Volume</td><td>Price</td><td>S / L</td><td>T / P</td><td>Time</td><td>Price</td><td>Commission</td><td>Swap</td><td>Profit</td></tr>
+<tr><td>2025.07.01 08:15:00</td><td>1001</td><td>XAUUSD</td><td>buy</td><td>0.5</td><td>3 310.25</td><td>3 300.00</td><td>3 330.00</td><td>2025.07.01 10:15:00</td><td>3 328.90</td><td>-3.50</td><td>0.00</td><td>932.50</td></tr>
+<tr><td>2025.07.02 09:00:00</td><td>1002</td><td>EURUSD</td><td>sell</td><td>1</td><td>1.17500</td><td></td><td></td><td>2025.07.02 13:00:00</td><td>1.17700</td><td>-7.00</td><td>0.00</td><td>-200.00</td></tr>
+<tr><th colspan="13"><div><b>Orders</b></div></th></tr>
+<tr><td>Open Time</td><td>Order</td><td>Symbol</td></tr>
+<tr><td colspan="3">Balance:</td><td colspan="2"><b>10 732.50</b></td></tr>
+<tr><td colspan="3">Equity:</td><td colspan="2"><b>10 700.00</b></td></tr>
+<tr><td colspan="3">Margin Level:</td><td colspan="2"><b>3 245.87%</b></td></tr>
+</table></body></html>`;
+
+const mt4Statement = `
+<html><body><table>
+<tr><td colspan=2><b>Account: 2089123</b></td><td colspan=5><b>Name: Demo</b></td><td colspan=2><b>Currency: USD</b></td></tr>
+<tr><td colspan=14><b>Closed Transactions:</b></td></tr>
+<tr><td>Ticket</td><td>Open Time</td><td>Type</td><td>Size</td><td>Item</td><td>Price</td><td>S / L</td><td>T / P</td><td>Close Time</td><td>Price</td><td>Commission</td><td>Taxes</td><td>Swap</td><td>Profit</td></tr>
+<tr><td>5001</td><td>2025.06.30 10:00</td><td>balance</td><td colspan=10>Deposit</td><td>10 000.00</td></tr>
+<tr><td>5002</td><td>2025.07.01 08:00</td><td>buy</td><td>0.10</td><td>gbpusd</td><td>1.37000</td><td>1.36500</td><td>1.38000</td><td>2025.07.01 12:00</td><td>1.37500</td><td>0.00</td><td>0.00</td><td>-1.20</td><td>50.00</td></tr>
+<tr><td>5003</td><td>2025.07.01 09:00</td><td>buy limit</td><td>0.10</td><td>gbpusd</td><td>1.36000</td><td>0.00000</td><td>0.00000</td><td>2025.07.01 15:00</td><td>1.36500</td><td colspan=3>cancelled</td><td></td></tr>
+<tr><td colspan=14><b>Open Trades:</b></td></tr>
+<tr><td>Balance:</td><td>10 050.00</td><td>Equity:</td><td>10 050.00</td></tr>
+</table></body></html>`;
+
+describe('Statement import', () => {
+    it('should read closed positions and the summary from an MT5 report', () => {
+        const { trades, summary } = parseStatement(Buffer.from(mt5Report));
+        expect(trades).toHaveLength(2);
+        expect(trades[0]).toMatchObject({ positionId: 1001, symbol: 'XAUUSD', side: 'buy', volume: 0.5, openPrice: 3310.25, sl: 3300, closePrice: 3328.9, profit: 932.5 });
+        expect(trades[0].closeTime.toISOString()).toEqual('2025-07-01T10:15:00.000Z');
+        expect(summary).toEqual({ accountNumber: '51234567', currency: 'USD', balance: 10732.5, equity: 10700, marginLevel: 3245.87 });
+    });
+
+    it('should decode UTF-16 MT5 reports', () => {
+        const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(mt5Report, 'utf16le')]);
+        expect(parseStatement(buffer).trades).toHaveLength(2);
+    });
+
+    it('should skip balance and cancelled rows in an MT4 statement', () => {
+        const { trades, summary } = parseStatement(Buffer.from(mt4Statement));
+        expect(trades).toHaveLength(1);
+        expect(trades[0]).toMatchObject({ positionId: 5002, symbol: 'gbpusd', side: 'buy', volume: 0.1, swap: -1.2, profit: 50 });
+        expect(summary.accountNumber).toEqual('2089123');
+        expect(summary.balance).toEqual(10050);
+    });
+
+    it('should map CSV columns by name or by the given mapping', () => {
+        const csv = 'Instrument;Direction;Lots;Opened;Closed;Net P/L\nXAUUSD;Long;0,5;2025-07-01 08:00;2025-07-01 10:00;120,5\nXAUUSD;Short;1;2025-07-02 08:00;2025-07-02 09:00;-60\n';
+        const { trades } = parseStatement(Buffer.from(csv), { mapping: { profit: 'Net P/L' } });
+        expect(trades.map(t => [t.side, t.volume, t.profit])).toEqual([['buy', 0.5, 120.5], ['sell', 1, -60]]);
+        expect(() => parseStatement(Buffer.from(csv), { format: 'csv' })).toThrow('profit');
+    });
+
+    it('should compute the bridge metrics from trades', () => {
+        const { trades } = parseStatement(Buffer.from(mt5Report));
+        const metrics = calculateMetrics(trades, { balance: 10000, equity: 10100 });
+        const value = name => metrics.default.find(m => m.name === name).value;
+        expect(value('Win Rate')).toEqual(50);
+        expect(value('Profit Factor')).toBeCloseTo(4.6625);
+        expect(value('Avg. RRR')).toBeCloseTo(4.6625);
+        expect(value('Average Trade Duration')).toEqual('3:00:00');
+        expect(metrics.custom.find(m => m.name === 'Custom ROI').value).toBeCloseTo(1);
+    });
+
+    it('should return the same custom metrics as the bridge', () => {
+        const { trades, summary } = parseStatement(Buffer.from(mt5Report));
+        const { custom } = calculateMetrics(trades, summary);
+        // calculate_metrics in mt5_bridge.py
+        expect(custom.map(m => m.name)).toEqual(['Custom ROI', 'Equity to Balance Ratio', 'Margin Level']);
+        expect(custom.map(m => m.value)).toEqual([expect.closeTo(-0.30282, 4), expect.closeTo(99.69718, 4), 3245.87]);
+        expect(calculateMetrics(trades, { balance: 10000, equity: 10000 }).custom.find(m => m.name === 'Margin Level').value).toEqual(0);
+    });
+});
@@ -0,0 +1,120 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Stats = require('../models/Stats');
+const StatsDaily = require('../models/StatsDaily');
+const TradingAccount = require('../models/TradingAccount');
+const statsRoutes = require('../routes/statsRoutes');
+const { getHistory, getMetrics, syncNow } = require('../services/statsService');
+
+describe('Stats sync and snapshots', () => {
+    const MINUTE = 60 * 1000;
+    const userId = new mongoose.Types.ObjectId();
+    const live = { _id: new mongoose.Types.ObjectId(), userId, platform: 'mt5', label: 'Live' };
+    const imported = { _id: new mongoose.Types.ObjectId(), userId, platform: 'import', label: 'Statement' };
+    const minutesAgo = minutes => new Date(Date.now() - minutes * MINUTE);
+
+    // Latest snapshot per account id, as Stats.findOne(...).sort(...).select(...) and Stats.find(...).sort(...) return it
+    const snapshots = (byAccount) => {
+        jest.spyOn(Stats, 'findOne').mockImplementation(({ accountId }) => ({
+            sort: () => ({ select: async () => (byAccount[accountId] ? { snapshotAt: byAccount[accountId] } : null) }),
+        }));
+        jest.spyOn(Stats, 'find').mockImplementation(({ accountId }) => ({
+            sort: async () => [{ name: 'Win Rate', value: 50, isCustom: false, snapshotAt: byAccount[accountId] }],
+        }));
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should only claim an account whose last attempt is older than the cooldown', async () => {
+        jest.spyOn(TradingAccount, 'findOne').mockResolvedValue({ ...live, lastSyncAttemptAt: minutesAgo(2) });
+        const claim = jest.spyOn(TradingAccount, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const result = await syncNow(userId);
+
+        const [filter, update] = claim.mock.calls[0];
+        expect(filter._id).toEqual(live._id);
+        expect(filter.$or[0]).toEqual({ lastSyncAttemptAt: null });
+        expect(Date.now() - filter.$or[1].lastSyncAttemptAt.$lt).toBeCloseTo(5 * MINUTE, -3);
+        expect(update.lastSyncAttemptAt).toBeInstanceOf(Date);
+        expect(result.synced).toEqual([]);
+        // 5 minute cooldown, attempted 2 minutes ago
+        expect(result.retryAfter).toBeGreaterThan(170);
+        expect(result.retryAfter).toBeLessThanOrEqual(180);
+    });
+
+    it('should not rate limit imported accounts, which have nothing to sync', async () => {
+        jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(imported);
+        const claim = jest.spyOn(TradingAccount, 'findOneAndUpdate');
+
+        expect(await syncNow(userId)).toEqual({ synced: [] });
+        expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('should answer 429 with Retry-After while the accounts are cooling down', async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        const app = express();
+        app.use(express.json());
+        app.use('/api/stats', statsRoutes);
+        jest.spyOn(TradingAccount, 'findOne').mockResolvedValue({ ...live, lastSyncAttemptAt: minutesAgo(4) });
+        jest.spyOn(TradingAccount, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const res = await request(app)
+            .post('/api/stats/sync')
+            .set('Authorization', `Bearer ${jwt.sign({ id: String(userId) }, 'test-secret')}`)
+            .send({});
+
+        expect(res.statusCode).toEqual(429);
+        expect(res.headers['retry-after']).toEqual(String(res.body.retryAfter));
+        expect(res.body.retryAfter).toBeGreaterThan(0);
+        expect(res.body.retryAfter).toBeLessThanOrEqual(60);
+    });
+
+    it('should flag live snapshots older than the stale window but never imported ones', async () => {
+        jest.spyOn(TradingAccount, 'findOne').mockResolvedValue(live);
+        snapshots({ [live._id]: minutesAgo(45) });
+        expect(await getMetrics(userId)).toMatchObject({ stale: true, default: [{ name: 'Win Rate', value: 50 }] });
+
+        snapshots({ [live._id]: minutesAgo(10) });
+        expect((await getMetrics(userId)).stale).toBe(false);
+
+        TradingAccount.findOne.mockResolvedValue(imported);
+        snapshots({ [imported._id]: minutesAgo(60 * 24 * 7) });
+        expect((await getMetrics(userId)).stale).toBe(false);
+    });
+
+    it('should report the oldest snapshot and flag staleness across several accounts', async () => {
+        jest.spyOn(TradingAccount, 'find').mockReturnValue({ sort: async () => [live, imported] });
+        const oldest = minutesAgo(60 * 24);
+        snapshots({ [live._id]: minutesAgo(45), [imported._id]: oldest });
+
+        const metrics = await getMetrics(userId, 'all');
+
+        expect(metrics.snapshotAt).toEqual(oldest);
+        expect(metrics.stale).toBe(true);
+        expect(metrics.accounts.map(account => account.label)).toEqual(['Live', 'Statement']);
+    });
+
+    it('should carry an account\'s last equity forward on days it has no row', async () => {
+        jest.spyOn(TradingAccount, 'find').mockReturnValue({ sort: async () => [live, imported] });
+        const day = date => new Date(`${date}T00:00:00Z`);
+        const row = (account, date, equity) => ({ accountId: account._id, date: day(date), balance: equity, equity, metrics: [] });
+        // The statement was last imported before the range; the live account skipped a day
+        jest.spyOn(StatsDaily, 'findOne').mockImplementation(({ accountId }) => ({
+            sort: () => ({ lean: async () => (String(accountId) === String(imported._id) ? row(imported, '2025-06-01', 500) : null) }),
+        }));
+        jest.spyOn(StatsDaily, 'find').mockReturnValue({
+            sort: () => ({ lean: async () => [row(live, '2025-06-10', 1000), row(live, '2025-06-12', 900), row(imported, '2025-06-12', 400)] }),
+        });
+
+        const history = await getHistory(userId, 'all', { from: day('2025-06-09'), to: day('2025-06-13') });
+
+        expect(history.points).toEqual([
+            { date: day('2025-06-10'), value: 1500 },
+            { date: day('2025-06-12'), value: 1300 },
+        ]);
+        const drawdown = await getHistory(userId, 'all', { metric: 'drawdown', from: day('2025-06-09'), to: day('2025-06-13') });
+        expect(drawdown.points.map(point => point.value)).toEqual([0, expect.closeTo((200 / 1500) * 100, 6)]);
+    });
+});
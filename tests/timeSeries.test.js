@@ -0,0 +1,25 @@
+const { bucketStart, bucketSeries } = require('../utils/timeSeries');
+
+describe('Time series buckets', () => {
+    const points = [
+        { date: new Date('2025-06-27T00:00:00Z'), value: 3 }, // Friday
+        { date: new Date('2025-06-30T00:00:00Z'), value: 8 }, // Monday
+        { date: new Date('2025-07-01T00:00:00Z'), value: 5 },
+        { date: new Date('2025-07-02T00:00:00Z'), value: 6 },
+    ];
+
+    it('should start weeks on Monday and months on the 1st', () => {
+        expect(bucketStart('2025-07-02T15:30:00Z', 'week').toISOString()).toEqual('2025-06-30T00:00:00.000Z');
+        expect(bucketStart('2025-07-02T15:30:00Z', 'month').toISOString()).toEqual('2025-07-01T00:00:00.000Z');
+        expect(bucketStart('2025-07-02T15:30:00Z', 'day').toISOString()).toEqual('2025-07-02T00:00:00.000Z');
+    });
+
+    it('should keep the last value of each bucket by default', () => {
+        expect(bucketSeries(points, 'week').map(p => p.value)).toEqual([3, 6]);
+        expect(bucketSeries(points, 'month').map(p => p.value)).toEqual([8, 6]);
+    });
+
+    it('should keep the highest value when reducing with max', () => {
+        expect(bucketSeries(points, 'week', 'max').map(p => p.value)).toEqual([3, 8]);
+    });
+});
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { RefreshTokenError, issueTokens, rotateRefreshToken, revokeDevice, revokeAll } = require('../services/tokenService');
+
+describe('Token service', () => {
+    const user = { _id: 'user1', firebaseUid: 'firebase1', roles: ['analyst'] };
+    let tokens;
+
+    // In-memory RefreshToken collection, matching the filters the service uses
+    const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => (
+        value && value.$gt ? doc[field] > value.$gt : doc[field] === value
+    ));
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        tokens = [];
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        jest.spyOn(RefreshToken, 'create').mockImplementation(async (fields) => {
+            const doc = { replacedBy: null, revokedAt: null, ...fields, save: async () => doc };
+            tokens.push(doc);
+            return doc;
+        });
+        jest.spyOn(RefreshToken, 'findOne').mockImplementation(async filter => tokens.find(doc => matches(doc, filter)) || null);
+        jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            const doc = tokens.find(candidate => matches(candidate, filter));
+            return doc ? Object.assign(doc, update) : null;
+        });
+        jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+            const docs = tokens.filter(doc => matches(doc, filter));
+            docs.forEach(doc => Object.assign(doc, update));
+            return { modifiedCount: docs.length };
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const active = () => tokens.filter(doc => !doc.revokedAt);
+
+    it('should issue access tokens that expire after 15 minutes by default', async () => {
+        const { token } = await issueTokens(user, 'phone');
+        const { exp, iat, roles } = jwt.verify(token, 'test-secret');
+
+        expect(exp - iat).toEqual(15 * 60);
+        expect(roles).toEqual(['analyst']);
+    });
+
+    it('should store only the hash of refresh tokens and replace the token of the device on login', async () => {
+        const first = await issueTokens(user, 'phone');
+        await issueTokens(user, 'laptop');
+        await issueTokens(user, 'phone');
+
+        expect(tokens.map(doc => doc.tokenHash)).not.toContain(first.refreshToken);
+        expect(active().map(doc => doc.deviceId)).toEqual(['laptop', 'phone']);
+    });
+
+    it('should rotate a refresh token into a new one of the same family', async () => {
+        const { refreshToken } = await issueTokens(user, 'phone');
+
+        const rotated = await rotateRefreshToken(refreshToken);
+
+        expect(rotated.refreshToken).not.toEqual(refreshToken);
+        expect(jwt.verify(rotated.token, 'test-secret').id).toEqual('user1');
+        expect(tokens).toHaveLength(2);
+        expect(tokens[0]).toMatchObject({ replacedBy: tokens[1].tokenHash, revokedAt: expect.any(Date) });
+        expect(active()).toEqual([expect.objectContaining({ family: tokens[0].family, deviceId: 'phone' })]);
+    });
+
+    it('should revoke the whole family when a rotated token is used again', async () => {
+        const { refreshToken } = await issueTokens(user, 'phone');
+        const other = await issueTokens(user, 'laptop');
+        const rotated = await rotateRefreshToken(refreshToken);
+
+        await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token has been revoked');
+
+        expect(active().map(doc => doc.deviceId)).toEqual(['laptop']);
+        await expect(rotateRefreshToken(rotated.refreshToken)).rejects.toThrow('Refresh token has been revoked');
+        expect((await rotateRefreshToken(other.refreshToken)).refreshToken).toEqual(expect.any(String));
+    });
+
+    it('should reject unknown and expired refresh tokens', async () => {
+        await expect(rotateRefreshToken('not-a-token')).rejects.toThrow('Invalid refresh token');
+
+        const { refreshToken } = await issueTokens(user, 'phone');
+        tokens[0].expiresAt = new Date(Date.now() - 1000);
+        await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token has expired');
+    });
+
+    it('should only raise RefreshTokenError for tokens the client cannot use', async () => {
+        await expect(rotateRefreshToken('not-a-token')).rejects.toBeInstanceOf(RefreshTokenError);
+
+        RefreshToken.findOneAndUpdate.mockRejectedValue(new Error('connection pool closed'));
+        const failure = rotateRefreshToken('not-a-token');
+        await expect(failure).rejects.toThrow('connection pool closed');
+        await expect(failure).rejects.not.toBeInstanceOf(RefreshTokenError);
+    });
+
+    it('should log out one device or all of them', async () => {
+        const phone = await issueTokens(user, 'phone');
+        await issueTokens(user, 'laptop');
+        await issueTokens(user, 'tablet');
+
+        await revokeDevice('user1', 'phone');
+        expect(active().map(doc => doc.deviceId)).toEqual(['laptop', 'tablet']);
+        await expect(rotateRefreshToken(phone.refreshToken)).rejects.toThrow('Refresh token has been revoked');
+
+        await revokeAll('user1');
+        expect(active()).toEqual([]);
+    });
+});
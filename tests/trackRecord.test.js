@@ -0,0 +1,60 @@
+const { buildTrackRecord } = require('../utils/trackRecord');
+const { renderTrackRecordHtml, renderTrackRecordPdf } = require('../services/trackRecordReport');
+
+describe('Signal track record', () => {
+    const entry = (signalId, date, asset, resultR, profitLoss) => ({
+        signalId,
+        date: new Date(date),
+        asset,
+        state: resultR > 0 ? 'tp_hit' : resultR < 0 ? 'sl_hit' : 'breakeven',
+        resultR,
+        profitLoss,
+        plannedRR: 2,
+        targetsHit: resultR > 0 ? 1 : 0,
+    });
+    const entries = [
+        entry('S1', '2025-05-02T10:00:00Z', 'XAU/USD', 2, 200),
+        entry('S2', '2025-05-09T10:00:00Z', 'EURUSD', -1, -20),
+        entry('S3', '2025-05-20T10:00:00Z', 'GOLD', -1, -100),
+        entry('S4', '2025-06-03T10:00:00Z', 'EUR/USD', 0, 0),
+        entry('S5', '2025-06-10T10:00:00Z', 'XAUUSD', -1, -100),
+        entry('S6', '2025-06-24T10:00:00Z', 'XAUUSD', 3, 300),
+    ];
+    const record = buildTrackRecord(entries);
+
+    it('should summarise the results with breakevens counting as neither win nor loss', () => {
+        expect(record.summary).toEqual({ trades: 6, wins: 2, losses: 3, breakevens: 1, winRate: 40, totalR: 2, averageR: 0.33 });
+    });
+
+    it('should carry the cumulative R across months', () => {
+        expect(record.monthly.map(({ month, trades, totalR, cumulativeR }) => ({ month, trades, totalR, cumulativeR }))).toEqual([
+            { month: '2025-05', trades: 3, totalR: 0, cumulativeR: 0 },
+            { month: '2025-06', trades: 3, totalR: 2, cumulativeR: 2 },
+        ]);
+    });
+
+    it('should measure the drawdown from the high and end losing streaks at a breakeven', () => {
+        expect(record.maxDrawdown).toEqual({ r: 3, from: new Date('2025-05-02T10:00:00Z'), to: new Date('2025-06-10T10:00:00Z') });
+        expect(record.longestLosingStreak).toEqual({ length: 2, r: -2, from: new Date('2025-05-09T10:00:00Z'), to: new Date('2025-05-20T10:00:00Z') });
+    });
+
+    it('should group assets by instrument regardless of spelling', () => {
+        expect(record.assets.map(({ asset, trades, pips }) => ({ asset, trades, pips }))).toEqual([
+            { asset: 'XAUUSD', trades: 4, pips: 300 },
+            { asset: 'EURUSD', trades: 2, pips: -20 },
+        ]);
+    });
+
+    it('should change the digest when a result changes', () => {
+        expect(buildTrackRecord(entries).digest).toEqual(record.digest);
+        expect(buildTrackRecord([...entries.slice(0, 5), { ...entries[5], resultR: 2.5 }]).digest).not.toEqual(record.digest);
+    });
+
+    it('should render the report as HTML and PDF', async () => {
+        const html = renderTrackRecordHtml(record);
+        expect(html).toContain('<td>2025-06</td>');
+        expect(html).toContain(record.digest);
+        const pdf = await renderTrackRecordPdf(record);
+        expect(pdf.subarray(0, 5).toString()).toEqual('%PDF-');
+    });
+});
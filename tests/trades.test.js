@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Trade = require('../models/Trade');
+const { applyDeal } = require('../services/tradeService');
+
+describe('Trades from MT5 deals', () => {
+    const account = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+    let stored;
+
+    const deal = fields => ({ positionId: 501, symbol: 'XAUUSD', commission: -1, swap: 0, profit: 0, ...fields });
+    const legs = () => stored.map(trade => trade.toObject()).sort((a, b) => a.leg - b.leg);
+
+    beforeEach(() => {
+        stored = [];
+        // In-memory trades collection: saving a document stores it once
+        jest.spyOn(Trade.prototype, 'save').mockImplementation(async function () {
+            if (!stored.includes(this)) stored.push(this);
+            return this;
+        });
+        jest.spyOn(Trade, 'exists').mockImplementation(async ({ dealTickets }) => stored.some(trade => trade.dealTickets.includes(dealTickets)));
+        jest.spyOn(Trade, 'findOne').mockImplementation(({ positionId }) => ({
+            sort: async () => stored.filter(trade => trade.positionId === positionId).sort((a, b) => b.leg - a.leg)[0] || null,
+        }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should scale in, close part of the position and then the rest', async () => {
+        await applyDeal(account, deal({ ticket: 1, entry: 'in', type: 'buy', volume: 0.2, price: 3300, time: Date.parse('2025-06-27T10:00:00Z'), sl: 3290 }));
+        await applyDeal(account, deal({ ticket: 2, entry: 'in', type: 'buy', volume: 0.1, price: 3306, time: Date.parse('2025-06-27T10:30:00Z') }));
+        await applyDeal(account, deal({ ticket: 3, entry: 'out', type: 'sell', volume: 0.1, price: 3312, time: Date.parse('2025-06-27T11:00:00Z'), profit: 100 }));
+
+        expect(legs()).toEqual([expect.objectContaining({
+            status: 'open',
+            side: 'buy',
+            volume: expect.closeTo(0.3, 6),
+            closedVolume: 0.1,
+            openPrice: expect.closeTo(3302, 6),
+            closePrice: expect.closeTo(3312, 6),
+            sl: 3290,
+        })]);
+
+        await applyDeal(account, deal({ ticket: 4, entry: 'out', type: 'sell', volume: 0.2, price: 3318, time: Date.parse('2025-06-27T12:00:00Z'), profit: 320 }));
+
+        expect(legs()).toEqual([expect.objectContaining({
+            status: 'closed',
+            closedVolume: expect.closeTo(0.3, 6),
+            closePrice: expect.closeTo(3316, 6),
+            closeTime: new Date('2025-06-27T12:00:00Z'),
+            profit: 420,
+            commission: -4,
+            dealTickets: [1, 2, 3, 4],
+        })]);
+    });
+
+    it('should close the position on a reversal and open the rest of the deal as the next leg', async () => {
+        await applyDeal(account, deal({ ticket: 1, entry: 'in', type: 'buy', volume: 0.3, price: 3300, time: Date.parse('2025-06-27T10:00:00Z') }));
+        await applyDeal(account, deal({ ticket: 2, entry: 'inout', type: 'sell', volume: 0.5, price: 3310, time: Date.parse('2025-06-27T11:00:00Z'), profit: 300 }));
+
+        expect(legs()).toEqual([
+            expect.objectContaining({ leg: 0, side: 'buy', status: 'closed', volume: 0.3, closedVolume: 0.3, closePrice: 3310, profit: 300, dealTickets: [1, 2] }),
+            expect.objectContaining({ leg: 1, side: 'sell', status: 'open', volume: 0.2, closedVolume: 0, openPrice: 3310, profit: 0, dealTickets: [2] }),
+        ]);
+
+        await applyDeal(account, deal({ ticket: 3, entry: 'out', type: 'buy', volume: 0.2, price: 3305, time: Date.parse('2025-06-27T12:00:00Z'), profit: 100 }));
+
+        expect(legs()[1]).toEqual(expect.objectContaining({ status: 'closed', closedVolume: 0.2, closePrice: 3305, profit: 100 }));
+        expect(legs()[0].profit).toEqual(300);
+    });
+
+    it('should only apply a deal once, however often it is synced', async () => {
+        const opening = deal({ ticket: 1, entry: 'in', type: 'sell', volume: 1, price: 1.172, time: Date.parse('2025-06-27T10:00:00Z') });
+        const reversal = deal({ ticket: 2, entry: 'inout', type: 'buy', volume: 1.5, price: 1.17, time: Date.parse('2025-06-27T11:00:00Z'), profit: 200 });
+
+        for (const replay of [opening, opening, reversal, opening, reversal]) {
+            await applyDeal(account, replay);
+        }
+
+        expect(legs().map(({ leg, side, volume, closedVolume, profit, commission }) => ({ leg, side, volume, closedVolume, profit, commission }))).toEqual([
+            { leg: 0, side: 'sell', volume: 1, closedVolume: 1, profit: 200, commission: -2 },
+            { leg: 1, side: 'buy', volume: 0.5, closedVolume: 0, profit: 0, commission: 0 },
+        ]);
+    });
+});
@@ -0,0 +1,75 @@
+// OHLC candles for charts. Candles are stored per timeframe and start at a multiple of the
+// timeframe in UTC, so D1 candles start at 00:00 UTC and H4 candles at 00:00, 04:00, ...
+const { splitCsv, toNumber, toDate } = require('./statementParser');
+
+const MINUTE = 60 * 1000;
+// Minutes per timeframe, finest first
+const TIMEFRAMES = { M1: 1, M5: 5, M15: 15, M30: 30, H1: 60, H4: 240, D1: 1440 };
+const timeframeMs = timeframe => TIMEFRAMES[timeframe] * MINUTE;
+
+const candleStart = (time, timeframe) => {
+  const ms = new Date(time).getTime();
+  return new Date(ms - (ms % timeframeMs(timeframe)));
+};
+
+// Stored timeframes a timeframe can be resampled from, coarsest first (D1 from D1, H4, H1, ... M1)
+const sourceTimeframes = timeframe => Object.keys(TIMEFRAMES)
+  .filter(source => TIMEFRAMES[timeframe] % TIMEFRAMES[source] === 0)
+  .reverse();
+
+const CSV_COLUMNS = {
+  date: ['date', 'day'],
+  time: ['time', 'datetime', 'timestamp', 'opentime'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'tickvol', 'tickvolume', 'vol', 'v'],
+};
+
+// "<TICKVOL>" (MetaTrader history exports) and "Tick Volume" both become "tickvol(ume)"
+const normalizeHeader = header => String(header).toLowerCase().replace(/[<>\s_]/g, '');
+
+/**
+ * Parses candles from CSV, with a time column or separate date and time columns as MetaTrader
+ * exports them. Times are read as UTC and must start a `timeframe` candle. Returns { candles, errors },
+ * errors naming the line of each rejected row.
+ */
+const parseCandleCsv = (text, timeframe) => {
+  const [headers, ...rows] = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (!headers) throw new Error('The CSV file is empty');
+
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+    const index = normalized.findIndex(header => names.includes(header));
+    if (index !== -1) columns[field] = index;
+  });
+  const missing = ['open', 'high', 'low', 'close'].filter(field => columns[field] === undefined);
+  if (columns.date === undefined && columns.time === undefined) missing.unshift('time');
+  if (missing.length) throw new Error(`Could not find CSV column(s) for: ${missing.join(', ')}`);
+
+  const candles = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const line = index + 2;
+    const get = field => (columns[field] === undefined ? '' : String(cells[columns[field]] ?? '').trim());
+    const time = toDate([get('date'), get('time')].filter(Boolean).join(' '));
+    const [open, high, low, close] = ['open', 'high', 'low', 'close'].map(field => (get(field) === '' ? NaN : toNumber(get(field))));
+
+    if (!time) {
+      errors.push(`Line ${line}: invalid time`);
+    } else if (time.getTime() !== candleStart(time, timeframe).getTime()) {
+      errors.push(`Line ${line}: ${time.toISOString()} does not start a ${timeframe} candle`);
+    } else if (![open, high, low, close].every(price => Number.isFinite(price) && price > 0)) {
+      errors.push(`Line ${line}: open, high, low and close must be prices`);
+    } else if (high < Math.max(open, close, low) || low > Math.min(open, close)) {
+      errors.push(`Line ${line}: high and low do not contain open and close`);
+    } else {
+      candles.push({ time, open, high, low, close, volume: get('volume') === '' ? 0 : toNumber(get('volume')) });
+    }
+  });
+  return { candles, errors };
+};
+
+module.exports = { TIMEFRAMES, timeframeMs, candleStart, sourceTimeframes, parseCandleCsv };
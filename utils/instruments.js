@@ -0,0 +1,54 @@
+const { INSTRUMENTS, ALIASES } = require('../config/instruments');
+
+// Currencies recognised when a pair is not in the registry
+const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'SEK', 'NOK', 'DKK', 'PLN', 'HUF', 'CZK',
+  'TRY', 'ZAR', 'MXN', 'SGD', 'HKD', 'CNH', 'MYR', 'THB', 'INR',
+];
+// Longest broker suffix accepted after a known symbol ("XAUUSDm", "EURUSD.pro", "US30.cash")
+const MAX_SUFFIX_LENGTH = 5;
+
+const normalizeSymbol = symbol => String(symbol || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const NAMES = [...Object.keys(INSTRUMENTS), ...Object.keys(ALIASES)].sort((a, b) => b.length - a.length);
+
+/**
+ * Specification of an instrument ({ symbol, type, pipSize, digits, contractSize, quoteCurrency,
+ * known }). Accepts "EUR/USD", broker symbols with suffixes and common aliases such as "GOLD".
+ * Unlisted currency pairs get the forex conventions (0.01 pips for JPY quotes, 0.0001
+ * otherwise); anything else falls back to two-decimal pricing with known set to false.
+ */
+const getInstrument = (symbol) => {
+  const normalized = normalizeSymbol(symbol);
+  const name = NAMES.find(candidate => normalized.startsWith(candidate)
+    && normalized.length - candidate.length <= MAX_SUFFIX_LENGTH);
+  if (name) {
+    const key = Object.hasOwn(ALIASES, name) ? ALIASES[name] : name;
+    return { symbol: key, ...INSTRUMENTS[key], known: true };
+  }
+
+  const base = normalized.slice(0, 3);
+  const quote = normalized.slice(3, 6);
+  if (CURRENCIES.includes(base) && CURRENCIES.includes(quote) && normalized.length - 6 <= MAX_SUFFIX_LENGTH) {
+    const jpy = quote === 'JPY';
+    return {
+      symbol: base + quote,
+      type: 'forex',
+      pipSize: jpy ? 0.01 : 0.0001,
+      digits: jpy ? 3 : 5,
+      contractSize: 100000,
+      quoteCurrency: quote,
+      known: true,
+    };
+  }
+
+  return { symbol: normalized, type: 'other', pipSize: 0.01, digits: 2, contractSize: 1, quoteCurrency: null, known: false };
+};
+
+// Price distance in pips, to a tenth of a pip (signed like the distance)
+const toPips = (distance, pipSize) => Math.round((distance / pipSize) * 10) / 10;
+
+// Value of one pip for the given lots, in the instrument's quote currency
+const pipValue = (instrument, lots = 1) => instrument.pipSize * instrument.contractSize * lots;
+
+module.exports = { normalizeSymbol, getInstrument, toPips, pipValue };
@@ -0,0 +1,277 @@
+// A small expression language for user-defined metrics, evaluated against stored trades:
+//
+//   sum(profit where symbol == "XAUUSD") / count()
+//   count(where profit > 0 and side == "buy") / count(where side == "buy") * 100
+//   avg(duration) / 3600
+//
+// Aggregates (count, sum, avg, min, max, median, stddev) take an optional value expression and
+// an optional `where` filter, and inside them identifiers are trade fields. Outside aggregates
+// only numbers, account variables (balance, equity) and scalar functions are allowed. Nothing
+// is ever passed to eval; unknown names are rejected when the expression is compiled.
+const MAX_LENGTH = 500;
+const MAX_NODES = 200;
+
+const TRADE_FIELDS = {
+  symbol: trade => trade.symbol,
+  side: trade => trade.side,
+  volume: trade => trade.volume,
+  profit: trade => trade.profit,
+  commission: trade => trade.commission,
+  swap: trade => trade.swap,
+  fee: trade => trade.fee,
+  netProfit: trade => (trade.profit || 0) + (trade.commission || 0) + (trade.swap || 0) + (trade.fee || 0),
+  openPrice: trade => trade.openPrice,
+  closePrice: trade => trade.closePrice,
+  sl: trade => trade.sl,
+  tp: trade => trade.tp,
+  openTime: trade => (trade.openTime ? new Date(trade.openTime).getTime() : null),
+  closeTime: trade => (trade.closeTime ? new Date(trade.closeTime).getTime() : null),
+  duration: trade => (trade.openTime && trade.closeTime ? (new Date(trade.closeTime) - new Date(trade.openTime)) / 1000 : null),
+  hour: trade => (trade.openTime ? new Date(trade.openTime).getUTCHours() : null),
+  weekday: trade => (trade.openTime ? new Date(trade.openTime).getUTCDay() : null), // 0 = Sunday
+};
+const ACCOUNT_VARIABLES = ['balance', 'equity'];
+
+// Own-property lookups only, so names like "constructor" never reach Object.prototype
+const lookup = (table, name) => (Object.hasOwn(table, name) ? table[name] : undefined);
+
+const numbers = values => values.filter(value => typeof value === 'number' && !isNaN(value));
+const AGGREGATES = {
+  count: values => values.length,
+  sum: values => numbers(values).reduce((a, b) => a + b, 0),
+  avg: (values) => {
+    const nums = numbers(values);
+    return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : 0;
+  },
+  min: values => (numbers(values).length ? Math.min(...numbers(values)) : 0),
+  max: values => (numbers(values).length ? Math.max(...numbers(values)) : 0),
+  median: (values) => {
+    const nums = numbers(values).sort((a, b) => a - b);
+    if (!nums.length) return 0;
+    const mid = Math.floor(nums.length / 2);
+    return nums.length % 2 ? nums[mid] : (nums[mid - 1] + nums[mid]) / 2;
+  },
+  stddev: (values) => {
+    const nums = numbers(values);
+    if (nums.length < 2) return 0;
+    const mean = nums.reduce((a, b) => a + b, 0) / nums.length;
+    return Math.sqrt(nums.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (nums.length - 1));
+  },
+};
+const SCALARS = {
+  abs: { args: [1, 1], fn: x => Math.abs(x) },
+  round: { args: [1, 2], fn: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits },
+  floor: { args: [1, 1], fn: x => Math.floor(x) },
+  ceil: { args: [1, 1], fn: x => Math.ceil(x) },
+  sqrt: { args: [1, 1], fn: x => Math.sqrt(x) },
+};
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+  }
+}
+
+const KEYWORDS = ['where', 'and', 'or', 'not', 'true', 'false'];
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '(', ')', ',', '!'];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      if (!match) throw new ExpressionError('Invalid number', i);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) throw new ExpressionError('Unterminated string', i);
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [word] = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: KEYWORDS.includes(word) ? word : 'name', value: word, position: i });
+      i += word.length;
+    } else {
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (!operator) throw new ExpressionError(`Unexpected character "${char}"`, i);
+      tokens.push({ type: operator, value: operator, position: i });
+      i += operator.length;
+    }
+  }
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// Recursive descent parser producing a plain AST; `inAggregate` decides what names may mean
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let nodes = 0;
+  let inAggregate = false;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const accept = (...types) => (types.includes(peek().type) ? next() : null);
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) throw new ExpressionError(`Expected "${type}"`, token.position);
+    return token;
+  };
+  const node = (value) => {
+    nodes += 1;
+    if (nodes > MAX_NODES) throw new ExpressionError('Expression is too complex');
+    return value;
+  };
+
+  const binaryLevel = (operand, operators) => () => {
+    let left = operand();
+    let token;
+    while ((token = accept(...operators))) {
+      const op = { and: '&&', or: '||' }[token.type] || token.type;
+      left = node({ type: 'binary', op, left, right: operand() });
+    }
+    return left;
+  };
+
+  let expression;
+  const primary = () => {
+    const token = next();
+    if (token.type === 'number' || token.type === 'string') return node({ type: 'literal', value: token.value });
+    if (token.type === 'true' || token.type === 'false') return node({ type: 'literal', value: token.type === 'true' });
+    if (token.type === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    if (token.type !== 'name') throw new ExpressionError('Unexpected token', token.position);
+
+    if (peek().type === '(') {
+      next();
+      return call(token);
+    }
+    if (inAggregate && lookup(TRADE_FIELDS, token.value)) return node({ type: 'field', name: token.value });
+    if (!inAggregate && ACCOUNT_VARIABLES.includes(token.value)) return node({ type: 'variable', name: token.value });
+    if (lookup(TRADE_FIELDS, token.value)) {
+      throw new ExpressionError(`Trade field "${token.value}" can only be used inside an aggregate such as sum(${token.value})`, token.position);
+    }
+    throw new ExpressionError(`Unknown name "${token.value}"`, token.position);
+  };
+
+  const call = (token) => {
+    const name = token.value;
+    if (lookup(AGGREGATES, name)) {
+      if (inAggregate) throw new ExpressionError('Aggregates cannot be nested', token.position);
+      inAggregate = true;
+      const value = peek().type !== ')' && peek().type !== 'where' ? expression() : null;
+      const where = accept('where') ? expression() : null;
+      inAggregate = false;
+      expect(')');
+      if (!value && name !== 'count') throw new ExpressionError(`${name}() needs a value, e.g. ${name}(profit)`, token.position);
+      return node({ type: 'aggregate', name, value, where });
+    }
+    if (lookup(SCALARS, name)) {
+      const args = [];
+      if (peek().type !== ')') {
+        do {
+          args.push(expression());
+        } while (accept(','));
+      }
+      expect(')');
+      const [minArgs, maxArgs] = SCALARS[name].args;
+      if (args.length < minArgs || args.length > maxArgs) {
+        throw new ExpressionError(`${name}() takes ${minArgs === maxArgs ? minArgs : `${minArgs}-${maxArgs}`} argument(s)`, token.position);
+      }
+      return node({ type: 'call', name, args });
+    }
+    throw new ExpressionError(`Unknown function "${name}"`, token.position);
+  };
+
+  const unary = () => {
+    if (accept('-')) return node({ type: 'unary', op: '-', operand: unary() });
+    if (accept('!', 'not')) return node({ type: 'unary', op: '!', operand: unary() });
+    return primary();
+  };
+  const multiplicative = binaryLevel(unary, ['*', '/', '%']);
+  const additive = binaryLevel(multiplicative, ['+', '-']);
+  const comparison = binaryLevel(additive, ['==', '!=', '<', '<=', '>', '>=']);
+  const and = binaryLevel(comparison, ['and', '&&']);
+  expression = binaryLevel(and, ['or', '||']);
+
+  const ast = expression();
+  if (peek().type !== 'end') throw new ExpressionError('Unexpected token', peek().position);
+  return ast;
+};
+
+/**
+ * Validates an expression and returns a function (trades, variables) => number. Throws an
+ * ExpressionError describing the first problem.
+ */
+const compile = (source) => {
+  if (typeof source !== 'string' || !source.trim()) throw new ExpressionError('Expression is required');
+  if (source.length > MAX_LENGTH) throw new ExpressionError(`Expression must be at most ${MAX_LENGTH} characters`);
+  const ast = parse(source);
+
+  const evaluate = (expr, scope) => {
+    switch (expr.type) {
+      case 'literal':
+        return expr.value;
+      case 'field':
+        return TRADE_FIELDS[expr.name](scope.trade);
+      case 'variable':
+        return scope.variables[expr.name] ?? null;
+      case 'aggregate': {
+        const matching = expr.where
+          ? scope.trades.filter(trade => evaluate(expr.where, { ...scope, trade }))
+          : scope.trades;
+        const values = expr.value ? matching.map(trade => evaluate(expr.value, { ...scope, trade })) : matching;
+        return AGGREGATES[expr.name](values);
+      }
+      case 'call':
+        return SCALARS[expr.name].fn(...expr.args.map(arg => evaluate(arg, scope)));
+      case 'unary': {
+        const operand = evaluate(expr.operand, scope);
+        return expr.op === '-' ? -operand : !operand;
+      }
+      case 'binary': {
+        if (expr.op === '&&') return Boolean(evaluate(expr.left, scope) && evaluate(expr.right, scope));
+        if (expr.op === '||') return Boolean(evaluate(expr.left, scope) || evaluate(expr.right, scope));
+        const left = evaluate(expr.left, scope);
+        const right = evaluate(expr.right, scope);
+        switch (expr.op) {
+          case '==': return left === right;
+          case '!=': return left !== right;
+          case '<': return left < right;
+          case '<=': return left <= right;
+          case '>': return left > right;
+          case '>=': return left >= right;
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          // Like the bridge metrics, ratios with nothing to divide by come out as 0
+          case '/': return right === 0 ? 0 : left / right;
+          case '%': return right === 0 ? 0 : left % right;
+          default: throw new ExpressionError(`Unknown operator ${expr.op}`);
+        }
+      }
+      default:
+        throw new ExpressionError(`Unknown node ${expr.type}`);
+    }
+  };
+
+  return (trades, variables = {}) => {
+    const result = evaluate(ast, { trades, variables, trade: null });
+    if (typeof result === 'boolean') return result ? 1 : 0;
+    if (typeof result !== 'number' || !isFinite(result)) {
+      throw new ExpressionError('Expression did not produce a number');
+    }
+    return result;
+  };
+};
+
+module.exports = { compile, ExpressionError, TRADE_FIELDS, AGGREGATES };
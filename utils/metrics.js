@@ -0,0 +1,156 @@
+// Rules for combining the per-account metrics returned by the MT5 bridge into one set
+const SUMMED = ['Lots', 'Gross Profit', 'Gross Loss'];
+const HIGHEST = ['Best Trade'];
+const LOWEST = ['Worst Trade'];
+
+// The bridge reports durations as "H:MM:SS" (or "0h" when there were no trades)
+const durationToSeconds = (value) => {
+  if (typeof value === 'number') return value;
+  const parts = String(value).split(':').map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return 0;
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+};
+
+const secondsToDuration = (seconds) => {
+  if (!seconds) return '0h';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+};
+
+// Trades behind one account's metrics. Neither the bridge nor stored snapshots keep counts, so
+// they are worked back from the gross figures, the averages per trade and the win/loss rates.
+const tradeCounts = (values) => {
+  const wins = values['Average Profit per Trade'] > 0 ? Math.round(values['Gross Profit'] / values['Average Profit per Trade']) : 0;
+  const losses = values['Average Loss per Trade'] < 0 ? Math.round(values['Gross Loss'] / -values['Average Loss per Trade']) : 0;
+  let trades = wins + losses; // Without break-even trades
+  if (values['Win Rate'] > 0) trades = Math.round(wins / (values['Win Rate'] / 100));
+  else if (values['Loss Rate'] > 0) trades = Math.round(losses / (values['Loss Rate'] / 100));
+  return { wins, losses, trades };
+};
+
+// Mean weighted by trade count, or the plain mean when no weights are known (custom metrics)
+const weightedMean = (entries) => {
+  const total = entries.reduce((sum, { weight }) => sum + weight, 0);
+  return total > 0
+    ? entries.reduce((sum, { value, weight }) => sum + value * weight, 0) / total
+    : entries.reduce((sum, { value }) => sum + value, 0) / entries.length;
+};
+
+/**
+ * Combines several metric lists ([{ name, value, isCustom }]), one per account, into one.
+ * Totals are summed and extremes keep the best/worst value. Win and loss rates, averages per
+ * trade, Avg. RRR and Profit Factor are recomputed from the summed trade counts and gross
+ * figures, so a busy account weighs more than one with a couple of trades; every other ratio
+ * is averaged weighted by each account's trade count.
+ */
+const aggregateMetrics = (metricLists) => {
+  const counts = metricLists.map(metrics => tradeCounts(Object.fromEntries(metrics.map(({ name, value }) => [name, value]))));
+  const byName = new Map();
+  metricLists.forEach((metrics, index) => {
+    metrics.forEach((metric) => {
+      if (!byName.has(metric.name)) byName.set(metric.name, { isCustom: metric.isCustom, entries: [] });
+      byName.get(metric.name).entries.push({ value: metric.value, weight: counts[index].trades });
+    });
+  });
+
+  const combined = Array.from(byName, ([name, { isCustom, entries }]) => {
+    const values = entries.map(entry => entry.value);
+    let value;
+    if (name === 'Average Trade Duration') {
+      value = secondsToDuration(weightedMean(entries.map(entry => ({ ...entry, value: durationToSeconds(entry.value) }))));
+    } else if (SUMMED.includes(name)) {
+      value = values.reduce((a, b) => a + b, 0);
+    } else if (HIGHEST.includes(name)) {
+      value = Math.max(...values);
+    } else if (LOWEST.includes(name)) {
+      value = Math.min(...values);
+    } else {
+      value = weightedMean(entries);
+    }
+    return { name, value, isCustom };
+  });
+
+  const find = name => combined.find(m => m.name === name);
+  const grossProfit = find('Gross Profit');
+  const grossLoss = find('Gross Loss');
+  if (grossProfit && grossLoss) {
+    const total = counts.reduce((sum, count) => ({
+      wins: sum.wins + count.wins,
+      losses: sum.losses + count.losses,
+      trades: sum.trades + count.trades,
+    }), { wins: 0, losses: 0, trades: 0 });
+    const avgProfit = total.wins ? grossProfit.value / total.wins : 0;
+    const avgLoss = total.losses ? -grossLoss.value / total.losses : 0;
+    const recomputed = {
+      'Win Rate': total.trades ? (total.wins / total.trades) * 100 : 0,
+      'Loss Rate': total.trades ? (total.losses / total.trades) * 100 : 0,
+      'Average Profit per Trade': avgProfit,
+      'Average Loss per Trade': avgLoss,
+      'Avg. RRR': avgLoss !== 0 ? Math.abs(avgProfit) / Math.abs(avgLoss) : 0,
+      'Profit Factor': grossLoss.value > 0 ? grossProfit.value / grossLoss.value : 0,
+    };
+    Object.entries(recomputed).forEach(([name, value]) => {
+      const metric = find(name);
+      if (metric) metric.value = value;
+    });
+  }
+
+  return combined;
+};
+
+const metric = (name, value, isCustom = false) => ({ name, value, isCustom });
+const sum = values => values.reduce((a, b) => a + b, 0);
+const mean = values => (values.length ? sum(values) / values.length : 0);
+
+/**
+ * Same metrics as calculate_metrics in mt5_bridge.py, computed from stored trades instead of
+ * terminal deals (used for imported statements). `account` ({ balance, equity, marginLevel }) is
+ * optional; without it the balance-based custom metrics are left out. Like the bridge, Margin
+ * Level is 0 when no margin is in use (or, here, when the source does not report it).
+ */
+const calculateMetrics = (trades, account) => {
+  const profitable = trades.filter(trade => trade.profit > 0).map(trade => trade.profit);
+  const losing = trades.filter(trade => trade.profit < 0).map(trade => trade.profit);
+  const rate = (part, whole) => (whole.length ? (part.length / whole.length) * 100 : 0);
+
+  const grossProfit = sum(profitable);
+  const grossLoss = Math.abs(sum(losing));
+  const avgProfit = mean(profitable);
+  const avgLoss = mean(losing);
+  const longs = trades.filter(trade => trade.side === 'buy');
+  const shorts = trades.filter(trade => trade.side === 'sell');
+  const durations = trades
+    .filter(trade => trade.openTime && trade.closeTime)
+    .map(trade => (new Date(trade.closeTime) - new Date(trade.openTime)) / 1000);
+
+  const custom = [];
+  if (account && account.balance > 0) {
+    custom.push(metric('Custom ROI', ((account.equity - account.balance) / account.balance) * 100, true));
+    custom.push(metric('Equity to Balance Ratio', (account.equity / account.balance) * 100, true));
+    custom.push(metric('Margin Level', account.marginLevel > 0 ? account.marginLevel : 0, true));
+  }
+
+  return {
+    default: [
+      metric('Lots', sum(trades.map(trade => trade.volume || 0))),
+      metric('Avg. RRR', avgLoss !== 0 ? Math.abs(avgProfit) / Math.abs(avgLoss) : 0),
+      metric('Win Rate', rate(profitable, trades)),
+      metric('Loss Rate', rate(losing, trades)),
+      metric('Profit Factor', grossLoss > 0 ? grossProfit / grossLoss : 0),
+      metric('Best Trade', profitable.length ? Math.max(...profitable) : 0),
+      metric('Worst Trade', losing.length ? Math.min(...losing) : 0),
+      metric('Long Won', rate(longs.filter(trade => trade.profit > 0), longs)),
+      metric('Short Won', rate(shorts.filter(trade => trade.profit > 0), shorts)),
+      metric('Gross Profit', grossProfit),
+      metric('Gross Loss', grossLoss),
+      metric('Average Trade Duration', secondsToDuration(mean(durations))),
+      metric('Average Profit per Trade', avgProfit),
+      metric('Average Loss per Trade', avgLoss),
+    ],
+    custom,
+  };
+};
+
+module.exports = { aggregateMetrics, calculateMetrics, durationToSeconds, secondsToDuration };
@@ -0,0 +1,60 @@
+const { getInstrument, pipValue } = require('./instruments');
+
+const LOT_STEP = 0.01;
+
+const floorLots = lots => Math.floor(lots / LOT_STEP + 1e-9) * LOT_STEP;
+const roundLots = lots => Math.round(lots * 100) / 100;
+
+/**
+ * Value of one pip for 1.00 lot in the account currency, or null when the quote currency cannot
+ * be converted without a rate. Besides quote == account currency this covers pairs whose base is
+ * the account currency (USDJPY on a USD account), converted at `price`.
+ */
+const pipValuePerLot = (instrument, currency, price) => {
+  const value = pipValue(instrument, 1);
+  if (instrument.quoteCurrency === currency) return value;
+  if (instrument.type === 'forex' && instrument.symbol.startsWith(currency) && price > 0) return value / price;
+  return null;
+};
+
+/**
+ * Lots for a signal so that hitting its stop loss costs `riskPercent` of the balance, rounded
+ * down to the 0.01 lot step and capped at `maxLots`. Returns { lots, riskAmount, stopPips } or
+ * { error } when the signal cannot be sized.
+ */
+const positionSize = ({ balance, currency }, signal, { riskPercent, maxLots }) => {
+  const instrument = getInstrument(signal.asset);
+  if (!instrument.known) {
+    return { error: `Unknown instrument ${signal.asset}` };
+  }
+  if (!(balance > 0)) {
+    return { error: 'Account balance is not available' };
+  }
+  const perPip = pipValuePerLot(instrument, currency, signal.entryPrice);
+  if (!perPip) {
+    return { error: `Cannot convert ${instrument.quoteCurrency} pip values to ${currency}` };
+  }
+
+  const stopPips = Math.abs(signal.entryPrice - signal.stopLoss) / instrument.pipSize;
+  const riskAmount = Math.round(balance * riskPercent) / 100;
+  const lots = roundLots(Math.min(floorLots(riskAmount / (stopPips * perPip)), maxLots));
+  if (lots < LOT_STEP) {
+    return { error: `Risking ${riskAmount} ${currency} is below the minimum of ${LOT_STEP} lots for this stop` };
+  }
+  return { lots, riskAmount, stopPips: Math.round(stopPips * 10) / 10 };
+};
+
+/**
+ * Splits `lots` over the targets by their close percentages, each share rounded down to the lot
+ * step with the remainder on the last target. Targets left without volume are dropped.
+ * Returns [{ target (1-based), price, volume }].
+ */
+const splitVolume = (lots, targets) => {
+  const shares = targets.map(target => floorLots((lots * target.closePercent) / 100));
+  shares[shares.length - 1] += lots - shares.reduce((sum, share) => sum + share, 0);
+  return targets
+    .map((target, index) => ({ target: index + 1, price: target.price, volume: roundLots(shares[index]) }))
+    .filter(order => order.volume >= LOT_STEP);
+};
+
+module.exports = { LOT_STEP, pipValuePerLot, positionSize, splitVolume };
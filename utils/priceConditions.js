@@ -0,0 +1,156 @@
+// Conditions of price alerts (models/PriceAlert.js):
+//   cross           the price reaches `target` from below (direction above) or above (below)
+//   percent_change  the price moved `percent` or more over the last `windowMinutes`, up (above),
+//                   down (below) or either way
+//   range           the price enters or exits [lower, upper]
+//   distance        the price comes within `distance` pips or percent of `target`
+// Alerts fire on the edge: they are armed while the condition is not met and fire when it is.
+const { getInstrument, toPips } = require('./instruments');
+
+const ALERT_TYPES = ['cross', 'percent_change', 'range', 'distance'];
+const ALERT_STATUSES = ['active', 'triggered', 'expired'];
+const DELIVERY_CHANNELS = ['in_app', 'email', 'push'];
+// Longest percent_change window, bounded by the price history the worker keeps
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MINUTE = 60 * 1000;
+
+const isPrice = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// How far the price is from the alert's target, in its distance unit
+const distanceTo = (alert, price) => {
+  const gap = Math.abs(price - alert.target);
+  if (alert.distanceUnit === 'percent') return (gap / alert.target) * 100;
+  return Math.abs(toPips(gap, getInstrument(alert.asset).pipSize));
+};
+
+/**
+ * Whether the alert's condition holds at `price`. `change` is the percent move over the alert's
+ * window, only used by percent_change alerts; the result is null while it is not known.
+ */
+const conditionMet = (alert, price, change = null) => {
+  switch (alert.type) {
+    case 'cross':
+      return alert.direction === 'above' ? price >= alert.target : price <= alert.target;
+    case 'percent_change':
+      if (change === null) return null;
+      if (alert.direction === 'above') return change >= alert.percent;
+      if (alert.direction === 'below') return change <= -alert.percent;
+      return Math.abs(change) >= alert.percent;
+    case 'range': {
+      const inside = price >= alert.lower && price <= alert.upper;
+      return alert.rangeEvent === 'enter' ? inside : !inside;
+    }
+    case 'distance':
+      return distanceTo(alert, price) <= alert.distance;
+    default:
+      return null;
+  }
+};
+
+// The way a cross alert without a direction waits for the price to move, seen from `price`
+const directionFor = (target, price) => (price < target ? 'above' : 'below');
+
+/**
+ * What the worker does with an alert at `price`: 'expire' once expiresAt passed, 'arm' while
+ * its condition is not met (and for cross alerts still without a direction), 'fire' when an
+ * armed alert's condition is met, 'rearm' when a triggered alert's cooldown is over and its
+ * condition no longer holds, or null.
+ */
+const evaluateAlert = (alert, price, { now = new Date(), change = null } = {}) => {
+  if (alert.expiresAt && now >= alert.expiresAt) return 'expire';
+  if (alert.type === 'cross' && !alert.direction) return 'arm';
+
+  const met = conditionMet(alert, price, change);
+  if (met === null) return null;
+  if (alert.status === 'active') {
+    if (!alert.armed) return met ? null : 'arm';
+    return met ? 'fire' : null;
+  }
+  if (alert.repeat && alert.rearmAt && now >= alert.rearmAt && !met) return 'rearm';
+  return null;
+};
+
+/**
+ * Percent move from the last price at least `windowMinutes` old in `history`
+ * ([{ time, price }], oldest first) to `price`, or null when the history is shorter.
+ */
+const percentChange = (history, windowMinutes, price, now = new Date()) => {
+  const start = now.getTime() - windowMinutes * MINUTE;
+  const reference = history.filter(sample => new Date(sample.time).getTime() <= start).pop();
+  return reference ? ((price - reference.price) / reference.price) * 100 : null;
+};
+
+/**
+ * Checks an alert in a request body. Returns { fields } with the fields of its type and the
+ * delivery options, or { error }. The asset is returned as its registry symbol.
+ */
+const parseAlertInput = (body) => {
+  const { asset, type, direction, channels, expiresAt, repeat, cooldownMinutes, note } = body;
+  if (!asset || typeof asset !== 'string') return { error: 'asset is required' };
+  if (!ALERT_TYPES.includes(type)) return { error: `type must be one of ${ALERT_TYPES.join(', ')}` };
+  if (direction !== undefined && !['above', 'below'].includes(direction)) return { error: 'direction must be above or below' };
+
+  const fields = { asset: getInstrument(asset).symbol, type };
+  if (type === 'cross') {
+    if (!isPrice(body.target)) return { error: 'target must be a price' };
+    Object.assign(fields, { target: body.target, direction });
+  } else if (type === 'percent_change') {
+    if (!(typeof body.percent === 'number' && body.percent > 0 && body.percent <= 100)) {
+      return { error: 'percent must be between 0 and 100' };
+    }
+    if (!(Number.isInteger(body.windowMinutes) && body.windowMinutes >= 1 && body.windowMinutes <= MAX_WINDOW_MINUTES)) {
+      return { error: `windowMinutes must be a whole number of minutes up to ${MAX_WINDOW_MINUTES}` };
+    }
+    Object.assign(fields, { percent: body.percent, windowMinutes: body.windowMinutes, direction });
+  } else if (type === 'range') {
+    if (!isPrice(body.lower) || !isPrice(body.upper) || body.lower >= body.upper) {
+      return { error: 'lower and upper must be prices with lower below upper' };
+    }
+    if (!['enter', 'exit'].includes(body.rangeEvent)) return { error: 'rangeEvent must be enter or exit' };
+    Object.assign(fields, { lower: body.lower, upper: body.upper, rangeEvent: body.rangeEvent });
+  } else {
+    if (!isPrice(body.target)) return { error: 'target must be a price' };
+    if (!(typeof body.distance === 'number' && body.distance > 0)) return { error: 'distance must be above 0' };
+    const distanceUnit = body.distanceUnit || 'pips';
+    if (!['pips', 'percent'].includes(distanceUnit)) return { error: 'distanceUnit must be pips or percent' };
+    Object.assign(fields, { target: body.target, distance: body.distance, distanceUnit });
+  }
+
+  if (channels !== undefined) {
+    if (!Array.isArray(channels) || !channels.length || channels.some(channel => !DELIVERY_CHANNELS.includes(channel))) {
+      return { error: `channels must list one or more of ${DELIVERY_CHANNELS.join(', ')}` };
+    }
+    fields.channels = [...new Set(channels)];
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiry = new Date(expiresAt);
+    if (isNaN(expiry) || expiry <= new Date()) return { error: 'expiresAt must be a date in the future' };
+    fields.expiresAt = expiry;
+  }
+  if (repeat !== undefined) {
+    if (typeof repeat !== 'boolean') return { error: 'repeat must be true or false' };
+    fields.repeat = repeat;
+  }
+  if (cooldownMinutes !== undefined) {
+    if (!(Number.isInteger(cooldownMinutes) && cooldownMinutes >= 1)) return { error: 'cooldownMinutes must be a whole number of minutes' };
+    fields.cooldownMinutes = cooldownMinutes;
+  }
+  if (note !== undefined) {
+    if (typeof note !== 'string' || note.length > 200) return { error: 'note must be text of up to 200 characters' };
+    fields.note = note;
+  }
+  return { fields };
+};
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_STATUSES,
+  DELIVERY_CHANNELS,
+  MAX_WINDOW_MINUTES,
+  distanceTo,
+  conditionMet,
+  directionFor,
+  evaluateAlert,
+  percentChange,
+  parseAlertInput,
+};
@@ -0,0 +1,242 @@
+// Lifecycle of a signal as a trade, separate from its publication status (Scheduled/Published):
+//
+//   pending -> active -> tp_hit | sl_hit | breakeven
+//   pending -> cancelled | expired
+//
+// Market entries (Buy/Sell) become active as soon as they are published. Limit entries stay
+// pending until the price reaches the entry, and expire if that has not happened by expiresAt.
+// A signal has an ordered list of take-profit targets, each closing a percentage of the
+// position; it is tp_hit once the last one is reached, and a stop-out closes whatever is left.
+const { getInstrument, toPips } = require('./instruments');
+
+const STATES = ['pending', 'active', 'tp_hit', 'sl_hit', 'breakeven', 'cancelled', 'expired'];
+const OPEN_STATES = ['pending', 'active'];
+// States with a trade result that counts towards performance
+const RESOLVED_STATES = ['tp_hit', 'sl_hit', 'breakeven'];
+const MAX_TARGETS = 5;
+
+const isBuy = entryType => String(entryType).startsWith('Buy');
+const isLimit = entryType => String(entryType).endsWith('limit');
+
+const round = value => Math.round(value * 1e5) / 1e5;
+const roundRatio = value => Math.round(value * 100) / 100;
+
+// Signals keep the pip size they were published with; older ones look it up
+const pipSizeOf = signal => signal.pipSize || getInstrument(signal.asset).pipSize;
+const initialRisk = signal => Math.abs(signal.entryPrice - (signal.initialStopLoss ?? signal.stopLoss));
+
+// Signals from before multi-target support only have takeProfit
+const targetsOf = signal => (signal.targets?.length
+  ? signal.targets
+  : [{ price: signal.takeProfit, closePercent: 100 }]);
+
+/**
+ * Turns [{ price, closePercent? }] into the stored target list. When no percentages are given
+ * the position is split evenly, with any rounding remainder on the last target.
+ */
+const buildTargets = (targets) => {
+  const withPercent = targets.filter(target => target.closePercent !== undefined).length;
+  if (withPercent > 0) {
+    return targets.map(({ price, closePercent }) => ({ price, closePercent }));
+  }
+  const share = Math.floor(100 / targets.length);
+  return targets.map(({ price }, index) => ({
+    price,
+    closePercent: index === targets.length - 1 ? 100 - share * (targets.length - 1) : share,
+  }));
+};
+
+/**
+ * Checks that the targets sit beyond the entry in order, their close percentages add up to 100
+ * and the stop loss is on the losing side of the entry. Once a signal is active the stop may
+ * trail into profit, as long as it stays short of the next target that was not hit yet and of
+ * `lastPrice`, the last closing price seen: a stop the market is already past would be booked
+ * at a level it never traded. Returns an error message or null.
+ */
+const validateLevels = ({ entryType, entryPrice, stopLoss, targets }, { active = false, hitCount = 0, lastPrice } = {}) => {
+  const isPrice = value => typeof value === 'number' && isFinite(value) && value > 0;
+  const buy = isBuy(entryType);
+  const beyond = (a, b) => (buy ? a > b : a < b);
+
+  if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_TARGETS) {
+    return `A signal needs between 1 and ${MAX_TARGETS} targets`;
+  }
+  if (targets.some(target => !isPrice(target.price))) {
+    return 'Every target needs a price';
+  }
+  if (!targets.every(target => Number.isFinite(target.closePercent) && target.closePercent > 0)
+    || Math.abs(targets.reduce((sum, target) => sum + target.closePercent, 0) - 100) > 1e-9) {
+    return 'Target close percentages must be positive and add up to 100';
+  }
+  if (!beyond(targets[0].price, entryPrice)) {
+    return `Targets must be ${buy ? 'above' : 'below'} the entry price for a ${entryType} signal`;
+  }
+  if (targets.some((target, index) => index > 0 && !beyond(target.price, targets[index - 1].price))) {
+    return 'Targets must be ordered from nearest to furthest';
+  }
+  if (!isPrice(stopLoss)) {
+    return 'Stop loss is required';
+  }
+  if (!active && !beyond(entryPrice, stopLoss)) {
+    return `Stop loss must be ${buy ? 'below' : 'above'} the entry price for a ${entryType} signal`;
+  }
+  if (active && hitCount < targets.length && !beyond(targets[hitCount].price, stopLoss)) {
+    return `Stop loss must stay ${buy ? 'below' : 'above'} the next target (TP${hitCount + 1})`;
+  }
+  if (active && lastPrice !== undefined && lastPrice !== null && !beyond(lastPrice, stopLoss)) {
+    return `Stop loss must stay ${buy ? 'below' : 'above'} the current price (${lastPrice})`;
+  }
+  return null;
+};
+
+// Buys open on the ask and close on the bid, sells the other way round
+const openingPrice = (signal, quote) => (isBuy(signal.entryType) ? quote.ask : quote.bid) ?? quote.price;
+const closingPrice = (signal, quote) => (isBuy(signal.entryType) ? quote.bid : quote.ask) ?? quote.price;
+
+/**
+ * Moves an open signal along its lifecycle for one quote ({ time, price } or { time, bid, ask }).
+ * Returns the fields that changed, or null when the quote changes nothing. Exits are booked at
+ * the target or stop-loss level itself. A stop that is hit at the entry price (moved to
+ * breakeven) resolves as breakeven; any other stop, even one trailed into profit, as sl_hit.
+ * With `breakevenAfter` set, the stop moves to the entry once that many targets were hit, and
+ * the move is logged in `adjustments` like a manual one.
+ */
+const applyQuote = (signal, quote) => {
+  if (!OPEN_STATES.includes(signal.state)) return null;
+  const time = new Date(quote.time);
+  if (signal.publishDate && time < new Date(signal.publishDate)) return null;
+
+  const changes = {};
+  let state = signal.state;
+
+  if (state === 'pending') {
+    if (signal.expiresAt && time >= new Date(signal.expiresAt)) {
+      return { state: 'expired', closedAt: new Date(signal.expiresAt) };
+    }
+    const price = openingPrice(signal, quote);
+    const filled = !isLimit(signal.entryType)
+      || (isBuy(signal.entryType) ? price <= signal.entryPrice : price >= signal.entryPrice);
+    if (!filled) return null;
+    state = 'active';
+    Object.assign(changes, { state, activatedAt: time });
+  }
+
+  const price = closingPrice(signal, quote);
+  const buy = isBuy(signal.entryType);
+  const reached = level => (buy ? price >= level : price <= level);
+
+  if (buy ? price <= signal.stopLoss : price >= signal.stopLoss) {
+    return Object.assign(changes, {
+      state: signal.stopLoss === signal.entryPrice ? 'breakeven' : 'sl_hit',
+      closedAt: time,
+      closePrice: signal.stopLoss,
+    });
+  }
+
+  const targets = targetsOf(signal);
+  if (targets.some(target => !target.hitAt && reached(target.price))) {
+    changes.targets = targets.map(target => (
+      !target.hitAt && reached(target.price) ? { ...target, hitAt: time } : target
+    ));
+    const hits = changes.targets.filter(target => target.hitAt).length;
+
+    if (hits === targets.length) {
+      Object.assign(changes, { state: 'tp_hit', closedAt: time, closePrice: targets[targets.length - 1].price });
+    } else if (signal.breakevenAfter && hits >= signal.breakevenAfter
+      && (buy ? signal.stopLoss < signal.entryPrice : signal.stopLoss > signal.entryPrice)) {
+      changes.stopLoss = signal.entryPrice;
+      changes.adjustments = [
+        ...(signal.adjustments || []),
+        { field: 'stopLoss', from: signal.stopLoss, to: signal.entryPrice, at: time, note: `Breakeven after TP${signal.breakevenAfter}` },
+      ];
+    }
+  }
+
+  return Object.keys(changes).length ? changes : null;
+};
+
+/**
+ * Runs a signal through quotes sorted oldest first and returns the changes accumulated until
+ * it resolved or the quotes ran out (null when nothing changed).
+ */
+const replayQuotes = (signal, quotes) => {
+  let current = signal;
+  let changes = null;
+  for (const quote of quotes) {
+    const step = applyQuote(current, quote);
+    if (step) {
+      changes = { ...changes, ...step };
+      current = { ...current, ...step };
+    }
+    if (!OPEN_STATES.includes(current.state)) break;
+  }
+  return changes;
+};
+
+/**
+ * What the signal sets out to make: the risk to the initial stop and the reward to each target in
+ * pips, each target's R:R, and the planned R:R of the whole signal with the reward weighted by
+ * the close percentages.
+ */
+const signalPlan = (signal) => {
+  const pipSize = pipSizeOf(signal);
+  const risk = initialRisk(signal);
+  const targets = targetsOf(signal).map((target) => {
+    const distance = Math.abs(target.price - signal.entryPrice);
+    return { pips: toPips(distance, pipSize), rr: risk ? roundRatio(distance / risk) : 0 };
+  });
+  const reward = targetsOf(signal)
+    .reduce((sum, target) => sum + Math.abs(target.price - signal.entryPrice) * target.closePercent, 0) / 100;
+
+  return {
+    pipSize,
+    riskPips: toPips(risk, pipSize),
+    rewardPips: toPips(reward, pipSize),
+    plannedRR: risk ? roundRatio(reward / risk) : 0,
+    targets,
+  };
+};
+
+/**
+ * Price movement in favour of the signal (in price units and pips) and the R multiple it
+ * represents, weighted across the partial closes: each target that was hit contributes its
+ * share at the target price and the rest of the position closes at closePrice. Risk is
+ * measured against the stop loss the signal was published with, so moving the stop later does
+ * not change the R of the result.
+ */
+const signalResult = (signal) => {
+  if (!RESOLVED_STATES.includes(signal.state)) return null;
+  const direction = isBuy(signal.entryType) ? 1 : -1;
+  const move = exit => (exit - signal.entryPrice) * direction;
+
+  const hit = targetsOf(signal).filter(target => target.hitAt || signal.state === 'tp_hit');
+  const closedPercent = hit.reduce((sum, target) => sum + target.closePercent, 0);
+  const weighted = hit.reduce((sum, target) => sum + move(target.price) * target.closePercent, 0)
+    + Math.max(0, 100 - closedPercent) * move(signal.closePrice);
+
+  const points = round(weighted / 100);
+  const risk = initialRisk(signal);
+  return {
+    points,
+    pips: toPips(points, pipSizeOf(signal)),
+    r: risk ? roundRatio(points / risk) : 0,
+    targetsHit: hit.length,
+  };
+};
+
+module.exports = {
+  STATES,
+  OPEN_STATES,
+  RESOLVED_STATES,
+  MAX_TARGETS,
+  isBuy,
+  isLimit,
+  targetsOf,
+  buildTargets,
+  validateLevels,
+  closingPrice,
+  applyQuote,
+  replayQuotes,
+  signalPlan,
+  signalResult,
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { STATES, OPEN_STATES, RESOLVED_STATES } = require('./signalLifecycle');
+const { getInstrument } = require('./instruments');
+
+const ENTRY_TYPES = ['Buy', 'Sell', 'Buy limit', 'Sell limit'];
+const CATEGORIES = ['All users', 'Premium users', 'Free users'];
+const PUBLICATION_STATUSES = ['Published', 'Scheduled'];
+// Groups accepted by the state filter besides the states themselves
+const STATE_GROUPS = { open: OPEN_STATES, resolved: RESOLVED_STATES };
+// Sort fields; signals without a result are left out when sorting by it
+const SORT_FIELDS = ['date', 'resultR'];
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+// "a,b" or ?x=a&x=b into a list of trimmed values
+const listParam = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const encodeCursor = (signal, field) => Buffer.from(JSON.stringify({
+  v: signal[field] instanceof Date ? signal[field].toISOString() : signal[field],
+  id: String(signal._id),
+})).toString('base64url');
+
+// Position after which the next page starts, or null when the cursor is not one of ours
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const value = field === 'date' ? new Date(v) : v;
+    if (!mongoose.isValidObjectId(id) || (field === 'date' ? isNaN(value) : typeof value !== 'number')) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turns the query of GET /api/signals/list into a search, or { error }. The filter is split so
+ * the facets can leave out their own dimension: `match` holds every filter but asset and state,
+ * which are in `assetMatch` and `stateMatch`, and `after` is the cursor position. Non-staff tiers
+ * only ever search published signals.
+ */
+const parseSignalSearch = (query, tier) => {
+  const match = [];
+
+  let assetMatch = {};
+  if (query.asset) {
+    assetMatch = { symbol: { $in: listParam(query.asset).map(asset => getInstrument(asset).symbol) } };
+  }
+
+  let stateMatch = {};
+  if (query.state) {
+    const requested = listParam(query.state);
+    const unknown = requested.find(state => !STATES.includes(state) && !STATE_GROUPS[state]);
+    if (unknown) return { error: `Unknown state ${unknown}` };
+    stateMatch = { state: { $in: [...new Set(requested.flatMap(state => STATE_GROUPS[state] || [state]))] } };
+  }
+
+  const enumFilters = [
+    ['entryType', ENTRY_TYPES],
+    ['category', CATEGORIES],
+    ['status', PUBLICATION_STATUSES],
+  ];
+  for (const [field, allowed] of enumFilters) {
+    if (!query[field]) continue;
+    const values = listParam(query[field]);
+    const invalid = values.find(value => !allowed.includes(value));
+    if (invalid) return { error: `Invalid ${field} ${invalid}` };
+    match.push({ [field]: { $in: values } });
+  }
+  if (tier !== 'staff') match.push({ status: 'Published' });
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) {
+    return { error: 'Invalid date range' };
+  }
+  if (from || to) {
+    match.push({ date: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+  }
+
+  if (query.analyst) {
+    if (!mongoose.isValidObjectId(query.analyst)) return { error: 'Invalid analyst' };
+    match.push({ createdBy: new mongoose.Types.ObjectId(String(query.analyst)) });
+  }
+
+  const sortParam = String(query.sort || '-date');
+  const field = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    return { error: `sort must be one of ${SORT_FIELDS.flatMap(name => [name, `-${name}`]).join(', ')}` };
+  }
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  if (field !== 'date') match.push({ [field]: { $ne: null } });
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    const position = decodeCursor(query.cursor, field);
+    if (!position) return { error: 'Invalid cursor' };
+    const beyond = direction === -1 ? '$lt' : '$gt';
+    after = {
+      $or: [
+        { [field]: { [beyond]: position.value } },
+        { [field]: position.value, _id: { [beyond]: position.id } },
+      ],
+    };
+  }
+
+  return {
+    match,
+    assetMatch,
+    stateMatch,
+    after,
+    sort: { [field]: direction, _id: direction },
+    sortField: field,
+    limit,
+  };
+};
+
+// The complete filter of a search, given the parts from parseSignalSearch
+const combineMatch = (...parts) => {
+  const conditions = parts.flat().filter(part => part && Object.keys(part).length);
+  return conditions.length ? { $and: conditions } : {};
+};
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseSignalSearch,
+  combineMatch,
+};
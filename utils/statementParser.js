@@ -0,0 +1,310 @@
+// Parsers for trading statements uploaded instead of using the live MT5 bridge. Every parser
+// returns { trades, summary } where trades use the Trade model's field names and summary holds
+// whatever account details the file carries ({ accountNumber, currency, balance, equity, marginLevel }).
+const FORMATS = ['csv', 'mt5-html', 'mt4-html'];
+
+// Column names tried for each trade field when no mapping is given (compared lowercased, without spaces)
+const CSV_COLUMNS = {
+  positionId: ['ticket', 'position', 'positionid', 'order', 'id', 'tradeid'],
+  symbol: ['symbol', 'item', 'instrument', 'market', 'pair'],
+  side: ['side', 'type', 'direction', 'action'],
+  volume: ['volume', 'lots', 'size', 'quantity', 'qty'],
+  openTime: ['opentime', 'opendate', 'entrytime', 'timeopen', 'opened'],
+  closeTime: ['closetime', 'closedate', 'exittime', 'timeclose', 'closed'],
+  openPrice: ['openprice', 'entryprice', 'priceopen', 'entry'],
+  closePrice: ['closeprice', 'exitprice', 'priceclose', 'exit'],
+  sl: ['sl', 's/l', 'stoploss'],
+  tp: ['tp', 't/p', 'takeprofit'],
+  commission: ['commission', 'commissions', 'fees'],
+  swap: ['swap', 'swaps', 'rollover'],
+  profit: ['profit', 'p/l', 'pnl', 'netprofit', 'pl'],
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_]/g, '');
+
+// "1 234.56", "1,234.56", "1234,56" and "" all come out as numbers
+const toNumber = (value) => {
+  if (value === undefined || value === null) return 0;
+  let cleaned = String(value).replace(/\s/g, '');
+  cleaned = cleaned.includes('.') ? cleaned.replace(/,/g, '') : cleaned.replace(',', '.');
+  const number = parseFloat(cleaned);
+  return isNaN(number) ? 0 : number;
+};
+
+// MetaTrader writes "2025.07.01 08:15:00"; statements carry broker server time, read as UTC
+const toDate = (value) => {
+  if (!value) return undefined;
+  const text = String(value).trim();
+  const mt = text.match(/^(\d{4})[.\-/](\d{2})[.\-/](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  const date = mt
+    ? new Date(Date.UTC(+mt[1], +mt[2] - 1, +mt[3], +(mt[4] || 0), +(mt[5] || 0), +(mt[6] || 0)))
+    : new Date(text);
+  return isNaN(date) ? undefined : date;
+};
+
+const toSide = (value) => {
+  const side = String(value || '').trim().toLowerCase();
+  if (['buy', 'long', 'b'].includes(side)) return 'buy';
+  if (['sell', 'short', 's'].includes(side)) return 'sell';
+  return null;
+};
+
+// Splits CSV text into rows of cells; handles quoted cells, "" escapes and , ; or tab delimiters
+const splitCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+/**
+ * Parses a broker CSV export with one closed trade per row. `mapping` maps trade fields to the
+ * file's column headers ({ symbol: 'Instrument', profit: 'Net P/L' }); unmapped fields are
+ * matched against common header names. Rows without a buy/sell side are skipped.
+ */
+const parseCsv = (text, mapping = {}) => {
+  const [headers, ...rows] = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (!headers) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, candidates]) => {
+    const names = mapping[field] ? [normalizeHeader(mapping[field])] : candidates;
+    const index = normalized.findIndex(header => names.includes(header));
+    if (index !== -1) columns[field] = index;
+  });
+
+  const missing = ['symbol', 'side', 'volume', 'profit'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Could not find CSV column(s) for: ${missing.join(', ')}`);
+  }
+
+  const trades = [];
+  rows.forEach((cells) => {
+    const get = field => (columns[field] === undefined ? undefined : cells[columns[field]]);
+    const side = toSide(get('side'));
+    if (!side || !get('symbol')) return;
+    trades.push({
+      positionId: get('positionId') ? toNumber(get('positionId')) : undefined,
+      symbol: String(get('symbol')).trim(),
+      side,
+      volume: toNumber(get('volume')),
+      openTime: toDate(get('openTime')),
+      closeTime: toDate(get('closeTime')),
+      openPrice: toNumber(get('openPrice')),
+      closePrice: toNumber(get('closePrice')),
+      sl: toNumber(get('sl')),
+      tp: toNumber(get('tp')),
+      commission: toNumber(get('commission')),
+      swap: toNumber(get('swap')),
+      profit: toNumber(get('profit')),
+    });
+  });
+  return { trades, summary: {} };
+};
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code));
+
+// Table rows as arrays of cell texts, with colspans expanded and hidden cells dropped
+const htmlRows = (html) => {
+  const rows = [];
+  const rowPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+  const cellPattern = /<t([dh])([^>]*)>([\s\S]*?)<\/t\1>/gi;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(html))) {
+    const cells = [];
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[1]))) {
+      const attributes = cellMatch[2];
+      if (/class\s*=\s*["']?hidden/i.test(attributes)) continue;
+      const text = decodeEntities(cellMatch[3].replace(/<[^>]*>/g, '')).trim();
+      const span = parseInt((attributes.match(/colspan\s*=\s*["']?(\d+)/i) || [])[1], 10) || 1;
+      cells.push(text);
+      for (let i = 1; i < span; i += 1) cells.push('');
+    }
+    rows.push(cells);
+  }
+  return rows;
+};
+
+// The first value after a "Label:" cell anywhere in the statement
+const findValue = (rows, label) => {
+  for (const cells of rows) {
+    const index = cells.findIndex(cell => cell.toLowerCase() === label.toLowerCase());
+    if (index !== -1) {
+      const value = cells.slice(index + 1).find(cell => cell !== '');
+      if (value !== undefined) return value;
+    }
+  }
+  return undefined;
+};
+
+// Rows between a section title ("Positions", "Closed Transactions:") and the next title
+const sectionRows = (rows, title) => {
+  const isTitle = cells => cells.filter(cell => cell !== '').length === 1 && /^[A-Za-z ]+:?$/.test(cells.find(cell => cell !== ''));
+  const start = rows.findIndex(cells => isTitle(cells) && cells.find(cell => cell !== '').replace(/:$/, '').toLowerCase() === title);
+  if (start === -1) return null;
+
+  const section = [];
+  for (const cells of rows.slice(start + 1)) {
+    if (isTitle(cells)) break;
+    if (cells.some(cell => cell !== '')) section.push(cells);
+  }
+  return section;
+};
+
+// Header cells as keys; repeated headers ("Time", "Price") get a 2 suffix for the closing side
+const headerKeys = (cells) => {
+  const seen = {};
+  return cells.map((cell) => {
+    const key = normalizeHeader(cell);
+    if (!key) return '';
+    seen[key] = (seen[key] || 0) + 1;
+    return seen[key] > 1 ? `${key}${seen[key]}` : key;
+  });
+};
+
+const tradesFromSection = (section, fields) => {
+  const [header, ...rows] = section;
+  const keys = headerKeys(header);
+  const trades = [];
+  rows.forEach((cells) => {
+    const get = key => cells[keys.indexOf(key)];
+    const side = toSide(get(fields.side));
+    const openTime = toDate(get(fields.openTime));
+    if (!side || !openTime || !get(fields.symbol)) return;
+    trades.push({
+      positionId: toNumber(get(fields.positionId)),
+      symbol: get(fields.symbol),
+      side,
+      volume: toNumber(String(get(fields.volume)).split('/')[0]),
+      openTime,
+      closeTime: toDate(get(fields.closeTime)),
+      openPrice: toNumber(get('price')),
+      closePrice: toNumber(get('price2')),
+      sl: toNumber(get('s/l')),
+      tp: toNumber(get('t/p')),
+      commission: toNumber(get('commission')) + toNumber(get('taxes')) + toNumber(get('fee')),
+      swap: toNumber(get('swap')),
+      profit: toNumber(get('profit')),
+    });
+  });
+  return trades;
+};
+
+const parseSummary = (rows, html) => {
+  const text = decodeEntities(html.replace(/<[^>]*>/g, ' '));
+  const account = text.match(/Account:\s*(\d+)/i);
+  const currency = text.match(/Currency:\s*([A-Z]{3})/) || text.match(/Account:\s*\d+\s*\(([A-Z]{3})/);
+  const balance = findValue(rows, 'Balance:');
+  const equity = findValue(rows, 'Equity:');
+  const marginLevel = findValue(rows, 'Margin Level:');
+  return {
+    accountNumber: account ? account[1] : undefined,
+    currency: currency ? currency[1] : undefined,
+    balance: balance === undefined ? undefined : toNumber(balance),
+    equity: equity === undefined ? undefined : toNumber(equity),
+    marginLevel: marginLevel === undefined ? undefined : toNumber(String(marginLevel).replace('%', '')),
+  };
+};
+
+// MT5 "Report History": the Positions section lists one row per closed position
+const parseMt5Html = (html) => {
+  const rows = htmlRows(html);
+  const section = sectionRows(rows, 'positions');
+  if (!section) {
+    throw new Error('No Positions section found in the MT5 statement');
+  }
+  const trades = tradesFromSection(section, {
+    positionId: 'position', symbol: 'symbol', side: 'type', volume: 'volume', openTime: 'time', closeTime: 'time2',
+  });
+  return { trades, summary: parseSummary(rows, html) };
+};
+
+// MT4 "Detailed Statement": closed trades are listed under Closed Transactions
+const parseMt4Html = (html) => {
+  const rows = htmlRows(html);
+  const section = sectionRows(rows, 'closed transactions');
+  if (!section) {
+    throw new Error('No Closed Transactions section found in the MT4 statement');
+  }
+  const trades = tradesFromSection(section, {
+    positionId: 'ticket', symbol: 'item', side: 'type', volume: 'size', openTime: 'opentime', closeTime: 'closetime',
+  });
+  return { trades, summary: parseSummary(rows, html) };
+};
+
+// MT5 saves reports as UTF-16 with a byte order mark; MT4 and CSV exports are UTF-8 or ANSI
+const decodeFile = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.slice(2).toString('utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.slice(2)).swap16().toString('utf16le');
+  return buffer.toString('utf8');
+};
+
+const detectFormat = (text) => {
+  if (!/<t[dr][\s>]/i.test(text)) return 'csv';
+  if (/Closed Transactions/i.test(text)) return 'mt4-html';
+  return 'mt5-html';
+};
+
+/**
+ * Parses an uploaded statement. `format` is one of FORMATS, or left out to detect it from the
+ * content. `mapping` only applies to CSV files.
+ */
+const parseStatement = (buffer, { format, mapping } = {}) => {
+  const text = decodeFile(buffer);
+  switch (format || detectFormat(text)) {
+    case 'csv':
+      return parseCsv(text, mapping);
+    case 'mt5-html':
+      return parseMt5Html(text);
+    case 'mt4-html':
+      return parseMt4Html(text);
+    default:
+      throw new Error(`Unsupported statement format: ${format}`);
+  }
+};
+
+module.exports = { FORMATS, parseStatement, parseCsv, parseMt5Html, parseMt4Html, splitCsv, toNumber, toDate, decodeFile };
@@ -0,0 +1,40 @@
+// Helpers for turning daily rows into chart series. All dates are bucketed in UTC.
+const DAY = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY) * DAY);
+
+// Start of the day, ISO week (Monday) or calendar month the date falls in
+const bucketStart = (date, interval) => {
+  const day = startOfDay(date);
+  if (interval === 'week') {
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY);
+  }
+  if (interval === 'month') {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  }
+  return day;
+};
+
+/**
+ * Groups [{ date, value }] points (sorted by date) into buckets of the given interval.
+ * Each bucket keeps its last value unless `reduce` is 'max' or 'min'.
+ */
+const bucketSeries = (points, interval, reduce = 'last') => {
+  const buckets = new Map();
+  points.forEach(({ date, value }) => {
+    const key = bucketStart(date, interval).getTime();
+    if (!buckets.has(key)) {
+      buckets.set(key, value);
+    } else if (reduce === 'max') {
+      buckets.set(key, Math.max(buckets.get(key), value));
+    } else if (reduce === 'min') {
+      buckets.set(key, Math.min(buckets.get(key), value));
+    } else {
+      buckets.set(key, value);
+    }
+  });
+  return Array.from(buckets, ([key, value]) => ({ date: new Date(key), value }));
+};
+
+module.exports = { DAY, INTERVALS, startOfDay, bucketStart, bucketSeries };
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { bucketStart } = require('./timeSeries');
+const { getInstrument } = require('./instruments');
+
+// Aggregates of resolved signals (Performance.historicalData entries, oldest first) for the
+// public track record. Like recomputePerformance, wins and losses go by the sign of the result,
+// so breakevens count as neither. R is the risk unit all signals share, so the curve, drawdown
+// and monthly figures are in R; pips only add up within one instrument.
+const round = value => Math.round(value * 100) / 100;
+
+const outcome = entry => (entry.profitLoss > 0 ? 'win' : entry.profitLoss < 0 ? 'loss' : 'breakeven');
+
+const tally = (entries) => {
+  const wins = entries.filter(entry => outcome(entry) === 'win').length;
+  const losses = entries.filter(entry => outcome(entry) === 'loss').length;
+  const totalR = round(entries.reduce((sum, entry) => sum + (entry.resultR || 0), 0));
+  return {
+    trades: entries.length,
+    wins,
+    losses,
+    breakevens: entries.length - wins - losses,
+    winRate: wins + losses ? round((wins / (wins + losses)) * 100) : 0,
+    totalR,
+    averageR: entries.length ? round(totalR / entries.length) : 0,
+  };
+};
+
+// Largest fall of the cumulative R curve from a previous high (the curve starts at 0)
+const maxDrawdown = (entries) => {
+  let cumulative = 0;
+  let peak = { value: 0, date: null };
+  let worst = { r: 0, from: null, to: null };
+  entries.forEach((entry) => {
+    cumulative += entry.resultR || 0;
+    if (cumulative > peak.value) {
+      peak = { value: cumulative, date: entry.date };
+    } else if (peak.value - cumulative > worst.r) {
+      worst = { r: peak.value - cumulative, from: peak.date, to: entry.date };
+    }
+  });
+  return { ...worst, r: round(worst.r) };
+};
+
+// Most losses in a row; a win or a breakeven ends the streak
+const longestLosingStreak = (entries) => {
+  let current = null;
+  let longest = { length: 0, from: null, to: null, r: 0 };
+  entries.forEach((entry) => {
+    if (outcome(entry) !== 'loss') {
+      current = null;
+      return;
+    }
+    current = current
+      ? { ...current, length: current.length + 1, to: entry.date, r: current.r + (entry.resultR || 0) }
+      : { length: 1, from: entry.date, to: entry.date, r: entry.resultR || 0 };
+    if (current.length > longest.length) longest = current;
+  });
+  return { ...longest, r: round(longest.r) };
+};
+
+const monthly = (entries) => {
+  const months = new Map();
+  entries.forEach((entry) => {
+    const key = bucketStart(entry.date, 'month').toISOString().slice(0, 7);
+    if (!months.has(key)) months.set(key, []);
+    months.get(key).push(entry);
+  });
+  let cumulativeR = 0;
+  return Array.from(months, ([month, group]) => {
+    const stats = tally(group);
+    cumulativeR += stats.totalR;
+    return { month, ...stats, cumulativeR: round(cumulativeR) };
+  });
+};
+
+const byAsset = (entries) => {
+  const assets = new Map();
+  entries.forEach((entry) => {
+    const symbol = getInstrument(entry.asset).symbol;
+    if (!assets.has(symbol)) assets.set(symbol, []);
+    assets.get(symbol).push(entry);
+  });
+  return Array.from(assets, ([asset, group]) => ({
+    asset,
+    ...tally(group),
+    pips: round(group.reduce((sum, entry) => sum + entry.profitLoss, 0)),
+  })).sort((a, b) => b.trades - a.trades || a.asset.localeCompare(b.asset));
+};
+
+/**
+ * SHA-256 over the signals behind a track record (id, resolution time, state, pips and R), so a
+ * shared report can be checked against the API for the same period.
+ */
+const digestOf = entries => crypto.createHash('sha256')
+  .update(JSON.stringify(entries.map(entry => [
+    entry.signalId, new Date(entry.date).toISOString(), entry.state, entry.profitLoss, entry.resultR,
+  ])))
+  .digest('hex');
+
+const buildTrackRecord = (entries, { from = null, to = null, asset = null } = {}) => ({
+  period: { from, to, asset },
+  summary: tally(entries),
+  maxDrawdown: maxDrawdown(entries),
+  longestLosingStreak: longestLosingStreak(entries),
+  monthly: monthly(entries),
+  assets: byAsset(entries),
+  signals: entries.map(({ signalId, date, asset: symbol, state, profitLoss, resultR, plannedRR, targetsHit }) => (
+    { signalId, date, asset: symbol, state, profitLoss, resultR, plannedRR, targetsHit }
+  )),
+  digest: digestOf(entries),
+});
+
+module.exports = { buildTrackRecord, maxDrawdown, longestLosingStreak };